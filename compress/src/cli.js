@@ -0,0 +1,119 @@
+import { parseArgs } from 'util';
+import { UsageError } from './lib/options.js';
+import { loadConfig, configOptionValues, PRESETS } from './lib/config.js';
+
+// A command's module is imported once it is the one to run: some load sharp and canvas, whose
+// native builds are not available everywhere, and the other commands work without them
+const COMMANDS = [
+    { name: 'extract', summary: 'Convert every b3dm, i3dm, pnts and cmpt in a tileset folder or .3tz archive to glb', load: () => import('./commands/extract.js') },
+    { name: 'compress', summary: 'Compress every b3dm/i3dm/pnts/cmpt/glb/gltf tile in a tileset folder or .3tz archive and write glb (or i3dm/pnts/cmpt, or b3dm for 3D Tiles 1.0) tiles', load: () => import('./commands/compress.js') },
+    { name: 'decompress', summary: 'Decode Draco, meshopt and KTX2 in a tile, tileset folder or .3tz archive into plain glTF geometry and PNG/JPEG textures', load: () => import('./commands/decompress.js') },
+    { name: 'stats', summary: 'Print triangle, vertex and texture statistics for a whole tileset (folder, .3tz archive or tileset JSON) or a single b3dm/glb/gltf tile', load: () => import('./commands/stats.js') },
+    { name: 'validate', summary: 'Check a tileset: its tile tree, bounding volumes, geometric errors and every content it references', load: () => import('./commands/validate.js') },
+    { name: 'lod', summary: 'Rebuild the content of parent tiles from their children\'s meshes, merged and simplified with meshoptimizer', load: () => import('./commands/lod.js') },
+    { name: 'tile', summary: 'Cut one large glb, glTF or OBJ model into a tileset of glb tiles with simplified parent tiles', load: () => import('./commands/tile.js') },
+    { name: 'implicit', summary: 'Convert quadtree and octree tilesets to 3D Tiles 1.1 implicit tiling, with subtree files and templated content names', load: () => import('./commands/implicit.js') },
+    { name: 'explicit', summary: 'Expand implicit tiling back into explicit tiles, for viewers that do not support it', load: () => import('./commands/explicit.js') },
+    { name: 'pack', summary: 'Pack a tileset folder into a single .3tz archive that every command reads without unpacking', load: () => import('./commands/pack.js') },
+];
+
+// Options every command takes, besides its own
+const COMMON_OPTIONS = {
+    config: { type: 'string', valueName: 'file', description: 'Read compression settings and default options from a JSON or YAML file' },
+    preset: { type: 'string', valueName: 'name', description: `Start from a settings preset: ${Object.keys(PRESETS).join(', ')}` },
+    help: { type: 'boolean', short: 'h', description: 'Show this help' },
+};
+
+// Run the `tiles` CLI with the given arguments and resolve with the process exit code.
+export async function run(argv) {
+    const [name, ...rest] = argv;
+
+    if (!name || name === '--help' || name === '-h' || name === 'help') {
+        console.log(formatGlobalHelp());
+        return name ? 0 : 2;
+    }
+
+    const entry = COMMANDS.find(c => c.name === name);
+    if (!entry) {
+        console.error(`Unknown command "${name}".\n`);
+        console.error(formatGlobalHelp());
+        return 2;
+    }
+    const command = { ...entry, ...(await entry.load()) };
+
+    try {
+        const args = parseCommandArgs(command, rest);
+        if (args.values.help) {
+            console.log(formatCommandHelp(command));
+            return 0;
+        }
+        const { config: file, preset, ...values } = args.values;
+        const config = await loadConfig({ file, preset }, COMMANDS.map(c => c.name), command);
+        return (await command.run({ ...args, values: { ...configOptionValues(config, command, values), ...values }, config })) ?? 0;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`Error: ${error.message}\n`);
+            console.error(formatCommandHelp(command));
+            return 2;
+        }
+        console.error(`Error: ${error.message}`);
+        return 1;
+    }
+}
+
+function parseCommandArgs(command, argv) {
+    const options = {};
+    for (const [key, { type, short, multiple }] of Object.entries({ ...command.options, ...COMMON_OPTIONS })) {
+        options[key] = { type, ...(short && { short }), ...(multiple && { multiple }) };
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (!values.help) {
+        const required = command.positionals.filter(p => !p.optional);
+        if (positionals.length < required.length) {
+            throw new UsageError(`Missing <${required[positionals.length].name}>.`);
+        }
+        if (positionals.length > command.positionals.length) {
+            throw new UsageError(`Unexpected argument "${positionals[command.positionals.length]}".`);
+        }
+    }
+
+    return { values, positionals };
+}
+
+function formatGlobalHelp() {
+    const width = Math.max(...COMMANDS.map(c => c.name.length));
+    return [
+        'Usage: tiles <command> [options]',
+        '',
+        'Commands:',
+        ...COMMANDS.map(c => `  ${c.name.padEnd(width)}  ${c.summary}`),
+        '',
+        'Run "tiles <command> --help" for the options of a command.',
+    ].join('\n');
+}
+
+function formatCommandHelp(command) {
+    const positionals = command.positionals.map(p => (p.optional ? `[${p.name}]` : `<${p.name}>`)).join(' ');
+    const options = Object.entries({ ...command.options, ...COMMON_OPTIONS }).map(([key, option]) => {
+        const flag = `${option.short ? `-${option.short}, ` : '    '}--${key}${option.type === 'string' ? ` <${option.valueName || 'value'}>` : ''}`;
+        return [flag, option.description];
+    });
+    const width = Math.max(...options.map(([flag]) => flag.length));
+
+    return [
+        `Usage: tiles ${command.name} ${positionals} [options]`.replace(/ +/g, ' '),
+        '',
+        command.summary,
+        '',
+        'Options:',
+        ...options.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`),
+    ].join('\n');
+}
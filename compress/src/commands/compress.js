@@ -0,0 +1,235 @@
+import fs from 'fs';
+import path from 'path';
+import { processFiles, DEFAULT_MAX_JOBS_PER_WORKER, DEFAULT_MAX_WORKER_MEMORY } from '../lib/process-files.js';
+import { updateTilesetJson, listTileContents, listContentFiles } from '../lib/tileset-json.js';
+import { DRACO_POINT_COMPRESSION } from '../lib/pnts.js';
+import { mirrorPath, prepareOutputDirectory, copySidecarFiles, outputFolder, packOutput } from '../lib/output-paths.js';
+import { isArchivePath, isInputFolder } from '../lib/input-files.js';
+import { hasContentExtension } from '../lib/tile-format.js';
+import { Journal, JOURNAL_FILE } from '../lib/journal.js';
+import { requireKtxTool } from '../lib/ktx-tool.js';
+import { buildComparisonReport, writeComparisonReport, compareEncodings } from '../lib/compression-report.js';
+import { UsageError, parsePositiveInteger, parsePositiveNumber } from '../lib/options.js';
+
+// Encodings a texture below the KTX2 quality thresholds can fall back to, see lib/compress-file.js
+const KTX_FALLBACKS = ['uastc', 'quality'];
+
+// 3D Tiles versions the output can target: 1.1 tiles are glb, 1.0 viewers need b3dm
+const TARGETS = ['1.0', '1.1'];
+
+export const name = 'compress';
+export const positionals = [{ name: 'folder' }];
+export const options = {
+    out: { type: 'string', short: 'o', valueName: 'dir', description: 'Write the processed tileset to <dir>, or to a .3tz archive, and leave the input untouched (default: modify in place)' },
+    draco: { type: 'boolean', description: 'Apply Draco mesh compression', excludes: ['meshopt'] },
+    meshopt: { type: 'boolean', description: 'Apply EXT_meshopt_compression (reorder, quantization, meshopt encoding) instead of Draco; faster to decode', excludes: ['draco'] },
+    'compare-encodings': { type: 'boolean', description: 'Also encode every mesh with both Draco and meshopt and compare their sizes (printed, and listed in --report)' },
+    ktx: { type: 'boolean', description: 'Convert textures to KTX2: UASTC for normal, occlusion and metallic-roughness maps, ETC1S for the rest (slots set in the config)' },
+    'ktx-check': { type: 'boolean', description: 'Decode every texture converted to KTX2 and report its PSNR and SSIM against the source image' },
+    'ktx-min-psnr': { type: 'string', valueName: 'db', description: 'Fail a tile with a KTX2 texture below <db> PSNR (implies --ktx-check)' },
+    'ktx-min-ssim': { type: 'string', valueName: 'n', description: 'Fail a tile with a KTX2 texture below <n> SSIM, from 0 to 1 (implies --ktx-check)' },
+    'ktx-fallback': { type: 'string', valueName: 'mode', description: 'Encode a texture below the thresholds again instead of failing the tile: uastc, or quality for the highest quality of the mode it got' },
+    'draco-tolerance': { type: 'string', valueName: 'm', description: 'Decode each Draco-compressed tile and fail it if a vertex moved more than <m> metres (Hausdorff distance)' },
+    'draco-retry': { type: 'boolean', description: 'With --draco-tolerance, encode a tile again with more position bits (20, 24, 29) instead of failing it' },
+    'double-sided': { type: 'boolean', description: 'Mark every material as double sided (same as doubleSided: all in the config)' },
+    'instances-to-glb': { type: 'boolean', description: 'Convert i3dm tiles to glb with EXT_mesh_gpu_instancing (default: keep them as i3dm)' },
+    'points-to-glb': { type: 'boolean', description: 'Convert pnts tiles to glb with POINTS primitives (default: keep them as pnts, Draco-compressed with --draco)' },
+    'split-composites': { type: 'boolean', description: 'Split cmpt tiles into one glb per inner tile, listed in 3D Tiles 1.1 contents arrays (default: keep them as cmpt)' },
+    target: { type: 'string', valueName: 'version', description: 'Write tiles for 3D Tiles 1.1 (glb, the default) or 1.0 (b3dm tiles stay b3dm and glb/gltf tiles are wrapped in b3dm, for viewers without glb support)' },
+    report: { type: 'string', valueName: 'file', description: 'Write a before/after comparison of sizes, triangles and textures to <file>.json and <file>.html' },
+    resume: { type: 'boolean', description: `Continue an interrupted or failed run from its journal (${JOURNAL_FILE} in the output folder, deleted once a run completes), skipping completed files` },
+    jobs: { type: 'string', short: 'j', valueName: 'n', description: 'Number of parallel worker processes (default: CPU count - 1)' },
+    'worker-jobs': { type: 'string', valueName: 'n', description: `Replace a worker after it has processed <n> files (default: ${DEFAULT_MAX_JOBS_PER_WORKER})` },
+    'worker-memory': { type: 'string', valueName: 'mb', description: `Replace a worker once its memory use exceeds <mb> MB (default: ${DEFAULT_MAX_WORKER_MEMORY})` },
+};
+
+export async function run({ positionals: [folderPath], values, config }) {
+    if (!isInputFolder(folderPath)) {
+        throw new UsageError(`Provided path is not a valid directory: ${folderPath}`);
+    }
+    if (isArchivePath(folderPath) && !values.out) {
+        throw new UsageError('A .3tz archive cannot be modified in place; give --out <dir> or --out <file.3tz>.');
+    }
+
+    const outputPath = values.out ? outputFolder(values.out) : folderPath;
+    if (values.out) {
+        prepareOutputDirectory(folderPath, outputPath);
+    }
+
+    const pool = {
+        ...(values.jobs !== undefined && { jobs: parsePositiveInteger(values.jobs, 'jobs') }),
+        ...(values['worker-jobs'] !== undefined && { maxJobsPerWorker: parsePositiveInteger(values['worker-jobs'], 'worker-jobs') }),
+        ...(values['worker-memory'] !== undefined && { maxWorkerMemory: parsePositiveInteger(values['worker-memory'], 'worker-memory') }),
+    };
+    const target = values.target ?? '1.1';
+    if (!TARGETS.includes(target)) {
+        throw new UsageError(`--target must be one of ${TARGETS.join(', ')}, got "${target}".`);
+    }
+    const glbOption = ['instances-to-glb', 'points-to-glb', 'split-composites'].find(option => values[option]);
+    if (target === '1.0' && glbOption) {
+        throw new UsageError(`--${glbOption} writes glb tiles, which 3D Tiles 1.0 does not have; it cannot be combined with --target 1.0.`);
+    }
+    const instancesToGlb = Boolean(values['instances-to-glb']);
+    const pointsToGlb = Boolean(values['points-to-glb']);
+    const splitComposites = Boolean(values['split-composites']);
+    // Tile formats renamed to glb (b3dm for 1.0) in the tileset JSONs; split composites are handled separately
+    const convertedExtensions = target === '1.0'
+        ? ['.glb', '.gltf']
+        : ['.b3dm', ...(instancesToGlb ? ['.i3dm'] : []), ...(pointsToGlb ? ['.pnts'] : [])];
+    // Tile formats that keep their format and extension
+    const keptExtensions = [...(target === '1.0' ? ['.b3dm'] : []), ...(instancesToGlb ? [] : ['.i3dm']), ...(pointsToGlb ? [] : ['.pnts']), ...(splitComposites ? [] : ['.cmpt'])];
+    // For 1.0, the glb/gltf files that are tile contents are wrapped in b3dm; others (such as the
+    // glTFs of i3dm tiles) stay glb
+    const wrappedFiles = target === '1.0' ? listTileContents(folderPath) : new Set();
+    const ktxMinPsnr = values['ktx-min-psnr'] !== undefined ? parsePositiveNumber(values['ktx-min-psnr'], 'ktx-min-psnr') : null;
+    const ktxMinSsim = values['ktx-min-ssim'] !== undefined ? parsePositiveNumber(values['ktx-min-ssim'], 'ktx-min-ssim') : null;
+    const settings = {
+        draco: Boolean(values.draco),
+        meshopt: Boolean(values.meshopt),
+        compareEncodings: Boolean(values['compare-encodings']),
+        ktx: Boolean(values.ktx),
+        ktxCheck: Boolean(values['ktx-check']) || ktxMinPsnr !== null || ktxMinSsim !== null,
+        ktxMinPsnr,
+        ktxMinSsim,
+        ktxFallback: values['ktx-fallback'] ?? null,
+        dracoTolerance: values['draco-tolerance'] !== undefined ? parsePositiveNumber(values['draco-tolerance'], 'draco-tolerance') : null,
+        dracoRetry: Boolean(values['draco-retry']),
+        instancesToGlb,
+        pointsToGlb,
+        splitComposites,
+        target,
+        compression: {
+            draco: config.draco,
+            meshopt: config.meshopt,
+            ktx: config.ktx,
+            optimize: config.optimize,
+            doubleSided: values['double-sided'] ? 'all' : config.doubleSided,
+        },
+    };
+    if (settings.draco && settings.meshopt) {
+        throw new UsageError('--draco and --meshopt cannot be combined; choose one mesh compression.');
+    }
+    if (settings.compareEncodings && !settings.draco && !settings.meshopt) {
+        throw new UsageError('--compare-encodings needs --draco or --meshopt.');
+    }
+    if (settings.ktxCheck && !settings.ktx) {
+        throw new UsageError('--ktx-check, --ktx-min-psnr and --ktx-min-ssim need --ktx.');
+    }
+    if (ktxMinSsim !== null && ktxMinSsim > 1) {
+        throw new UsageError(`--ktx-min-ssim must be between 0 and 1, got "${values['ktx-min-ssim']}".`);
+    }
+    if (settings.ktxFallback !== null && !KTX_FALLBACKS.includes(settings.ktxFallback)) {
+        throw new UsageError(`--ktx-fallback must be one of ${KTX_FALLBACKS.join(', ')}, got "${settings.ktxFallback}".`);
+    }
+    if (settings.ktxFallback !== null && ktxMinPsnr === null && ktxMinSsim === null) {
+        throw new UsageError('--ktx-fallback needs --ktx-min-psnr or --ktx-min-ssim.');
+    }
+    if (settings.dracoTolerance !== null && !settings.draco) {
+        throw new UsageError('--draco-tolerance needs --draco.');
+    }
+    if (settings.dracoRetry && settings.dracoTolerance === null) {
+        throw new UsageError('--draco-retry needs --draco-tolerance.');
+    }
+    if (settings.ktxCheck) {
+        // Checked once here rather than failing every tile that has a texture
+        await requireKtxTool();
+    }
+    const journal = Journal.open(folderPath, outputPath, settings, { resume: Boolean(values.resume) });
+    if (journal.tilesetUpdated) {
+        console.log('The journal shows this run already completed, nothing to resume.');
+        return 0;
+    }
+
+    // Resuming in place, the glbs written by the interrupted run are found next to the inputs
+    const files = listContentFiles(folderPath, ['glb', 'gltf', 'b3dm', 'i3dm', 'pnts', 'cmpt']).filter(file => !journal.isOutput(file));
+    const pending = [];
+    for (const file of files) {
+        if (!(await journal.isDone(file))) {
+            pending.push(file);
+        }
+    }
+    console.log(`Found ${files.length} files to process.`);
+    if (pending.length < files.length) {
+        console.log(`Skipping ${files.length - pending.length} files completed by a previous run.`);
+    }
+
+    // Contents named without their format's extension keep their name, as the tileset JSONs
+    // referencing them are left as they are
+    const outputExtension = file => {
+        if (!hasContentExtension(file) || keptExtensions.includes(path.extname(file).toLowerCase())) {
+            return path.extname(file);
+        }
+        return wrappedFiles.has(path.resolve(file)) ? '.b3dm' : '.glb';
+    };
+    const { results: newResults, failures } = await processFiles(pending.map(file => ({
+        file,
+        output: mirrorPath(file, folderPath, outputPath, outputExtension(file)),
+    })), settings, {
+        ...pool,
+        onResult: result => journal.recordResult(result),
+        onFailure: failure => journal.recordFailure(failure),
+    });
+
+    const attempted = new Set(pending.map(file => path.resolve(file)));
+    const results = [
+        ...journal.completedResults().filter(result => !attempted.has(path.resolve(result.file))),
+        ...newResults,
+    ];
+
+    if (values.out) {
+        const copied = copySidecarFiles(folderPath, outputPath, [...files, path.join(folderPath, JOURNAL_FILE)]);
+        console.log(`Copied ${copied} other files to ${outputPath}.`);
+    }
+
+    if (settings.compareEncodings) {
+        const { tiles, draco, meshopt, smaller } = compareEncodings(results);
+        console.log(`Meshes of ${tiles} files encoded both ways: ${draco} bytes with Draco, ${meshopt} bytes with meshopt; ${smaller} is smaller by ${Math.abs(draco - meshopt)} bytes.`);
+    }
+
+    if (values.report) {
+        const report = buildComparisonReport(results, failures, folderPath);
+        const base = values.report.replace(/\.(json|html)$/i, '');
+        writeComparisonReport(report, base);
+        console.log(`Saved ${report.totals.savedPercent}% (${report.totals.savedBytes} bytes); ${report.grown.length} files grew. Report written to ${base}.json and ${base}.html.`);
+    }
+
+    // The tileset JSONs are rewritten once, when every tile has been processed
+    if (failures.length > 0) {
+        console.log(`${failures.length} files failed, the tileset JSONs were not updated. Fix or remove them, then run again with --resume.`);
+        return 1;
+    }
+
+    // Draco-compressed pnts need client support for the extension, declared by the tilesets
+    // referencing them
+    const requiredExtensions = new Map(results
+        .filter(({ pointCompressionApplied }) => pointCompressionApplied)
+        .map(({ file }) => [path.resolve(file), [DRACO_POINT_COMPRESSION]]));
+    const splitContents = new Map(results
+        .filter(({ outputs }) => outputs)
+        .map(({ file, outputs }) => [path.resolve(file), outputs.map(output => path.basename(output))]));
+    const failedTilesets = updateTilesetJson(folderPath, outputPath, {
+        convertedExtensions,
+        ...(target === '1.0' && { contentExtension: '.b3dm', convertedFiles: wrappedFiles, maxVersion: target }),
+        requiredExtensions,
+        splitContents,
+    });
+    if (failedTilesets > 0) {
+        console.log(`${failedTilesets} tileset JSONs could not be updated${values.out ? '' : ', the original tiles were kept'}. Fix them, then run again with --resume.`);
+        return 1;
+    }
+    if (!values.out) {
+        // In place: the glb replaces the tile it was converted from (unless a previous run removed it)
+        for (const { file, output } of results) {
+            if (path.resolve(file) !== path.resolve(output)) {
+                fs.rmSync(file, { force: true });
+            }
+        }
+    }
+    journal.recordTilesetUpdated();
+    journal.remove();
+    if (values.out && isArchivePath(values.out)) {
+        packOutput(values.out);
+    }
+
+    return 0;
+}
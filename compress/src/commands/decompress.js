@@ -0,0 +1,82 @@
+import { decompressFile } from '../lib/decompress-file.js';
+import { updateTilesetJson, listContentFiles } from '../lib/tileset-json.js';
+import { DRACO_POINT_COMPRESSION } from '../lib/pnts.js';
+import { mirrorPath, prepareOutputDirectory, copySidecarFiles, outputFolder, packOutput } from '../lib/output-paths.js';
+import { isArchivePath, isInputFolder, inputExists } from '../lib/input-files.js';
+import { UsageError } from '../lib/options.js';
+
+const TILE_FORMATS = ['b3dm', 'i3dm', 'pnts', 'cmpt', 'glb', 'gltf'];
+const TEXTURE_FORMATS = ['png', 'jpeg'];
+
+export const name = 'decompress';
+export const positionals = [{ name: 'input' }, { name: 'output', optional: true }];
+export const options = {
+    'bake-texture-transforms': { type: 'boolean', description: 'Apply KHR_texture_transform to the texture coordinates and drop the extension (default: keep it)' },
+    'texture-format': { type: 'string', valueName: 'format', description: 'Format of the textures decoded from KTX2: png (default), or jpeg for those whose alpha is unused' },
+};
+
+export async function run({ positionals: [input, output], values }) {
+    if (!inputExists(input)) {
+        throw new UsageError(`Provided path does not exist: ${input}`);
+    }
+    const settings = {
+        bakeTextureTransforms: Boolean(values['bake-texture-transforms']),
+        textureFormat: values['texture-format'] ?? 'png',
+    };
+    if (!TEXTURE_FORMATS.includes(settings.textureFormat)) {
+        throw new UsageError(`--texture-format must be one of ${TEXTURE_FORMATS.join(', ')}, got "${settings.textureFormat}".`);
+    }
+
+    if (!isInputFolder(input)) {
+        const decoded = await decompressFile(input, output || input, settings);
+        console.log(`Decompressed ${input}${describe(decoded)}`);
+        return 0;
+    }
+
+    if (isArchivePath(input) && !output) {
+        throw new UsageError('A .3tz archive cannot be modified in place; give an output folder or .3tz archive.');
+    }
+    const outputRoot = output ? outputFolder(output) : input;
+    if (output) {
+        prepareOutputDirectory(input, outputRoot);
+    }
+
+    const files = listContentFiles(input, TILE_FORMATS);
+    let failed = 0;
+    let pointCompression = false;
+    for (const file of files) {
+        try {
+            const decoded = await decompressFile(file, mirrorPath(file, input, outputRoot), settings);
+            pointCompression ||= decoded.pointCompression;
+            console.log(`Decompressed ${file}${describe(decoded)}`);
+        } catch (err) {
+            console.error(`Error decompressing ${file}: ${err.message}`);
+            failed++;
+        }
+    }
+
+    if (output) {
+        copySidecarFiles(input, outputRoot, files);
+    }
+    // Once no pnts needs it, the point compression extension is dropped from the tileset JSONs
+    if (pointCompression && failed === 0) {
+        updateTilesetJson(input, outputRoot, { convertedExtensions: [], removedExtensions: [DRACO_POINT_COMPRESSION] });
+    }
+    if (output && isArchivePath(output)) {
+        packOutput(output);
+    }
+
+    return failed > 0 ? 1 : 0;
+}
+
+// What decompressFile() decoded, for the log
+function describe({ draco, meshopt, pointCompression, textures, textureTransforms }) {
+    const parts = [
+        draco && 'Draco',
+        meshopt && 'meshopt',
+        pointCompression && 'Draco points',
+        textures > 0 && `${textures} KTX2 texture${textures === 1 ? '' : 's'}`,
+        textureTransforms > 0 && `${textureTransforms} texture transform${textureTransforms === 1 ? '' : 's'} baked`,
+    ].filter(Boolean);
+    return parts.length > 0 ? `: ${parts.join(', ')}` : ' (nothing to decode)';
+}
@@ -0,0 +1,45 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { expandImplicitTiling } from '../lib/implicit-tiling.js';
+import { mirrorPath, prepareOutputDirectory, copySidecarFiles, outputFolder, packOutput } from '../lib/output-paths.js';
+import { isInputFolder, inputExists } from '../lib/input-files.js';
+import { UsageError } from '../lib/options.js';
+
+export const name = 'explicit';
+export const positionals = [{ name: 'tileset' }];
+export const options = {
+    out: { type: 'string', short: 'o', valueName: 'dir', description: 'Write the expanded tileset to <dir>, or to a .3tz archive, and leave the input untouched (default: modify in place)' },
+};
+
+export async function run({ positionals: [tilesetPath], values }) {
+    if (!inputExists(tilesetPath)) {
+        throw new UsageError(`Provided path does not exist: ${tilesetPath}`);
+    }
+    const tilesetFile = path.resolve(isInputFolder(tilesetPath) ? path.join(tilesetPath, 'tileset.json') : tilesetPath);
+    if (!inputExists(tilesetFile)) {
+        throw new UsageError(`${tilesetFile} does not exist.`);
+    }
+    // A tileset JSON that exists but not on disk is in a 3TZ archive
+    if (!values.out && !fs.existsSync(tilesetFile)) {
+        throw new UsageError('A .3tz archive cannot be modified in place; give --out <dir> or --out <file.3tz>.');
+    }
+
+    const inputRoot = path.dirname(tilesetFile);
+    const outputRoot = values.out ? outputFolder(values.out) : inputRoot;
+    if (values.out) {
+        prepareOutputDirectory(inputRoot, outputRoot);
+        copySidecarFiles(inputRoot, outputRoot, []);
+    }
+
+    const { expanded } = expandImplicitTiling(mirrorPath(tilesetFile, inputRoot, outputRoot));
+    for (const { tile, tiles, subtrees } of expanded) {
+        console.log(`Expanded tile ${tile}: ${tiles} tiles from ${subtrees} subtree files`);
+    }
+    if (expanded.length === 0) {
+        console.log('The tileset has no implicit tiling.');
+    }
+    if (values.out) {
+        packOutput(values.out);
+    }
+    return 0;
+}
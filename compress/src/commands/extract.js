@@ -0,0 +1,89 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { convertTileToGlb, convertCompositeToGlbs } from '../lib/tile-to-glb.js';
+import { updateTilesetJson, listContentFiles } from '../lib/tileset-json.js';
+import { mirrorPath, innerTilePath, prepareOutputDirectory, copySidecarFiles, outputFolder, packOutput } from '../lib/output-paths.js';
+import { isArchivePath, isInputFolder, readInputContent } from '../lib/input-files.js';
+import { hasContentExtension } from '../lib/tile-format.js';
+import { UsageError } from '../lib/options.js';
+
+export const name = 'extract';
+export const positionals = [{ name: 'folder' }];
+export const options = {
+    out: { type: 'string', short: 'o', valueName: 'dir', description: 'Write the extracted tileset to <dir>, or to a .3tz archive, and leave the input untouched (default: replace the b3dm/i3dm/pnts/cmpt files in place)' },
+};
+
+export async function run({ positionals: [tilesetRoot], values }) {
+    if (!isInputFolder(tilesetRoot)) {
+        throw new UsageError(`The specified directory does not exist: ${tilesetRoot}`);
+    }
+    if (isArchivePath(tilesetRoot) && !values.out) {
+        throw new UsageError('A .3tz archive cannot be modified in place; give --out <dir> or --out <file.3tz>.');
+    }
+
+    const outputRoot = values.out ? outputFolder(values.out) : tilesetRoot;
+    if (values.out) {
+        prepareOutputDirectory(tilesetRoot, outputRoot);
+    }
+
+    const files = listContentFiles(tilesetRoot, ['b3dm', 'i3dm', 'pnts', 'cmpt']);
+    if (files.length === 0) {
+        console.log('No .b3dm, .i3dm, .pnts or .cmpt files found in the specified directory.');
+        return 0;
+    }
+
+    let failed = 0;
+    // Tiles that failed keep their URIs in the tileset JSONs, and with --out are copied as they are
+    const converted = new Set();
+    // In place, the tiles the glbs replace; removed once the tileset JSONs reference the glbs
+    const replaced = [];
+    // Composites become one glb per inner tile, listed in a 3D Tiles 1.1 contents array
+    const splitContents = new Map();
+    for (const file of files) {
+        try {
+            const { format, buffer } = readInputContent(file);
+            // Contents named without their format's extension keep their name, as the tileset
+            // JSONs referencing them are left as they are
+            const outputFilePath = mirrorPath(file, tilesetRoot, outputRoot, hasContentExtension(file) ? '.glb' : undefined);
+            if (format === 'cmpt') {
+                const glbs = await convertCompositeToGlbs(buffer, file);
+                const outputs = glbs.map((glb, i) => innerTilePath(outputFilePath, i));
+                glbs.forEach((glb, i) => fs.outputFileSync(outputs[i], glb));
+                splitContents.set(path.resolve(file), outputs.map(output => path.basename(output)));
+                console.log(`Split ${file} into ${glbs.length} glb files`);
+            } else {
+                // A glb named like a 3D Tiles 1.0 tile only needs renaming
+                fs.outputFileSync(outputFilePath, format === 'glb' ? buffer : await convertTileToGlb(buffer, file));
+                console.log(`Converted ${file} to ${outputFilePath}`);
+            }
+
+            converted.add(path.resolve(file));
+            // The original tile goes, unless the glb was written over it
+            if (!values.out && (format === 'cmpt' || path.resolve(outputFilePath) !== path.resolve(file))) {
+                replaced.push(file);
+            }
+        } catch (err) {
+            console.error(`Error converting ${file}: ${err.message}`);
+            failed++;
+        }
+    }
+
+    if (values.out) {
+        copySidecarFiles(tilesetRoot, outputRoot, [...converted]);
+    }
+    const failedTilesets = updateTilesetJson(tilesetRoot, outputRoot, {
+        convertedExtensions: ['.b3dm', '.i3dm', '.pnts'], convertedFiles: converted, splitContents,
+    });
+    if (failedTilesets > 0) {
+        console.log(`${failedTilesets} tileset JSONs could not be updated${values.out ? '' : ', the original tiles were kept next to their glbs'}.`);
+    } else if (values.out) {
+        packOutput(values.out);
+    } else {
+        replaced.forEach(file => fs.unlinkSync(file));
+    }
+
+    if (failed > 0) {
+        console.log(`${failed} files failed to convert; the tileset JSONs still reference them as they were.`);
+    }
+    return failed > 0 || failedTilesets > 0 ? 1 : 0;
+}
@@ -0,0 +1,53 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { convertToImplicit } from '../lib/implicit-tiling.js';
+import { mirrorPath, prepareOutputDirectory, copySidecarFiles, outputFolder, packOutput } from '../lib/output-paths.js';
+import { isInputFolder, inputExists } from '../lib/input-files.js';
+import { UsageError, parsePositiveInteger } from '../lib/options.js';
+
+export const name = 'implicit';
+export const positionals = [{ name: 'tileset' }];
+export const options = {
+    out: { type: 'string', short: 'o', valueName: 'dir', description: 'Write the converted tileset to <dir>, or to a .3tz archive, and leave the input untouched (default: modify in place)' },
+    'subtree-levels': { type: 'string', valueName: 'n', description: 'Levels of tiles per subtree file (default: 7 for quadtrees, 5 for octrees)' },
+    'strict-errors': { type: 'boolean', description: 'Leave a tree explicit when implicit tiling would change the geometricError of any of its tiles, leaves included (default: convert it and warn)' },
+};
+
+export async function run({ positionals: [tilesetPath], values }) {
+    if (!inputExists(tilesetPath)) {
+        throw new UsageError(`Provided path does not exist: ${tilesetPath}`);
+    }
+    const tilesetFile = path.resolve(isInputFolder(tilesetPath) ? path.join(tilesetPath, 'tileset.json') : tilesetPath);
+    if (!inputExists(tilesetFile)) {
+        throw new UsageError(`${tilesetFile} does not exist.`);
+    }
+    // A tileset JSON that exists but not on disk is in a 3TZ archive
+    if (!values.out && !fs.existsSync(tilesetFile)) {
+        throw new UsageError('A .3tz archive cannot be modified in place; give --out <dir> or --out <file.3tz>.');
+    }
+    const subtreeLevels = values['subtree-levels'] !== undefined ? parsePositiveInteger(values['subtree-levels'], 'subtree-levels') : undefined;
+
+    const inputRoot = path.dirname(tilesetFile);
+    const outputRoot = values.out ? outputFolder(values.out) : inputRoot;
+    if (values.out) {
+        prepareOutputDirectory(inputRoot, outputRoot);
+        copySidecarFiles(inputRoot, outputRoot, []);
+    }
+
+    const { converted, reason } = convertToImplicit(mirrorPath(tilesetFile, inputRoot, outputRoot), { subtreeLevels, strictErrors: Boolean(values['strict-errors']) });
+    for (const { tile, scheme, tiles, availableLevels, subtreeLevels: levels, subtrees, changedErrors } of converted) {
+        console.log(`Converted tile ${tile} to implicit tiling (${scheme}): ${tiles} tiles on ${availableLevels} levels, ${subtrees} subtree files of ${levels} levels`);
+        if (changedErrors.length > 0) {
+            const [first] = changedErrors;
+            console.warn(`${changedErrors.length} tiles under ${tile} now have the geometricError implicit tiling gives them, the root's halved once per level (tile ${first.tile}: ${first.geometricError} -> ${first.implicitError}). Give --strict-errors to leave such tiles explicit.`);
+        }
+    }
+    if (values.out) {
+        packOutput(values.out);
+    }
+    if (converted.length === 0) {
+        console.error(`No quadtree or octree found to convert: ${reason}.`);
+        return 1;
+    }
+    return 0;
+}
@@ -0,0 +1,76 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { rebuildParentContents } from '../lib/tile-lod.js';
+import { mirrorPath, prepareOutputDirectory, copySidecarFiles } from '../lib/output-paths.js';
+import { UsageError, parsePositiveInteger, parsePositiveNumber } from '../lib/options.js';
+
+// Fraction of the children's triangles a parent keeps when neither --ratio nor --max-error is given
+const DEFAULT_RATIO = 0.5;
+
+export const name = 'lod';
+export const positionals = [{ name: 'tileset' }];
+export const options = {
+    out: { type: 'string', short: 'o', valueName: 'dir', description: 'Write the tileset with the rebuilt contents to <dir> and leave the input untouched (default: modify in place)' },
+    ratio: { type: 'string', valueName: 'r', description: `Keep this fraction of the children's triangles in each parent, from 0 to 1 (default: ${DEFAULT_RATIO}, or as few as --max-error allows)` },
+    'max-error': { type: 'string', valueName: 'm', description: 'Stop simplifying a parent before its geometry moves more than <m> metres' },
+    'max-triangles': { type: 'string', valueName: 'n', description: 'Keep at most <n> triangles in each parent' },
+    'unlock-borders': { type: 'boolean', description: 'Let the simplifier move vertices on open mesh borders: fewer triangles, but cracks may show between neighbouring tiles' },
+};
+
+export async function run({ positionals: [tilesetPath], values }) {
+    if (!fs.existsSync(tilesetPath)) {
+        throw new UsageError(`Provided path does not exist: ${tilesetPath}`);
+    }
+    const tilesetFile = path.resolve(fs.statSync(tilesetPath).isDirectory() ? path.join(tilesetPath, 'tileset.json') : tilesetPath);
+    if (!fs.existsSync(tilesetFile)) {
+        throw new UsageError(`${tilesetFile} does not exist.`);
+    }
+
+    const maxError = values['max-error'] !== undefined ? parsePositiveNumber(values['max-error'], 'max-error') : undefined;
+    const settings = {
+        ratio: values.ratio !== undefined ? parsePositiveNumber(values.ratio, 'ratio') : maxError !== undefined ? 0 : DEFAULT_RATIO,
+        maxError,
+        maxTriangles: values['max-triangles'] !== undefined ? parsePositiveInteger(values['max-triangles'], 'max-triangles') : undefined,
+        lockBorder: !values['unlock-borders'],
+    };
+    if (settings.ratio > 1) {
+        throw new UsageError(`--ratio must be between 0 and 1, got "${values.ratio}".`);
+    }
+
+    const inputRoot = path.dirname(tilesetFile);
+    const outputRoot = values.out ?? inputRoot;
+    if (values.out) {
+        prepareOutputDirectory(inputRoot, outputRoot);
+        copySidecarFiles(inputRoot, outputRoot, []);
+    }
+
+    const outputFile = mirrorPath(tilesetFile, inputRoot, outputRoot);
+    const { rebuilt, skipped, failures, replaced, text } = await rebuildParentContents(tilesetFile, outputFile, settings);
+    for (const { tile, file, trianglesBefore, trianglesAfter, geometricError } of rebuilt) {
+        console.log(`Rebuilt tile ${tile}: ${trianglesBefore} -> ${trianglesAfter} triangles, geometricError ${geometricError} (${path.relative(outputRoot, file)})`);
+    }
+    for (const { tile, reason } of skipped) {
+        console.log(`Kept tile ${tile}: ${reason}.`);
+    }
+    for (const { tile, error } of failures) {
+        console.error(`Error in tile ${tile}: ${error}`);
+    }
+    // The replaced contents are removed only once the tileset JSON no longer references them
+    try {
+        fs.outputFileSync(outputFile, text, 'utf8');
+    } catch (error) {
+        console.error(`Cannot write ${outputFile}: ${error.message}`);
+        console.log(`The tileset JSON was not updated${values.out ? '' : ', the original contents were kept'}.`);
+        return 1;
+    }
+    // Contents of rebuilt tiles that nothing references anymore
+    for (const file of replaced) {
+        const output = mirrorPath(file, inputRoot, outputRoot);
+        if (!path.relative(outputRoot, output).startsWith('..')) {
+            fs.removeSync(output);
+        }
+    }
+
+    console.log(`Rebuilt ${rebuilt.length} parent tiles, kept ${skipped.length}${failures.length > 0 ? `, ${failures.length} contents could not be read` : ''}.`);
+    return failures.length > 0 ? 1 : 0;
+}
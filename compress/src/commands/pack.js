@@ -0,0 +1,30 @@
+import fs from 'fs';
+import path from 'path';
+import { writeArchive } from '../lib/archive-3tz.js';
+import { isArchivePath } from '../lib/input-files.js';
+import { UsageError } from '../lib/options.js';
+
+export const name = 'pack';
+export const positionals = [{ name: 'folder' }, { name: 'archive' }];
+export const options = {};
+
+export async function run({ positionals: [folderPath, archivePath] }) {
+    if (!fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) {
+        throw new UsageError(`Provided path is not a valid directory: ${folderPath}`);
+    }
+    if (!fs.existsSync(path.join(folderPath, 'tileset.json'))) {
+        throw new UsageError(`${folderPath} has no tileset.json, which a 3TZ archive needs at its root.`);
+    }
+    if (!isArchivePath(archivePath)) {
+        throw new UsageError(`The archive must be a .3tz file: ${archivePath}`);
+    }
+    const relative = path.relative(path.resolve(folderPath), path.resolve(archivePath));
+    if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+        throw new UsageError(`The archive must not be inside the folder it packs: ${archivePath}`);
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(archivePath)), { recursive: true });
+    const count = writeArchive(folderPath, archivePath);
+    console.log(`Packed ${count} files into ${archivePath}.`);
+    return 0;
+}
@@ -0,0 +1,61 @@
+import { getIO } from '../lib/io.js';
+import { parseB3dm } from '../lib/b3dm.js';
+import { getTilesetStatistics, formatStatisticsCsv, printTilesetStatistics } from '../lib/tileset-statistics.js';
+import { UsageError } from '../lib/options.js';
+import { inputExists, isInputFolder, readInputContent, readInputDocument } from '../lib/input-files.js';
+
+export const name = 'stats';
+export const positionals = [{ name: 'path' }];
+export const options = {
+    json: { type: 'boolean', description: 'Print the statistics as JSON' },
+    csv: { type: 'boolean', description: 'Print one CSV row per tileset content, with its depth level' },
+};
+
+export async function run({ positionals: [file], values }) {
+    if (values.json && values.csv) {
+        throw new UsageError('--json and --csv cannot be combined.');
+    }
+    if (!inputExists(file)) {
+        throw new UsageError(`Provided path does not exist: ${file}`);
+    }
+
+    // A single file is told apart by its bytes: a tileset JSON, or a tile
+    const content = isInputFolder(file) ? null : readInputContent(file);
+    if (!content || content.format === 'tileset') {
+        const stats = await getTilesetStatistics(file);
+        if (values.json) {
+            console.log(JSON.stringify(stats, null, 2));
+        } else if (values.csv) {
+            console.log(formatStatisticsCsv(stats));
+        } else {
+            printTilesetStatistics(stats);
+        }
+        return stats.errors.length > 0 ? 1 : 0;
+    }
+
+    if (values.csv) {
+        throw new UsageError('--csv needs a tileset folder, .3tz archive or tileset JSON.');
+    }
+
+    const io = await getIO();
+    let document;
+
+    if (content.format === 'b3dm') {
+        document = await io.readBinary(parseB3dm(content.buffer).glb);
+    } else if (content.format === 'glb' || content.format === 'gltf') {
+        document = await readInputDocument(io, file);
+    } else {
+        throw new Error(`Unsupported content format "${content.format}". Please provide a tileset, or a b3dm, glb or glTF file.`);
+    }
+
+    // Imported here as it needs canvas and sharp, which the tileset statistics do without
+    const { getModelStatistics, printStatistics } = await import('../lib/statistics.js');
+    const stats = await getModelStatistics(document);
+    if (values.json) {
+        console.log(JSON.stringify(stats, null, 2));
+    } else {
+        console.log('File Statistics:');
+        printStatistics(stats);
+    }
+    return 0;
+}
@@ -0,0 +1,76 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { getIO } from '../lib/io.js';
+import { readObj } from '../lib/obj.js';
+import { readInputContent, readInputDocument } from '../lib/input-files.js';
+import { tileModel } from '../lib/tiler.js';
+import { eastNorthUpToFixedFrame } from '../lib/bounding-volume.js';
+import { UsageError, parsePositiveInteger } from '../lib/options.js';
+
+const DEFAULT_MAX_TRIANGLES = 100000;
+
+export const name = 'tile';
+export const positionals = [{ name: 'model' }, { name: 'folder' }];
+export const options = {
+    'max-triangles': { type: 'string', valueName: 'n', description: `Split the model until every tile has at most <n> triangles (default: ${DEFAULT_MAX_TRIANGLES})` },
+    quadtree: { type: 'boolean', description: 'Split horizontally only (x and y), for terrain and city models (default: octree)' },
+    origin: { type: 'string', valueName: 'lon,lat,h', description: 'Place the model\'s origin at this longitude and latitude (degrees) and height (metres), x east, y north and z up' },
+    'unlock-borders': { type: 'boolean', description: 'Let the simplifier move vertices on tile borders: fewer triangles in parent tiles, but cracks may show between them' },
+    draco: { type: 'boolean', description: 'Apply Draco mesh compression to every tile', excludes: ['meshopt'] },
+    meshopt: { type: 'boolean', description: 'Apply EXT_meshopt_compression to every tile instead of Draco', excludes: ['draco'] },
+    ktx: { type: 'boolean', description: 'Convert the textures of every tile to KTX2, as compress --ktx does' },
+};
+
+export async function run({ positionals: [modelPath, folderPath], values, config }) {
+    if (!fs.existsSync(modelPath) || !fs.statSync(modelPath).isFile()) {
+        throw new UsageError(`Provided model does not exist: ${modelPath}`);
+    }
+    // OBJ has no signature; glb and glTF are told apart by their bytes
+    const isObj = path.extname(modelPath).toLowerCase() === '.obj';
+    let format = null;
+    try {
+        format = isObj ? 'obj' : readInputContent(modelPath).format;
+    } catch {
+        // Unknown content, reported below
+    }
+    if (!['glb', 'gltf', 'obj'].includes(format)) {
+        throw new UsageError(`The model must be a glb, glTF or .obj file: ${modelPath}`);
+    }
+    if (fs.existsSync(folderPath) && fs.readdirSync(folderPath).length > 0) {
+        throw new UsageError(`The output folder is not empty: ${folderPath}`);
+    }
+    if (values.draco && values.meshopt) {
+        throw new UsageError('--draco and --meshopt cannot be combined; choose one mesh compression.');
+    }
+
+    let transform = null;
+    if (values.origin !== undefined) {
+        const origin = values.origin.split(',').map(Number);
+        if (origin.length !== 3 || !origin.every(Number.isFinite) || Math.abs(origin[0]) > 180 || Math.abs(origin[1]) > 90) {
+            throw new UsageError(`--origin must be <longitude>,<latitude>,<height> in degrees and metres, got "${values.origin}".`);
+        }
+        transform = eastNorthUpToFixedFrame(origin[0] * Math.PI / 180, origin[1] * Math.PI / 180, origin[2]);
+    }
+
+    const document = isObj ? await readObj(modelPath) : await readInputDocument(await getIO(), modelPath);
+    const { tiles, leaves, depth, triangles } = await tileModel(document, folderPath, {
+        maxTriangles: values['max-triangles'] !== undefined ? parsePositiveInteger(values['max-triangles'], 'max-triangles') : DEFAULT_MAX_TRIANGLES,
+        quadtree: Boolean(values.quadtree),
+        lockBorder: !values['unlock-borders'],
+        transform,
+        compress: {
+            draco: Boolean(values.draco),
+            meshopt: Boolean(values.meshopt),
+            ktx: Boolean(values.ktx),
+            compression: {
+                draco: config.draco,
+                meshopt: config.meshopt,
+                ktx: config.ktx,
+                optimize: config.optimize,
+                doubleSided: config.doubleSided,
+            },
+        },
+    });
+    console.log(`Wrote ${tiles} tiles (${leaves} leaves, ${depth + 1} levels, ${triangles} triangles) and tileset.json to ${folderPath}`);
+    return 0;
+}
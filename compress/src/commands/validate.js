@@ -0,0 +1,35 @@
+import { validateTileset, SEVERITIES } from '../lib/validate-tileset.js';
+import { UsageError } from '../lib/options.js';
+import { inputExists } from '../lib/input-files.js';
+
+export const name = 'validate';
+export const positionals = [{ name: 'tileset' }];
+export const options = {
+    json: { type: 'boolean', description: 'Print the report as JSON' },
+};
+
+export async function run({ positionals: [tilesetPath], values }) {
+    if (!inputExists(tilesetPath)) {
+        throw new UsageError(`Provided path does not exist: ${tilesetPath}`);
+    }
+
+    const report = await validateTileset(tilesetPath);
+    if (values.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+    return report.summary.errors > 0 ? 1 : 0;
+}
+
+function printReport({ summary, issues }) {
+    const sorted = [...issues].sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    for (const { severity, code, message, tileset, tile, file } of sorted) {
+        const where = [tileset, tile, file && file !== tileset ? file : null].filter(Boolean).join(' ');
+        console.log(`${severity.padEnd(7)} ${code}${where ? ` ${where}` : ''}: ${message}`);
+    }
+    if (issues.length > 0) {
+        console.log('');
+    }
+    console.log(`Checked ${summary.tilesets} tilesets, ${summary.tiles} tiles and ${summary.contents} contents: ${summary.errors} errors, ${summary.warnings} warnings, ${summary.infos} infos.`);
+}
@@ -0,0 +1,66 @@
+import { Extension, ExtensionProperty, PropertyType } from '@gltf-transform/core';
+
+const NAME = 'EXT_instance_features';
+
+/**
+ * Feature IDs of the instances of a node using EXT_mesh_gpu_instancing. Each feature ID is
+ * kept as its JSON definition; `attribute: n` refers to the `_FEATURE_ID_n` instance attribute,
+ * and without `attribute` the instance index is the feature ID.
+ */
+export class InstanceFeatures extends ExtensionProperty {
+    static EXTENSION_NAME = NAME;
+
+    init() {
+        this.extensionName = NAME;
+        this.propertyType = 'InstanceFeatures';
+        this.parentTypes = [PropertyType.NODE];
+    }
+
+    getDefaults() {
+        return Object.assign(super.getDefaults(), { featureIds: [] });
+    }
+
+    getFeatureIds() {
+        return this.get('featureIds');
+    }
+
+    setFeatureIds(featureIds) {
+        return this.set('featureIds', featureIds);
+    }
+}
+
+/**
+ * [EXT_instance_features](https://github.com/CesiumGS/glTF/tree/3d-tiles-next/extensions/2.0/Vendor/EXT_instance_features)
+ * support for gltf-transform.
+ */
+export class EXTInstanceFeatures extends Extension {
+    extensionName = NAME;
+    static EXTENSION_NAME = NAME;
+
+    createInstanceFeatures() {
+        return new InstanceFeatures(this.document.getGraph());
+    }
+
+    read(context) {
+        (context.jsonDoc.json.nodes || []).forEach((nodeDef, nodeIndex) => {
+            const featuresDef = nodeDef.extensions?.[NAME];
+            if (featuresDef) {
+                const instanceFeatures = this.createInstanceFeatures().setFeatureIds(featuresDef.featureIds || []);
+                context.nodes[nodeIndex].setExtension(NAME, instanceFeatures);
+            }
+        });
+        return this;
+    }
+
+    write(context) {
+        for (const node of this.document.getRoot().listNodes()) {
+            const instanceFeatures = node.getExtension(NAME);
+            if (!instanceFeatures || instanceFeatures.getFeatureIds().length === 0) continue;
+
+            const nodeDef = context.jsonDoc.json.nodes[context.nodeIndexMap.get(node)];
+            nodeDef.extensions = nodeDef.extensions || {};
+            nodeDef.extensions[NAME] = { featureIds: instanceFeatures.getFeatureIds() };
+        }
+        return this;
+    }
+}
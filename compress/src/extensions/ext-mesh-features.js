@@ -0,0 +1,80 @@
+import { Extension, ExtensionProperty, PropertyType } from '@gltf-transform/core';
+
+const NAME = 'EXT_mesh_features';
+
+/**
+ * Feature IDs of a mesh primitive. Each feature ID is kept as its JSON definition
+ * ({ featureCount, attribute, propertyTable, nullFeatureId, label }); `attribute: n`
+ * refers to the primitive's `_FEATURE_ID_n` vertex attribute.
+ */
+export class MeshFeatures extends ExtensionProperty {
+    static EXTENSION_NAME = NAME;
+
+    init() {
+        this.extensionName = NAME;
+        this.propertyType = 'MeshFeatures';
+        this.parentTypes = [PropertyType.PRIMITIVE];
+    }
+
+    getDefaults() {
+        return Object.assign(super.getDefaults(), { featureIds: [] });
+    }
+
+    getFeatureIds() {
+        return this.get('featureIds');
+    }
+
+    setFeatureIds(featureIds) {
+        return this.set('featureIds', featureIds);
+    }
+}
+
+/**
+ * [EXT_mesh_features](https://github.com/CesiumGS/glTF/tree/3d-tiles-next/extensions/2.0/Vendor/EXT_mesh_features)
+ * support for gltf-transform. Attribute and implicit (vertex index) feature IDs are
+ * supported; feature ID textures are dropped with a warning.
+ */
+export class EXTMeshFeatures extends Extension {
+    extensionName = NAME;
+    static EXTENSION_NAME = NAME;
+
+    createMeshFeatures() {
+        return new MeshFeatures(this.document.getGraph());
+    }
+
+    read(context) {
+        const meshDefs = context.jsonDoc.json.meshes || [];
+        meshDefs.forEach((meshDef, meshIndex) => {
+            const primitives = context.meshes[meshIndex].listPrimitives();
+            (meshDef.primitives || []).forEach((primDef, primIndex) => {
+                const featuresDef = primDef.extensions?.[NAME];
+                if (!featuresDef) return;
+
+                const featureIds = (featuresDef.featureIds || []).filter(featureId => {
+                    if (featureId.texture) {
+                        this.document.getLogger().warn(`${NAME}: Feature ID textures are not supported and were dropped.`);
+                        return false;
+                    }
+                    return true;
+                });
+                primitives[primIndex].setExtension(NAME, this.createMeshFeatures().setFeatureIds(featureIds));
+            });
+        });
+        return this;
+    }
+
+    write(context) {
+        for (const mesh of this.document.getRoot().listMeshes()) {
+            const meshIndex = context.meshIndexMap.get(mesh);
+            mesh.listPrimitives().forEach((prim, primIndex) => {
+                const meshFeatures = prim.getExtension(NAME);
+                if (!meshFeatures || meshFeatures.getFeatureIds().length === 0) return;
+
+                const primDef = context.jsonDoc.json.meshes[meshIndex].primitives[primIndex];
+                primDef.extensions = primDef.extensions || {};
+                primDef.extensions[NAME] = { featureIds: meshFeatures.getFeatureIds() };
+            });
+        }
+        return this;
+    }
+}
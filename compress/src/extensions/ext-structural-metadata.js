@@ -0,0 +1,187 @@
+import { Extension, ExtensionProperty, PropertyType, GLB_BUFFER } from '@gltf-transform/core';
+
+const NAME = 'EXT_structural_metadata';
+
+// Property table fields that reference buffer views
+const BUFFER_VIEW_FIELDS = ['values', 'arrayOffsets', 'stringOffsets'];
+
+// Property table buffer views must be aligned to their component size; 8 bytes covers every type.
+const ALIGNMENT = 8;
+
+/**
+ * Root-level metadata of an EXT_structural_metadata asset: the schema and its property tables.
+ * In property tables the `values`, `arrayOffsets` and `stringOffsets` of each property hold
+ * the buffer view bytes (Uint8Array) rather than buffer view indices.
+ */
+export class StructuralMetadata extends ExtensionProperty {
+    static EXTENSION_NAME = NAME;
+
+    init() {
+        this.extensionName = NAME;
+        this.propertyType = 'StructuralMetadata';
+        this.parentTypes = [PropertyType.ROOT];
+    }
+
+    getDefaults() {
+        return Object.assign(super.getDefaults(), { schema: null, schemaUri: null, propertyTables: [] });
+    }
+
+    getSchema() {
+        return this.get('schema');
+    }
+
+    setSchema(schema) {
+        return this.set('schema', schema);
+    }
+
+    getSchemaUri() {
+        return this.get('schemaUri');
+    }
+
+    setSchemaUri(uri) {
+        return this.set('schemaUri', uri);
+    }
+
+    getPropertyTables() {
+        return this.get('propertyTables');
+    }
+
+    setPropertyTables(propertyTables) {
+        return this.set('propertyTables', propertyTables);
+    }
+}
+
+/**
+ * [EXT_structural_metadata](https://github.com/CesiumGS/glTF/tree/3d-tiles-next/extensions/2.0/Vendor/EXT_structural_metadata)
+ * support for gltf-transform, so metadata converted from b3dm batch tables survives
+ * reading and writing documents. Property tables are supported; property textures and
+ * property attributes are dropped with a warning.
+ */
+export class EXTStructuralMetadata extends Extension {
+    extensionName = NAME;
+    prewriteTypes = [PropertyType.BUFFER];
+    static EXTENSION_NAME = NAME;
+
+    createStructuralMetadata() {
+        return new StructuralMetadata(this.document.getGraph());
+    }
+
+    read(context) {
+        const extensionDef = context.jsonDoc.json.extensions?.[NAME];
+        if (!extensionDef) return this;
+
+        if (extensionDef.propertyTextures?.length || extensionDef.propertyAttributes?.length) {
+            this.document.getLogger().warn(`${NAME}: Property textures and property attributes are not supported and were dropped.`);
+        }
+
+        const propertyTables = (extensionDef.propertyTables || []).map(tableDef => ({
+            ...tableDef,
+            properties: mapProperties(tableDef.properties, (index) => context.bufferViews[index].slice()),
+        }));
+
+        const metadata = this.createStructuralMetadata()
+            .setSchema(extensionDef.schema ?? null)
+            .setSchemaUri(extensionDef.schemaUri ?? null)
+            .setPropertyTables(propertyTables);
+        this.document.getRoot().setExtension(NAME, metadata);
+
+        return this;
+    }
+
+    // Pack all property table data into a single buffer view on the first buffer. It starts
+    // with 4 spare bytes so write() can shift it onto an 8-byte boundary once its offset is known.
+    prewrite(context) {
+        this._packed = null;
+        const metadata = this.document.getRoot().getExtension(NAME);
+        const buffer = this.document.getRoot().listBuffers()[0];
+        if (!metadata || !buffer) return this;
+
+        const chunks = [];
+        let byteLength = 4;
+        for (const table of metadata.getPropertyTables()) {
+            mapProperties(table.properties, (data) => {
+                chunks.push({ data, byteOffset: byteLength });
+                byteLength += Math.ceil(data.byteLength / ALIGNMENT) * ALIGNMENT;
+                return data;
+            });
+        }
+        if (chunks.length === 0) return this;
+
+        const packed = new Uint8Array(byteLength);
+        for (const { data, byteOffset } of chunks) {
+            packed.set(data, byteOffset);
+        }
+
+        const otherBufferViews = context.otherBufferViews.get(buffer) || [];
+        otherBufferViews.push(packed);
+        context.otherBufferViews.set(buffer, otherBufferViews);
+        this._packed = { buffer, packed, chunks };
+        return this;
+    }
+
+    write(context) {
+        const metadata = this.document.getRoot().getExtension(NAME);
+        if (!metadata) return this;
+
+        const { json } = context.jsonDoc;
+        const bufferViewIndices = new Map();
+
+        if (this._packed) {
+            const { buffer, packed, chunks } = this._packed;
+            const packedIndex = context.otherBufferViewsIndexMap.get(packed);
+            const packedDef = json.bufferViews[packedIndex];
+            const packedOffset = packedDef.byteOffset || 0;
+
+            // Buffer views are only 4-byte aligned by the writer; drop the spare bytes if needed.
+            const shift = (packedOffset + 4) % ALIGNMENT === 0 ? 0 : 4;
+            if (shift) {
+                const bufferDef = json.buffers[context.bufferIndexMap.get(buffer)];
+                const resource = context.jsonDoc.resources[bufferDef.uri || GLB_BUFFER];
+                resource.copyWithin(packedOffset, packedOffset + 4, packedOffset + packed.byteLength);
+            }
+
+            chunks.forEach(({ data, byteOffset }, i) => {
+                const bufferViewDef = {
+                    buffer: packedDef.buffer,
+                    byteOffset: packedOffset + byteOffset - shift,
+                    byteLength: data.byteLength,
+                };
+                if (i === 0) {
+                    json.bufferViews[packedIndex] = bufferViewDef;
+                    bufferViewIndices.set(data, packedIndex);
+                } else {
+                    bufferViewIndices.set(data, json.bufferViews.length);
+                    json.bufferViews.push(bufferViewDef);
+                }
+            });
+            this._packed = null;
+        }
+
+        const extensionDef = {};
+        if (metadata.getSchema()) extensionDef.schema = metadata.getSchema();
+        if (metadata.getSchemaUri()) extensionDef.schemaUri = metadata.getSchemaUri();
+        const propertyTables = metadata.getPropertyTables().map(table => ({
+            ...table,
+            properties: mapProperties(table.properties, (data) => bufferViewIndices.get(data)),
+        }));
+        if (propertyTables.length > 0) extensionDef.propertyTables = propertyTables;
+
+        json.extensions = json.extensions || {};
+        json.extensions[NAME] = extensionDef;
+        return this;
+    }
+}
+
+// Copy a property table's `properties`, replacing every buffer view reference with `fn(reference)`
+function mapProperties(properties = {}, fn) {
+    const result = {};
+    for (const [id, property] of Object.entries(properties)) {
+        result[id] = { ...property };
+        for (const field of BUFFER_VIEW_FIELDS) {
+            if (property[field] !== undefined) {
+                result[id][field] = fn(property[field]);
+            }
+        }
+    }
+    return result;
+}
@@ -0,0 +1,370 @@
+// 3D Tiles archives (.3tz): a zip file whose last entry, @3dtilesIndex1@, lists the MD5 hash of
+// every entry's path with the offset of its local header, sorted by hash, so an entry is found
+// without reading the central directory.
+// https://github.com/erikdahlstrom/3tz-specification
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+
+export const ARCHIVE_EXTENSION = '.3tz';
+export const INDEX_ENTRY = '@3dtilesIndex1@';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP64_EXTRA = 0x0001;
+const STORED = 0;
+const DEFLATED = 8;
+// Flag of entries whose sizes follow the data instead of being in the local header
+const DATA_DESCRIPTOR_FLAG = 0x8;
+// Flag of entries with UTF-8 names
+const UTF8_FLAG = 0x800;
+// Bytes per index record: 16 of MD5 hash and 8 of offset
+const INDEX_RECORD_LENGTH = 24;
+// Zip32 fields holding this value are in the entry's Zip64 extra field instead
+const ZIP64_MARKER = 0xffffffff;
+// MS-DOS date of every entry: 1980-01-01, the earliest there is, so packing is reproducible
+const DOS_DATE = (1 << 5) | 1;
+
+let crcTable = null;
+
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Int32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+// MD5 hashes are ordered as two little-endian 64-bit integers, the first eight bytes first
+function compareHashes(a, aOffset, b, bOffset) {
+    const low = a.readBigUInt64LE(aOffset) - b.readBigUInt64LE(bOffset);
+    if (low !== 0n) {
+        return low < 0n ? -1 : 1;
+    }
+    const high = a.readBigUInt64LE(aOffset + 8) - b.readBigUInt64LE(bOffset + 8);
+    return high === 0n ? 0 : high < 0n ? -1 : 1;
+}
+
+// A 3TZ archive opened for reading. Entries are read one at a time from the file, through the
+// hash index when the archive has one and through the zip central directory otherwise.
+export class Archive3tz {
+    constructor(file) {
+        this.file = file;
+        this.fd = fs.openSync(file, 'r');
+        this.size = fs.fstatSync(this.fd).size;
+        this.index = null;
+        // Entries by name, read from the central directory on first need
+        this.entries = null;
+        this.readEndOfCentralDirectory();
+        this.readIndex();
+    }
+
+    static open(file) {
+        return new Archive3tz(file);
+    }
+
+    close() {
+        fs.closeSync(this.fd);
+    }
+
+    // Paths of the entries, the index excepted
+    list() {
+        return [...this.centralDirectory().keys()].filter(name => name !== INDEX_ENTRY && !name.endsWith('/'));
+    }
+
+    has(name) {
+        return this.findOffset(name) !== null;
+    }
+
+    // The uncompressed data of entry `name` (a path with forward slashes), or null if the archive has none
+    read(name) {
+        const offset = this.findOffset(name);
+        if (offset === null) {
+            return null;
+        }
+        const header = this.readBytes(offset, 30);
+        if (header.readUInt32LE(0) !== LOCAL_HEADER) {
+            throw new Error(`${path.basename(this.file)}: no local file header for ${name} at offset ${offset}.`);
+        }
+        const flags = header.readUInt16LE(6);
+        const method = header.readUInt16LE(8);
+        const nameLength = header.readUInt16LE(26);
+        const extraLength = header.readUInt16LE(28);
+        let compressedSize = header.readUInt32LE(18);
+        let size = header.readUInt32LE(22);
+        if ((flags & DATA_DESCRIPTOR_FLAG) || compressedSize === ZIP64_MARKER || size === ZIP64_MARKER) {
+            ({ compressedSize, size } = this.centralDirectory().get(name));
+        }
+        const data = this.readBytes(offset + 30 + nameLength + extraLength, compressedSize);
+        if (method === STORED) {
+            return data;
+        }
+        if (method === DEFLATED) {
+            return zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+        }
+        throw new Error(`${path.basename(this.file)}: ${name} uses unsupported zip compression method ${method}.`);
+    }
+
+    readBytes(position, length) {
+        const buffer = Buffer.alloc(length);
+        let read = 0;
+        while (read < length) {
+            const count = fs.readSync(this.fd, buffer, read, length - read, position + read);
+            if (count === 0) {
+                throw new Error(`${path.basename(this.file)} is truncated.`);
+            }
+            read += count;
+        }
+        return buffer;
+    }
+
+    readEndOfCentralDirectory() {
+        // The record is 22 bytes, followed by a comment of up to 65535
+        const tailLength = Math.min(this.size, 22 + 0xffff);
+        const tail = this.readBytes(this.size - tailLength, tailLength);
+        let position = tail.length - 22;
+        while (position >= 0 && tail.readUInt32LE(position) !== END_OF_CENTRAL_DIRECTORY) {
+            position--;
+        }
+        if (position < 0) {
+            throw new Error(`${path.basename(this.file)} is not a zip archive.`);
+        }
+        this.entryCount = tail.readUInt16LE(position + 10);
+        this.centralDirectorySize = tail.readUInt32LE(position + 12);
+        this.centralDirectoryOffset = tail.readUInt32LE(position + 16);
+
+        const locatorPosition = this.size - tailLength + position - 20;
+        if (locatorPosition >= 0 && this.readBytes(locatorPosition, 4).readUInt32LE(0) === ZIP64_LOCATOR) {
+            const recordOffset = Number(this.readBytes(locatorPosition + 8, 8).readBigUInt64LE(0));
+            const record = this.readBytes(recordOffset, 56);
+            if (record.readUInt32LE(0) !== ZIP64_END_OF_CENTRAL_DIRECTORY) {
+                throw new Error(`${path.basename(this.file)} has a broken Zip64 end of central directory.`);
+            }
+            this.entryCount = Number(record.readBigUInt64LE(32));
+            this.centralDirectorySize = Number(record.readBigUInt64LE(40));
+            this.centralDirectoryOffset = Number(record.readBigUInt64LE(48));
+        }
+    }
+
+    // Load the hash index from the last central directory record, found from the end of the
+    // central directory without reading the records before it
+    readIndex() {
+        const recordLength = 46 + INDEX_ENTRY.length;
+        const tailLength = Math.min(this.centralDirectorySize, recordLength + 1024);
+        const tail = this.readBytes(this.centralDirectoryOffset + this.centralDirectorySize - tailLength, tailLength);
+        for (let position = tail.length - recordLength; position >= 0; position--) {
+            if (tail.readUInt32LE(position) === CENTRAL_HEADER && tail.readUInt16LE(position + 28) === INDEX_ENTRY.length
+                && tail.toString('utf8', position + 46, position + recordLength) === INDEX_ENTRY) {
+                const entry = parseCentralRecord(tail, position);
+                if (entry.method !== STORED) {
+                    throw new Error(`${path.basename(this.file)}: the ${INDEX_ENTRY} entry must be stored uncompressed.`);
+                }
+                const header = this.readBytes(entry.offset, 30);
+                this.index = this.readBytes(entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28), entry.size);
+                return;
+            }
+        }
+    }
+
+    findOffset(name) {
+        if (!this.index) {
+            return this.centralDirectory().get(name)?.offset ?? null;
+        }
+        const hash = crypto.createHash('md5').update(name).digest();
+        let low = 0;
+        let high = this.index.length / INDEX_RECORD_LENGTH - 1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            const order = compareHashes(this.index, middle * INDEX_RECORD_LENGTH, hash, 0);
+            if (order === 0) {
+                return Number(this.index.readBigUInt64LE(middle * INDEX_RECORD_LENGTH + 16));
+            }
+            if (order < 0) {
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return null;
+    }
+
+    centralDirectory() {
+        if (!this.entries) {
+            const directory = this.readBytes(this.centralDirectoryOffset, this.centralDirectorySize);
+            this.entries = new Map();
+            let position = 0;
+            for (let i = 0; i < this.entryCount; i++) {
+                if (directory.readUInt32LE(position) !== CENTRAL_HEADER) {
+                    throw new Error(`${path.basename(this.file)} has a broken central directory.`);
+                }
+                const entry = parseCentralRecord(directory, position);
+                this.entries.set(entry.name, entry);
+                position = entry.end;
+            }
+        }
+        return this.entries;
+    }
+}
+
+// A central directory record at `position`, with the Zip64 extra field applied
+function parseCentralRecord(buffer, position) {
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const entry = {
+        name: buffer.toString('utf8', position + 46, position + 46 + nameLength),
+        method: buffer.readUInt16LE(position + 10),
+        compressedSize: buffer.readUInt32LE(position + 20),
+        size: buffer.readUInt32LE(position + 24),
+        offset: buffer.readUInt32LE(position + 42),
+        end: position + 46 + nameLength + extraLength + commentLength,
+    };
+    let extra = position + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+        const id = buffer.readUInt16LE(extra);
+        const length = buffer.readUInt16LE(extra + 2);
+        if (id === ZIP64_EXTRA) {
+            let field = extra + 4;
+            for (const key of ['size', 'compressedSize', 'offset']) {
+                if (entry[key] === ZIP64_MARKER) {
+                    entry[key] = Number(buffer.readBigUInt64LE(field));
+                    field += 8;
+                }
+            }
+        }
+        extra += 4 + length;
+    }
+    return entry;
+}
+
+// Pack every file under `folder` into the 3TZ archive `archiveFile`, paths relative to the
+// folder. Entries are deflated unless that does not make them smaller, and the hash index is
+// written last, stored. Zip64 records are added when the archive has more than 65535 entries
+// or passes 4 GB. Returns the number of files packed.
+export function writeArchive(folder, archiveFile) {
+    const files = listFiles(folder).sort();
+    const fd = fs.openSync(archiveFile, 'w');
+    const records = [];
+    let offset = 0;
+    const write = buffer => {
+        fs.writeSync(fd, buffer, 0, buffer.length, offset);
+        offset += buffer.length;
+    };
+    const addEntry = (name, data, compress) => {
+        const deflated = compress && data.length > 0 ? zlib.deflateRawSync(data) : null;
+        const stored = !deflated || deflated.length >= data.length;
+        const body = stored ? data : deflated;
+        if (body.length >= ZIP64_MARKER || data.length >= ZIP64_MARKER) {
+            throw new Error(`${name} is too large for the archive (4 GB per entry at most).`);
+        }
+        const nameBytes = Buffer.from(name, 'utf8');
+        const record = { nameBytes, method: stored ? STORED : DEFLATED, crc: crc32(data), compressedSize: body.length, size: data.length, offset };
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(LOCAL_HEADER, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(UTF8_FLAG, 6);
+        header.writeUInt16LE(record.method, 8);
+        header.writeUInt16LE(DOS_DATE, 12);
+        header.writeUInt32LE(record.crc, 14);
+        header.writeUInt32LE(record.compressedSize, 18);
+        header.writeUInt32LE(record.size, 22);
+        header.writeUInt16LE(nameBytes.length, 26);
+        write(Buffer.concat([header, nameBytes]));
+        write(body);
+        records.push(record);
+        return record;
+    };
+
+    try {
+        for (const file of files) {
+            const name = path.relative(folder, file).split(path.sep).join('/');
+            addEntry(name, fs.readFileSync(file), true);
+        }
+
+        const index = Buffer.alloc(records.length * INDEX_RECORD_LENGTH);
+        const hashed = records.map(record => ({ hash: crypto.createHash('md5').update(record.nameBytes).digest(), offset: record.offset }));
+        hashed.sort((a, b) => compareHashes(a.hash, 0, b.hash, 0));
+        hashed.forEach(({ hash, offset: entryOffset }, i) => {
+            hash.copy(index, i * INDEX_RECORD_LENGTH);
+            index.writeBigUInt64LE(BigInt(entryOffset), i * INDEX_RECORD_LENGTH + 16);
+        });
+        addEntry(INDEX_ENTRY, index, false);
+
+        const centralDirectoryOffset = offset;
+        for (const record of records) {
+            const zip64 = record.offset >= ZIP64_MARKER;
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(CENTRAL_HEADER, 0);
+            header.writeUInt16LE(zip64 ? 45 : 20, 4);
+            header.writeUInt16LE(zip64 ? 45 : 20, 6);
+            header.writeUInt16LE(UTF8_FLAG, 8);
+            header.writeUInt16LE(record.method, 10);
+            header.writeUInt16LE(DOS_DATE, 14);
+            header.writeUInt32LE(record.crc, 16);
+            header.writeUInt32LE(record.compressedSize, 20);
+            header.writeUInt32LE(record.size, 24);
+            header.writeUInt16LE(record.nameBytes.length, 28);
+            header.writeUInt16LE(zip64 ? 12 : 0, 30);
+            header.writeUInt32LE(zip64 ? ZIP64_MARKER : record.offset, 42);
+            const extra = Buffer.alloc(zip64 ? 12 : 0);
+            if (zip64) {
+                extra.writeUInt16LE(ZIP64_EXTRA, 0);
+                extra.writeUInt16LE(8, 2);
+                extra.writeBigUInt64LE(BigInt(record.offset), 4);
+            }
+            write(Buffer.concat([header, record.nameBytes, extra]));
+        }
+        const centralDirectorySize = offset - centralDirectoryOffset;
+
+        const zip64 = records.length > 0xffff || centralDirectoryOffset >= ZIP64_MARKER || offset >= ZIP64_MARKER;
+        if (zip64) {
+            const recordOffset = offset;
+            const record = Buffer.alloc(56);
+            record.writeUInt32LE(ZIP64_END_OF_CENTRAL_DIRECTORY, 0);
+            record.writeBigUInt64LE(44n, 4);
+            record.writeUInt16LE(45, 12);
+            record.writeUInt16LE(45, 14);
+            record.writeBigUInt64LE(BigInt(records.length), 24);
+            record.writeBigUInt64LE(BigInt(records.length), 32);
+            record.writeBigUInt64LE(BigInt(centralDirectorySize), 40);
+            record.writeBigUInt64LE(BigInt(centralDirectoryOffset), 48);
+            const locator = Buffer.alloc(20);
+            locator.writeUInt32LE(ZIP64_LOCATOR, 0);
+            locator.writeBigUInt64LE(BigInt(recordOffset), 8);
+            locator.writeUInt32LE(1, 16);
+            write(Buffer.concat([record, locator]));
+        }
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+        end.writeUInt16LE(zip64 ? 0xffff : records.length, 8);
+        end.writeUInt16LE(zip64 ? 0xffff : records.length, 10);
+        end.writeUInt32LE(zip64 ? ZIP64_MARKER : centralDirectorySize, 12);
+        end.writeUInt32LE(zip64 ? ZIP64_MARKER : centralDirectoryOffset, 16);
+        write(end);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return files.length;
+}
+
+function listFiles(folder) {
+    return fs.readdirSync(folder, { withFileTypes: true }).flatMap(item => {
+        const file = path.join(folder, item.name);
+        return item.isDirectory() ? listFiles(file) : [file];
+    });
+}
@@ -0,0 +1,164 @@
+import { parseB3dm } from './b3dm.js';
+import { parseGlb, writeGlb } from './glb.js';
+import { parseTableJSON, getGlobalProperty } from './feature-table.js';
+import { convertBatchTable } from './batch-table.js';
+
+// Property table buffer views are aligned to 8 bytes, enough for any component type
+const METADATA_ALIGNMENT = 8;
+
+// Convert a b3dm into a glb that can be used directly as 3D Tiles 1.1 content.
+// The glb payload is edited at the JSON level so mesh data (including Draco buffers)
+// is carried over byte for byte:
+// - RTC_CENTER (and a legacy CESIUM_RTC extension) becomes a root node translation
+// - BATCH_LENGTH is kept in the glTF's root extras
+// - _BATCHID vertex attributes become EXT_mesh_features feature IDs (_FEATURE_ID_0)
+// - the batch table becomes an EXT_structural_metadata property table
+export function convertB3dmToGlb(buffer) {
+    const b3dm = parseB3dm(buffer);
+    const featureTable = parseTableJSON(b3dm.featureTableJSON);
+    const rtcCenter = getGlobalProperty(featureTable, b3dm.featureTableBinary, 'RTC_CENTER', 'FLOAT', 3);
+    const batchLength = getGlobalProperty(featureTable, b3dm.featureTableBinary, 'BATCH_LENGTH', 'UNSIGNED_INT', 1);
+
+    const glb = parseGlb(b3dm.glb);
+    const center = [0, 0, 0];
+    for (const offset of [rtcCenter, takeCesiumRtc(glb.json)]) {
+        if (offset) {
+            offset.forEach((value, i) => { center[i] += value; });
+        }
+    }
+    if (center.some(value => value !== 0)) {
+        addRootTranslation(glb.json, center);
+    }
+
+    if (batchLength !== undefined) {
+        glb.json.extras = { ...glb.json.extras, BATCH_LENGTH: batchLength };
+    }
+
+    if (batchLength > 0 && !glb.json.extensions?.EXT_structural_metadata) {
+        const batchTable = convertBatchTable(parseTableJSON(b3dm.batchTableJSON), b3dm.batchTableBinary, batchLength);
+        const hasFeatureIds = addMeshFeatures(glb.json, batchLength, batchTable ? 0 : undefined);
+        if (batchTable && hasFeatureIds) {
+            addStructuralMetadata(glb, batchTable);
+        }
+    }
+
+    return writeGlb(glb);
+}
+
+// Rename _BATCHID attributes to _FEATURE_ID_0 and describe them with EXT_mesh_features.
+// Returns whether any primitive received feature IDs.
+function addMeshFeatures(json, featureCount, propertyTable) {
+    let found = false;
+    for (const mesh of json.meshes || []) {
+        for (const primitive of mesh.primitives) {
+            if (primitive.attributes._BATCHID === undefined || primitive.attributes._FEATURE_ID_0 !== undefined) {
+                continue;
+            }
+
+            renameAttribute(primitive.attributes, '_BATCHID', '_FEATURE_ID_0');
+            const dracoAttributes = primitive.extensions?.KHR_draco_mesh_compression?.attributes;
+            if (dracoAttributes) {
+                renameAttribute(dracoAttributes, '_BATCHID', '_FEATURE_ID_0');
+            }
+
+            const featureId = { featureCount, attribute: 0 };
+            if (propertyTable !== undefined) {
+                featureId.propertyTable = propertyTable;
+            }
+            primitive.extensions = { ...primitive.extensions, EXT_mesh_features: { featureIds: [featureId] } };
+            found = true;
+        }
+    }
+    if (found) {
+        addExtensionUsed(json, 'EXT_mesh_features');
+    }
+    return found;
+}
+
+function renameAttribute(attributes, from, to) {
+    if (attributes[from] !== undefined) {
+        attributes[to] = attributes[from];
+        delete attributes[from];
+    }
+}
+
+// Append the property table data to the glb's binary chunk and add the EXT_structural_metadata extension
+function addStructuralMetadata(glb, { schema, propertyTable }) {
+    const { json } = glb;
+    json.buffers = json.buffers || [];
+    if (json.buffers.length === 0) {
+        json.buffers.push({ byteLength: 0 });
+    } else if (json.buffers[0].uri !== undefined) {
+        console.warn('Batch table was dropped: the glb payload does not use an embedded buffer.');
+        return;
+    }
+
+    const chunks = glb.bin ? [glb.bin] : [];
+    let byteLength = glb.bin ? glb.bin.length : 0;
+    json.bufferViews = json.bufferViews || [];
+
+    const properties = {};
+    for (const [id, property] of Object.entries(propertyTable.properties)) {
+        properties[id] = {};
+        for (const [field, data] of Object.entries(property)) {
+            const padding = (METADATA_ALIGNMENT - (byteLength % METADATA_ALIGNMENT)) % METADATA_ALIGNMENT;
+            chunks.push(Buffer.alloc(padding), Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+            byteLength += padding;
+            properties[id][field] = json.bufferViews.length;
+            json.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: data.byteLength });
+            byteLength += data.byteLength;
+        }
+    }
+
+    glb.bin = Buffer.concat(chunks, byteLength);
+    json.buffers[0].byteLength = byteLength;
+    json.extensions = {
+        ...json.extensions,
+        EXT_structural_metadata: { schema, propertyTables: [{ ...propertyTable, properties }] },
+    };
+    addExtensionUsed(json, 'EXT_structural_metadata');
+}
+
+function addExtensionUsed(json, name) {
+    json.extensionsUsed = json.extensionsUsed || [];
+    if (!json.extensionsUsed.includes(name)) {
+        json.extensionsUsed.push(name);
+    }
+}
+
+// Remove the CESIUM_RTC extension from the glTF JSON and return its center, if any
+function takeCesiumRtc(json) {
+    const center = json.extensions?.CESIUM_RTC?.center;
+    if (!center) {
+        return null;
+    }
+    delete json.extensions.CESIUM_RTC;
+    if (Object.keys(json.extensions).length === 0) {
+        delete json.extensions;
+    }
+    for (const key of ['extensionsUsed', 'extensionsRequired']) {
+        if (json[key]) {
+            json[key] = json[key].filter(name => name !== 'CESIUM_RTC');
+            if (json[key].length === 0) {
+                delete json[key];
+            }
+        }
+    }
+    return center;
+}
+
+// Parent every scene's root nodes under a new node translated by `center`.
+// The center is given in the tile's z-up frame while glTF is y-up; viewers rotate
+// glb content +90° about X, which maps glTF (x, y, z) to tile (x, -z, y).
+function addRootTranslation(json, [x, y, z]) {
+    json.nodes = json.nodes || [];
+    for (const scene of json.scenes || []) {
+        const nodeIndex = json.nodes.length;
+        json.nodes.push({
+            name: 'RTC_CENTER',
+            translation: [x, z, -y],
+            children: scene.nodes || [],
+        });
+        scene.nodes = [nodeIndex];
+    }
+}
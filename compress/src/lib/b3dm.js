@@ -0,0 +1,62 @@
+// Batched 3D Model (b3dm) reading and writing.
+// https://github.com/CesiumGS/3d-tiles/tree/main/specification/TileFormats/Batched3DModel
+
+export const B3DM_MAGIC = 'b3dm';
+export const B3DM_HEADER_LENGTH = 28;
+
+// Split a b3dm buffer into its header fields, feature table, batch table and glb payload.
+// Returned sections are views into the input buffer, not copies.
+export function parseB3dm(arrayBuffer) {
+    if (arrayBuffer.length < B3DM_HEADER_LENGTH) {
+        throw new Error(`File is too short to be a b3dm (${arrayBuffer.length} bytes).`);
+    }
+
+    const magic = arrayBuffer.toString('utf8', 0, 4);
+    if (magic !== B3DM_MAGIC) {
+        throw new Error(`Invalid b3dm magic "${magic}".`);
+    }
+
+    const version = arrayBuffer.readInt32LE(4);
+    const byteLength = arrayBuffer.readInt32LE(8);
+    const featureTableJSONByteLength = arrayBuffer.readInt32LE(12);
+    const featureTableBinaryByteLength = arrayBuffer.readInt32LE(16);
+    const batchTableJSONByteLength = arrayBuffer.readInt32LE(20);
+    const batchTableBinaryByteLength = arrayBuffer.readInt32LE(24);
+
+    const featureTableStart = B3DM_HEADER_LENGTH;
+    const batchTableStart = featureTableStart + featureTableJSONByteLength + featureTableBinaryByteLength;
+    const glbStart = batchTableStart + batchTableJSONByteLength + batchTableBinaryByteLength;
+
+    if (glbStart > arrayBuffer.length) {
+        throw new Error(`b3dm sections (${glbStart} bytes) exceed the file length (${arrayBuffer.length} bytes).`);
+    }
+
+    return {
+        version,
+        byteLength,
+        featureTableJSON: arrayBuffer.subarray(featureTableStart, featureTableStart + featureTableJSONByteLength),
+        featureTableBinary: arrayBuffer.subarray(featureTableStart + featureTableJSONByteLength, batchTableStart),
+        batchTableJSON: arrayBuffer.subarray(batchTableStart, batchTableStart + batchTableJSONByteLength),
+        batchTableBinary: arrayBuffer.subarray(batchTableStart + batchTableJSONByteLength, glbStart),
+        glb: arrayBuffer.subarray(glbStart, Math.min(byteLength, arrayBuffer.length)),
+    };
+}
+
+// Assemble a b3dm from its sections. Sections are written as given, so callers
+// are responsible for keeping them 8-byte aligned.
+export function writeB3dm({ version = 1, featureTableJSON, featureTableBinary, batchTableJSON, batchTableBinary, glb }) {
+    const sections = [featureTableJSON, featureTableBinary, batchTableJSON, batchTableBinary, glb]
+        .map(section => section || Buffer.alloc(0));
+    const totalLength = B3DM_HEADER_LENGTH + sections.reduce((sum, section) => sum + section.length, 0);
+    const header = Buffer.alloc(B3DM_HEADER_LENGTH);
+
+    header.write(B3DM_MAGIC, 0, 'utf8');
+    header.writeInt32LE(version, 4);
+    header.writeInt32LE(totalLength, 8);
+    header.writeInt32LE(sections[0].length, 12);
+    header.writeInt32LE(sections[1].length, 16);
+    header.writeInt32LE(sections[2].length, 20);
+    header.writeInt32LE(sections[3].length, 24);
+
+    return Buffer.concat([header, ...sections], totalLength);
+}
@@ -0,0 +1,288 @@
+import { COMPONENT_TYPES, TYPE_COMPONENTS, readBinaryArray } from './feature-table.js';
+
+// Batch table component types and the matching EXT_structural_metadata component types
+const METADATA_COMPONENT_TYPES = {
+    BYTE: 'INT8',
+    UNSIGNED_BYTE: 'UINT8',
+    SHORT: 'INT16',
+    UNSIGNED_SHORT: 'UINT16',
+    INT: 'INT32',
+    UNSIGNED_INT: 'UINT32',
+    FLOAT: 'FLOAT32',
+    DOUBLE: 'FLOAT64',
+};
+
+export const BATCH_TABLE_CLASS = 'feature';
+
+// Convert a b3dm/i3dm/pnts batch table into an EXT_structural_metadata schema and property table.
+// Property values are returned as buffer view bytes (Uint8Array) in the property table, the form
+// used by StructuralMetadata; the caller assigns buffer views when writing them out.
+//
+// Binary body properties keep their component type. JSON properties are typed from their values:
+// numbers become INT32 or FLOAT64, booleans BOOLEAN, strings STRING, and arrays of those become
+// fixed- or variable-length arrays. Anything else (objects, nulls, mixed values) is stored as a
+// STRING holding each value's JSON.
+export function convertBatchTable(json, binary, batchLength) {
+    const classProperties = {};
+    const tableProperties = {};
+    const usedIds = new Set();
+
+    for (const [name, value] of Object.entries(json)) {
+        if (name === 'extensions' || name === 'extras') {
+            if (name === 'extensions' && value['3DTILES_batch_table_hierarchy']) {
+                console.warn('3DTILES_batch_table_hierarchy is not supported and was dropped.');
+            }
+            continue;
+        }
+
+        let converted;
+        try {
+            converted = Array.isArray(value)
+                ? convertJsonProperty(value, batchLength)
+                : convertBinaryProperty(value, binary, batchLength);
+        } catch (error) {
+            console.warn(`Batch table property "${name}" was dropped: ${error.message}`);
+            continue;
+        }
+
+        const id = toPropertyId(name, usedIds);
+        classProperties[id] = id === name ? converted.property : { name, ...converted.property };
+        tableProperties[id] = converted.data;
+    }
+
+    if (Object.keys(classProperties).length === 0) {
+        return null;
+    }
+
+    return {
+        schema: {
+            id: 'batch_table',
+            classes: { [BATCH_TABLE_CLASS]: { properties: classProperties } },
+        },
+        propertyTable: { class: BATCH_TABLE_CLASS, count: batchLength, properties: tableProperties },
+    };
+}
+
+function convertBinaryProperty({ byteOffset = 0, componentType, type }, binary, batchLength) {
+    const componentCount = TYPE_COMPONENTS[type];
+    if (!COMPONENT_TYPES[componentType] || !componentCount) {
+        throw new Error(`unsupported componentType "${componentType}" / type "${type}".`);
+    }
+    const array = readBinaryArray(binary, byteOffset, componentType, batchLength * componentCount);
+    return {
+        property: { type, componentType: METADATA_COMPONENT_TYPES[componentType] },
+        data: { values: toBytes(array) },
+    };
+}
+
+function convertJsonProperty(values, batchLength) {
+    if (values.length !== batchLength) {
+        throw new Error(`expected ${batchLength} values, found ${values.length}.`);
+    }
+
+    const kind = getValueKind(values);
+    if (kind) {
+        return { property: kind.property, data: kind.encode(values) };
+    }
+
+    if (values.every(Array.isArray)) {
+        const flat = values.flat();
+        const elementKind = flat.length > 0 ? getValueKind(flat) : INT32_KIND;
+        if (elementKind) {
+            const lengths = new Set(values.map(value => value.length));
+            if (lengths.size === 1 && values[0].length >= 2) {
+                return {
+                    property: { ...elementKind.property, array: true, count: values[0].length },
+                    data: elementKind.encode(flat),
+                };
+            }
+
+            // Variable-length arrays; offsets count elements (for strings they index the string offsets)
+            const arrayOffsets = new Uint32Array(values.length + 1);
+            values.forEach((value, i) => { arrayOffsets[i + 1] = arrayOffsets[i] + value.length; });
+            return {
+                property: { ...elementKind.property, array: true },
+                data: { ...elementKind.encode(flat), arrayOffsets: toBytes(arrayOffsets) },
+            };
+        }
+    }
+
+    return { property: STRING_KIND.property, data: STRING_KIND.encode(values.map(value => JSON.stringify(value))) };
+}
+
+// Each kind describes a metadata type and encodes values of it into property table data
+const INT32_KIND = {
+    property: { type: 'SCALAR', componentType: 'INT32' },
+    encode: (values) => ({ values: toBytes(Int32Array.from(values)) }),
+};
+
+const FLOAT64_KIND = {
+    property: { type: 'SCALAR', componentType: 'FLOAT64' },
+    encode: (values) => ({ values: toBytes(Float64Array.from(values)) }),
+};
+
+// Booleans are stored as a bitstream, least significant bit first
+const BOOLEAN_KIND = {
+    property: { type: 'BOOLEAN' },
+    encode: (values) => {
+        const bytes = new Uint8Array(Math.ceil(values.length / 8));
+        values.forEach((value, i) => {
+            if (value) bytes[i >> 3] |= 1 << (i & 7);
+        });
+        return { values: bytes };
+    },
+};
+
+const STRING_KIND = {
+    property: { type: 'STRING' },
+    encode: (values) => {
+        const strings = values.map(value => Buffer.from(value, 'utf8'));
+        const stringOffsets = new Uint32Array(strings.length + 1);
+        strings.forEach((string, i) => { stringOffsets[i + 1] = stringOffsets[i] + string.length; });
+        return { values: new Uint8Array(Buffer.concat(strings)), stringOffsets: toBytes(stringOffsets) };
+    },
+};
+
+// Find a single metadata type that represents every value, or null
+function getValueKind(values) {
+    if (values.every(value => typeof value === 'number')) {
+        const isInt32 = values.every(value => Number.isInteger(value) && value >= -2147483648 && value <= 2147483647);
+        return isInt32 ? INT32_KIND : FLOAT64_KIND;
+    }
+    if (values.every(value => typeof value === 'boolean')) {
+        return BOOLEAN_KIND;
+    }
+    if (values.every(value => typeof value === 'string')) {
+        return STRING_KIND;
+    }
+    return null;
+}
+
+function toBytes(array) {
+    return new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+}
+
+// Schema property IDs must be identifiers; keep the original name in `name` when they differ
+function toPropertyId(name, usedIds) {
+    let id = name.replace(/[^a-zA-Z0-9_]/g, '_');
+    if (!/^[a-zA-Z_]/.test(id)) {
+        id = `_${id}`;
+    }
+    let unique = id;
+    for (let i = 1; usedIds.has(unique); i++) {
+        unique = `${id}_${i}`;
+    }
+    usedIds.add(unique);
+    return unique;
+}
+
+// Typed arrays for the EXT_structural_metadata component types
+const METADATA_ARRAYS = {
+    INT8: Int8Array,
+    UINT8: Uint8Array,
+    INT16: Int16Array,
+    UINT16: Uint16Array,
+    INT32: Int32Array,
+    UINT32: Uint32Array,
+    INT64: BigInt64Array,
+    UINT64: BigUint64Array,
+    FLOAT32: Float32Array,
+    FLOAT64: Float64Array,
+};
+
+const METADATA_TYPE_COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+// Convert an EXT_structural_metadata property table back into a batch table, the reverse of
+// convertBatchTable(): returns `{ json, binary }` with one entry per feature for each property,
+// named after the property's `name` if it has one. Numeric SCALAR and VECn properties whose
+// component type a batch table has are stored in the binary body; everything else (strings,
+// booleans, enums by name, matrices, arrays and 64-bit integers) as JSON values. Offset, scale
+// and normalization are not applied.
+export function convertPropertyTable(schema, { class: className, count, properties }) {
+    const classProperties = schema.classes?.[className]?.properties ?? {};
+    const json = {};
+    const chunks = [];
+    let byteLength = 0;
+
+    for (const [id, data] of Object.entries(properties)) {
+        const property = classProperties[id];
+        if (!property) {
+            console.warn(`Property table property "${id}" was dropped: it is not in class "${className}".`);
+            continue;
+        }
+
+        const name = property.name ?? id;
+        const batchType = METADATA_TYPE_COMPONENTS[property.type] <= 4 && !property.array
+            ? Object.keys(METADATA_COMPONENT_TYPES).find(type => METADATA_COMPONENT_TYPES[type] === property.componentType)
+            : undefined;
+        try {
+            if (batchType) {
+                const size = count * TYPE_COMPONENTS[property.type] * COMPONENT_TYPES[batchType].BYTES_PER_ELEMENT;
+                if (data.values.byteLength < size) {
+                    throw new Error(`expected ${size} bytes of values, found ${data.values.byteLength}.`);
+                }
+                const values = data.values.subarray(0, size);
+                const padding = (8 - (byteLength % 8)) % 8;
+                chunks.push(Buffer.alloc(padding), Buffer.from(values.buffer, values.byteOffset, values.byteLength));
+                json[name] = { byteOffset: byteLength + padding, componentType: batchType, type: property.type };
+                byteLength += padding + values.byteLength;
+            } else {
+                json[name] = readPropertyValues(property, data, count, schema);
+            }
+        } catch (error) {
+            console.warn(`Property table property "${id}" was dropped: ${error.message}`);
+        }
+    }
+
+    return { json, binary: Buffer.concat(chunks, byteLength) };
+}
+
+// The values of a property table property as one JSON value per feature
+function readPropertyValues(property, data, count, schema) {
+    const { type, array, count: arrayCount } = property;
+    const arrayOffsets = array && arrayCount === undefined
+        ? Array.from(readMetadataArray(data.arrayOffsets, property.arrayOffsetType ?? 'UINT32'), Number)
+        : null;
+    const elementCount = !array ? count : arrayOffsets ? arrayOffsets[count] : count * arrayCount;
+
+    let elements;
+    if (type === 'STRING') {
+        const offsets = Array.from(readMetadataArray(data.stringOffsets, property.stringOffsetType ?? 'UINT32'), Number);
+        const bytes = Buffer.from(data.values.buffer, data.values.byteOffset, data.values.byteLength);
+        elements = Array.from({ length: elementCount }, (_, i) => bytes.toString('utf8', offsets[i], offsets[i + 1]));
+    } else if (type === 'BOOLEAN') {
+        elements = Array.from({ length: elementCount }, (_, i) => ((data.values[i >> 3] >> (i & 7)) & 1) === 1);
+    } else if (type === 'ENUM') {
+        const enumType = schema.enums?.[property.enumType];
+        if (!enumType) {
+            throw new Error(`enum "${property.enumType}" is not in the schema.`);
+        }
+        const names = new Map(enumType.values.map(({ name, value }) => [value, name]));
+        elements = Array.from(readMetadataArray(data.values, enumType.valueType ?? 'UINT16').slice(0, elementCount), value => names.get(Number(value)) ?? null);
+    } else {
+        const components = METADATA_TYPE_COMPONENTS[type];
+        if (!components) {
+            throw new Error(`unsupported type "${type}".`);
+        }
+        const values = Array.from(readMetadataArray(data.values, property.componentType), Number);
+        elements = Array.from({ length: elementCount }, (_, i) => (components === 1 ? values[i] : values.slice(i * components, (i + 1) * components)));
+    }
+
+    if (!array) {
+        return elements.slice(0, count);
+    }
+    return Array.from({ length: count }, (_, i) => (arrayOffsets
+        ? elements.slice(arrayOffsets[i], arrayOffsets[i + 1])
+        : elements.slice(i * arrayCount, (i + 1) * arrayCount)));
+}
+
+// Buffer view bytes as a typed array of an EXT_structural_metadata component type, copied since
+// the bytes are not necessarily aligned for it
+function readMetadataArray(bytes, componentType) {
+    const ArrayType = METADATA_ARRAYS[componentType];
+    if (!ArrayType || !bytes) {
+        throw new Error(`missing data or unknown component type "${componentType}".`);
+    }
+    const copy = new Uint8Array(bytes);
+    return new ArrayType(copy.buffer, 0, Math.floor(copy.byteLength / ArrayType.BYTES_PER_ELEMENT));
+}
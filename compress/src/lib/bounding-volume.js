@@ -0,0 +1,232 @@
+// 3D Tiles bounding volumes (box, sphere, region), tile transforms and containment tests.
+// https://github.com/CesiumGS/3d-tiles/tree/main/specification#bounding-volumes
+// Matrices are 4x4 column-major arrays of 16 numbers, like tile `transform`s.
+
+export const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// WGS84 ellipsoid, the frame of `region` volumes
+const WGS84_A = 6378137.0;
+const WGS84_E2 = 6.69437999014e-3;
+
+// Allowed overshoot, in meters, plus a fraction of the containing volume's size, so rounding
+// in the tileset's numbers does not count as a volume sticking out
+const ABSOLUTE_TOLERANCE = 1e-3;
+const RELATIVE_TOLERANCE = 1e-6;
+
+export function multiplyMatrices(a, b) {
+    const result = new Array(16);
+    for (let column = 0; column < 4; column++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) {
+                sum += a[k * 4 + row] * b[column * 4 + k];
+            }
+            result[column * 4 + row] = sum;
+        }
+    }
+    return result;
+}
+
+export function transformPoint(m, [x, y, z]) {
+    return [
+        m[0] * x + m[4] * y + m[8] * z + m[12],
+        m[1] * x + m[5] * y + m[9] * z + m[13],
+        m[2] * x + m[6] * y + m[10] * z + m[14],
+    ];
+}
+
+function transformVector(m, [x, y, z]) {
+    return [
+        m[0] * x + m[4] * y + m[8] * z,
+        m[1] * x + m[5] * y + m[9] * z,
+        m[2] * x + m[6] * y + m[10] * z,
+    ];
+}
+
+const add = (a, b) => a.map((value, i) => value + b[i]);
+const subtract = (a, b) => a.map((value, i) => value - b[i]);
+const scale = (a, s) => a.map(value => value * s);
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const length = a => Math.sqrt(dot(a, a));
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+// Whether a tile `boundingVolume` has a box, sphere or region of the right size
+export function isValidBoundingVolume(boundingVolume) {
+    const sizes = { box: 12, sphere: 4, region: 6 };
+    return Boolean(boundingVolume) && Object.entries(sizes).some(([key, size]) =>
+        Array.isArray(boundingVolume[key]) && boundingVolume[key].length === size
+        && boundingVolume[key].every(Number.isFinite));
+}
+
+// Convert a tile `boundingVolume` to { type, ... } in the frame given by `matrix`, the product
+// of the tile's and its ancestors' transforms. Regions are always in WGS84 and not transformed.
+export function transformBoundingVolume(boundingVolume, matrix = IDENTITY) {
+    if (boundingVolume.box) {
+        const box = boundingVolume.box;
+        return {
+            type: 'box',
+            center: transformPoint(matrix, box.slice(0, 3)),
+            halfAxes: [box.slice(3, 6), box.slice(6, 9), box.slice(9, 12)].map(axis => transformVector(matrix, axis)),
+        };
+    }
+    if (boundingVolume.sphere) {
+        const [x, y, z, radius] = boundingVolume.sphere;
+        const maxScale = Math.max(...[0, 1, 2].map(column => length(matrix.slice(column * 4, column * 4 + 3))));
+        return { type: 'sphere', center: transformPoint(matrix, [x, y, z]), radius: radius * maxScale };
+    }
+    const [west, south, east, north, minimumHeight, maximumHeight] = boundingVolume.region;
+    return { type: 'region', west, south, east, north, minimumHeight, maximumHeight };
+}
+
+// Points on the boundary of a volume: the corners of a box, the poles of a sphere along each
+// axis, and a grid of points on a region. A convex volume containing them contains the box
+// exactly, and the sphere and region approximately.
+function volumePoints(volume) {
+    if (volume.type === 'box') {
+        const points = [];
+        for (const sx of [-1, 1]) {
+            for (const sy of [-1, 1]) {
+                for (const sz of [-1, 1]) {
+                    const [x, y, z] = volume.halfAxes;
+                    points.push(add(volume.center, add(scale(x, sx), add(scale(y, sy), scale(z, sz)))));
+                }
+            }
+        }
+        return points;
+    }
+    if (volume.type === 'sphere') {
+        return [[1, 0, 0], [0, 1, 0], [0, 0, 1]].flatMap(axis =>
+            [add(volume.center, scale(axis, volume.radius)), subtract(volume.center, scale(axis, volume.radius))]);
+    }
+    const points = [];
+    const east = volume.east < volume.west ? volume.east + 2 * Math.PI : volume.east;
+    for (const longitude of [volume.west, (volume.west + east) / 2, east]) {
+        for (const latitude of [volume.south, (volume.south + volume.north) / 2, volume.north]) {
+            for (const height of [volume.minimumHeight, volume.maximumHeight]) {
+                points.push(cartographicToEcef(longitude, latitude, height));
+            }
+        }
+    }
+    return points;
+}
+
+// Rough diameter of a volume in meters, to scale the tolerance
+function volumeSize(volume) {
+    if (volume.type === 'box') {
+        return 2 * length(add(volume.halfAxes[0], add(volume.halfAxes[1], volume.halfAxes[2])));
+    }
+    if (volume.type === 'sphere') {
+        return 2 * volume.radius;
+    }
+    return Math.max(volume.maximumHeight - volume.minimumHeight, (volume.north - volume.south) * WGS84_A);
+}
+
+function tolerance(volume) {
+    return ABSOLUTE_TOLERANCE + RELATIVE_TOLERANCE * volumeSize(volume);
+}
+
+// Whether `point` is inside `volume` (as returned by transformBoundingVolume)
+export function volumeContainsPoint(volume, point) {
+    const epsilon = tolerance(volume);
+    if (volume.type === 'sphere') {
+        return length(subtract(point, volume.center)) <= volume.radius + epsilon;
+    }
+    if (volume.type === 'box') {
+        const offset = subtract(point, volume.center);
+        const axes = volume.halfAxes.map(axis => ({ axis, size: length(axis) }));
+        const flat = axes.filter(({ size }) => size < 1e-12);
+        if (flat.length === 1) {
+            // A flat box (e.g. for flat content) only contains points in its plane
+            const [a, b] = axes.filter(({ size }) => size >= 1e-12);
+            const normal = cross(a.axis, b.axis);
+            if (Math.abs(dot(offset, normal)) / length(normal) > epsilon) {
+                return false;
+            }
+        }
+        return axes.every(({ axis, size }) => size < 1e-12 || Math.abs(dot(offset, axis)) / size <= size + epsilon);
+    }
+
+    const { longitude, latitude, height } = ecefToCartographic(point);
+    const angularEpsilon = epsilon / WGS84_A;
+    const east = volume.east < volume.west ? volume.east + 2 * Math.PI : volume.east;
+    const wrappedLongitude = longitude < volume.west - angularEpsilon ? longitude + 2 * Math.PI : longitude;
+    return wrappedLongitude >= volume.west - angularEpsilon && wrappedLongitude <= east + angularEpsilon
+        && latitude >= volume.south - angularEpsilon && latitude <= volume.north + angularEpsilon
+        && height >= volume.minimumHeight - epsilon && height <= volume.maximumHeight + epsilon;
+}
+
+// Whether `outer` contains `inner`, both as returned by transformBoundingVolume
+export function volumeContainsVolume(outer, inner) {
+    const epsilon = tolerance(outer);
+    if (outer.type === 'region' && inner.type === 'region') {
+        const angularEpsilon = epsilon / WGS84_A;
+        return inner.west >= outer.west - angularEpsilon && inner.east <= outer.east + angularEpsilon
+            && inner.south >= outer.south - angularEpsilon && inner.north <= outer.north + angularEpsilon
+            && inner.minimumHeight >= outer.minimumHeight - epsilon && inner.maximumHeight <= outer.maximumHeight + epsilon;
+    }
+    if (outer.type === 'sphere' && inner.type === 'sphere') {
+        return length(subtract(inner.center, outer.center)) + inner.radius <= outer.radius + epsilon;
+    }
+    if (outer.type === 'box' && inner.type === 'sphere') {
+        const offset = subtract(inner.center, outer.center);
+        return outer.halfAxes.every(axis => {
+            const axisLength = length(axis);
+            return axisLength >= 1e-12 && Math.abs(dot(offset, axis)) / axisLength + inner.radius <= axisLength + epsilon;
+        });
+    }
+    return volumePoints(inner).every(point => volumeContainsPoint(outer, point));
+}
+
+// The 8 corners of an axis-aligned box given by its min and max
+export function boxCorners(min, max) {
+    const corners = [];
+    for (const x of [min[0], max[0]]) {
+        for (const y of [min[1], max[1]]) {
+            for (const z of [min[2], max[2]]) {
+                corners.push([x, y, z]);
+            }
+        }
+    }
+    return corners;
+}
+
+export function cartographicToEcef(longitude, latitude, height) {
+    const sinLatitude = Math.sin(latitude);
+    const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLatitude * sinLatitude);
+    return [
+        (n + height) * Math.cos(latitude) * Math.cos(longitude),
+        (n + height) * Math.cos(latitude) * Math.sin(longitude),
+        (n * (1 - WGS84_E2) + height) * sinLatitude,
+    ];
+}
+
+// Transform from the east-north-up frame at a point on the ellipsoid (radians and metres) to
+// the Earth-centred frame, for a tileset root `transform`
+export function eastNorthUpToFixedFrame(longitude, latitude, height) {
+    const [x, y, z] = cartographicToEcef(longitude, latitude, height);
+    const sinLongitude = Math.sin(longitude);
+    const cosLongitude = Math.cos(longitude);
+    const sinLatitude = Math.sin(latitude);
+    const cosLatitude = Math.cos(latitude);
+    return [
+        -sinLongitude, cosLongitude, 0, 0,
+        -sinLatitude * cosLongitude, -sinLatitude * sinLongitude, cosLatitude, 0,
+        cosLatitude * cosLongitude, cosLatitude * sinLongitude, sinLatitude, 0,
+        x, y, z, 1,
+    ];
+}
+
+// Iterative conversion, converging to well below a millimeter in a few steps near the surface
+export function ecefToCartographic([x, y, z]) {
+    const longitude = Math.atan2(y, x);
+    const p = Math.sqrt(x * x + y * y);
+    let latitude = Math.atan2(z, p * (1 - WGS84_E2));
+    let height = 0;
+    for (let i = 0; i < 5; i++) {
+        const sinLatitude = Math.sin(latitude);
+        const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLatitude * sinLatitude);
+        height = Math.abs(Math.cos(latitude)) > 1e-10 ? p / Math.cos(latitude) - n : Math.abs(z) - n * (1 - WGS84_E2);
+        latitude = Math.atan2(z, p * (1 - WGS84_E2 * n / (n + height)));
+    }
+    return { longitude, latitude, height };
+}
@@ -0,0 +1,68 @@
+// Composite (cmpt) reading and writing.
+// https://github.com/CesiumGS/3d-tiles/tree/main/specification/TileFormats/Composite
+
+export const CMPT_MAGIC = 'cmpt';
+export const CMPT_HEADER_LENGTH = 16;
+
+// Inner tiles start on 8-byte boundaries
+const TILE_ALIGNMENT = 8;
+
+// Read the 4-character magic of a tile (b3dm, i3dm, pnts, cmpt, glTF)
+export function readMagic(buffer) {
+    return buffer.length >= 4 ? buffer.toString('utf8', 0, 4) : '';
+}
+
+// Split a cmpt buffer into its inner tiles, each a view into the input buffer
+// sized by the byteLength in the inner tile's own header.
+export function parseCmpt(arrayBuffer) {
+    if (arrayBuffer.length < CMPT_HEADER_LENGTH) {
+        throw new Error(`File is too short to be a cmpt (${arrayBuffer.length} bytes).`);
+    }
+
+    const magic = readMagic(arrayBuffer);
+    if (magic !== CMPT_MAGIC) {
+        throw new Error(`Invalid cmpt magic "${magic}".`);
+    }
+
+    const version = arrayBuffer.readInt32LE(4);
+    const byteLength = arrayBuffer.readInt32LE(8);
+    const tilesLength = arrayBuffer.readInt32LE(12);
+    const end = Math.min(byteLength, arrayBuffer.length);
+
+    const tiles = [];
+    let offset = CMPT_HEADER_LENGTH;
+    for (let i = 0; i < tilesLength; i++) {
+        if (offset + 12 > end) {
+            throw new Error(`cmpt inner tile ${i} starts past the end of the file.`);
+        }
+        const tileByteLength = arrayBuffer.readInt32LE(offset + 8);
+        if (tileByteLength < 12 || offset + tileByteLength > end) {
+            throw new Error(`cmpt inner tile ${i} has an invalid byteLength (${tileByteLength}).`);
+        }
+        tiles.push(arrayBuffer.subarray(offset, offset + tileByteLength));
+        offset += tileByteLength;
+    }
+
+    return { version, byteLength, tiles };
+}
+
+// Assemble a cmpt from inner tile buffers. Each inner tile is padded with zeros to an
+// 8-byte boundary and its header byteLength updated to include the padding, so the next
+// tile starts aligned; the inputs are not modified.
+export function writeCmpt({ version = 1, tiles }) {
+    const paddedTiles = tiles.map(tile => {
+        const padding = (TILE_ALIGNMENT - (tile.length % TILE_ALIGNMENT)) % TILE_ALIGNMENT;
+        const padded = Buffer.concat([tile, Buffer.alloc(padding)]);
+        padded.writeInt32LE(padded.length, 8);
+        return padded;
+    });
+    const totalLength = CMPT_HEADER_LENGTH + paddedTiles.reduce((sum, tile) => sum + tile.length, 0);
+
+    const header = Buffer.alloc(CMPT_HEADER_LENGTH);
+    header.write(CMPT_MAGIC, 0, 'utf8');
+    header.writeInt32LE(version, 4);
+    header.writeInt32LE(totalLength, 8);
+    header.writeInt32LE(paddedTiles.length, 12);
+
+    return Buffer.concat([header, ...paddedTiles], totalLength);
+}
@@ -0,0 +1,490 @@
+import { draco, meshopt, dedup, flatten, join, weld, textureResize, listTextureSlots } from '@gltf-transform/functions';
+import { MeshoptEncoder } from 'meshoptimizer';
+import { Mode, toktx } from '@gltf-transform/cli';
+import fs from 'fs-extra';
+import { getIO } from './io.js';
+import { B3DM_MAGIC, parseB3dm, writeB3dm } from './b3dm.js';
+import { I3DM_MAGIC, parseI3dm, writeI3dm } from './i3dm.js';
+import { PNTS_MAGIC } from './pnts.js';
+import { CMPT_MAGIC, parseCmpt, writeCmpt, readMagic } from './cmpt.js';
+import { alignGlb } from './glb.js';
+import { convertB3dmToGlb } from './b3dm-to-glb.js';
+import { convertI3dmToDocument } from './i3dm-to-glb.js';
+import { convertDocumentToB3dm } from './glb-to-b3dm.js';
+import { compressPntsWithDraco } from './pnts-draco.js';
+import { convertPntsToDocument } from './pnts-to-glb.js';
+import { convertCompositeToGlbs } from './tile-to-glb.js';
+import { getModelStatistics } from './statistics.js';
+import { innerTilePath } from './output-paths.js';
+import { measureContent, measureOutputs } from './compression-report.js';
+import { collectWorldPositions, measureDisplacement } from './geometry-fidelity.js';
+import { measureTextureQuality } from './texture-quality.js';
+import { readImageInfo } from './image-info.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { inputExists, readInput, readInputDocument } from './input-files.js';
+import { identifyContent } from './tile-format.js';
+import { EXTMeshFeatures } from '../extensions/ext-mesh-features.js';
+
+// Compress a single tile and write the result to `output`. The input format comes from its bytes
+// (see tile-format.js), so gzip-compressed tiles are read too; outputs are not gzipped.
+// - b3dm/glb/gltf input becomes a glb, or a b3dm when `output` is a .b3dm (for 3D Tiles 1.0):
+//   b3dm input then keeps its feature and batch tables, glb/gltf input is wrapped by
+//   convertDocumentToB3dm()
+// - i3dm input stays an i3dm, or with `instancesToGlb` becomes a glb using EXT_mesh_gpu_instancing
+// - pnts input stays a pnts (Draco-compressed with `draco`), or with `pointsToGlb` becomes a
+//   glb with a POINTS primitive
+// - cmpt input stays a cmpt with every inner tile compressed, or with `splitComposites` is
+//   split into one glb per inner tile, written next to `output` as <name>_<n>.glb and listed
+//   in the result's `outputs`
+// The input is never modified unless `output` is the same path.
+// Resolves with a summary of what was applied and the size, triangles and textures `before` and
+// `after`; rejects if the tile could not be processed.
+export async function compressFile(file, output, options = {}) {
+    const startTime = Date.now();
+    if (!inputExists(file)) {
+        throw new Error('File does not exist.');
+    }
+
+    const io = await getIO();
+    const result = { file, output };
+    // Read and measured first, as an in-place output replaces the input
+    const input = readInput(file);
+    const before = measureContent(input, file);
+    const { format, buffer: content } = identifyContent(input);
+    const toB3dm = /\.b3dm$/i.test(output);
+    let summary;
+
+    if ((format === 'b3dm' && toB3dm)
+        || (format === 'i3dm' && !options.instancesToGlb)
+        || (format === 'pnts' && !options.pointsToGlb)
+        || (format === 'cmpt' && !options.splitComposites)) {
+        const { buffer, ...tileSummary } = await compressTile(content, options);
+        fs.outputFileSync(output, buffer);
+        summary = tileSummary;
+    } else if (format === 'cmpt') {
+        const glbs = await convertCompositeToGlbs(content, file);
+        summary = { ktxApplied: false, dracoApplied: false, meshoptApplied: false };
+        result.outputs = [];
+        for (const [i, glb] of glbs.entries()) {
+            const document = await io.readBinary(glb);
+            summary = mergeSummaries(summary, await compressDocument(document, options));
+            const innerOutput = innerTilePath(output, i);
+            fs.outputFileSync(innerOutput, await io.writeBinary(document));
+            result.outputs.push(innerOutput);
+        }
+        result.output = result.outputs[0] ?? null;
+    } else {
+        let document;
+        if (format === 'b3dm') {
+            document = await io.readBinary(convertB3dmToGlb(content));
+        } else if (format === 'i3dm') {
+            document = await convertI3dmToDocument(content, file);
+        } else if (format === 'pnts') {
+            document = await convertPntsToDocument(content);
+        } else if (format === 'glb' || format === 'gltf') {
+            document = await readInputDocument(io, file);
+        } else {
+            throw new Error(`Unsupported content format "${format}".`);
+        }
+
+        summary = await compressDocument(document, options);
+        fs.outputFileSync(output, toB3dm ? await convertDocumentToB3dm(document) : await io.writeBinary(document));
+    }
+
+    return {
+        ...result,
+        executionTime: (Date.now() - startTime) / 1000,
+        ...summary,
+        before,
+        after: measureOutputs(result.outputs || [result.output]),
+    };
+}
+
+// Compress a tile that keeps its 3D Tiles 1.0 format, identified by its magic, and resolve
+// with `{ buffer, ktxApplied, dracoApplied, meshoptApplied, pointCompressionApplied }`. Feature and batch tables are kept as they are:
+// - b3dm and i3dm: the embedded glb is compressed. An i3dm referencing an external glTF is
+//   repacked as is, except that a `.gltf` URI is pointed at the `.glb` the compressor writes for it.
+// - pnts: rewritten with 3DTILES_draco_point_compression. Point clouds have no textures, so
+//   without `draco` (or when the pnts is already compressed) the tile is kept unchanged.
+// - cmpt: every inner tile is compressed recursively and the composite repacked
+async function compressTile(buffer, options) {
+    const io = await getIO();
+    const magic = readMagic(buffer);
+
+    if (magic === B3DM_MAGIC || magic === I3DM_MAGIC) {
+        const tile = magic === B3DM_MAGIC ? parseB3dm(buffer) : parseI3dm(buffer);
+        if (tile.gltfUri) {
+            const gltfUri = /^[a-z][a-z0-9+.-]*:/i.test(tile.gltfUri) ? tile.gltfUri : tile.gltfUri.replace(/\.gltf$/i, '.glb');
+            return { buffer: writeI3dm({ ...tile, glb: null, gltfUri }), ktxApplied: false, dracoApplied: false, meshoptApplied: false };
+        }
+
+        const document = await io.readBinary(tile.glb);
+        const summary = await compressDocument(document, options);
+        const glb = alignGlb(Buffer.from(await io.writeBinary(document)));
+        const repacked = magic === B3DM_MAGIC ? writeB3dm({ ...tile, glb }) : writeI3dm({ ...tile, glb, gltfUri: null });
+        return { buffer: repacked, ...summary };
+    }
+
+    if (magic === PNTS_MAGIC) {
+        const compressed = options.draco ? await compressPntsWithDraco(buffer, (options.compression ?? DEFAULT_CONFIG).draco) : null;
+        return { buffer: compressed || buffer, ktxApplied: false, dracoApplied: Boolean(compressed), meshoptApplied: false, pointCompressionApplied: Boolean(compressed) };
+    }
+
+    if (magic === CMPT_MAGIC) {
+        const cmpt = parseCmpt(buffer);
+        let summary = { ktxApplied: false, dracoApplied: false, meshoptApplied: false };
+        const tiles = [];
+        for (const inner of cmpt.tiles) {
+            const { buffer: compressed, ...innerSummary } = await compressTile(inner, options);
+            tiles.push(compressed);
+            summary = mergeSummaries(summary, innerSummary);
+        }
+        return { buffer: writeCmpt({ version: cmpt.version, tiles }), ...summary };
+    }
+
+    throw new Error(`Unsupported tile format "${magic}".`);
+}
+
+// Combine the summaries of several tiles: a flag is set if it is set for any tile, the
+// fidelity is that of the tile that moved most, texture qualities are listed together and
+// encoding sizes are added up
+function mergeSummaries(a, b) {
+    const merged = { ...a };
+    for (const [key, value] of Object.entries(b)) {
+        if (key === 'encodings') {
+            merged.encodings = a.encodings ? { draco: a.encodings.draco + value.draco, meshopt: a.encodings.meshopt + value.meshopt } : value;
+        } else if (key === 'textureQuality') {
+            merged.textureQuality = [...(a.textureQuality || []), ...value];
+        } else if (key === 'fidelity') {
+            merged.fidelity = !a.fidelity || value.hausdorff > a.fidelity.hausdorff ? value : a.fidelity;
+        } else {
+            merged[key] = Boolean(a[key] || value);
+        }
+    }
+    return merged;
+}
+
+// Position bits tried when the geometry moved more than `dracoTolerance`, with `dracoRetry`,
+// after the configured ones. The Draco encoder aborts on 30-bit positions, whose predictions
+// overflow its 32-bit integers.
+const DRACO_RETRY_POSITION_BITS = [20, 24, 29];
+
+function dracoTransform({ encodeSpeed, decodeSpeed, quantize }, positionBits = quantize.position) {
+    return draco({
+        encodeSpeed,
+        decodeSpeed,
+        quantizePosition: positionBits,
+        quantizeNormal: quantize.normal,
+        quantizeColor: quantize.color,
+        quantizeTexcoord: quantize.texcoord,
+        quantizeGeneric: quantize.generic,
+    });
+}
+
+// toktx options for the `ktx` section of the config, in its `mode`
+function ktxOptions({ mode, quality, compression, uastcLevel, uastcRdo, zstd, powerOfTwo }) {
+    return mode === 'uastc'
+        ? { mode: Mode.UASTC, level: uastcLevel, rdo: uastcRdo, zstd, powerOfTwo }
+        : { mode: Mode.ETC1S, quality, compression, powerOfTwo };
+}
+
+// 'uastc' or 'etc1s' if one of the texture's material slots matches that mode's patterns in
+// `slots` (UASTC first), otherwise null for the default mode
+function slotMode(texture, slots) {
+    const textureSlots = listTextureSlots(texture);
+    return ['uastc', 'etc1s'].find(mode => slots[mode].length > 0 && textureSlots.some(slot => slotPattern(slots[mode]).test(slot))) ?? null;
+}
+
+// Slot name patterns with * wildcards as one case-insensitive RegExp
+function slotPattern(patterns) {
+    const escape = pattern => pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^(${patterns.map(escape).join('|')})$`, 'i');
+}
+
+// One toktx pass per mode the slots select, then one for the remaining textures in the default
+// mode. toktx skips textures that are already KTX2, and passes with nothing to encode are left
+// out, as toktx warns about them.
+function ktxTransforms(document, settings) {
+    const modes = document.getRoot().listTextures()
+        .filter(texture => ['image/png', 'image/jpeg'].includes(texture.getMimeType()))
+        .map(texture => slotMode(texture, settings.slots));
+    return [
+        ...['uastc', 'etc1s']
+            .filter(mode => modes.includes(mode))
+            .map(mode => toktx({ ...ktxOptions({ ...settings, mode }), slots: slotPattern(settings.slots[mode]) })),
+        ...(modes.includes(null) ? [toktx(ktxOptions(settings))] : []),
+    ];
+}
+
+// The KTX2 settings a texture below the quality thresholds is encoded again with, for
+// `ktxFallback`, given the mode it was encoded in: UASTC without RDO, or the best quality of its mode
+const KTX_FALLBACKS = {
+    uastc: settings => ({ ...settings, mode: 'uastc', uastcRdo: 0 }),
+    quality: (settings, mode) => (mode === 'uastc'
+        ? { ...settings, mode, uastcLevel: 4, uastcRdo: 0 }
+        : { ...settings, mode, quality: 255 }),
+};
+
+// EXT_meshopt_compression with the `meshopt` section of the config: meshopt() reorders the
+// vertices for compression, quantizes the attributes and marks the buffers for the encoder
+function meshoptTransform({ level, quantize }) {
+    return meshopt({
+        encoder: MeshoptEncoder,
+        level,
+        quantizePosition: quantize.position,
+        quantizeNormal: quantize.normal,
+        quantizeColor: quantize.color,
+        quantizeTexcoord: quantize.texcoord,
+        quantizeGeneric: quantize.generic,
+    });
+}
+
+// Clean-ups from the `optimize` section of the config, run before compression
+function optimizeTransforms({ dedup: dedupEnabled, flatten: flattenEnabled, join: joinEnabled, weld: weldEnabled, weldTolerance }) {
+    return [
+        ...(dedupEnabled ? [dedup()] : []),
+        ...(flattenEnabled ? [flatten()] : []),
+        ...(joinEnabled ? [joinKeepingFeatureIds()] : []),
+        ...(weldEnabled ? [weld({ tolerance: weldTolerance })] : []),
+    ];
+}
+
+// Apply the requested compression to a document in place and report what was applied, with the
+// Draco, meshopt, KTX2, optimize and double-sided settings of `compression` (see lib/config.js).
+// `draco` and `meshopt` choose the mesh compression; with `compareEncodings` the mesh is also
+// encoded both ways and the glb sizes reported as `encodings: { draco, meshopt }`.
+// With `dracoTolerance` (metres) the Draco-encoded geometry is decoded and compared with the
+// source; when a vertex moved further, the tile fails, or with `dracoRetry` is encoded again
+// with more position bits. The measured displacement is reported as `fidelity`.
+// With `ktxCheck` every texture converted to KTX2 is decoded and compared with its source
+// image, reported as `textureQuality`; see verifyTextures() for the thresholds.
+export async function compressDocument(document, {
+    draco: dracoCompression = false, meshopt: meshoptCompression = false, compareEncodings = false,
+    ktx = false, dracoTolerance = null, dracoRetry = false,
+    ktxCheck = false, ktxMinPsnr = null, ktxMinSsim = null, ktxFallback = null, compression = DEFAULT_CONFIG,
+}) {
+    const originalStats = await getModelStatistics(document);
+    const hasKTXTexture = originalStats.textures.some(texture => texture.format === 'KTX');
+    const convertTextures = ktx && !hasKTXTexture;
+
+    // Clean-ups and resizing first, so the textures compared with their KTX2 encoding are the
+    // images toktx receives
+    const prepare = optimizeTransforms(compression.optimize);
+    if (convertTextures && compression.ktx.maxSize) {
+        prepare.push(textureResize({ size: [compression.ktx.maxSize, compression.ktx.maxSize] }));
+    }
+    if (prepare.length > 0) {
+        await document.transform(...prepare);
+    }
+
+    const transforms = [];
+    // Source images of the textures, kept to compare with their KTX2 encoding
+    let originals = null;
+
+    if (convertTextures) {
+        transforms.push(...ktxTransforms(document, compression.ktx));
+        if (ktxCheck) {
+            originals = new Map(document.getRoot().listTextures()
+                .map(texture => [texture, { image: texture.getImage(), mimeType: texture.getMimeType(), uri: texture.getURI() }]));
+        }
+    }
+
+    if (compression.doubleSided !== 'keep') {
+        transforms.push(backfaceCulling({ cull: compression.doubleSided === 'none' }));
+    }
+
+    // Meshes that are already compressed either way are left as they are
+    const meshCompressed = originalStats.dracoCompression
+        || document.getRoot().listExtensionsUsed().some(extension => extension.extensionName === 'EXT_meshopt_compression');
+    const geometry = meshCompressed ? null : (dracoCompression && 'draco') || (meshoptCompression && 'meshopt') || null;
+    if (geometry) {
+        transforms.push(integerFeatureIds());
+    }
+
+    if (transforms.length > 0) {
+        await document.transform(...transforms);
+    }
+
+    const summary = { ktxApplied: convertTextures, dracoApplied: geometry === 'draco', meshoptApplied: geometry === 'meshopt' };
+    if (geometry && compareEncodings) {
+        summary.encodings = await measureEncodings(document, compression);
+    }
+    if (geometry === 'draco') {
+        await document.transform(dracoTransform(compression.draco));
+    } else if (geometry === 'meshopt') {
+        await document.transform(meshoptTransform(compression.meshopt));
+    }
+
+    if (originals) {
+        summary.textureQuality = await verifyTextures(document, originals, { ktxMinPsnr, ktxMinSsim, ktxFallback, ktxSettings: compression.ktx });
+    }
+    if (summary.dracoApplied && dracoTolerance) {
+        summary.fidelity = await verifyDraco(document, compression.draco, dracoTolerance, dracoRetry);
+    }
+    return summary;
+}
+
+// Size of the document as a glb with Draco and with meshopt, each encoded on a copy
+async function measureEncodings(document, compression) {
+    const io = await getIO();
+    const encodedSize = async transform => {
+        const copy = await io.readBinary(await io.writeBinary(document));
+        await copy.transform(transform);
+        return (await io.writeBinary(copy)).byteLength;
+    };
+    return {
+        draco: await encodedSize(dracoTransform(compression.draco)),
+        meshopt: await encodedSize(meshoptTransform(compression.meshopt)),
+    };
+}
+
+// Measure the PSNR and SSIM of every texture toktx converted. Textures below `ktxMinPsnr` or
+// `ktxMinSsim` fail the tile, or with `ktxFallback` ('uastc' or 'quality') are encoded again
+// from their source image with the KTX_FALLBACKS settings and fail only if still below.
+async function verifyTextures(document, originals, { ktxMinPsnr, ktxMinSsim, ktxFallback, ktxSettings }) {
+    const passes = ({ psnr, ssim }) => (ktxMinPsnr === null || psnr >= ktxMinPsnr) && (ktxMinSsim === null || ssim >= ktxMinSsim);
+    const measure = async (texture, index, fallback) => ({
+        texture: texture.getName() || texture.getURI() || `texture ${index}`,
+        mode: readImageInfo(texture.getImage()).mode,
+        ...await measureTextureQuality(texture, originals.get(texture).image),
+        ...(fallback && { fallback }),
+    });
+
+    const textures = document.getRoot().listTextures();
+    const qualities = new Map();
+    for (const [index, texture] of textures.entries()) {
+        // Textures toktx skipped (WebP, or unreadable) are not compared
+        if (originals.has(texture) && texture.getMimeType() === 'image/ktx2') {
+            qualities.set(texture, await measure(texture, index, null));
+        }
+    }
+
+    const failing = [...qualities].filter(([, quality]) => !passes(quality)).map(([texture]) => texture);
+    if (ktxFallback && failing.length > 0) {
+        // toktx only encodes textures that are not KTX2 yet, so restoring the failing ones
+        // re-encodes just those, one pass per mode they were encoded in
+        for (const mode of ['uastc', 'etc1s']) {
+            const group = failing.filter(texture => qualities.get(texture).mode.toLowerCase() === mode);
+            if (group.length === 0) {
+                continue;
+            }
+            for (const texture of group) {
+                const { image, mimeType, uri } = originals.get(texture);
+                texture.setImage(image).setMimeType(mimeType).setURI(uri);
+            }
+            await document.transform(toktx(ktxOptions(KTX_FALLBACKS[ktxFallback](ktxSettings, mode))));
+            for (const texture of group) {
+                qualities.set(texture, await measure(texture, textures.indexOf(texture), ktxFallback));
+            }
+        }
+    }
+
+    const below = [...qualities.values()].find(quality => !passes(quality));
+    if (below) {
+        const minimum = [ktxMinPsnr !== null && `PSNR ${ktxMinPsnr} dB`, ktxMinSsim !== null && `SSIM ${ktxMinSsim}`].filter(Boolean).join(', ');
+        throw new Error(`Texture "${below.texture}" is below the quality threshold after KTX2 ${below.mode} compression${below.fallback ? ` (${below.fallback} fallback)` : ''}: PSNR ${below.psnr} dB, SSIM ${below.ssim}; minimum ${minimum}.`);
+    }
+    return [...qualities.values()];
+}
+
+// Encode and decode the document (Draco runs when the document is written) and measure how far
+// its vertices moved, retrying with more position bits if allowed until within `tolerance`
+async function verifyDraco(document, dracoSettings, tolerance, retry) {
+    const io = await getIO();
+    const source = collectWorldPositions(document);
+    const configured = dracoSettings.quantize.position;
+    const attempts = [configured, ...(retry ? DRACO_RETRY_POSITION_BITS.filter(bits => bits > configured) : [])];
+
+    let fidelity;
+    for (const positionBits of attempts) {
+        if (positionBits !== configured) {
+            await document.transform(dracoTransform(dracoSettings, positionBits));
+        }
+        const decoded = collectWorldPositions(await io.readBinary(await io.writeBinary(document)));
+        fidelity = { positionBits, ...measureDisplacement(source, decoded) };
+        if (fidelity.hausdorff <= tolerance) {
+            return fidelity;
+        }
+    }
+    throw new Error(`Draco moved vertices by up to ${fidelity.hausdorff.toPrecision(3)} m (Hausdorff distance), more than the ${tolerance} m tolerance, with ${fidelity.positionBits}-bit positions.`);
+}
+
+// join(), carrying EXT_mesh_features over: join() builds new primitives without extensions, so
+// the feature IDs the joined primitives shared are set on the primitive they become, with the
+// feature count of the joined attribute. When primitives that could be joined have different
+// feature IDs (other property tables, or implicit IDs counting vertices) the meshes are not joined.
+function joinKeepingFeatureIds() {
+    return async (document) => {
+        const groups = new Map();
+        for (const mesh of document.getRoot().listMeshes()) {
+            for (const primitive of mesh.listPrimitives()) {
+                const key = joinKey(document, primitive);
+                const featureIds = primitive.getExtension('EXT_mesh_features')?.getFeatureIds() ?? null;
+                const group = groups.get(key) ?? { count: 0, definitions: new Set(), featureIds, implicit: false };
+                group.count++;
+                group.definitions.add(JSON.stringify(featureIds?.map(({ featureCount, ...definition }) => definition) ?? null));
+                group.implicit ||= Boolean(featureIds?.some(({ attribute }) => attribute === undefined));
+                groups.set(key, group);
+            }
+        }
+        if ([...groups.values()].some(group => group.definitions.size > 1 || (group.count > 1 && group.implicit))) {
+            console.warn('Meshes were not joined: primitives that would be joined have different feature IDs.');
+            return;
+        }
+
+        await join({ keepNamed: false })(document);
+
+        const extension = document.createExtension(EXTMeshFeatures);
+        for (const mesh of document.getRoot().listMeshes()) {
+            for (const primitive of mesh.listPrimitives()) {
+                const featureIds = groups.get(joinKey(document, primitive))?.featureIds;
+                if (!featureIds || primitive.getExtension('EXT_mesh_features')) {
+                    continue;
+                }
+                primitive.setExtension('EXT_mesh_features', extension.createMeshFeatures().setFeatureIds(featureIds.map(featureId => {
+                    const ids = new Set(primitive.getAttribute(`_FEATURE_ID_${featureId.attribute}`).getArray());
+                    ids.delete(featureId.nullFeatureId);
+                    return { ...featureId, featureCount: ids.size };
+                })));
+            }
+        }
+    };
+}
+
+// The primitives join() may merge share material, mode, indexing and attributes
+function joinKey(document, primitive) {
+    const material = document.getRoot().listMaterials().indexOf(primitive.getMaterial());
+    return [material, primitive.getMode(), Boolean(primitive.getIndices()), ...primitive.listSemantics().sort()].join('|');
+}
+
+function backfaceCulling(options) {
+    return (document) => {
+        for (const material of document.getRoot().listMaterials()) {
+            material.setDoubleSided(!options.cull);
+        }
+    };
+}
+
+// Store float feature ID attributes (as converted from b3dm _BATCHID, or _BATCHID itself in
+// b3dm tiles kept inside composites) as unsigned integers, so Draco encodes them losslessly
+// instead of quantizing them like other generic attributes.
+function integerFeatureIds() {
+    return (document) => {
+        for (const mesh of document.getRoot().listMeshes()) {
+            for (const primitive of mesh.listPrimitives()) {
+                for (const semantic of primitive.listSemantics()) {
+                    const accessor = primitive.getAttribute(semantic);
+                    if (!(semantic.startsWith('_FEATURE_ID_') || semantic === '_BATCHID') || accessor.getComponentSize() !== 4 || accessor.getNormalized()) {
+                        continue;
+                    }
+                    const array = accessor.getArray();
+                    if (!array.every(value => Number.isInteger(value) && value >= 0 && value <= 65535)) {
+                        continue;
+                    }
+                    const max = array.reduce((a, b) => Math.max(a, b), 0);
+                    accessor.setArray(max <= 255 ? Uint8Array.from(array) : Uint16Array.from(array));
+                }
+            }
+        }
+    };
+}
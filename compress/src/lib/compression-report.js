@@ -0,0 +1,171 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { getContentStatistics } from './tileset-statistics.js';
+
+// Size, triangle count and textures of a tile before or after compression, as recorded in
+// each compress result. Returns null if the content cannot be measured, so a tile the
+// statistics do not understand still gets compressed.
+export function measureContent(buffer, file) {
+    try {
+        const stats = getContentStatistics(buffer, file);
+        return {
+            bytes: buffer.length,
+            triangles: stats.triangles,
+            points: stats.points,
+            textures: stats.textureList.map(({ format, mode, width, height }) => ({
+                format: mode ? `${format} ${mode}` : format,
+                resolution: width ? `${width}x${height}` : 'unknown',
+            })),
+        };
+    } catch {
+        return { bytes: buffer.length, triangles: null, points: null, textures: [] };
+    }
+}
+
+// Measure every output of a result (split composites have several) as one content
+export function measureOutputs(outputs) {
+    const measures = outputs.map(output => measureContent(fs.readFileSync(output), output));
+    const sum = key => (measures.some(measure => measure[key] === null) ? null : measures.reduce((total, measure) => total + measure[key], 0));
+    return { bytes: sum('bytes'), triangles: sum('triangles'), points: sum('points'), textures: measures.flatMap(measure => measure.textures) };
+}
+
+// Build the before/after report from the compress results (with `before` and `after`) and
+// failures. Paths are made relative to `inputRoot`.
+export function buildComparisonReport(results, failures, inputRoot) {
+    const relative = file => path.relative(inputRoot, file).split(path.sep).join('/');
+    const percent = (saved, total) => (total > 0 ? Math.round(saved / total * 10000) / 100 : 0);
+
+    const files = results
+        .filter(({ before, after }) => before && after)
+        .map(({ file, before, after, executionTime, fidelity, textureQuality, encodings }) => ({
+            file: relative(file),
+            inputBytes: before.bytes,
+            outputBytes: after.bytes,
+            savedBytes: before.bytes - after.bytes,
+            savedPercent: percent(before.bytes - after.bytes, before.bytes),
+            trianglesBefore: before.triangles,
+            trianglesAfter: after.triangles,
+            texturesBefore: summarizeTextures(before.textures),
+            texturesAfter: summarizeTextures(after.textures),
+            executionTime,
+            // Vertex displacement in metres from Draco, when verified
+            ...(fidelity && {
+                positionBits: fidelity.positionBits,
+                maxDisplacement: fidelity.maxDisplacement,
+                meanDisplacement: fidelity.meanDisplacement,
+                hausdorff: fidelity.hausdorff,
+            }),
+            // PSNR and SSIM of each texture converted to KTX2, when checked
+            ...(textureQuality && { textureQuality }),
+            // glb bytes of the meshes encoded with Draco and with meshopt, with --compare-encodings
+            ...(encodings && { encodings }),
+        }))
+        .sort((a, b) => a.file.localeCompare(b.file));
+
+    const inputBytes = files.reduce((sum, file) => sum + file.inputBytes, 0);
+    const outputBytes = files.reduce((sum, file) => sum + file.outputBytes, 0);
+    return {
+        totals: {
+            files: files.length,
+            failed: failures.length,
+            inputBytes,
+            outputBytes,
+            savedBytes: inputBytes - outputBytes,
+            savedPercent: percent(inputBytes - outputBytes, inputBytes),
+            executionTime: Math.round(files.reduce((sum, file) => sum + file.executionTime, 0) * 1000) / 1000,
+            ...(files.some(file => file.encodings) && { encodings: compareEncodings(files) }),
+        },
+        grown: files.filter(file => file.savedBytes < 0).map(file => file.file),
+        files,
+        failures: failures.map(({ file, error }) => ({ file: relative(file), error })),
+    };
+}
+
+// Draco and meshopt sizes added up over the results compared with --compare-encodings, and
+// which encoding is smaller overall
+export function compareEncodings(results) {
+    const compared = results.filter(result => result.encodings);
+    const draco = compared.reduce((sum, { encodings }) => sum + encodings.draco, 0);
+    const meshopt = compared.reduce((sum, { encodings }) => sum + encodings.meshopt, 0);
+    return { tiles: compared.length, draco, meshopt, smaller: meshopt < draco ? 'meshopt' : 'draco' };
+}
+
+// "PNG 1024x1024 x2, JPG 512x512" from a list of { format, resolution }
+function summarizeTextures(textures) {
+    const counts = new Map();
+    for (const { format, resolution } of textures) {
+        const key = `${format} ${resolution}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return [...counts].map(([key, count]) => (count > 1 ? `${key} x${count}` : key)).join(', ');
+}
+
+// "min PSNR 38.2 dB, min SSIM 0.9712, 1 of 3 re-encoded (uastc)" for the KTX2 textures of a file
+function summarizeTextureQuality(qualities) {
+    if (!qualities || qualities.length === 0) {
+        return '';
+    }
+    const psnr = Math.min(...qualities.map(quality => quality.psnr));
+    const ssim = Math.min(...qualities.map(quality => quality.ssim));
+    const fallbacks = qualities.filter(quality => quality.fallback);
+    return `min PSNR ${psnr} dB, min SSIM ${ssim}${fallbacks.length > 0 ? `, ${fallbacks.length} of ${qualities.length} re-encoded (${fallbacks[0].fallback})` : ''}`;
+}
+
+// Write the report as <base>.json and <base>.html
+export function writeComparisonReport(report, base) {
+    fs.outputFileSync(`${base}.json`, JSON.stringify(report, null, 2));
+    fs.outputFileSync(`${base}.html`, formatComparisonHtml(report));
+}
+
+function formatComparisonHtml({ totals, grown, files, failures }) {
+    const escape = value => String(value ?? '').replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+    const kb = bytes => (bytes / 1024).toFixed(1);
+    const rows = files.map(file => `
+      <tr${file.savedBytes < 0 ? ' class="grown"' : ''}>
+        <td>${escape(file.file)}</td>
+        <td class="n">${kb(file.inputBytes)}</td>
+        <td class="n">${kb(file.outputBytes)}</td>
+        <td class="n">${file.savedPercent}%</td>
+        <td class="n">${escape(file.trianglesBefore)}</td>
+        <td class="n">${escape(file.trianglesAfter)}</td>
+        <td>${escape(file.texturesBefore)}</td>
+        <td>${escape(file.texturesAfter)}</td>
+        <td class="n">${file.hausdorff !== undefined ? `${file.hausdorff.toPrecision(3)} (${file.positionBits} bits)` : ''}</td>
+        <td>${escape(summarizeTextureQuality(file.textureQuality))}</td>
+        <td class="n">${file.encodings ? kb(file.encodings.draco) : ''}</td>
+        <td class="n">${file.encodings ? kb(file.encodings.meshopt) : ''}</td>
+        <td class="n">${file.executionTime.toFixed(2)}</td>
+      </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Compression report</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; }
+    th { background: #eee; }
+    td.n { text-align: right; }
+    tr.grown { background: #fdd; }
+  </style>
+</head>
+<body>
+  <h1>Compression report</h1>
+  <p>${totals.files} files: ${kb(totals.inputBytes)} KB before, ${kb(totals.outputBytes)} KB after, ${kb(totals.savedBytes)} KB saved (${totals.savedPercent}%) in ${totals.executionTime.toFixed(2)} s of processing.${totals.failed > 0 ? ` ${totals.failed} files failed.` : ''}</p>
+  ${totals.encodings ? `<p>Meshes of ${totals.encodings.tiles} files encoded both ways: ${kb(totals.encodings.draco)} KB with Draco, ${kb(totals.encodings.meshopt)} KB with meshopt; ${totals.encodings.smaller} is smaller.</p>` : ''}
+  ${grown.length > 0 ? `<h2>Files that grew</h2>\n  <ul>${grown.map(file => `<li>${escape(file)}</li>`).join('')}</ul>` : ''}
+  ${failures.length > 0 ? `<h2>Failed files</h2>\n  <ul>${failures.map(({ file, error }) => `<li>${escape(file)}: ${escape(error)}</li>`).join('')}</ul>` : ''}
+  <h2>Files</h2>
+  <table>
+    <thead>
+      <tr><th>File</th><th>Before (KB)</th><th>After (KB)</th><th>Saved</th><th>Triangles before</th><th>Triangles after</th><th>Textures before</th><th>Textures after</th><th>Draco Hausdorff (m)</th><th>KTX2 quality</th><th>Draco (KB)</th><th>Meshopt (KB)</th><th>Time (s)</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
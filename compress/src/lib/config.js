@@ -0,0 +1,240 @@
+import fs from 'fs';
+import path from 'path';
+import { UsageError } from './options.js';
+
+// Compression settings read by every command from a JSON or YAML file (--config) and/or a named
+// preset (--preset). A config file may start from a preset with a `preset` key; its own values
+// then override the preset's, and the preset's override the defaults. Sections:
+// - draco: encoder speeds (0 = best compression, 10 = fastest) and quantization bits per attribute
+// - meshopt: EXT_meshopt_compression level ('medium' or 'high') and quantization bits per
+//   attribute (at most 16)
+// - ktx: KTX2 mode ('etc1s' or 'uastc') per material slot: textures in a slot matching a
+//   `slots.uastc` pattern get UASTC, then those matching `slots.etc1s` get ETC1S, and the rest
+//   `mode`. Patterns are glTF slot names such as normalTexture, with * wildcards, case-insensitive.
+//   Also ETC1S quality and compression level, UASTC level, RDO lambda (0 = no RDO) and
+//   Zstandard level (0 = none), power-of-two resizing and a maximum texture size (null = none)
+// - optimize: glTF clean-ups run before compression: dedup, flatten, join and weld (with tolerance)
+// - doubleSided: 'keep' the materials as they are, or make them all double sided or single sided
+// - options: default command-line options per command, e.g. { compress: { draco: true, jobs: 4 } };
+//   options given on the command line win
+export const DEFAULT_CONFIG = {
+    draco: {
+        encodeSpeed: 3,
+        decodeSpeed: 3,
+        quantize: { position: 16, normal: 10, color: 8, texcoord: 12, generic: 12 },
+    },
+    meshopt: {
+        level: 'high',
+        quantize: { position: 16, normal: 10, color: 8, texcoord: 12, generic: 12 },
+    },
+    ktx: {
+        mode: 'etc1s',
+        slots: {
+            uastc: ['normalTexture', 'occlusionTexture', 'metallicRoughnessTexture'],
+            etc1s: ['baseColorTexture', 'emissiveTexture'],
+        },
+        quality: 125,
+        compression: 1,
+        uastcLevel: 2,
+        uastcRdo: 1,
+        zstd: 18,
+        powerOfTwo: true,
+        maxSize: null,
+    },
+    optimize: { dedup: false, flatten: false, join: false, weld: false, weldTolerance: 0.0001 },
+    doubleSided: 'keep',
+    options: {},
+};
+
+export const PRESETS = {
+    // Small downloads and quick encoding: coarser quantization, ETC1S textures up to 2048 px
+    'web-fast': {
+        draco: { encodeSpeed: 5, decodeSpeed: 5, quantize: { position: 14, normal: 8, texcoord: 10 } },
+        meshopt: { level: 'medium', quantize: { position: 14, normal: 8, texcoord: 10 } },
+        ktx: { mode: 'etc1s', quality: 128, maxSize: 2048 },
+        optimize: { dedup: true, join: true },
+        options: { compress: { draco: true, ktx: true } },
+    },
+    // Long-term storage: slowest encoder, fine quantization, UASTC textures at full size
+    archive: {
+        draco: { encodeSpeed: 0, decodeSpeed: 0, quantize: { position: 20, normal: 12, color: 10, texcoord: 14, generic: 14 } },
+        ktx: { mode: 'uastc', slots: { etc1s: [] }, uastcLevel: 3, uastcRdo: 0, zstd: 22, maxSize: null },
+        optimize: { dedup: true },
+        options: { compress: { draco: true } },
+    },
+    // Low memory and draw calls: ETC1S textures up to 1024 px, merged meshes
+    mobile: {
+        draco: { encodeSpeed: 3, decodeSpeed: 5, quantize: { position: 14, normal: 8, texcoord: 10 } },
+        meshopt: { quantize: { position: 14, normal: 8, texcoord: 10 } },
+        ktx: { mode: 'etc1s', quality: 96, maxSize: 1024 },
+        optimize: { dedup: true, flatten: true, join: true, weld: true },
+        options: { compress: { draco: true, ktx: true } },
+    },
+};
+
+const integer = (min, max) => value => (Number.isInteger(value) && value >= min && value <= max ? null : `an integer from ${min} to ${max}`);
+const number = min => value => (typeof value === 'number' && Number.isFinite(value) && value >= min ? null : `a number of at least ${min}`);
+const boolean = value => (typeof value === 'boolean' ? null : 'true or false');
+const oneOf = (...choices) => value => (choices.includes(value) ? null : `one of ${choices.map(choice => `"${choice}"`).join(', ')}`);
+const patterns = value => (Array.isArray(value) && value.every(item => typeof item === 'string' && item !== '') ? null : 'a list of slot name patterns');
+const nullable = check => value => (value === null ? null : check(value));
+
+// Every key a config file may contain, with a check returning what a bad value should have been
+const SCHEMA = {
+    preset: oneOf(...Object.keys(PRESETS)),
+    draco: {
+        encodeSpeed: integer(0, 10),
+        decodeSpeed: integer(0, 10),
+        quantize: { position: integer(1, 29), normal: integer(1, 30), color: integer(1, 30), texcoord: integer(1, 30), generic: integer(1, 30) },
+    },
+    meshopt: {
+        level: oneOf('medium', 'high'),
+        quantize: { position: integer(1, 16), normal: integer(1, 16), color: integer(1, 16), texcoord: integer(1, 16), generic: integer(1, 16) },
+    },
+    ktx: {
+        mode: oneOf('etc1s', 'uastc'),
+        slots: { uastc: patterns, etc1s: patterns },
+        quality: integer(1, 255),
+        compression: integer(0, 5),
+        uastcLevel: integer(0, 4),
+        uastcRdo: number(0),
+        zstd: integer(0, 22),
+        powerOfTwo: boolean,
+        maxSize: nullable(integer(4, 16384)),
+    },
+    optimize: { dedup: boolean, flatten: boolean, join: boolean, weld: boolean, weldTolerance: number(0) },
+    doubleSided: oneOf('keep', 'all', 'none'),
+    // Checked against the commands' options in validateOptions()
+    options: null,
+};
+
+// Resolve the configuration from the --config file and --preset name, either of which may be
+// missing, for running `command`: its options in the config are checked against the options
+// it takes, those of the other `commandNames` when they run. Throws a UsageError listing every
+// problem.
+export async function loadConfig({ file, preset }, commandNames, command) {
+    const fromFile = file ? await readConfigFile(file) : {};
+    const label = file ? `config file ${file}` : 'config';
+    const errors = validate(fromFile, SCHEMA, '');
+    errors.push(...validateOptions(fromFile.options, commandNames, command));
+    if (preset !== undefined && !PRESETS[preset]) {
+        errors.push(`--preset must be ${oneOf(...Object.keys(PRESETS))(preset)}, got "${preset}"`);
+    }
+    if (errors.length > 0) {
+        throw new UsageError(`Invalid ${label}:\n${errors.map(error => `  ${error}.`).join('\n')}`);
+    }
+
+    const { preset: filePreset, ...settings } = fromFile;
+    return merge(merge(DEFAULT_CONFIG, PRESETS[preset ?? filePreset] ?? {}), settings);
+}
+
+async function readConfigFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new UsageError(`Cannot read config file ${file}: ${error.message}`);
+    }
+
+    let value;
+    try {
+        if (/\.ya?ml$/i.test(file)) {
+            const { parse } = await import('yaml');
+            value = parse(text);
+        } else if (path.extname(file).toLowerCase() === '.json') {
+            value = JSON.parse(text);
+        } else {
+            throw new Error('expected a .json, .yaml or .yml file');
+        }
+    } catch (error) {
+        throw new UsageError(`Cannot parse config file ${file}: ${error.message}`);
+    }
+    if (!isObject(value)) {
+        throw new UsageError(`Config file ${file} must contain an object.`);
+    }
+    return value;
+}
+
+function validate(value, schema, prefix) {
+    const errors = [];
+    for (const [key, item] of Object.entries(value)) {
+        const name = `${prefix}${key}`;
+        if (!(key in schema)) {
+            errors.push(`unknown key "${name}"${prefix ? '' : ` (expected ${Object.keys(schema).join(', ')})`}`);
+        } else if (typeof schema[key] === 'function') {
+            const expected = schema[key](item);
+            if (expected) {
+                errors.push(`"${name}" must be ${expected}, got ${JSON.stringify(item)}`);
+            }
+        } else if (schema[key] && !isObject(item)) {
+            errors.push(`"${name}" must be an object, got ${JSON.stringify(item)}`);
+        } else if (schema[key]) {
+            errors.push(...validate(item, schema[key], `${name}.`));
+        }
+    }
+    return errors;
+}
+
+// `options` maps command names to option values. Those of `command` must be options it takes,
+// of their type: booleans for flags, strings or numbers for values, arrays of them for repeated
+// options.
+function validateOptions(options, commandNames, command) {
+    if (options === undefined) {
+        return [];
+    }
+    if (!isObject(options)) {
+        return [`"options" must be an object, got ${JSON.stringify(options)}`];
+    }
+    const errors = [];
+    for (const [commandName, values] of Object.entries(options)) {
+        if (!commandNames.includes(commandName)) {
+            errors.push(`unknown command "options.${commandName}" (expected ${commandNames.join(', ')})`);
+            continue;
+        }
+        if (!isObject(values)) {
+            errors.push(`"options.${commandName}" must be an object, got ${JSON.stringify(values)}`);
+            continue;
+        }
+        if (commandName !== command.name) {
+            continue;
+        }
+        for (const [key, value] of Object.entries(values)) {
+            const option = command.options[key];
+            const isValue = item => typeof item === 'string' || (typeof item === 'number' && Number.isFinite(item));
+            if (!option) {
+                errors.push(`unknown option "options.${commandName}.${key}" (${command.name} takes ${Object.keys(command.options).join(', ') || 'no options'})`);
+            } else if (option.type === 'boolean' && typeof value !== 'boolean') {
+                errors.push(`"options.${commandName}.${key}" must be true or false, got ${JSON.stringify(value)}`);
+            } else if (option.type === 'string' && !(option.multiple ? Array.isArray(value) && value.every(isValue) : isValue(value))) {
+                errors.push(`"options.${commandName}.${key}" must be ${option.multiple ? 'a list of strings or numbers' : 'a string or number'}, got ${JSON.stringify(value)}`);
+            }
+        }
+    }
+    return errors;
+}
+
+// Option values for `command` from the config, in the form parseArgs returns them. Options
+// the command line `given` overrides, or excludes (e.g. --meshopt a configured `draco`), are left out.
+export function configOptionValues(config, command, given = {}) {
+    const excluded = new Set(Object.keys(given).flatMap(key => command.options[key]?.excludes ?? []));
+    const values = {};
+    for (const [key, value] of Object.entries(config.options[command.name] ?? {})) {
+        if (key in given || excluded.has(key)) {
+            continue;
+        }
+        values[key] = typeof value === 'number' ? String(value) : Array.isArray(value) ? value.map(String) : value;
+    }
+    return values;
+}
+
+function merge(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+    }
+    return merged;
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
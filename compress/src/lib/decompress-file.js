@@ -0,0 +1,246 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { createCanvas, loadImage } from 'canvas';
+import { Primitive, TextureChannel } from '@gltf-transform/core';
+import { dequantize, listTextureChannels, listTextureInfoByMaterial } from '@gltf-transform/functions';
+import { getIO } from './io.js';
+import { B3DM_MAGIC, parseB3dm, writeB3dm } from './b3dm.js';
+import { I3DM_MAGIC, parseI3dm, writeI3dm } from './i3dm.js';
+import { PNTS_MAGIC } from './pnts.js';
+import { CMPT_MAGIC, parseCmpt, writeCmpt, readMagic } from './cmpt.js';
+import { alignGlb } from './glb.js';
+import { decompressPntsFromDraco } from './pnts-draco.js';
+import { transcodeKtx2 } from './texture-quality.js';
+import { readKtx2KeyValues } from './image-info.js';
+import { textureTransform } from './tile-lod.js';
+import { readInputContent, readInputDocument } from './input-files.js';
+
+// Attributes meshopt compression quantizes; feature IDs and joints keep their integer types
+const DEQUANTIZED_ATTRIBUTES = /^(POSITION|NORMAL|TANGENT|TEXCOORD_\d+|COLOR_\d+)$/;
+
+// Decompress a single tile and write the result to `output`, in the same format: the glTF of a
+// b3dm or i3dm (and every inner tile of a cmpt) goes through decompressDocument(), and a pnts
+// with 3DTILES_draco_point_compression gets plain point properties. The input format comes
+// from its bytes, and gzipped input is written uncompressed. A glTF document is written as a
+// glb, or to a .gltf output as glTF JSON with its buffers and images next to it. Resolves with
+// what was decoded: { draco, meshopt, pointCompression, textures (count), textureTransforms (count) }.
+export async function decompressFile(file, output, options = {}) {
+    const io = await getIO();
+    const { format, buffer } = readInputContent(file);
+    if (format === 'glb' || format === 'gltf') {
+        const document = await readInputDocument(io, file);
+        const summary = await decompressDocument(document, options);
+        if (/\.gltf$/i.test(output)) {
+            fs.mkdirSync(path.dirname(output), { recursive: true });
+            await io.write(output, document);
+        } else {
+            fs.outputFileSync(output, await io.writeBinary(document));
+        }
+        return summary;
+    }
+
+    if (!['b3dm', 'i3dm', 'pnts', 'cmpt'].includes(format)) {
+        throw new Error(`Unsupported content format "${format}".`);
+    }
+    const { buffer: decompressed, ...summary } = await decompressTile(buffer, options);
+    fs.outputFileSync(output, decompressed);
+    return summary;
+}
+
+// Decompress a 3D Tiles 1.0 tile identified by its magic and resolve with `{ buffer, ...summary }`.
+// Feature and batch tables are kept; an i3dm referencing an external glTF is kept as is.
+async function decompressTile(buffer, options) {
+    const io = await getIO();
+    const magic = readMagic(buffer);
+
+    if (magic === B3DM_MAGIC || magic === I3DM_MAGIC) {
+        const tile = magic === B3DM_MAGIC ? parseB3dm(buffer) : parseI3dm(buffer);
+        if (tile.gltfUri) {
+            return { buffer, ...NOTHING_DECODED };
+        }
+        const document = await io.readBinary(tile.glb);
+        const summary = await decompressDocument(document, options);
+        const glb = alignGlb(Buffer.from(await io.writeBinary(document)));
+        return { buffer: magic === B3DM_MAGIC ? writeB3dm({ ...tile, glb }) : writeI3dm({ ...tile, glb, gltfUri: null }), ...summary };
+    }
+
+    if (magic === PNTS_MAGIC) {
+        const decompressed = await decompressPntsFromDraco(buffer);
+        return { buffer: decompressed || buffer, ...NOTHING_DECODED, pointCompression: Boolean(decompressed) };
+    }
+
+    if (magic === CMPT_MAGIC) {
+        const cmpt = parseCmpt(buffer);
+        let summary = NOTHING_DECODED;
+        const tiles = [];
+        for (const inner of cmpt.tiles) {
+            const { buffer: decompressed, ...innerSummary } = await decompressTile(inner, options);
+            tiles.push(decompressed);
+            summary = {
+                draco: summary.draco || innerSummary.draco,
+                meshopt: summary.meshopt || innerSummary.meshopt,
+                pointCompression: summary.pointCompression || innerSummary.pointCompression,
+                textures: summary.textures + innerSummary.textures,
+                textureTransforms: summary.textureTransforms + innerSummary.textureTransforms,
+            };
+        }
+        return { buffer: writeCmpt({ version: cmpt.version, tiles }), ...summary };
+    }
+
+    throw new Error(`Unsupported tile format "${magic}".`);
+}
+
+const NOTHING_DECODED = { draco: false, meshopt: false, pointCompression: false, textures: 0, textureTransforms: 0 };
+
+// Turn a document into plain glTF in place:
+// - Draco and meshopt geometry, decoded when the document was read, is written as plain
+//   accessors, and attributes quantized with KHR_mesh_quantization become floats again
+// - KTX2 textures are transcoded to PNG, or with `textureFormat: 'jpeg'` to JPEG when their
+//   alpha is unused. toktx normal maps (X in RGB, Y in alpha) get their Z back.
+// - with `bakeTextureTransforms`, KHR_texture_transform is applied to the texture coordinates;
+//   otherwise the extension is kept, as dropping it would misplace the textures
+export async function decompressDocument(document, { bakeTextureTransforms = false, textureFormat = 'png' } = {}) {
+    const summary = { ...NOTHING_DECODED };
+    for (const extension of document.getRoot().listExtensionsUsed()) {
+        if (extension.extensionName === 'KHR_draco_mesh_compression') {
+            summary.draco = true;
+            extension.dispose();
+        } else if (extension.extensionName === 'EXT_meshopt_compression') {
+            summary.meshopt = true;
+            extension.dispose();
+        }
+    }
+    if (document.getRoot().listExtensionsUsed().some(extension => extension.extensionName === 'KHR_mesh_quantization')) {
+        await document.transform(dequantize({ pattern: DEQUANTIZED_ATTRIBUTES }));
+    }
+
+    summary.textures = await transcodeTextures(document, textureFormat);
+    if (bakeTextureTransforms) {
+        summary.textureTransforms = bakeTextureTransformsIntoTexcoords(document);
+    }
+    return summary;
+}
+
+// Replace every KTX2 texture with a PNG or JPEG of its first mip level and return how many
+// were transcoded
+async function transcodeTextures(document, textureFormat) {
+    const textures = document.getRoot().listTextures().filter(texture => texture.getMimeType() === 'image/ktx2');
+    for (const texture of textures) {
+        const image = texture.getImage();
+        const normalMode = (readKtx2KeyValues(image).KTXwriterScParams || '').includes('--normal_mode');
+        const mimeType = textureFormat === 'jpeg' && !listTextureChannels(texture).includes(TextureChannel.A) ? 'image/jpeg' : 'image/png';
+        let decoded = await transcodeKtx2(image);
+        if (normalMode || mimeType === 'image/jpeg') {
+            decoded = await redrawImage(decoded, mimeType, normalMode);
+        }
+        texture.setImage(new Uint8Array(decoded)).setMimeType(mimeType);
+        if (texture.getURI()) {
+            texture.setURI(texture.getURI().replace(/\.ktx2$/i, mimeType === 'image/jpeg' ? '.jpg' : '.png'));
+        }
+    }
+    if (textures.length > 0) {
+        document.getRoot().listExtensionsUsed().find(extension => extension.extensionName === 'KHR_texture_basisu')?.dispose();
+    }
+    return textures.length;
+}
+
+// Encode a PNG again as `mimeType`, rebuilding normals stored as X in RGB and Y in alpha
+// with `normalMode`
+async function redrawImage(png, mimeType, normalMode) {
+    const image = await loadImage(png);
+    const canvas = createCanvas(image.width, image.height);
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    if (normalMode) {
+        const pixels = context.getImageData(0, 0, image.width, image.height);
+        const { data } = pixels;
+        for (let i = 0; i < data.length; i += 4) {
+            const x = data[i] / 255 * 2 - 1;
+            const y = data[i + 3] / 255 * 2 - 1;
+            const z = Math.sqrt(Math.max(0, 1 - x * x - y * y));
+            data[i + 1] = data[i + 3];
+            data[i + 2] = Math.round((z + 1) / 2 * 255);
+            data[i + 3] = 255;
+        }
+        context.putImageData(pixels, 0, 0);
+    }
+    return canvas.toBuffer(mimeType);
+}
+
+// Apply each material's KHR_texture_transform to the texture coordinates of the primitives using
+// it, drop the extension from its textures and return how many were baked. Coordinates shared
+// with primitives of other materials are copied first. A material whose textures read the same
+// coordinate set with different transforms cannot be baked and keeps the extension.
+function bakeTextureTransformsIntoTexcoords(document) {
+    const root = document.getRoot();
+    // Transformed copies of accessors, by accessor and transform
+    const copies = new Map();
+    const replaced = new Set();
+    let baked = 0;
+
+    for (const material of root.listMaterials()) {
+        const textureInfos = listTextureInfoByMaterial(material);
+        const transforms = new Map();
+        let conflict = false;
+        for (const textureInfo of textureInfos) {
+            const transform = textureInfo.getExtension('KHR_texture_transform');
+            const texCoord = transform?.getTexCoord() ?? textureInfo.getTexCoord();
+            const key = transform ? JSON.stringify([transform.getOffset(), transform.getRotation(), transform.getScale()]) : null;
+            conflict ||= transforms.has(texCoord) && transforms.get(texCoord).key !== key;
+            transforms.set(texCoord, { key, textureInfo });
+        }
+        if (conflict) {
+            console.warn(`Material "${material.getName()}" reads one set of texture coordinates with different transforms; its KHR_texture_transform was kept.`);
+            continue;
+        }
+
+        for (const primitive of material.listParents().filter(parent => parent instanceof Primitive)) {
+            for (const [texCoord, { key, textureInfo }] of transforms) {
+                const accessor = primitive.getAttribute(`TEXCOORD_${texCoord}`);
+                if (key === null || !accessor) {
+                    continue;
+                }
+                if (!copies.has(accessor)) {
+                    copies.set(accessor, new Map());
+                }
+                if (!copies.get(accessor).has(key)) {
+                    const transform = textureTransform(textureInfo);
+                    const texcoords = new Float32Array(accessor.getCount() * 2);
+                    for (let i = 0; i < accessor.getCount(); i++) {
+                        texcoords.set(transform(accessor.getElement(i, [])), i * 2);
+                    }
+                    copies.get(accessor).set(key, document.createAccessor(accessor.getName())
+                        .setType('VEC2')
+                        .setArray(texcoords)
+                        .setBuffer(accessor.getBuffer()));
+                }
+                primitive.setAttribute(`TEXCOORD_${texCoord}`, copies.get(accessor).get(key));
+                replaced.add(accessor);
+            }
+        }
+
+        for (const textureInfo of textureInfos) {
+            const transform = textureInfo.getExtension('KHR_texture_transform');
+            if (transform) {
+                if (transform.getTexCoord() !== null) {
+                    textureInfo.setTexCoord(transform.getTexCoord());
+                }
+                textureInfo.setExtension('KHR_texture_transform', null);
+                baked++;
+            }
+        }
+    }
+
+    // Accessors only the transformed primitives used are no longer needed
+    for (const accessor of replaced) {
+        if (accessor.listParents().every(parent => parent === root)) {
+            accessor.dispose();
+        }
+    }
+    const remaining = root.listMaterials()
+        .some(material => listTextureInfoByMaterial(material).some(textureInfo => textureInfo.getExtension('KHR_texture_transform')));
+    if (!remaining) {
+        root.listExtensionsUsed().find(extension => extension.extensionName === 'KHR_texture_transform')?.dispose();
+    }
+    return baked;
+}
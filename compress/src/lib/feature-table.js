@@ -0,0 +1,108 @@
+// Feature table and batch table helpers shared by the b3dm/i3dm/pnts readers.
+// https://github.com/CesiumGS/3d-tiles/tree/main/specification/TileFormats/FeatureTable
+
+export const COMPONENT_TYPES = {
+    BYTE: Int8Array,
+    UNSIGNED_BYTE: Uint8Array,
+    SHORT: Int16Array,
+    UNSIGNED_SHORT: Uint16Array,
+    INT: Int32Array,
+    UNSIGNED_INT: Uint32Array,
+    FLOAT: Float32Array,
+    DOUBLE: Float64Array,
+};
+
+export const TYPE_COMPONENTS = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+};
+
+// Parse the JSON header of a feature or batch table. Writers pad it with spaces
+// or, incorrectly, with NUL bytes, so both are trimmed before parsing.
+export function parseTableJSON(buffer) {
+    if (!buffer || buffer.length === 0) {
+        return {};
+    }
+    const text = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength).toString('utf8').replace(/[\0\s]+$/, '');
+    return text ? JSON.parse(text) : {};
+}
+
+// Copy `count` values of `componentType` from the binary body starting at `byteOffset`.
+// The body is not guaranteed to be aligned for typed array views, hence the copy.
+export function readBinaryArray(binary, byteOffset, componentType, count) {
+    const ArrayType = COMPONENT_TYPES[componentType];
+    if (!ArrayType) {
+        throw new Error(`Unknown componentType "${componentType}".`);
+    }
+    const byteLength = count * ArrayType.BYTES_PER_ELEMENT;
+    if (byteOffset + byteLength > binary.length) {
+        throw new Error(`Binary property at byteOffset ${byteOffset} exceeds the binary body (${binary.length} bytes).`);
+    }
+    const bytes = new Uint8Array(byteLength);
+    bytes.set(binary.subarray(byteOffset, byteOffset + byteLength));
+    return new ArrayType(bytes.buffer);
+}
+
+// Read a global feature table property such as RTC_CENTER or BATCH_LENGTH, which is
+// either stored inline in the JSON or as a { byteOffset } reference into the binary body.
+// Returns undefined when the property is absent.
+export function getGlobalProperty(json, binary, name, componentType, count) {
+    const value = json[name];
+    if (value === undefined) {
+        return undefined;
+    }
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        const array = Array.from(readBinaryArray(binary, value.byteOffset ?? 0, componentType, count));
+        return count === 1 ? array[0] : array;
+    }
+    return value;
+}
+
+// Read the per-feature positions of an i3dm or pnts feature table, given either as POSITION or
+// as POSITION_QUANTIZED within the QUANTIZED_VOLUME_OFFSET/QUANTIZED_VOLUME_SCALE volume.
+// Quantized positions are returned relative to the volume offset, which is returned as `offset`
+// (null for POSITION) so that large offsets do not lose float precision.
+export function readPositions(featureTable, binary, count) {
+    if (featureTable.POSITION) {
+        return { positions: readBinaryArray(binary, featureTable.POSITION.byteOffset ?? 0, 'FLOAT', count * 3), offset: null };
+    }
+
+    if (!featureTable.POSITION_QUANTIZED) {
+        throw new Error('Feature table has neither POSITION nor POSITION_QUANTIZED.');
+    }
+    const quantized = readBinaryArray(binary, featureTable.POSITION_QUANTIZED.byteOffset ?? 0, 'UNSIGNED_SHORT', count * 3);
+    const offset = getGlobalProperty(featureTable, binary, 'QUANTIZED_VOLUME_OFFSET', 'FLOAT', 3);
+    const scale = getGlobalProperty(featureTable, binary, 'QUANTIZED_VOLUME_SCALE', 'FLOAT', 3);
+    if (!offset || !scale) {
+        throw new Error('POSITION_QUANTIZED requires QUANTIZED_VOLUME_OFFSET and QUANTIZED_VOLUME_SCALE.');
+    }
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count * 3; i++) {
+        positions[i] = (quantized[i] / 65535) * scale[i % 3];
+    }
+    return { positions, offset };
+}
+
+// Decode oct-encoded unit vectors (two components in 0..maxValue each) into a flat xyz array.
+// i3dm uses 16-bit components (OCT32P), pnts 8-bit ones (OCT16P).
+export function octDecodeAll(encoded, maxValue = 65535) {
+    if (!encoded) {
+        return null;
+    }
+    const result = new Float32Array((encoded.length / 2) * 3);
+    for (let i = 0; i < encoded.length / 2; i++) {
+        let x = (encoded[i * 2] / maxValue) * 2 - 1;
+        let y = (encoded[i * 2 + 1] / maxValue) * 2 - 1;
+        const z = 1 - Math.abs(x) - Math.abs(y);
+        if (z < 0) {
+            const oldX = x;
+            x = (1 - Math.abs(y)) * (oldX >= 0 ? 1 : -1);
+            y = (1 - Math.abs(oldX)) * (y >= 0 ? 1 : -1);
+        }
+        const length = Math.hypot(x, y, z) || 1;
+        result.set([x / length, y / length, z / length], i * 3);
+    }
+    return result;
+}
@@ -0,0 +1,21 @@
+import fs from 'fs';
+import path from 'path';
+
+// Recursively find all files in the directory whose extension is in `exts` (all of them without `exts`)
+export function findFiles(dir, exts) {
+    let results = [];
+    const list = fs.readdirSync(dir);
+    for (let file of list) {
+        file = path.resolve(dir, file);
+        const stat = fs.statSync(file);
+        if (stat && stat.isDirectory()) {
+            results = results.concat(findFiles(file, exts));
+        } else {
+            const ext = path.extname(file).toLowerCase();
+            if (!exts || exts.includes(ext)) {
+                results.push(file);
+            }
+        }
+    }
+    return results;
+}
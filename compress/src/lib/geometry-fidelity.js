@@ -0,0 +1,117 @@
+// Compare a document's vertex positions before and after a lossy encoding (Draco quantization).
+// Draco reorders and may merge vertices, so decoded vertices are matched to the nearest source
+// vertex rather than by index.
+
+// World-space positions of every mesh primitive in the document's scenes, as a flat
+// Float64Array of xyz, in the units of the glTF (metres for 3D Tiles)
+export function collectWorldPositions(document) {
+    const values = [];
+    for (const scene of document.getRoot().listScenes()) {
+        scene.traverse(node => {
+            const mesh = node.getMesh();
+            if (!mesh) {
+                return;
+            }
+            const m = node.getWorldMatrix();
+            for (const primitive of mesh.listPrimitives()) {
+                const position = primitive.getAttribute('POSITION');
+                if (!position) {
+                    continue;
+                }
+                const element = [0, 0, 0];
+                for (let i = 0; i < position.getCount(); i++) {
+                    const [x, y, z] = position.getElement(i, element);
+                    values.push(
+                        m[0] * x + m[4] * y + m[8] * z + m[12],
+                        m[1] * x + m[5] * y + m[9] * z + m[13],
+                        m[2] * x + m[6] * y + m[10] * z + m[14],
+                    );
+                }
+            }
+        });
+    }
+    return Float64Array.from(values);
+}
+
+// Displacement of the decoded vertices: for each, the distance to the nearest source vertex
+// (max and mean), and the vertex-to-vertex Hausdorff distance between the two sets.
+export function measureDisplacement(source, decoded) {
+    if (source.length === 0 || decoded.length === 0) {
+        return { maxDisplacement: 0, meanDisplacement: 0, hausdorff: 0 };
+    }
+    const forward = nearestDistances(decoded, source);
+    const backward = nearestDistances(source, decoded);
+    const max = distances => distances.reduce((a, b) => Math.max(a, b), 0);
+    const maxDisplacement = max(forward);
+    return {
+        maxDisplacement,
+        meanDisplacement: forward.reduce((a, b) => a + b, 0) / forward.length,
+        hausdorff: Math.max(maxDisplacement, max(backward)),
+    };
+}
+
+// For every point of `from`, the distance to the nearest point of `to`, found with a uniform
+// grid over `to` searched in growing rings of cells around the query
+function nearestDistances(from, to) {
+    const count = to.length / 3;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < to.length; i++) {
+        min[i % 3] = Math.min(min[i % 3], to[i]);
+        max[i % 3] = Math.max(max[i % 3], to[i]);
+    }
+    const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+    const cellSize = Math.max(extent / Math.max(1, Math.ceil(Math.cbrt(count))), 1e-9);
+    const dims = [0, 1, 2].map(axis => Math.floor((max[axis] - min[axis]) / cellSize) + 1);
+    const cellOf = (value, axis) => Math.min(dims[axis] - 1, Math.max(0, Math.floor((value - min[axis]) / cellSize)));
+    const cellIndex = (x, y, z) => x + dims[0] * (y + dims[1] * z);
+
+    // Points sorted by cell: the points of cell c are order[cellStart[c] .. cellStart[c + 1]]
+    const cells = new Int32Array(count);
+    const cellStart = new Int32Array(dims[0] * dims[1] * dims[2] + 1);
+    for (let i = 0; i < count; i++) {
+        cells[i] = cellIndex(cellOf(to[i * 3], 0), cellOf(to[i * 3 + 1], 1), cellOf(to[i * 3 + 2], 2));
+        cellStart[cells[i] + 1]++;
+    }
+    for (let c = 1; c < cellStart.length; c++) {
+        cellStart[c] += cellStart[c - 1];
+    }
+    const order = new Int32Array(count);
+    const fill = cellStart.slice(0, -1);
+    for (let i = 0; i < count; i++) {
+        order[fill[cells[i]]++] = i;
+    }
+
+    const maxRing = Math.max(...dims);
+    const distances = new Float64Array(from.length / 3);
+    for (let p = 0; p < distances.length; p++) {
+        const [x, y, z] = [from[p * 3], from[p * 3 + 1], from[p * 3 + 2]];
+        const [cx, cy, cz] = [cellOf(x, 0), cellOf(y, 1), cellOf(z, 2)];
+        // Squared distance to the nearest point found so far
+        let best = Infinity;
+        // Points in ring r are at least r - 1 cells away, so stop once the best is closer
+        for (let ring = 0; ring <= maxRing && best > (Math.max(0, ring - 1) * cellSize) ** 2; ring++) {
+            for (let dz = -ring; dz <= ring; dz++) {
+                for (let dy = -ring; dy <= ring; dy++) {
+                    for (let dx = -ring; dx <= ring; dx++) {
+                        if (Math.max(Math.abs(dx), Math.abs(dy), Math.abs(dz)) !== ring) {
+                            continue;
+                        }
+                        const [ix, iy, iz] = [cx + dx, cy + dy, cz + dz];
+                        if (ix < 0 || iy < 0 || iz < 0 || ix >= dims[0] || iy >= dims[1] || iz >= dims[2]) {
+                            continue;
+                        }
+                        const c = cellIndex(ix, iy, iz);
+                        for (let k = cellStart[c]; k < cellStart[c + 1]; k++) {
+                            const q = order[k] * 3;
+                            const d = (to[q] - x) ** 2 + (to[q + 1] - y) ** 2 + (to[q + 2] - z) ** 2;
+                            best = Math.min(best, d);
+                        }
+                    }
+                }
+            }
+        }
+        distances[p] = Math.sqrt(best);
+    }
+    return distances;
+}
@@ -0,0 +1,122 @@
+import { getIO } from './io.js';
+import { writeB3dm, B3DM_HEADER_LENGTH } from './b3dm.js';
+import { alignGlb } from './glb.js';
+import { convertPropertyTable } from './batch-table.js';
+
+// b3dm sections start on 8-byte boundaries
+const SECTION_ALIGNMENT = 8;
+
+// Wrap a document in a b3dm for 3D Tiles 1.0 viewers, the reverse of convertB3dmToGlb(). The
+// document is edited in place before it is written as the b3dm's glb:
+// - the first attribute feature ID of each primitive's EXT_mesh_features becomes its _BATCHID
+//   attribute; other feature IDs are dropped
+// - the EXT_structural_metadata property table those feature IDs refer to becomes the batch table
+// - a root node named RTC_CENTER, as convertB3dmToGlb() adds, becomes the RTC_CENTER property
+// - BATCH_LENGTH is the largest feature count, or the BATCH_LENGTH kept in the root extras, and
+//   covers the _BATCHID attributes the document already has
+export async function convertDocumentToB3dm(document) {
+    const io = await getIO();
+    const root = document.getRoot();
+    const { BATCH_LENGTH: keptBatchLength, ...extras } = root.getExtras();
+    root.setExtras(extras);
+
+    let batchLength = Number.isInteger(keptBatchLength) ? keptBatchLength : 0;
+    let propertyTable;
+    let droppedFeatureIds = false;
+    for (const mesh of root.listMeshes()) {
+        for (const primitive of mesh.listPrimitives()) {
+            const featureIds = primitive.getExtension('EXT_mesh_features')?.getFeatureIds() ?? [];
+            const featureId = featureIds.find(({ attribute }) => attribute !== undefined);
+            droppedFeatureIds ||= featureIds.some(other => other !== featureId);
+            // A glb made for 1.0 may already have batch IDs, which BATCH_LENGTH must cover
+            const batchIds = primitive.getAttribute('_BATCHID');
+            if (batchIds) {
+                batchLength = Math.max(batchLength, batchIds.getMax([])[0] + 1);
+            }
+            if (!featureId || batchIds) {
+                continue;
+            }
+
+            primitive.setAttribute('_BATCHID', primitive.getAttribute(`_FEATURE_ID_${featureId.attribute}`));
+            primitive.setAttribute(`_FEATURE_ID_${featureId.attribute}`, null);
+            batchLength = Math.max(batchLength, featureId.featureCount);
+            if (featureId.propertyTable !== undefined) {
+                if (propertyTable !== undefined && propertyTable !== featureId.propertyTable) {
+                    console.warn(`Feature IDs refer to property tables ${propertyTable} and ${featureId.propertyTable}; only the first becomes the batch table.`);
+                }
+                propertyTable ??= featureId.propertyTable;
+            }
+        }
+    }
+    if (droppedFeatureIds) {
+        console.warn('A b3dm has one feature ID per vertex: feature IDs after the first attribute of each primitive were dropped.');
+    }
+
+    let batchTable = null;
+    const metadata = root.getExtension('EXT_structural_metadata');
+    if (metadata && propertyTable !== undefined) {
+        const table = metadata.getPropertyTables()[propertyTable];
+        if (!metadata.getSchema()) {
+            console.warn('The property table was dropped: its schema is external.');
+        } else if (table) {
+            batchTable = convertPropertyTable(metadata.getSchema(), table);
+        }
+    }
+    for (const extension of root.listExtensionsUsed()) {
+        if (['EXT_mesh_features', 'EXT_structural_metadata'].includes(extension.extensionName)) {
+            extension.dispose();
+        }
+    }
+
+    const featureTable = { BATCH_LENGTH: batchLength };
+    const rtcCenter = takeRootTranslation(document);
+    if (rtcCenter) {
+        featureTable.RTC_CENTER = rtcCenter;
+    }
+
+    // Each section is padded so the next one starts on an 8-byte boundary of the b3dm
+    let byteOffset = B3DM_HEADER_LENGTH;
+    const section = (data, fill) => {
+        const padding = (SECTION_ALIGNMENT - ((byteOffset + data.length) % SECTION_ALIGNMENT)) % SECTION_ALIGNMENT;
+        byteOffset += data.length + padding;
+        return Buffer.concat([data, Buffer.alloc(padding, fill)]);
+    };
+    const hasBatchTable = batchTable && Object.keys(batchTable.json).length > 0;
+    return writeB3dm({
+        featureTableJSON: section(Buffer.from(JSON.stringify(featureTable), 'utf8'), 0x20),
+        featureTableBinary: null,
+        batchTableJSON: hasBatchTable ? section(Buffer.from(JSON.stringify(batchTable.json), 'utf8'), 0x20) : null,
+        batchTableBinary: hasBatchTable ? section(batchTable.binary, 0x00) : null,
+        glb: alignGlb(Buffer.from(await io.writeBinary(document))),
+    });
+}
+
+// Remove the RTC_CENTER node convertB3dmToGlb() puts above every scene's root nodes and return its
+// translation in the tile's z-up frame, or null (and leave the document alone) if the scenes do
+// not all have one with the same translation
+function takeRootTranslation(document) {
+    const scenes = document.getRoot().listScenes();
+    const nodes = scenes.map(scene => {
+        const children = scene.listChildren();
+        const node = children.length === 1 ? children[0] : null;
+        const isTranslation = node && node.getName() === 'RTC_CENTER' && !node.getMesh()
+            && node.getRotation().every((value, i) => value === (i === 3 ? 1 : 0))
+            && node.getScale().every(value => value === 1);
+        return isTranslation ? node : null;
+    });
+    const [x, y, z] = nodes[0]?.getTranslation() ?? [];
+    if (nodes.length === 0 || !nodes.every(node => node && node.getTranslation().every((value, i) => value === [x, y, z][i]))) {
+        return null;
+    }
+
+    scenes.forEach((scene, i) => {
+        for (const child of nodes[i].listChildren()) {
+            nodes[i].removeChild(child);
+            scene.addChild(child);
+        }
+        scene.removeChild(nodes[i]);
+    });
+    new Set(nodes).forEach(node => node.dispose());
+    // The inverse of the y-up to z-up rotation in addRootTranslation()
+    return [x, -z, y];
+}
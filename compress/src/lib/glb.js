@@ -0,0 +1,85 @@
+// Minimal GLB container reading and writing, for edits that must not re-encode the
+// mesh data (e.g. Draco-compressed payloads extracted from b3dm).
+// https://registry.khronos.org/glTF/specs/2.0/glTF-2.0.html#binary-gltf-layout
+
+const GLB_MAGIC = 0x46546C67; // 'glTF'
+const CHUNK_JSON = 0x4E4F534A;
+const CHUNK_BIN = 0x004E4942;
+
+export function parseGlb(buffer) {
+    if (buffer.length < 20 || buffer.readUInt32LE(0) !== GLB_MAGIC) {
+        throw new Error('Invalid glb magic.');
+    }
+    const version = buffer.readUInt32LE(4);
+    if (version !== 2) {
+        throw new Error(`Unsupported glb version ${version}.`);
+    }
+    const length = Math.min(buffer.readUInt32LE(8), buffer.length);
+
+    let json = null;
+    let bin = null;
+    let offset = 12;
+    while (offset + 8 <= length) {
+        const chunkLength = buffer.readUInt32LE(offset);
+        const chunkType = buffer.readUInt32LE(offset + 4);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + chunkLength);
+        if (chunkType === CHUNK_JSON) {
+            json = JSON.parse(chunk.toString('utf8'));
+        } else if (chunkType === CHUNK_BIN && !bin) {
+            bin = chunk;
+        }
+        offset += 8 + chunkLength;
+    }
+
+    if (!json) {
+        throw new Error('glb has no JSON chunk.');
+    }
+    return { json, bin };
+}
+
+export function writeGlb({ json, bin }) {
+    const jsonChunk = padBuffer(Buffer.from(JSON.stringify(json), 'utf8'), 0x20);
+    const chunks = [chunkHeader(jsonChunk.length, CHUNK_JSON), jsonChunk];
+    if (bin && bin.length > 0) {
+        const binChunk = padBuffer(Buffer.from(bin.buffer, bin.byteOffset, bin.byteLength), 0x00);
+        chunks.push(chunkHeader(binChunk.length, CHUNK_BIN), binChunk);
+    }
+
+    const header = Buffer.alloc(12);
+    const totalLength = header.length + chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    header.writeUInt32LE(GLB_MAGIC, 0);
+    header.writeUInt32LE(2, 4);
+    header.writeUInt32LE(totalLength, 8);
+    return Buffer.concat([header, ...chunks], totalLength);
+}
+
+// Pad a glb's JSON chunk with spaces so the glb ends on an `alignment`-byte boundary, as the
+// glb section of a b3dm or i3dm must. Chunks are 4-byte aligned, so this adds at most 4 bytes.
+export function alignGlb(buffer, alignment = 8) {
+    const padding = (alignment - (buffer.length % alignment)) % alignment;
+    if (padding === 0) {
+        return buffer;
+    }
+    const jsonLength = buffer.readUInt32LE(12);
+    const aligned = Buffer.concat([
+        buffer.subarray(0, 20 + jsonLength),
+        Buffer.alloc(padding, 0x20),
+        buffer.subarray(20 + jsonLength),
+    ]);
+    aligned.writeUInt32LE(aligned.length, 8);
+    aligned.writeUInt32LE(jsonLength + padding, 12);
+    return aligned;
+}
+
+function chunkHeader(length, type) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32LE(length, 0);
+    header.writeUInt32LE(type, 4);
+    return header;
+}
+
+// Pad a buffer to a 4-byte boundary with the given fill byte
+function padBuffer(buffer, fill) {
+    const remainder = buffer.length % 4;
+    return remainder === 0 ? buffer : Buffer.concat([buffer, Buffer.alloc(4 - remainder, fill)]);
+}
@@ -0,0 +1,241 @@
+import path from 'path';
+import { Logger, PropertyType } from '@gltf-transform/core';
+import { EXTMeshGPUInstancing } from '@gltf-transform/extensions';
+import { flatten, clearNodeTransform } from '@gltf-transform/functions';
+import { getIO } from './io.js';
+import { parseI3dm } from './i3dm.js';
+import { parseTableJSON, getGlobalProperty, readBinaryArray, readPositions, octDecodeAll } from './feature-table.js';
+import { convertBatchTable } from './batch-table.js';
+import { readInputDocument } from './input-files.js';
+import { EXTInstanceFeatures } from '../extensions/ext-instance-features.js';
+import { EXTStructuralMetadata } from '../extensions/ext-structural-metadata.js';
+
+// WGS84 radii, for EAST_NORTH_UP instance orientations
+const WGS84_RADIUS_EQUATOR = 6378137.0;
+const WGS84_RADIUS_POLAR = 6356752.3142451793;
+
+// Convert an i3dm into a glTF document that draws its instances with EXT_mesh_gpu_instancing,
+// for use as 3D Tiles 1.1 content. `file` is the i3dm's path, used to resolve an external glTF
+// (gltfFormat 0).
+// - node transforms are baked into the meshes so instance transforms apply directly
+// - instance positions, rotations (NORMAL_UP/NORMAL_RIGHT, their oct-encoded forms or
+//   EAST_NORTH_UP) and scales become TRANSLATION/ROTATION/SCALE instance attributes
+// - RTC_CENTER becomes a root node translation
+// - BATCH_ID and the batch table become EXT_instance_features and EXT_structural_metadata
+export async function convertI3dmToDocument(buffer, file) {
+    const io = await getIO();
+    const i3dm = parseI3dm(buffer);
+    const document = i3dm.glb
+        ? await io.readBinary(i3dm.glb)
+        : await readInputDocument(io, path.resolve(path.dirname(file), decodeURIComponent(i3dm.gltfUri)));
+    // flatten() prunes and would report it for every tile on stdout
+    document.setLogger(new Logger(Logger.Verbosity.WARN));
+
+    const featureTable = parseTableJSON(i3dm.featureTableJSON);
+    const instances = readInstances(featureTable, i3dm.featureTableBinary);
+
+    await document.transform(flatten());
+    const root = document.getRoot();
+    const buffer0 = root.listBuffers()[0] || document.createBuffer();
+    const meshNodes = root.listNodes().filter(node => node.getMesh());
+
+    for (const node of meshNodes) {
+        // Meshes shared between nodes would otherwise be transformed once per node
+        if (node.getMesh().listParents().filter(parent => parent.propertyType === PropertyType.NODE).length > 1) {
+            node.setMesh(node.getMesh().clone());
+        }
+        clearNodeTransform(node);
+    }
+
+    const instancing = document.createExtension(EXTMeshGPUInstancing);
+    const instanceFeaturesExtension = document.createExtension(EXTInstanceFeatures);
+    const attributes = {
+        TRANSLATION: document.createAccessor().setType('VEC3').setArray(instances.translations).setBuffer(buffer0),
+    };
+    if (instances.rotations) {
+        attributes.ROTATION = document.createAccessor().setType('VEC4').setArray(instances.rotations).setBuffer(buffer0);
+    }
+    if (instances.scales) {
+        attributes.SCALE = document.createAccessor().setType('VEC3').setArray(instances.scales).setBuffer(buffer0);
+    }
+    if (instances.batchIds) {
+        attributes._FEATURE_ID_0 = document.createAccessor().setType('SCALAR').setArray(instances.batchIds).setBuffer(buffer0);
+    }
+
+    const featureId = createInstanceFeatureId(document, featureTable, instances, i3dm);
+
+    for (const node of meshNodes) {
+        const instancedMesh = instancing.createInstancedMesh();
+        for (const [semantic, accessor] of Object.entries(attributes)) {
+            instancedMesh.setAttribute(semantic, accessor);
+        }
+        node.setExtension('EXT_mesh_gpu_instancing', instancedMesh);
+        if (featureId) {
+            const instanceFeatures = instanceFeaturesExtension.createInstanceFeatures().setFeatureIds([featureId]);
+            node.setExtension('EXT_instance_features', instanceFeatures);
+        }
+    }
+
+    const rtcCenter = getGlobalProperty(featureTable, i3dm.featureTableBinary, 'RTC_CENTER', 'FLOAT', 3);
+    if (rtcCenter) {
+        // Tile frame is z-up, glTF is y-up (see b3dm-to-glb.js)
+        const [x, y, z] = rtcCenter;
+        for (const scene of root.listScenes()) {
+            const rtcNode = document.createNode('RTC_CENTER').setTranslation([x, z, -y]);
+            for (const child of scene.listChildren()) {
+                scene.removeChild(child);
+                rtcNode.addChild(child);
+            }
+            scene.addChild(rtcNode);
+        }
+    }
+
+    return document;
+}
+
+// Add the batch table as a property table and return the EXT_instance_features feature ID
+// definition for the instances, or null when the i3dm has no per-instance features.
+function createInstanceFeatureId(document, featureTable, instances, i3dm) {
+    const batchLength = instances.batchIds
+        ? instances.batchIds.reduce((max, id) => Math.max(max, id + 1), 0)
+        : instances.count;
+    const batchTableJSON = parseTableJSON(i3dm.batchTableJSON);
+    const batchTable = Object.keys(batchTableJSON).length > 0
+        ? convertBatchTable(batchTableJSON, i3dm.batchTableBinary, batchLength)
+        : null;
+
+    if (!batchTable && !instances.batchIds) {
+        return null;
+    }
+
+    // Without BATCH_ID the instance index is the feature ID
+    const featureId = { featureCount: batchLength };
+    if (instances.batchIds) {
+        featureId.attribute = 0;
+    }
+    if (batchTable) {
+        const metadata = document.createExtension(EXTStructuralMetadata).createStructuralMetadata()
+            .setSchema(batchTable.schema)
+            .setPropertyTables([batchTable.propertyTable]);
+        document.getRoot().setExtension('EXT_structural_metadata', metadata);
+        featureId.propertyTable = 0;
+    }
+    return featureId;
+}
+
+// Read per-instance transforms from the feature table, converted to the glTF y-up frame
+function readInstances(featureTable, binary) {
+    const count = getGlobalProperty(featureTable, binary, 'INSTANCES_LENGTH', 'UNSIGNED_INT', 1);
+    if (!count) {
+        throw new Error('i3dm feature table has no INSTANCES_LENGTH.');
+    }
+
+    const readProperty = (name, componentType, components) => {
+        const property = featureTable[name];
+        return property ? readBinaryArray(binary, property.byteOffset ?? 0, componentType, count * components) : null;
+    };
+
+    const { positions, offset } = readPositions(featureTable, binary, count);
+    const position = i => [0, 1, 2].map(j => positions[i * 3 + j] + (offset ? offset[j] : 0));
+    const translations = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        const [x, y, z] = position(i);
+        translations.set([x, z, -y], i * 3);
+    }
+
+    let rotations = null;
+    const up = readProperty('NORMAL_UP', 'FLOAT', 3) || octDecodeAll(readProperty('NORMAL_UP_OCT32P', 'UNSIGNED_SHORT', 2));
+    const right = readProperty('NORMAL_RIGHT', 'FLOAT', 3) || octDecodeAll(readProperty('NORMAL_RIGHT_OCT32P', 'UNSIGNED_SHORT', 2));
+    const eastNorthUp = getGlobalProperty(featureTable, binary, 'EAST_NORTH_UP', 'UNSIGNED_BYTE', 1);
+    if ((up && right) || eastNorthUp) {
+        const rtcCenter = getGlobalProperty(featureTable, binary, 'RTC_CENTER', 'FLOAT', 3) || [0, 0, 0];
+        rotations = new Float32Array(count * 4);
+        for (let i = 0; i < count; i++) {
+            const axes = up && right
+                ? instanceAxes(right.subarray(i * 3, i * 3 + 3), up.subarray(i * 3, i * 3 + 3))
+                : eastNorthUpAxes(position(i).map((value, j) => value + rtcCenter[j]));
+            rotations.set(toYUpQuaternion(axes), i * 4);
+        }
+    }
+
+    let scales = null;
+    const scale = readProperty('SCALE', 'FLOAT', 1);
+    const scaleNonUniform = readProperty('SCALE_NON_UNIFORM', 'FLOAT', 3);
+    if (scale || scaleNonUniform) {
+        scales = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            const s = scale ? scale[i] : 1;
+            const [sx, sy, sz] = scaleNonUniform ? scaleNonUniform.subarray(i * 3, i * 3 + 3) : [1, 1, 1];
+            // Swapping y and z is the y-up equivalent of a z-up axis-aligned scale
+            scales.set([s * sx, s * sz, s * sy], i * 3);
+        }
+    }
+
+    let batchIds = null;
+    if (featureTable.BATCH_ID) {
+        const ids = readProperty('BATCH_ID', featureTable.BATCH_ID.componentType || 'UNSIGNED_SHORT', 1);
+        const max = ids.reduce((a, b) => Math.max(a, b), 0);
+        // Vertex attributes cannot use UNSIGNED_INT
+        batchIds = max <= 255 ? Uint8Array.from(ids) : max <= 65535 ? Uint16Array.from(ids) : Float32Array.from(ids);
+    }
+
+    return { count, translations, rotations, scales, batchIds };
+}
+
+// Rotation matrix columns [right, up, forward] of an instance, forward = right × up
+function instanceAxes(right, up) {
+    const r = normalize(Array.from(right));
+    const u = normalize(Array.from(up));
+    return [r, u, cross(r, u)];
+}
+
+// East-north-up frame at an ECEF position on the WGS84 ellipsoid
+function eastNorthUpAxes([x, y, z]) {
+    const a2 = WGS84_RADIUS_EQUATOR * WGS84_RADIUS_EQUATOR;
+    const b2 = WGS84_RADIUS_POLAR * WGS84_RADIUS_POLAR;
+    const up = normalize([x / a2, y / a2, z / b2]);
+    const east = x === 0 && y === 0 ? [0, 1, 0] : normalize([-y, x, 0]);
+    return [east, cross(up, east), up];
+}
+
+// Quaternion [x, y, z, w] of a z-up rotation given by its column axes, expressed in the
+// y-up glTF frame. The glTF x, y and z axes are the tile's x, z and -y axes, so the
+// converted columns are the tile columns for x, z and -y, each mapped to (x, z, -y).
+function toYUpQuaternion([c0, c1, c2]) {
+    const toYUp = ([x, y, z]) => [x, z, -y];
+    const m0 = toYUp(c0);
+    const m1 = toYUp(c2);
+    const m2 = toYUp(c1).map(v => -v);
+    return quaternionFromColumns(m0, m1, m2);
+}
+
+function quaternionFromColumns(c0, c1, c2) {
+    const [m00, m10, m20] = c0;
+    const [m01, m11, m21] = c1;
+    const [m02, m12, m22] = c2;
+    const trace = m00 + m11 + m22;
+    let q;
+    if (trace > 0) {
+        const s = Math.sqrt(trace + 1) * 2;
+        q = [(m21 - m12) / s, (m02 - m20) / s, (m10 - m01) / s, s / 4];
+    } else if (m00 > m11 && m00 > m22) {
+        const s = Math.sqrt(1 + m00 - m11 - m22) * 2;
+        q = [s / 4, (m01 + m10) / s, (m02 + m20) / s, (m21 - m12) / s];
+    } else if (m11 > m22) {
+        const s = Math.sqrt(1 + m11 - m00 - m22) * 2;
+        q = [(m01 + m10) / s, s / 4, (m12 + m21) / s, (m02 - m20) / s];
+    } else {
+        const s = Math.sqrt(1 + m22 - m00 - m11) * 2;
+        q = [(m02 + m20) / s, (m12 + m21) / s, s / 4, (m10 - m01) / s];
+    }
+    return normalize(q);
+}
+
+function cross([ax, ay, az], [bx, by, bz]) {
+    return [ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx];
+}
+
+function normalize(v) {
+    const length = Math.hypot(...v) || 1;
+    return v.map(value => value / length);
+}
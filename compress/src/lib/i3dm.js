@@ -0,0 +1,80 @@
+// Instanced 3D Model (i3dm) reading and writing.
+// https://github.com/CesiumGS/3d-tiles/tree/main/specification/TileFormats/Instanced3DModel
+
+export const I3DM_MAGIC = 'i3dm';
+export const I3DM_HEADER_LENGTH = 32;
+
+// gltfFormat values
+export const GLTF_FORMAT_URI = 0;
+export const GLTF_FORMAT_EMBEDDED = 1;
+
+// Split an i3dm buffer into its header fields, feature table, batch table and glTF section.
+// With gltfFormat 0 the glTF section is a URI, returned as `gltfUri`; otherwise it is
+// returned as the `glb` bytes. Returned sections are views into the input buffer.
+export function parseI3dm(arrayBuffer) {
+    if (arrayBuffer.length < I3DM_HEADER_LENGTH) {
+        throw new Error(`File is too short to be an i3dm (${arrayBuffer.length} bytes).`);
+    }
+
+    const magic = arrayBuffer.toString('utf8', 0, 4);
+    if (magic !== I3DM_MAGIC) {
+        throw new Error(`Invalid i3dm magic "${magic}".`);
+    }
+
+    const version = arrayBuffer.readInt32LE(4);
+    const byteLength = arrayBuffer.readInt32LE(8);
+    const featureTableJSONByteLength = arrayBuffer.readInt32LE(12);
+    const featureTableBinaryByteLength = arrayBuffer.readInt32LE(16);
+    const batchTableJSONByteLength = arrayBuffer.readInt32LE(20);
+    const batchTableBinaryByteLength = arrayBuffer.readInt32LE(24);
+    const gltfFormat = arrayBuffer.readInt32LE(28);
+
+    const featureTableStart = I3DM_HEADER_LENGTH;
+    const batchTableStart = featureTableStart + featureTableJSONByteLength + featureTableBinaryByteLength;
+    const gltfStart = batchTableStart + batchTableJSONByteLength + batchTableBinaryByteLength;
+
+    if (gltfStart > arrayBuffer.length) {
+        throw new Error(`i3dm sections (${gltfStart} bytes) exceed the file length (${arrayBuffer.length} bytes).`);
+    }
+
+    const gltf = arrayBuffer.subarray(gltfStart, Math.min(byteLength, arrayBuffer.length));
+
+    return {
+        version,
+        byteLength,
+        gltfFormat,
+        featureTableJSON: arrayBuffer.subarray(featureTableStart, featureTableStart + featureTableJSONByteLength),
+        featureTableBinary: arrayBuffer.subarray(featureTableStart + featureTableJSONByteLength, batchTableStart),
+        batchTableJSON: arrayBuffer.subarray(batchTableStart, batchTableStart + batchTableJSONByteLength),
+        batchTableBinary: arrayBuffer.subarray(batchTableStart + batchTableJSONByteLength, gltfStart),
+        glb: gltfFormat === GLTF_FORMAT_URI ? null : gltf,
+        // The URI is padded with spaces (or, by some writers, NUL bytes) to an 8-byte boundary
+        gltfUri: gltfFormat === GLTF_FORMAT_URI ? gltf.toString('utf8').replace(/[\0\s]+$/, '') : null,
+    };
+}
+
+// Assemble an i3dm from its sections, embedding `glb` or referencing `gltfUri`.
+// The glTF section is padded to an 8-byte boundary; the other sections are written as given.
+export function writeI3dm({ version = 1, featureTableJSON, featureTableBinary, batchTableJSON, batchTableBinary, glb, gltfUri }) {
+    const gltfFormat = gltfUri ? GLTF_FORMAT_URI : GLTF_FORMAT_EMBEDDED;
+    const gltf = gltfUri ? Buffer.from(gltfUri, 'utf8') : glb;
+    const sections = [featureTableJSON, featureTableBinary, batchTableJSON, batchTableBinary, gltf]
+        .map(section => section || Buffer.alloc(0));
+
+    const unpadded = I3DM_HEADER_LENGTH + sections.reduce((sum, section) => sum + section.length, 0);
+    const padding = (8 - (unpadded % 8)) % 8;
+    sections.push(Buffer.alloc(padding, gltfUri ? 0x20 : 0x00));
+    const totalLength = unpadded + padding;
+
+    const header = Buffer.alloc(I3DM_HEADER_LENGTH);
+    header.write(I3DM_MAGIC, 0, 'utf8');
+    header.writeInt32LE(version, 4);
+    header.writeInt32LE(totalLength, 8);
+    header.writeInt32LE(sections[0].length, 12);
+    header.writeInt32LE(sections[1].length, 16);
+    header.writeInt32LE(sections[2].length, 20);
+    header.writeInt32LE(sections[3].length, 24);
+    header.writeInt32LE(gltfFormat, 28);
+
+    return Buffer.concat([header, ...sections], totalLength);
+}
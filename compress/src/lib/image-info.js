@@ -0,0 +1,106 @@
+// Format and size of an encoded texture image, read from its header without decoding it.
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47];
+const KTX2_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+// KTX2 supercompressionScheme of BasisLZ, used by ETC1S; UASTC uses none or Zstandard
+const KTX2_SUPERCOMPRESSION_BASISLZ = 1;
+
+const startsWith = (bytes, signature) => signature.every((byte, i) => bytes[i] === byte);
+
+// Returns { format: 'PNG' | 'JPG' | 'WEBP' | 'KTX2' | 'unknown', width, height } and for KTX2
+// `levels` and `mode` ('ETC1S' or 'UASTC'). Width and height are null when unknown.
+export function readImageInfo(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (startsWith(bytes, KTX2_IDENTIFIER) && bytes.length >= 48) {
+        return {
+            format: 'KTX2',
+            width: view.getUint32(20, true),
+            height: view.getUint32(24, true),
+            levels: Math.max(1, view.getUint32(40, true)),
+            mode: view.getUint32(44, true) === KTX2_SUPERCOMPRESSION_BASISLZ ? 'ETC1S' : 'UASTC',
+        };
+    }
+    if (startsWith(bytes, PNG_SIGNATURE) && bytes.length >= 24) {
+        return { format: 'PNG', width: view.getUint32(16), height: view.getUint32(20) };
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+        return { format: 'JPG', ...readJpegSize(bytes, view) };
+    }
+    if (bytes.length >= 30 && String.fromCharCode(...bytes.subarray(0, 4)) === 'RIFF'
+        && String.fromCharCode(...bytes.subarray(8, 12)) === 'WEBP') {
+        return { format: 'WEBP', ...readWebpSize(bytes, view) };
+    }
+    return { format: 'unknown', width: null, height: null };
+}
+
+// Key/value metadata of a KTX2 file as strings, e.g. KTXwriterScParams with the options the
+// file was encoded with. Empty for other images.
+export function readKtx2KeyValues(bytes) {
+    const values = {};
+    if (!startsWith(bytes, KTX2_IDENTIFIER) || bytes.length < 64) {
+        return values;
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const start = view.getUint32(56, true);
+    const end = Math.min(start + view.getUint32(60, true), bytes.length);
+    // Each entry is a length, then key\0value, padded to 4 bytes
+    for (let offset = start; offset + 4 <= end;) {
+        const length = view.getUint32(offset, true);
+        const entry = Buffer.from(bytes.subarray(offset + 4, Math.min(offset + 4 + length, end)));
+        const separator = entry.indexOf(0);
+        if (separator > 0) {
+            values[entry.toString('utf8', 0, separator)] = entry.toString('utf8', separator + 1).replace(/\0$/, '');
+        }
+        offset += 4 + Math.ceil(length / 4) * 4;
+    }
+    return values;
+}
+
+// The size is in the first start-of-frame segment (SOF0-SOF15, except DHT, JPG and DAC)
+function readJpegSize(bytes, view) {
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+        if (bytes[offset] !== 0xFF) {
+            offset++;
+            continue;
+        }
+        const marker = bytes[offset + 1];
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+        }
+        offset += 2 + view.getUint16(offset + 2);
+    }
+    return { width: null, height: null };
+}
+
+function readWebpSize(bytes, view) {
+    const chunk = String.fromCharCode(...bytes.subarray(12, 16));
+    if (chunk === 'VP8 ') {
+        return { width: view.getUint16(26, true) & 0x3FFF, height: view.getUint16(28, true) & 0x3FFF };
+    }
+    if (chunk === 'VP8L') {
+        const bits = view.getUint32(21, true);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    if (chunk === 'VP8X') {
+        const width = 1 + (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16));
+        const height = 1 + (bytes[27] | (bytes[28] << 8) | (bytes[29] << 16));
+        return { width, height };
+    }
+    return { width: null, height: null };
+}
+
+// Estimated GPU memory of a texture in bytes: PNG, JPG and WebP are uploaded as RGBA8 with a
+// full mip chain; KTX2 is transcoded to a block format of 0.5 (ETC1S) or 1 (UASTC) byte per
+// pixel, with the mip levels it stores.
+export function estimateTextureMemory({ format, width, height, levels, mode }) {
+    if (!width || !height) {
+        return 0;
+    }
+    if (format === 'KTX2') {
+        const bytesPerPixel = mode === 'ETC1S' ? 0.5 : 1;
+        return Math.round(width * height * bytesPerPixel * (levels > 1 ? 4 / 3 : 1));
+    }
+    return Math.round(width * height * 4 * 4 / 3);
+}
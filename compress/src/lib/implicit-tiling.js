@@ -0,0 +1,467 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { parseJsonSource, nodeValue, getMember, applyEdits, formatJson } from './json-source.js';
+import { tileContents, resolveContent, assetVersionEdit } from './tileset-json.js';
+import { isValidBoundingVolume, transformBoundingVolume, volumeContainsVolume } from './bounding-volume.js';
+import { parseSubtree, isAvailable, writeSubtree } from './subtree.js';
+
+// Children per tile and coordinates per tile of each subdivision scheme
+export const SCHEMES = {
+    QUADTREE: { children: 4, dimensions: 2 },
+    OCTREE: { children: 8, dimensions: 3 },
+};
+
+// Levels per subtree file when --subtree-levels is not given: about 5000 tiles either way
+export const DEFAULT_SUBTREE_LEVELS = { QUADTREE: 7, OCTREE: 5 };
+
+// Folders, next to the tileset JSON (or under the implicit root tile's id for a tile below the
+// root), of the renamed contents and of the subtree files
+const CONTENT_FOLDER = 'content';
+const SUBTREES_FOLDER = 'subtrees';
+
+// A tile's geometricError may differ this much, relatively, from the root's halved per level
+const GEOMETRIC_ERROR_TOLERANCE = 1e-3;
+
+// Properties an implicit tile has no place for, besides content and children
+const TILE_PROPERTIES = ['boundingVolume', 'geometricError', 'refine', 'content', 'contents', 'children'];
+
+// Convert the regular quadtree and octree subtrees of the tileset JSON at `tilesetFile` to
+// implicit tiling, in place. From the root down, the first tile whose descendants all sit in the
+// cells of an even split of their parent's volume (x and y for a quadtree, z too for an octree),
+// one child per cell, is converted with all of its descendants. Every tile below it must have a
+// geometricError of the root's halved once per level, no transform and the same refinement, and
+// at most one content, all of the same file type, with nothing but a uri. Leaves with another
+// geometricError (often 0) are converted all the same, as nothing refines them, and listed in
+// `changedErrors`, unless `strictErrors` is set. Contents are moved to
+// content/{level}/{x}/{y}[/{z}].<ext> and the tile availability written to
+// subtrees/{level}/{x}/{y}[/{z}].subtree, with `subtreeLevels` levels per subtree (default
+// DEFAULT_SUBTREE_LEVELS); the tile keeps its other properties.
+// Returns { converted: [{ tile, scheme, tiles, availableLevels, subtreeLevels, subtrees,
+// changedErrors: [{ tile, geometricError, implicitError }] }], reason }, `reason` telling why the
+// root could not be converted if nothing was.
+export function convertToImplicit(tilesetFile, { subtreeLevels, strictErrors = false } = {}) {
+    const text = fs.readFileSync(tilesetFile, 'utf8');
+    const json = parseJsonSource(text);
+    const dir = path.dirname(tilesetFile);
+
+    // How many contents refer to each file, so files still used elsewhere are copied, not moved
+    const references = new Map();
+    forEachTile(getMember(json, 'root').value, tile => {
+        for (const content of tileContents(tile)) {
+            const file = resolveContent(nodeValue(content), dir);
+            if (file) {
+                references.set(file, (references.get(file) ?? 0) + 1);
+            }
+        }
+    });
+
+    const edits = [];
+    const converted = [];
+    let rootReason = null;
+
+    function visit(node, id, parentRefine) {
+        const tile = nodeValue(node);
+        const refine = String(tile.refine ?? parentRefine).toUpperCase();
+        let reason = tile.implicitTiling ? `tile ${id} already uses implicit tiling` : null;
+        let layout = null;
+        if (!reason) {
+            for (const scheme of Object.keys(SCHEMES)) {
+                const result = layoutTiles(tile, id, scheme, refine, dir, strictErrors);
+                if (result.tiles) {
+                    layout = result;
+                    break;
+                }
+                reason = reason ?? result.reason;
+            }
+        }
+        if (!layout) {
+            rootReason = rootReason ?? reason;
+            (getMember(node, 'children')?.value.elements ?? [])
+                .filter(child => child.type === 'object')
+                .forEach((child, i) => visit(child, `${id}_${i}`, refine));
+            return;
+        }
+
+        const prefix = id === 'root' ? '' : `${id}/`;
+        const result = writeImplicitTiles(layout, { dir, prefix, subtreeLevels, references });
+        const { children, content, contents, ...rest } = tile;
+        const implicit = {
+            ...rest,
+            ...(result.contentTemplate && { content: { uri: result.contentTemplate } }),
+            implicitTiling: result.implicitTiling,
+        };
+        edits.push({ start: node.start, end: node.end, text: formatJson(implicit, text, node.start) });
+        converted.push({ tile: id, scheme: layout.scheme, tiles: layout.tiles.length, ...result.counts, changedErrors: layout.changedErrors });
+    }
+
+    // A root without `refine` is refined by replacement
+    visit(getMember(json, 'root').value, 'root', 'REPLACE');
+    if (converted.length > 0) {
+        const versionEdit = assetVersionEdit(json, text, '1.1');
+        if (versionEdit) {
+            edits.push(versionEdit);
+        }
+        fs.writeFileSync(tilesetFile, applyEdits(text, edits), 'utf8');
+    }
+    return { converted, reason: converted.length > 0 ? null : rootReason };
+}
+
+// Place `root` and its descendants on the grid of `scheme`. Returns { scheme, rootError,
+// extension, tiles: [{ level, coordinates, file }], changedErrors }, `file` being the tile's
+// content if any, `extension` the contents' file extension and `changedErrors` the leaves whose
+// geometricError is not the implicit one, or { reason } when the tree does not fit.
+function layoutTiles(root, id, scheme, refine, dir, strictErrors) {
+    const { children: childCount, dimensions } = SCHEMES[scheme];
+    if (!root.boundingVolume?.box && !root.boundingVolume?.region) {
+        return { reason: `tile ${id} has no box or region bounding volume` };
+    }
+    if (!Array.isArray(root.children) || root.children.length === 0) {
+        return { reason: `tile ${id} has no children` };
+    }
+    const rootError = root.geometricError;
+    if (!Number.isFinite(rootError) || rootError <= 0) {
+        return { reason: `tile ${id} has no positive geometricError to halve` };
+    }
+    const tiles = [];
+    const changedErrors = [];
+    let extension = null;
+
+    function place(tile, tileId, level, coordinates, volume) {
+        const isRoot = level === 0;
+        const extra = Object.keys(tile).find(key => !TILE_PROPERTIES.includes(key) && !isRoot);
+        if (extra) {
+            return `tile ${tileId} has a ${extra}, which implicit tiles cannot have`;
+        }
+        if (!isRoot && tile.refine !== undefined && String(tile.refine).toUpperCase() !== refine) {
+            return `tile ${tileId} changes the refinement to ${tile.refine}`;
+        }
+        const children = Array.isArray(tile.children) ? tile.children : [];
+        const expected = rootError / 2 ** level;
+        if (!isRoot && !(Math.abs(tile.geometricError - expected) <= GEOMETRIC_ERROR_TOLERANCE * expected)) {
+            if (children.length > 0 || strictErrors) {
+                return `tile ${tileId} has a geometricError of ${tile.geometricError} where implicit tiling gives ${expected} at level ${level} (the root's halved once per level)`;
+            }
+            changedErrors.push({ tile: tileId, geometricError: tile.geometricError, implicitError: expected });
+        }
+
+        const contents = tile.contents ?? (tile.content ? [tile.content] : []);
+        if (contents.length > 1) {
+            return `tile ${tileId} has ${contents.length} contents`;
+        }
+        let file = null;
+        if (contents.length === 1) {
+            const { uri, url, ...rest } = contents[0];
+            file = resolveContent(contents[0], dir);
+            const ext = file && path.extname(file).toLowerCase();
+            if (!file) {
+                return `tile ${tileId} has remote content`;
+            } else if (Object.keys(rest).length > 0) {
+                return `the content of tile ${tileId} has a ${Object.keys(rest)[0]}, which implicit content cannot have`;
+            } else if (ext === '.json') {
+                return `tile ${tileId} references an external tileset`;
+            } else if (extension !== null && ext !== extension) {
+                return `tile ${tileId} has ${ext} content where others have ${extension}`;
+            }
+            extension = ext;
+        }
+        tiles.push({ level, coordinates, file });
+
+        const used = new Set();
+        for (const [i, child] of children.entries()) {
+            const childId = `${tileId}_${i}`;
+            if (!isValidBoundingVolume(child?.boundingVolume)) {
+                return `tile ${childId} has no valid bounding volume`;
+            }
+            if (child.transform !== undefined) {
+                return `tile ${childId} has a transform`;
+            }
+            const childVolume = transformBoundingVolume(child.boundingVolume);
+            const cell = [...Array(childCount).keys()].find(index =>
+                !used.has(index) && volumeContainsVolume(transformBoundingVolume(subdivideVolume(volume, scheme, index)), childVolume));
+            if (cell === undefined) {
+                return `tile ${childId} is not inside a ${scheme.toLowerCase()} cell of its parent left to it`;
+            }
+            used.add(cell);
+            const bits = cellBits(cell, dimensions);
+            const reason = place(child, childId, level + 1, coordinates.map((value, axis) => value * 2 + bits[axis]), subdivideVolume(volume, scheme, cell));
+            if (reason) {
+                return reason;
+            }
+        }
+        return null;
+    }
+
+    const reason = place(root, id, 0, Array(dimensions).fill(0), root.boundingVolume);
+    if (reason) {
+        return { reason };
+    }
+    if (!tiles.some(tile => tile.level > 1)) {
+        return { reason: `tile ${id} has only one level of children` };
+    }
+    return { scheme, rootError, extension, tiles, changedErrors };
+}
+
+// Move the contents of the laid out tiles to their implicit names, write the subtree files and
+// return { implicitTiling, contentTemplate, counts }
+function writeImplicitTiles({ scheme, extension, tiles }, { dir, prefix, subtreeLevels, references }) {
+    const { children: childCount, dimensions } = SCHEMES[scheme];
+    const availableLevels = Math.max(...tiles.map(tile => tile.level)) + 1;
+    const levels = Math.min(subtreeLevels ?? DEFAULT_SUBTREE_LEVELS[scheme], availableLevels);
+    const axes = ['x', 'y', 'z'].slice(0, dimensions);
+    const template = folder => `${prefix}${folder}/{level}/${axes.map(axis => `{${axis}}`).join('/')}`;
+    const contentTemplate = extension !== null ? `${template(CONTENT_FOLDER)}${extension}` : null;
+    const subtreeTemplate = `${template(SUBTREES_FOLDER)}.subtree`;
+
+    // Subtrees by the level and coordinates of their root tile
+    const subtrees = new Map();
+    const subtree = (level, coordinates) => {
+        const key = expandTemplate(subtreeTemplate, level, coordinates);
+        if (!subtrees.has(key)) {
+            const bits = levelOffset(levels, childCount);
+            subtrees.set(key, {
+                tileAvailability: Array(bits).fill(0),
+                contentAvailability: [Array(bits).fill(0)],
+                childSubtreeAvailability: Array(childCount ** levels).fill(0),
+            });
+        }
+        return subtrees.get(key);
+    };
+    const moves = [];
+    for (const { level, coordinates, file } of tiles) {
+        const subtreeLevel = level - (level % levels);
+        const local = coordinates.map(value => value & ((1 << (level - subtreeLevel)) - 1));
+        const availability = subtree(subtreeLevel, coordinates.map(value => value >> (level - subtreeLevel)));
+        const index = levelOffset(level - subtreeLevel, childCount) + mortonIndex(local);
+        availability.tileAvailability[index] = 1;
+        if (file) {
+            availability.contentAvailability[0][index] = 1;
+            moves.push({ file, target: path.resolve(dir, expandTemplate(contentTemplate, level, coordinates)) });
+        }
+        if (subtreeLevel === level && level > 0) {
+            const parentLevel = level - levels;
+            const parentLocal = coordinates.map(value => value & ((1 << levels) - 1));
+            subtree(parentLevel, coordinates.map(value => value >> levels)).childSubtreeAvailability[mortonIndex(parentLocal)] = 1;
+        }
+    }
+
+    // A target may only replace a content that is moved away and used nowhere else
+    const uses = new Map();
+    moves.forEach(move => uses.set(move.file, (uses.get(move.file) ?? 0) + 1));
+    const freed = file => uses.has(file) && references.get(file) === uses.get(file);
+    const targets = [...moves.map(move => move.target), ...[...subtrees.keys()].map(key => path.resolve(dir, key))];
+    const taken = targets.find(target => fs.existsSync(target) && !freed(target));
+    if (taken) {
+        throw new Error(`${path.relative(dir, taken)} already exists and is not one of the converted contents.`);
+    }
+
+    // Through a temporary name first, since a content may be moved to where another one is now
+    const staging = path.join(dir, `.${CONTENT_FOLDER}-${process.pid}`);
+    moves.forEach((move, i) => {
+        move.staged = path.join(staging, String(i));
+        references.set(move.file, references.get(move.file) - 1);
+        if (references.get(move.file) > 0) {
+            fs.copySync(move.file, move.staged);
+        } else {
+            fs.moveSync(move.file, move.staged);
+            removeEmptyFolders(path.dirname(move.file), dir);
+        }
+    });
+    for (const move of moves) {
+        fs.moveSync(move.staged, move.target);
+    }
+    fs.removeSync(staging);
+    for (const [uri, availability] of subtrees) {
+        fs.outputFileSync(path.resolve(dir, uri), writeSubtree(availability));
+    }
+
+    return {
+        contentTemplate,
+        implicitTiling: {
+            subdivisionScheme: scheme,
+            subtreeLevels: levels,
+            availableLevels,
+            subtrees: { uri: subtreeTemplate },
+        },
+        counts: { availableLevels, subtreeLevels: levels, subtrees: subtrees.size },
+    };
+}
+
+// Expand every tile with implicit tiling in the tileset JSON at `tilesetFile` back into explicit
+// tiles, in place, for viewers without implicit tiling. Each available tile gets the bounding
+// volume of its cell, the root's geometricError halved once per level and the contents the
+// subtrees mark available; content files stay where they are and the subtree files are removed.
+// Returns { expanded: [{ tile, tiles, subtrees }] }.
+export function expandImplicitTiling(tilesetFile) {
+    const text = fs.readFileSync(tilesetFile, 'utf8');
+    const json = parseJsonSource(text);
+    const dir = path.dirname(tilesetFile);
+    const edits = [];
+    const expanded = [];
+    const subtreeFiles = new Set();
+
+    function visit(node, id) {
+        const implicitMember = getMember(node, 'implicitTiling');
+        if (!implicitMember) {
+            (getMember(node, 'children')?.value.elements ?? [])
+                .filter(child => child.type === 'object')
+                .forEach((child, i) => visit(child, `${id}_${i}`));
+            return;
+        }
+        const { implicitTiling, content, contents, ...rest } = nodeValue(node);
+        const scheme = SCHEMES[implicitTiling.subdivisionScheme];
+        if (!scheme) {
+            throw new Error(`Tile ${id} has an unknown subdivisionScheme "${implicitTiling.subdivisionScheme}".`);
+        }
+        const levels = implicitTiling.subtreeLevels;
+        const contentTemplates = (contents ?? (content ? [content] : [])).map(item => item.uri ?? item.url);
+        const subtreeTemplate = implicitTiling.subtrees?.uri;
+        if (typeof subtreeTemplate !== 'string' || resolveContent({ uri: subtreeTemplate }, dir) === null) {
+            throw new Error(`Tile ${id} has no local subtrees uri template.`);
+        }
+        let tileCount = 0;
+        let subtreeCount = 0;
+
+        const readSubtree = (level, coordinates) => {
+            const file = path.resolve(dir, expandTemplate(subtreeTemplate, level, coordinates));
+            const subtree = parseSubtree(fs.readFileSync(file), file);
+            subtreeFiles.add(file);
+            subtree.externalFiles.forEach(external => subtreeFiles.add(external));
+            subtreeCount++;
+            return subtree;
+        };
+
+        // The explicit tile at `level` and `coordinates`, with its descendants, or null if it is
+        // not available. `local` is its level in `subtree`, whose root is at `subtreeLevel`.
+        function buildTile(subtree, subtreeLevel, level, coordinates, boundingVolume) {
+            const localLevel = level - subtreeLevel;
+            const local = coordinates.map(value => value & ((1 << localLevel) - 1));
+            const index = levelOffset(localLevel, scheme.children) + mortonIndex(local);
+            if (!isAvailable(subtree.tileAvailability, index)) {
+                return null;
+            }
+            tileCount++;
+            const tileContentsList = contentTemplates
+                .filter((template, i) => subtree.contentAvailability[i] && isAvailable(subtree.contentAvailability[i], index))
+                .map(template => ({ uri: expandTemplate(template, level, coordinates) }));
+            const children = [];
+            for (let cell = 0; cell < scheme.children && level + 1 < implicitTiling.availableLevels; cell++) {
+                const bits = cellBits(cell, scheme.dimensions);
+                const childCoordinates = coordinates.map((value, axis) => value * 2 + bits[axis]);
+                const childVolume = subdivideVolume(boundingVolume, implicitTiling.subdivisionScheme, cell);
+                let child;
+                if (localLevel + 1 < levels) {
+                    child = buildTile(subtree, subtreeLevel, level + 1, childCoordinates, childVolume);
+                } else if (isAvailable(subtree.childSubtreeAvailability, mortonIndex(childCoordinates.map(value => value & ((1 << levels) - 1))))) {
+                    child = buildTile(readSubtree(level + 1, childCoordinates), level + 1, level + 1, childCoordinates, childVolume);
+                }
+                if (child) {
+                    children.push(child);
+                }
+            }
+            return {
+                boundingVolume,
+                geometricError: rest.geometricError / 2 ** level,
+                ...(tileContentsList.length === 1 && { content: tileContentsList[0] }),
+                ...(tileContentsList.length > 1 && { contents: tileContentsList }),
+                ...(children.length > 0 && { children }),
+            };
+        }
+
+        const origin = Array(scheme.dimensions).fill(0);
+        const tile = buildTile(readSubtree(0, origin), 0, 0, origin, rest.boundingVolume);
+        // The root keeps its own properties (transform, refine, metadata) even when unavailable
+        const { boundingVolume, geometricError, ...built } = tile ?? {};
+        edits.push({ start: node.start, end: node.end, text: formatJson({ ...rest, ...built }, text, node.start) });
+        expanded.push({ tile: id, tiles: tileCount, subtrees: subtreeCount });
+    }
+
+    visit(getMember(json, 'root').value, 'root');
+    if (expanded.length > 0) {
+        fs.writeFileSync(tilesetFile, applyEdits(text, edits), 'utf8');
+        for (const file of subtreeFiles) {
+            fs.removeSync(file);
+            removeEmptyFolders(path.dirname(file), dir);
+        }
+    }
+    return { expanded };
+}
+
+// The bounding volume of child `cell` (its Morton index) of a box or region volume. A quadtree
+// splits along x and y only: the box's first two axes, or the region's longitude and latitude.
+export function subdivideVolume(boundingVolume, scheme, cell) {
+    const [bx, by, bz] = cellBits(cell, SCHEMES[scheme].dimensions);
+    const octree = scheme === 'OCTREE';
+    if (boundingVolume.box) {
+        const box = boundingVolume.box;
+        const axes = [box.slice(3, 6), box.slice(6, 9), box.slice(9, 12)];
+        const signs = [bx, by, bz].map(bit => (bit ? 0.5 : -0.5));
+        const center = box.slice(0, 3).map((value, i) =>
+            value + axes[0][i] * signs[0] + axes[1][i] * signs[1] + (octree ? axes[2][i] * signs[2] : 0));
+        const halfAxes = axes.map((axis, a) => axis.map(value => (a < 2 || octree ? value / 2 : value)));
+        return { box: [...center, ...halfAxes.flat()] };
+    }
+    const [west, south, east, north, minimumHeight, maximumHeight] = boundingVolume.region;
+    // Regions crossing the antimeridian have east < west
+    const width = east >= west ? east - west : east + 2 * Math.PI - west;
+    const wrap = longitude => (longitude > Math.PI ? longitude - 2 * Math.PI : longitude);
+    const middle = {
+        longitude: wrap(west + width / 2),
+        latitude: (south + north) / 2,
+        height: (minimumHeight + maximumHeight) / 2,
+    };
+    return {
+        region: [
+            bx ? middle.longitude : west,
+            by ? middle.latitude : south,
+            bx ? east : middle.longitude,
+            by ? north : middle.latitude,
+            octree && bz ? middle.height : minimumHeight,
+            octree && !bz ? middle.height : maximumHeight,
+        ],
+    };
+}
+
+// Replace {level}, {x}, {y} and {z} in a uri template
+function expandTemplate(template, level, [x, y, z]) {
+    return template.replace(/\{(level|x|y|z)\}/g, (match, name) => String({ level, x, y, z }[name]));
+}
+
+// Index of the first tile of level `level` in a subtree's tile availability
+function levelOffset(level, childCount) {
+    return (childCount ** level - 1) / (childCount - 1);
+}
+
+// Morton index of coordinates within a level: their bits interleaved, x lowest
+function mortonIndex(coordinates) {
+    let index = 0;
+    const bits = Math.max(...coordinates.map(value => Math.ceil(Math.log2(value + 1))));
+    for (let bit = 0; bit < bits; bit++) {
+        coordinates.forEach((value, axis) => {
+            index += ((value >> bit) & 1) * 2 ** (bit * coordinates.length + axis);
+        });
+    }
+    return index;
+}
+
+// The x, y (and z) bits of a child's Morton index in its parent
+function cellBits(cell, dimensions) {
+    return [...Array(dimensions).keys()].map(axis => (cell >> axis) & 1);
+}
+
+// Call `callback` with every tile node under `tile`
+function forEachTile(tile, callback) {
+    if (tile.type !== 'object') {
+        return;
+    }
+    callback(tile);
+    (getMember(tile, 'children')?.value.elements ?? []).forEach(child => forEachTile(child, callback));
+}
+
+// Remove `folder` and its parents up to `root` (excluded) while they are empty
+function removeEmptyFolders(folder, root) {
+    let current = folder;
+    while (current !== root && !path.relative(root, current).startsWith('..') && fs.existsSync(current) && fs.readdirSync(current).length === 0) {
+        fs.rmdirSync(current);
+        current = path.dirname(current);
+    }
+}
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+import { Archive3tz, ARCHIVE_EXTENSION } from './archive-3tz.js';
+import { findFiles } from './find-files.js';
+import { identifyContent } from './tile-format.js';
+
+// Input tilesets are read from a folder or from a 3TZ archive. A file inside an archive has the
+// archive as a folder in its path, e.g. city.3tz/tiles/0.b3dm, and is read from the archive entry
+// without unpacking anything to disk, so the commands can treat both alike.
+
+// Archives opened so far, by path; they stay open for the life of the process
+const archives = new Map();
+
+// Whether `file` is named like a 3TZ archive
+export function isArchivePath(file) {
+    return path.extname(file).toLowerCase() === ARCHIVE_EXTENSION;
+}
+
+// The archive a path goes through and the entry it names in it ('' for the archive itself),
+// or null for a plain file system path
+function locate(file) {
+    const parts = path.resolve(file).split(path.sep);
+    for (let i = 1; i <= parts.length; i++) {
+        const prefix = parts.slice(0, i).join(path.sep);
+        if (!isArchivePath(prefix)) {
+            continue;
+        }
+        if (!archives.has(prefix)) {
+            if (!fs.existsSync(prefix) || !fs.statSync(prefix).isFile()) {
+                continue;
+            }
+            archives.set(prefix, Archive3tz.open(prefix));
+        }
+        return { archive: archives.get(prefix), entry: parts.slice(i).join('/') };
+    }
+    return null;
+}
+
+// Whether a file or folder exists, in an archive or not
+export function inputExists(file) {
+    const location = locate(file);
+    if (!location) {
+        return fs.existsSync(file);
+    }
+    return location.entry === '' || location.archive.has(location.entry) || isInputFolder(file);
+}
+
+// Whether `file` is a folder, an archive or a folder in an archive
+export function isInputFolder(file) {
+    const location = locate(file);
+    if (!location) {
+        return fs.existsSync(file) && fs.statSync(file).isDirectory();
+    }
+    return location.entry === '' || location.archive.list().some(name => name.startsWith(`${location.entry}/`));
+}
+
+// The content of a file, in an archive or not
+export function readInput(file) {
+    const location = locate(file);
+    if (!location) {
+        return fs.readFileSync(file);
+    }
+    const data = location.entry === '' ? null : location.archive.read(location.entry);
+    if (!data) {
+        throw new Error(`${location.entry || file} does not exist in ${path.basename(location.archive.file)}.`);
+    }
+    return data;
+}
+
+// The content of a file identified by its bytes, gunzipped if it was gzip-compressed:
+// { format, buffer, gzipped } (see identifyContent()). Throws for unknown formats.
+export function readInputContent(file) {
+    return identifyContent(readInput(file));
+}
+
+// Size and modification time of a file; files in an archive have the archive's modification time
+export function statInput(file) {
+    const location = locate(file);
+    if (!location) {
+        const { size, mtimeMs } = fs.statSync(file);
+        return { size, mtimeMs };
+    }
+    return { size: readInput(file).length, mtimeMs: fs.statSync(location.archive.file).mtimeMs };
+}
+
+// Files under a folder or archive whose extension is in `exts` (every file without `exts`)
+export function listInputFiles(folder, exts) {
+    const location = locate(folder);
+    if (!location) {
+        return findFiles(folder, exts);
+    }
+    const prefix = location.entry === '' ? '' : `${location.entry}/`;
+    const root = location.archive.file;
+    return location.archive.list()
+        .filter(name => name.startsWith(prefix) && (!exts || exts.includes(path.posix.extname(name).toLowerCase())))
+        .map(name => path.join(root, ...name.split('/')));
+}
+
+// Read a glb or glTF file with `io`, whatever its extension and gunzipped if needed; the buffers
+// and images of a glTF are read next to it, from the archive for a glTF in an archive
+export async function readInputDocument(io, file) {
+    const { format, buffer } = readInputContent(file);
+    if (format === 'glb') {
+        return io.readBinary(buffer);
+    } else if (format !== 'gltf') {
+        throw new Error(`Expected a glb or glTF, found ${format} content.`);
+    }
+    const json = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    const resources = {};
+    for (const { uri } of [...(json.buffers ?? []), ...(json.images ?? [])]) {
+        if (uri !== undefined && !uri.startsWith('data:')) {
+            resources[uri] = readInput(path.resolve(path.dirname(file), decodeURIComponent(uri)));
+        }
+    }
+    return io.readJSON({ json, resources });
+}
@@ -0,0 +1,45 @@
+import { NodeIO } from '@gltf-transform/core';
+import { KHRONOS_EXTENSIONS, EXTMeshGPUInstancing, EXTMeshoptCompression } from '@gltf-transform/extensions';
+import draco3d from 'draco3d';
+import draco3dgltf from 'draco3dgltf';
+import { MeshoptEncoder, MeshoptDecoder } from 'meshoptimizer';
+import { EXTMeshFeatures } from '../extensions/ext-mesh-features.js';
+import { EXTStructuralMetadata } from '../extensions/ext-structural-metadata.js';
+import { EXTInstanceFeatures } from '../extensions/ext-instance-features.js';
+
+let ioPromise = null;
+let pointCloudDracoPromise = null;
+
+// Configure I/O once per process and reuse the instance. Creating the Draco and
+// meshoptimizer WASM modules is the slow part, so it only happens on first use.
+export function getIO() {
+    if (!ioPromise) {
+        ioPromise = createIO();
+    }
+    return ioPromise;
+}
+
+// Draco decoder and encoder modules for 3DTILES_draco_point_compression in pnts tiles.
+// The glTF build of Draco used for meshes cannot decode point clouds, so the full build
+// is loaded separately, also on first use.
+export function getPointCloudDraco() {
+    if (!pointCloudDracoPromise) {
+        pointCloudDracoPromise = Promise.all([draco3d.createDecoderModule(), draco3d.createEncoderModule()])
+            .then(([decoder, encoder]) => ({ decoder, encoder }));
+    }
+    return pointCloudDracoPromise;
+}
+
+async function createIO() {
+    const dracoDecoder = await draco3dgltf.createDecoderModule();
+    const dracoEncoder = await draco3dgltf.createEncoderModule();
+    await Promise.all([MeshoptEncoder.ready, MeshoptDecoder.ready]);
+    return new NodeIO()
+        .registerExtensions([...KHRONOS_EXTENSIONS, EXTMeshGPUInstancing, EXTMeshoptCompression, EXTMeshFeatures, EXTStructuralMetadata, EXTInstanceFeatures])
+        .registerDependencies({
+            'draco3d.decoder': dracoDecoder,
+            'draco3d.encoder': dracoEncoder,
+            'meshopt.decoder': MeshoptDecoder,
+            'meshopt.encoder': MeshoptEncoder,
+        });
+}
@@ -0,0 +1,171 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { UsageError } from './options.js';
+import { readInput, statInput } from './input-files.js';
+
+// Kept in the output folder until the run completes. The extension keeps it out of the tileset
+// JSON rewrite.
+export const JOURNAL_FILE = '.tiles-journal.jsonl';
+
+// Size, modification time and SHA-256 of a file, recorded before it is processed so a resumed
+// run can tell whether the input changed since. Files in a 3TZ archive are read from it whole.
+export async function describeInput(file) {
+    const { size, mtimeMs } = statInput(file);
+    const hash = crypto.createHash('sha256');
+    if (fs.existsSync(file)) {
+        for await (const chunk of fs.createReadStream(file)) {
+            hash.update(chunk);
+        }
+    } else {
+        hash.update(readInput(file));
+    }
+    return { hash: hash.digest('hex'), size, mtimeMs };
+}
+
+// Append-only record of a compress run, one JSON object per line:
+// - { type: 'run', settings }: written when a run starts
+// - { type: 'file', file, status: 'done', input, outputs, result }: a processed tile, with the
+//   outputs' sizes and the per-file result (applied flags, split outputs)
+// - { type: 'file', file, status: 'failed', error }
+// - { type: 'tileset' }: the tileset JSONs have been rewritten
+// Paths are relative to the input and output folders. A later line for the same file replaces
+// an earlier one, and a truncated last line (from a crash while writing it) is ignored.
+export class Journal {
+    constructor(inputRoot, outputRoot) {
+        this.inputRoot = inputRoot;
+        this.outputRoot = outputRoot;
+        this.path = path.join(outputRoot, JOURNAL_FILE);
+        this.settings = null;
+        this.files = new Map();
+        this.completedOutputs = new Set();
+        this.tilesetUpdated = false;
+    }
+
+    // Start a new journal, or with `resume` continue the existing one. Resuming requires the
+    // same settings, since completed tiles are not reprocessed.
+    static open(inputRoot, outputRoot, settings, { resume = false } = {}) {
+        const journal = new Journal(inputRoot, outputRoot);
+        if (resume && fs.existsSync(journal.path)) {
+            journal.load();
+            if (JSON.stringify(journal.settings) !== JSON.stringify(settings)) {
+                throw new UsageError(`--resume needs the same options as the interrupted run: ${JSON.stringify(journal.settings)}`);
+            }
+            return journal;
+        }
+
+        if (resume) {
+            console.log('No journal to resume from, starting a new run.');
+        }
+        fs.mkdirSync(outputRoot, { recursive: true });
+        fs.writeFileSync(journal.path, '');
+        journal.append({ type: 'run', settings });
+        journal.settings = settings;
+        return journal;
+    }
+
+    load() {
+        for (const line of fs.readFileSync(this.path, 'utf8').split('\n')) {
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch {
+                continue;
+            }
+            if (record.type === 'run') {
+                this.settings = record.settings;
+            } else if (record.type === 'file') {
+                this.files.set(record.file, record);
+            } else if (record.type === 'tileset') {
+                this.tilesetUpdated = true;
+            }
+        }
+
+        for (const entry of this.files.values()) {
+            if (entry.status === 'done') {
+                // Outputs written over their own input do not count, the input is still to be checked
+                entry.outputs.filter(output => output.path !== entry.file).forEach(output => this.completedOutputs.add(output.path));
+            }
+        }
+    }
+
+    append(record) {
+        fs.appendFileSync(this.path, JSON.stringify(record) + '\n');
+    }
+
+    recordResult(result) {
+        const outputs = result.outputs || (result.output ? [result.output] : []);
+        const { input, ...summary } = result;
+        this.append({
+            type: 'file',
+            file: path.relative(this.inputRoot, result.file),
+            status: 'done',
+            input,
+            outputs: outputs.map(output => ({ path: path.relative(this.outputRoot, output), size: fs.statSync(output).size })),
+            result: {
+                ...summary,
+                file: path.relative(this.inputRoot, result.file),
+                output: result.output && path.relative(this.outputRoot, result.output),
+                ...(result.outputs && { outputs: result.outputs.map(output => path.relative(this.outputRoot, output)) }),
+            },
+        });
+    }
+
+    recordFailure({ file, error }) {
+        this.append({ type: 'file', file: path.relative(this.inputRoot, file), status: 'failed', error });
+    }
+
+    recordTilesetUpdated() {
+        this.append({ type: 'tileset' });
+        this.tilesetUpdated = true;
+    }
+
+    // Delete the journal of a completed run, so it is not published with the tiles
+    remove() {
+        fs.rmSync(this.path, { force: true });
+    }
+
+    // Whether `file` (a path under the input folder) was completed by an earlier run and neither
+    // it nor its outputs changed since. Inputs that were replaced by their output in place only
+    // need their outputs checked; others are compared by size and modification time, then by hash.
+    async isDone(file) {
+        const entry = this.files.get(path.relative(this.inputRoot, file));
+        if (!entry || entry.status !== 'done') {
+            return false;
+        }
+
+        const outputs = entry.outputs.map(output => ({ ...output, path: path.join(this.outputRoot, output.path) }));
+        if (!outputs.every(output => fs.existsSync(output.path) && fs.statSync(output.path).size === output.size)) {
+            return false;
+        }
+        if (outputs.some(output => path.resolve(output.path) === path.resolve(file))) {
+            return true;
+        }
+
+        const { size, mtimeMs } = statInput(file);
+        if (size === entry.input.size && mtimeMs === entry.input.mtimeMs) {
+            return true;
+        }
+        return size === entry.input.size && (await describeInput(file)).hash === entry.input.hash;
+    }
+
+    // Whether `file` is an output of a completed tile, as found when resuming an in-place run
+    isOutput(file) {
+        if (path.resolve(this.inputRoot) !== path.resolve(this.outputRoot)) {
+            return false;
+        }
+        return this.completedOutputs.has(path.relative(this.outputRoot, file));
+    }
+
+    // Results of the tiles completed by earlier runs, with absolute paths as processFiles returns them
+    completedResults() {
+        return [...this.files.values()]
+            .filter(entry => entry.status === 'done')
+            .map(({ result }) => ({
+                ...result,
+                file: path.join(this.inputRoot, result.file),
+                output: result.output && path.join(this.outputRoot, result.output),
+                ...(result.outputs && { outputs: result.outputs.map(output => path.join(this.outputRoot, output)) }),
+            }));
+    }
+}
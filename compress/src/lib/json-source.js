@@ -0,0 +1,140 @@
+// Minimal JSON parser that keeps the source location of every value, so a file can be edited
+// by splicing its text: the parts that are not edited stay byte-identical, formatting included.
+
+// Parse `text` into a tree of nodes. Every node has `start` and `end` offsets into `text` and
+// a `type`: 'object' (with `members`: { key, keyStart, keyEnd, value }), 'array' (with
+// `elements`), or 'value' for strings, numbers, booleans and null (with the parsed `value`).
+export function parseJsonSource(text) {
+    let offset = 0;
+
+    function fail(message) {
+        throw new SyntaxError(`${message} at position ${offset}`);
+    }
+
+    function skipWhitespace() {
+        while (offset < text.length && ' \t\n\r\uFEFF'.includes(text[offset])) {
+            offset++;
+        }
+    }
+
+    function expect(char) {
+        skipWhitespace();
+        if (text[offset] !== char) {
+            fail(`Expected "${char}"`);
+        }
+        offset++;
+    }
+
+    function parseString() {
+        const start = offset;
+        offset++;
+        while (offset < text.length && text[offset] !== '"') {
+            offset += text[offset] === '\\' ? 2 : 1;
+        }
+        if (offset >= text.length) {
+            fail('Unterminated string');
+        }
+        offset++;
+        return { type: 'value', start, end: offset, value: JSON.parse(text.slice(start, offset)) };
+    }
+
+    function parseValue() {
+        skipWhitespace();
+        const start = offset;
+        const char = text[offset];
+        if (char === '{') {
+            offset++;
+            const members = [];
+            skipWhitespace();
+            if (text[offset] === '}') {
+                offset++;
+                return { type: 'object', start, end: offset, members };
+            }
+            for (;;) {
+                skipWhitespace();
+                if (text[offset] !== '"') {
+                    fail('Expected a property name');
+                }
+                const key = parseString();
+                expect(':');
+                members.push({ key: key.value, keyStart: key.start, keyEnd: key.end, value: parseValue() });
+                skipWhitespace();
+                if (text[offset] === '}') {
+                    offset++;
+                    return { type: 'object', start, end: offset, members };
+                }
+                expect(',');
+            }
+        }
+        if (char === '[') {
+            offset++;
+            const elements = [];
+            skipWhitespace();
+            if (text[offset] === ']') {
+                offset++;
+                return { type: 'array', start, end: offset, elements };
+            }
+            for (;;) {
+                elements.push(parseValue());
+                skipWhitespace();
+                if (text[offset] === ']') {
+                    offset++;
+                    return { type: 'array', start, end: offset, elements };
+                }
+                expect(',');
+            }
+        }
+        if (char === '"') {
+            return parseString();
+        }
+        const literal = /^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(text.slice(offset, offset + 64));
+        if (!literal) {
+            fail('Unexpected token');
+        }
+        offset += literal[0].length;
+        return { type: 'value', start, end: offset, value: JSON.parse(literal[0]) };
+    }
+
+    const root = parseValue();
+    skipWhitespace();
+    if (offset < text.length) {
+        fail('Unexpected data after the JSON value');
+    }
+    return root;
+}
+
+// The plain JavaScript value of a node
+export function nodeValue(node) {
+    if (node.type === 'object') {
+        return Object.fromEntries(node.members.map(member => [member.key, nodeValue(member.value)]));
+    } else if (node.type === 'array') {
+        return node.elements.map(nodeValue);
+    }
+    return node.value;
+}
+
+// The member of an object node named `key`, if any
+export function getMember(node, key) {
+    return node && node.type === 'object' ? node.members.find(member => member.key === key) : undefined;
+}
+
+// Apply non-overlapping { start, end, text } edits to `text`
+export function applyEdits(text, edits) {
+    let result = text;
+    for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+}
+
+// Serialize `value` to be inserted at `position` in `text`, following the file's style:
+// compact for minified files, otherwise indented like the file and the line at `position`.
+export function formatJson(value, text, position) {
+    const indentUnit = /\n([ \t]+)\S/.exec(text)?.[1];
+    if (!indentUnit) {
+        return JSON.stringify(value);
+    }
+    const lineStart = text.lastIndexOf('\n', position - 1) + 1;
+    const lineIndent = /^[ \t]*/.exec(text.slice(lineStart))[0];
+    return JSON.stringify(value, null, indentUnit).replace(/\n/g, '\n' + lineIndent);
+}
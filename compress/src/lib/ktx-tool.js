@@ -0,0 +1,36 @@
+// The `ktx` command line tool of KTX-Software, which decodes KTX2 textures for --ktx-check and
+// decompress. It has no in-process replacement here, so it is checked for before any work starts.
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// `ktx extract --transcode` first shipped in KTX-Software 4.3
+const MIN_VERSION = [4, 3];
+
+let checkPromise = null;
+
+// Resolve when `ktx` 4.3 or later is on the PATH and reject with what to install otherwise. The
+// check runs once per process.
+export function requireKtxTool() {
+    checkPromise ??= checkKtxTool();
+    return checkPromise;
+}
+
+async function checkKtxTool() {
+    const required = `Decoding KTX2 textures requires the "ktx" tool of KTX-Software ${MIN_VERSION.join('.')} or later (https://github.com/KhronosGroup/KTX-Software/releases)`;
+    let stdout;
+    try {
+        ({ stdout } = await execFileAsync('ktx', ['--version']));
+    } catch (error) {
+        throw new Error(error.code === 'ENOENT'
+            ? `${required}, which was not found on the PATH.`
+            : `${required}; "ktx --version" failed: ${(error.stderr || error.message).trim()}`);
+    }
+
+    // e.g. "ktx version: v4.3.2"; versions that cannot be read are given the benefit of the doubt
+    const match = /(\d+)\.(\d+)/.exec(stdout);
+    if (match && (Number(match[1]) < MIN_VERSION[0] || (Number(match[1]) === MIN_VERSION[0] && Number(match[2]) < MIN_VERSION[1]))) {
+        throw new Error(`${required}; found ${stdout.trim()}.`);
+    }
+}
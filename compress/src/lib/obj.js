@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { Document } from '@gltf-transform/core';
+
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.webp': 'image/webp' };
+
+// Read a Wavefront OBJ model into a glTF document with one primitive per material. The file is
+// read line by line, so it may be larger than a string can hold. Supported: vertices (with
+// optional RGB colors), texture coordinates, normals, polygonal faces (fan-triangulated,
+// negative indices included), and from `mtllib` files the diffuse color `Kd`, opacity `d` or
+// `Tr` and diffuse texture `map_Kd`. OBJ and glTF are both y-up, so positions are kept as they
+// are; texture coordinates are flipped to glTF's top-left origin.
+export async function readObj(file) {
+    const positions = [];
+    const colors = [];
+    const texcoords = [];
+    const normals = [];
+    const materials = new Map();
+    // Vertices and indices of the faces, per material name
+    const groups = new Map();
+    let group = null;
+    const useMaterial = name => {
+        if (!groups.has(name)) {
+            groups.set(name, { vertices: new Map(), positions: [], colors: [], texcoords: [], normals: [], indices: [], hasTexcoords: true, hasNormals: true });
+        }
+        group = groups.get(name);
+    };
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        const [keyword, ...values] = line.trim().split(/\s+/);
+        if (keyword === 'v') {
+            positions.push(values.slice(0, 3).map(Number));
+            if (values.length >= 6) {
+                colors.push(values.slice(3, 6).map(Number));
+            }
+        } else if (keyword === 'vt') {
+            texcoords.push([Number(values[0]), 1 - Number(values[1] ?? 0)]);
+        } else if (keyword === 'vn') {
+            normals.push(values.slice(0, 3).map(Number));
+        } else if (keyword === 'usemtl') {
+            useMaterial(values.join(' '));
+        } else if (keyword === 'mtllib') {
+            for (const [name, material] of readMtl(path.resolve(path.dirname(file), values.join(' ')))) {
+                materials.set(name, material);
+            }
+        } else if (keyword === 'f') {
+            if (!group) {
+                useMaterial('');
+            }
+            const corners = values.map(value => {
+                const [v, vt, vn] = value.split('/').map(index => (index ? Number(index) : undefined));
+                // Negative indices count back from the last element read
+                const resolve = (index, list) => (index === undefined ? undefined : index < 0 ? list.length + index : index - 1);
+                const corner = [resolve(v, positions), resolve(vt, texcoords), resolve(vn, normals)];
+                if (corner[0] === undefined || !positions[corner[0]] || (vt !== undefined && !texcoords[corner[1]]) || (vn !== undefined && !normals[corner[2]])) {
+                    throw new Error(`${path.basename(file)}:${lineNumber}: face refers to a missing element "${value}".`);
+                }
+                return corner;
+            });
+            const vertex = corner => {
+                const key = corner.join('/');
+                if (!group.vertices.has(key)) {
+                    const [v, vt, vn] = corner;
+                    group.vertices.set(key, group.positions.length / 3);
+                    group.positions.push(...positions[v]);
+                    group.colors.push(...(colors[v] ?? [1, 1, 1]));
+                    group.texcoords.push(...(vt !== undefined ? texcoords[vt] : [0, 0]));
+                    group.normals.push(...(vn !== undefined ? normals[vn] : [0, 0, 0]));
+                    group.hasTexcoords &&= vt !== undefined;
+                    group.hasNormals &&= vn !== undefined;
+                }
+                return group.vertices.get(key);
+            };
+            for (let i = 1; i + 1 < corners.length; i++) {
+                group.indices.push(vertex(corners[0]), vertex(corners[i]), vertex(corners[i + 1]));
+            }
+        }
+    }
+
+    const document = new Document();
+    const buffer = document.createBuffer();
+    const mesh = document.createMesh(path.basename(file, path.extname(file)));
+    const textures = new Map();
+    const accessor = (array, type) => document.createAccessor().setBuffer(buffer).setType(type).setArray(array);
+    for (const [name, data] of groups) {
+        if (data.indices.length === 0) {
+            continue;
+        }
+        const primitive = document.createPrimitive()
+            .setIndices(accessor(new Uint32Array(data.indices), 'SCALAR'))
+            .setAttribute('POSITION', accessor(new Float32Array(data.positions), 'VEC3'));
+        if (data.hasNormals) {
+            primitive.setAttribute('NORMAL', accessor(new Float32Array(data.normals), 'VEC3'));
+        }
+        if (colors.length === positions.length && colors.length > 0) {
+            primitive.setAttribute('COLOR_0', accessor(new Float32Array(data.colors), 'VEC3'));
+        }
+        const source = materials.get(name);
+        if (source) {
+            const material = document.createMaterial(name)
+                .setBaseColorFactor([...source.color, source.opacity])
+                .setMetallicFactor(0)
+                .setRoughnessFactor(1)
+                .setAlphaMode(source.opacity < 1 ? 'BLEND' : 'OPAQUE');
+            if (source.texture && data.hasTexcoords) {
+                if (!textures.has(source.texture)) {
+                    const mimeType = IMAGE_TYPES[path.extname(source.texture).toLowerCase()];
+                    if (!mimeType) {
+                        throw new Error(`Unsupported texture format: ${source.texture}`);
+                    }
+                    textures.set(source.texture, document.createTexture(path.basename(source.texture))
+                        .setImage(fs.readFileSync(source.texture))
+                        .setMimeType(mimeType));
+                }
+                material.setBaseColorTexture(textures.get(source.texture));
+            }
+            primitive.setMaterial(material);
+        }
+        if (data.hasTexcoords) {
+            primitive.setAttribute('TEXCOORD_0', accessor(new Float32Array(data.texcoords), 'VEC2'));
+        }
+        mesh.addPrimitive(primitive);
+    }
+    document.createScene().addChild(document.createNode().setMesh(mesh));
+    document.getRoot().setDefaultScene(document.getRoot().listScenes()[0]);
+    return document;
+}
+
+// Materials of an MTL file: Map from name to { color, opacity, texture (absolute path) }
+function readMtl(file) {
+    const materials = new Map();
+    let material = null;
+    for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+        const [keyword, ...values] = line.trim().split(/\s+/);
+        if (keyword === 'newmtl') {
+            material = { color: [1, 1, 1], opacity: 1, texture: null };
+            materials.set(values.join(' '), material);
+        } else if (!material) {
+            continue;
+        } else if (keyword === 'Kd') {
+            material.color = values.slice(0, 3).map(Number);
+        } else if (keyword === 'd') {
+            material.opacity = Number(values[0]);
+        } else if (keyword === 'Tr') {
+            material.opacity = 1 - Number(values[0]);
+        } else if (keyword === 'map_Kd') {
+            // Options such as -s or -o come before the file name, which is last
+            material.texture = path.resolve(path.dirname(file), values[values.length - 1]);
+        }
+    }
+    return materials;
+}
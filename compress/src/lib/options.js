@@ -0,0 +1,20 @@
+// Thrown for bad command lines; the CLI reports it with the command's help and exit code 2.
+export class UsageError extends Error {}
+
+// Parse an integer option value, rejecting anything that is not a positive integer.
+export function parsePositiveInteger(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new UsageError(`--${name} must be a positive integer, got "${value}".`);
+    }
+    return number;
+}
+
+// Parse a number option value, rejecting anything that is not a positive finite number.
+export function parsePositiveNumber(value, name) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+        throw new UsageError(`--${name} must be a positive number, got "${value}".`);
+    }
+    return number;
+}
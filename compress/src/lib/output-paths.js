@@ -0,0 +1,70 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { UsageError } from './options.js';
+import { isArchivePath, listInputFiles, readInput } from './input-files.js';
+import { writeArchive } from './archive-3tz.js';
+
+// Map a file under `inputRoot` to the same relative location under `outputRoot`,
+// replacing its extension with `ext` when given.
+export function mirrorPath(file, inputRoot, outputRoot, ext) {
+    const relative = path.relative(inputRoot, file);
+    const mirrored = path.join(outputRoot, relative);
+    if (!ext) {
+        return mirrored;
+    }
+    return path.join(path.dirname(mirrored), path.basename(mirrored, path.extname(mirrored)) + ext);
+}
+
+// Path of the glb for inner tile `index` of a composite split at `output`: <name>_<index>.glb
+export function innerTilePath(output, index) {
+    return path.join(path.dirname(output), `${path.basename(output, path.extname(output))}_${index}.glb`);
+}
+
+// Check that `outputRoot` can receive a copy of `inputRoot` without touching the source,
+// then create it.
+export function prepareOutputDirectory(inputRoot, outputRoot) {
+    const input = path.resolve(inputRoot);
+    const output = path.resolve(outputRoot);
+    const isInside = (child, parent) => !path.relative(parent, child).startsWith('..') && !path.isAbsolute(path.relative(parent, child));
+
+    if (isInside(output, input) || isInside(input, output)) {
+        throw new UsageError(`--out must not overlap the input folder: ${outputRoot}`);
+    }
+    fs.mkdirSync(output, { recursive: true });
+}
+
+// Copy every file under `inputRoot` (a folder or 3TZ archive) that is not in `skip` to the same
+// place under `outputRoot`. Tileset JSONs are copied as they are, then overwritten by
+// updateTilesetJson if they change.
+export function copySidecarFiles(inputRoot, outputRoot, skip) {
+    const skipped = new Set([...skip].map(file => path.resolve(file)));
+    let copied = 0;
+    for (const file of listInputFiles(path.resolve(inputRoot))) {
+        if (skipped.has(file)) {
+            continue;
+        }
+        if (fs.existsSync(file)) {
+            fs.copySync(file, mirrorPath(file, inputRoot, outputRoot));
+        } else {
+            fs.outputFileSync(mirrorPath(file, inputRoot, outputRoot), readInput(file));
+        }
+        copied++;
+    }
+    return copied;
+}
+
+// Folder a command writes its output to: `output` itself, or for a 3TZ archive <archive>.tmp,
+// packed into the archive by packOutput() once complete
+export function outputFolder(output) {
+    return isArchivePath(output) ? `${output}.tmp` : output;
+}
+
+// Pack the folder written for an `output` archive into it and remove the folder
+export function packOutput(output) {
+    if (!isArchivePath(output)) {
+        return;
+    }
+    const count = writeArchive(outputFolder(output), output);
+    fs.removeSync(outputFolder(output));
+    console.log(`Packed ${count} files into ${output}.`);
+}
@@ -0,0 +1,165 @@
+import { getPointCloudDraco } from './io.js';
+import { parsePnts, writePnts, readPoints, DRACO_POINT_COMPRESSION } from './pnts.js';
+import { parseTableJSON } from './feature-table.js';
+
+// draco::PointCloudEncodingMethod, not exported by the JS bindings
+const POINT_CLOUD_SEQUENTIAL_ENCODING = 0;
+
+// Per-point properties replaced by the Draco buffer; their global companions are dropped too
+const POINT_SEMANTICS = [
+    'POSITION', 'POSITION_QUANTIZED', 'QUANTIZED_VOLUME_OFFSET', 'QUANTIZED_VOLUME_SCALE',
+    'RGBA', 'RGB', 'RGB565', 'NORMAL', 'NORMAL_OCT16P', 'BATCH_ID',
+];
+
+// Rewrite a pnts with its POSITION, color, NORMAL and BATCH_ID properties compressed with
+// 3DTILES_draco_point_compression. Quantized positions, RGB565 colors and oct-encoded normals
+// are decoded first, since the extension only carries POSITION, RGB(A), NORMAL and BATCH_ID.
+// The batch table is kept as is. Returns null if the pnts is already Draco-compressed.
+// `settings` is the `draco` section of the config (lib/config.js); colors and batch IDs are
+// integers, so only the position and normal bits apply.
+export async function compressPntsWithDraco(buffer, settings) {
+    const pnts = parsePnts(buffer);
+    const points = await readPoints(pnts);
+    if (points.dracoCompressed) {
+        return null;
+    }
+
+    // Draco's default point cloud encoding reorders points. That is harmless when the batch
+    // table is indexed by BATCH_ID, but a per-point batch table must keep the point order.
+    const perPointBatchTable = !points.batchIds && Object.keys(parseTableJSON(pnts.batchTableJSON)).length > 0;
+    const { data, properties } = await encodePoints(points, settings, perPointBatchTable);
+
+    const featureTable = globalFeatureTable(pnts, points);
+    for (const semantic of Object.keys(properties)) {
+        featureTable[semantic] = { byteOffset: 0 };
+    }
+    if (properties.BATCH_ID !== undefined) {
+        featureTable.BATCH_ID.componentType = points.batchIds instanceof Uint32Array ? 'UNSIGNED_INT' : 'UNSIGNED_SHORT';
+    }
+    featureTable.extensions = {
+        ...featureTable.extensions,
+        [DRACO_POINT_COMPRESSION]: { properties, byteOffset: 0, byteLength: data.length },
+    };
+
+    return writePnts({
+        ...pnts,
+        featureTableJSON: Buffer.from(JSON.stringify(featureTable)),
+        featureTableBinary: data,
+    });
+}
+
+// Rewrite a pnts compressed with 3DTILES_draco_point_compression with plain POSITION, RGB or
+// RGBA, NORMAL and BATCH_ID properties, each starting on an 8-byte boundary of the binary body.
+// The batch table is kept as is. Returns null if the pnts is not Draco-compressed.
+export async function decompressPntsFromDraco(buffer) {
+    const pnts = parsePnts(buffer);
+    const points = await readPoints(pnts);
+    if (!points.dracoCompressed) {
+        return null;
+    }
+
+    const featureTable = globalFeatureTable(pnts, points);
+    delete featureTable.extensions[DRACO_POINT_COMPRESSION];
+    if (Object.keys(featureTable.extensions).length === 0) {
+        delete featureTable.extensions;
+    }
+
+    const batchIds = points.batchIds && points.batchIds.every(id => id <= 0xffff) ? Uint16Array.from(points.batchIds) : points.batchIds;
+    const properties = [
+        ['POSITION', points.positions],
+        [points.colorComponents === 4 ? 'RGBA' : 'RGB', points.colors],
+        ['NORMAL', points.normals],
+        ['BATCH_ID', batchIds],
+    ].filter(([, values]) => values);
+
+    const chunks = [];
+    let byteLength = 0;
+    for (const [semantic, values] of properties) {
+        const padding = (8 - (byteLength % 8)) % 8;
+        chunks.push(Buffer.alloc(padding), Buffer.from(values.buffer, values.byteOffset, values.byteLength));
+        featureTable[semantic] = { byteOffset: byteLength + padding };
+        byteLength += padding + values.byteLength;
+    }
+    if (batchIds) {
+        featureTable.BATCH_ID.componentType = batchIds instanceof Uint16Array ? 'UNSIGNED_SHORT' : 'UNSIGNED_INT';
+    }
+
+    return writePnts({
+        ...pnts,
+        featureTableJSON: Buffer.from(JSON.stringify(featureTable)),
+        featureTableBinary: Buffer.concat(chunks, byteLength),
+    });
+}
+
+// The pnts feature table without its per-point properties. Global properties stored in the binary
+// body are moved into the JSON, as the body is replaced.
+function globalFeatureTable(pnts, points) {
+    const featureTable = parseTableJSON(pnts.featureTableJSON);
+    for (const semantic of POINT_SEMANTICS) {
+        delete featureTable[semantic];
+    }
+    featureTable.POINTS_LENGTH = points.count;
+    if (points.center.some(value => value !== 0)) {
+        featureTable.RTC_CENTER = points.center;
+    } else {
+        delete featureTable.RTC_CENTER;
+    }
+    if (points.constantRgba) {
+        featureTable.CONSTANT_RGBA = points.constantRgba;
+    }
+    if (points.batchLength !== undefined) {
+        featureTable.BATCH_LENGTH = points.batchLength;
+    }
+    return featureTable;
+}
+
+// Encode the points as a Draco point cloud. Returns the encoded bytes and the attribute
+// unique IDs by semantic, as listed in the extension's `properties`.
+async function encodePoints(points, { encodeSpeed, decodeSpeed, quantize }, preserveOrder) {
+    const { encoder: draco } = await getPointCloudDraco();
+    const encoder = new draco.Encoder();
+    const builder = new draco.PointCloudBuilder();
+    const pointCloud = new draco.PointCloud();
+    const dracoData = new draco.DracoInt8Array();
+
+    try {
+        const { count } = points;
+        const properties = {};
+        properties.POSITION = builder.AddFloatAttribute(pointCloud, draco.POSITION, count, 3, points.positions);
+        if (points.colors) {
+            const semantic = points.colorComponents === 4 ? 'RGBA' : 'RGB';
+            properties[semantic] = builder.AddUInt8Attribute(pointCloud, draco.COLOR, count, points.colorComponents, points.colors);
+            builder.SetNormalizedFlagForAttribute(pointCloud, properties[semantic], true);
+        }
+        if (points.normals) {
+            properties.NORMAL = builder.AddFloatAttribute(pointCloud, draco.NORMAL, count, 3, points.normals);
+        }
+        if (points.batchIds) {
+            properties.BATCH_ID = points.batchIds instanceof Uint32Array
+                ? builder.AddUInt32Attribute(pointCloud, draco.GENERIC, count, 1, points.batchIds)
+                : builder.AddUInt16Attribute(pointCloud, draco.GENERIC, count, 1, Uint16Array.from(points.batchIds));
+        }
+
+        encoder.SetAttributeQuantization(draco.POSITION, quantize.position);
+        encoder.SetAttributeQuantization(draco.NORMAL, quantize.normal);
+        encoder.SetSpeedOptions(encodeSpeed, decodeSpeed);
+        if (preserveOrder) {
+            encoder.SetEncodingMethod(POINT_CLOUD_SEQUENTIAL_ENCODING);
+        }
+
+        const byteLength = encoder.EncodePointCloudToDracoBuffer(pointCloud, false, dracoData);
+        if (byteLength <= 0) {
+            throw new Error('Draco point cloud encoding failed.');
+        }
+        const data = Buffer.alloc(byteLength);
+        for (let i = 0; i < byteLength; i++) {
+            data[i] = dracoData.GetValue(i) & 0xff;
+        }
+        return { data, properties };
+    } finally {
+        draco.destroy(dracoData);
+        draco.destroy(pointCloud);
+        draco.destroy(builder);
+        draco.destroy(encoder);
+    }
+}
@@ -0,0 +1,119 @@
+import { Document, Logger, Primitive } from '@gltf-transform/core';
+import { KHRMaterialsUnlit } from '@gltf-transform/extensions';
+import { parsePnts, readPoints } from './pnts.js';
+import { parseTableJSON } from './feature-table.js';
+import { convertBatchTable } from './batch-table.js';
+import { EXTMeshFeatures } from '../extensions/ext-mesh-features.js';
+import { EXTStructuralMetadata } from '../extensions/ext-structural-metadata.js';
+
+// Convert a pnts into a glTF document with a single POINTS primitive, for use as 3D Tiles 1.1
+// content:
+// - positions and normals are converted to the y-up glTF frame, RTC_CENTER (and the quantized
+//   volume offset) becomes a root node translation
+// - colors become a linear COLOR_0 attribute, CONSTANT_RGBA the material's base color
+// - points without normals use KHR_materials_unlit, as they are drawn unlit
+// - BATCH_ID and the batch table become EXT_mesh_features and EXT_structural_metadata
+export async function convertPntsToDocument(buffer) {
+    const pnts = parsePnts(buffer);
+    const points = await readPoints(pnts);
+    const { count } = points;
+
+    const document = new Document().setLogger(new Logger(Logger.Verbosity.WARN));
+    const buffer0 = document.createBuffer();
+    const createAccessor = (type, array) => document.createAccessor().setType(type).setArray(array).setBuffer(buffer0);
+
+    const primitive = document.createPrimitive()
+        .setMode(Primitive.Mode.POINTS)
+        .setAttribute('POSITION', createAccessor('VEC3', toYUp(points.positions)));
+
+    if (points.colors) {
+        const colors = new Float32Array(points.colors.length);
+        points.colors.forEach((value, i) => {
+            // Alpha is linear already
+            colors[i] = points.colorComponents === 4 && i % 4 === 3 ? value / 255 : srgbToLinear(value / 255);
+        });
+        primitive.setAttribute('COLOR_0', createAccessor(points.colorComponents === 4 ? 'VEC4' : 'VEC3', colors));
+    }
+    if (points.normals) {
+        primitive.setAttribute('NORMAL', createAccessor('VEC3', toYUp(points.normals)));
+    }
+
+    const material = document.createMaterial();
+    if (points.constantRgba && !points.colors) {
+        const [r, g, b, a] = points.constantRgba.map(value => value / 255);
+        material.setBaseColorFactor([srgbToLinear(r), srgbToLinear(g), srgbToLinear(b), a]);
+    }
+    if ((points.colors && points.colorComponents === 4) || (points.constantRgba && points.constantRgba[3] < 255)) {
+        material.setAlphaMode('BLEND');
+    }
+    if (!points.normals) {
+        material.setExtension('KHR_materials_unlit', document.createExtension(KHRMaterialsUnlit).createUnlit());
+    }
+    primitive.setMaterial(material);
+
+    addPointFeatures(document, primitive, pnts, points, createAccessor);
+
+    const mesh = document.createMesh().addPrimitive(primitive);
+    const node = document.createNode().setMesh(mesh);
+    const scene = document.createScene();
+    if (points.center.some(value => value !== 0)) {
+        // Tile frame is z-up, glTF is y-up (see b3dm-to-glb.js)
+        const [x, y, z] = points.center;
+        scene.addChild(document.createNode('RTC_CENTER').setTranslation([x, z, -y]).addChild(node));
+    } else {
+        scene.addChild(node);
+    }
+    document.getRoot().setDefaultScene(scene);
+
+    return document;
+}
+
+// Describe the points' features with EXT_mesh_features and add the batch table as an
+// EXT_structural_metadata property table. Without BATCH_ID the batch table, if any, is
+// indexed by point, which EXT_mesh_features expresses as implicit (vertex index) feature IDs.
+function addPointFeatures(document, primitive, pnts, points, createAccessor) {
+    const batchTableJSON = parseTableJSON(pnts.batchTableJSON);
+    const hasBatchTable = Object.keys(batchTableJSON).length > 0;
+    if (!points.batchIds && !hasBatchTable) {
+        return;
+    }
+
+    let featureCount = points.count;
+    const featureId = {};
+    if (points.batchIds) {
+        featureCount = points.batchLength ?? points.batchIds.reduce((max, id) => Math.max(max, id + 1), 0);
+        const max = featureCount - 1;
+        // Vertex attributes cannot use UNSIGNED_INT
+        const ids = max <= 255 ? Uint8Array.from(points.batchIds) : max <= 65535 ? Uint16Array.from(points.batchIds) : Float32Array.from(points.batchIds);
+        primitive.setAttribute('_FEATURE_ID_0', createAccessor('SCALAR', ids));
+        featureId.attribute = 0;
+    }
+
+    const batchTable = hasBatchTable ? convertBatchTable(batchTableJSON, pnts.batchTableBinary, featureCount) : null;
+    if (batchTable) {
+        const metadata = document.createExtension(EXTStructuralMetadata).createStructuralMetadata()
+            .setSchema(batchTable.schema)
+            .setPropertyTables([batchTable.propertyTable]);
+        document.getRoot().setExtension('EXT_structural_metadata', metadata);
+        featureId.propertyTable = 0;
+    }
+
+    const meshFeatures = document.createExtension(EXTMeshFeatures).createMeshFeatures()
+        .setFeatureIds([{ featureCount, ...featureId }]);
+    primitive.setExtension('EXT_mesh_features', meshFeatures);
+}
+
+// Map z-up tile coordinates (x, y, z) to y-up glTF coordinates (x, z, -y)
+function toYUp(values) {
+    const result = new Float32Array(values.length);
+    for (let i = 0; i < values.length; i += 3) {
+        result[i] = values[i];
+        result[i + 1] = values[i + 2];
+        result[i + 2] = -values[i + 1];
+    }
+    return result;
+}
+
+function srgbToLinear(value) {
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
@@ -0,0 +1,197 @@
+// Point Cloud (pnts) reading and writing.
+// https://github.com/CesiumGS/3d-tiles/tree/main/specification/TileFormats/PointCloud
+import { getPointCloudDraco } from './io.js';
+import { parseTableJSON, getGlobalProperty, readBinaryArray, readPositions, octDecodeAll } from './feature-table.js';
+
+export const PNTS_MAGIC = 'pnts';
+export const PNTS_HEADER_LENGTH = 28;
+export const DRACO_POINT_COMPRESSION = '3DTILES_draco_point_compression';
+
+// Split a pnts buffer into its header fields, feature table and batch table.
+// Returned sections are views into the input buffer.
+export function parsePnts(arrayBuffer) {
+    if (arrayBuffer.length < PNTS_HEADER_LENGTH) {
+        throw new Error(`File is too short to be a pnts (${arrayBuffer.length} bytes).`);
+    }
+
+    const magic = arrayBuffer.toString('utf8', 0, 4);
+    if (magic !== PNTS_MAGIC) {
+        throw new Error(`Invalid pnts magic "${magic}".`);
+    }
+
+    const version = arrayBuffer.readInt32LE(4);
+    const byteLength = arrayBuffer.readInt32LE(8);
+    const featureTableJSONByteLength = arrayBuffer.readInt32LE(12);
+    const featureTableBinaryByteLength = arrayBuffer.readInt32LE(16);
+    const batchTableJSONByteLength = arrayBuffer.readInt32LE(20);
+    const batchTableBinaryByteLength = arrayBuffer.readInt32LE(24);
+
+    const featureTableStart = PNTS_HEADER_LENGTH;
+    const batchTableStart = featureTableStart + featureTableJSONByteLength + featureTableBinaryByteLength;
+    const end = batchTableStart + batchTableJSONByteLength + batchTableBinaryByteLength;
+
+    if (end > arrayBuffer.length) {
+        throw new Error(`pnts sections (${end} bytes) exceed the file length (${arrayBuffer.length} bytes).`);
+    }
+
+    return {
+        version,
+        byteLength,
+        featureTableJSON: arrayBuffer.subarray(featureTableStart, featureTableStart + featureTableJSONByteLength),
+        featureTableBinary: arrayBuffer.subarray(featureTableStart + featureTableJSONByteLength, batchTableStart),
+        batchTableJSON: arrayBuffer.subarray(batchTableStart, batchTableStart + batchTableJSONByteLength),
+        batchTableBinary: arrayBuffer.subarray(batchTableStart + batchTableJSONByteLength, end),
+    };
+}
+
+// Assemble a pnts from its sections. The feature table JSON and binary are padded to
+// 8-byte boundaries as the spec requires; the batch table sections are written as given.
+export function writePnts({ version = 1, featureTableJSON, featureTableBinary, batchTableJSON, batchTableBinary }) {
+    const sections = [
+        padTo8(featureTableJSON, 0x20, PNTS_HEADER_LENGTH),
+        padTo8(featureTableBinary, 0x00),
+        batchTableJSON || Buffer.alloc(0),
+        batchTableBinary || Buffer.alloc(0),
+    ];
+    const totalLength = PNTS_HEADER_LENGTH + sections.reduce((sum, section) => sum + section.length, 0);
+
+    const header = Buffer.alloc(PNTS_HEADER_LENGTH);
+    header.write(PNTS_MAGIC, 0, 'utf8');
+    header.writeInt32LE(version, 4);
+    header.writeInt32LE(totalLength, 8);
+    header.writeInt32LE(sections[0].length, 12);
+    header.writeInt32LE(sections[1].length, 16);
+    header.writeInt32LE(sections[2].length, 20);
+    header.writeInt32LE(sections[3].length, 24);
+
+    return Buffer.concat([header, ...sections], totalLength);
+}
+
+// Pad a section so that it ends on an 8-byte boundary, given the byte offset it starts at
+function padTo8(section, fill, start = 0) {
+    const data = section || Buffer.alloc(0);
+    const padding = (8 - ((start + data.length) % 8)) % 8;
+    return padding > 0 ? Buffer.concat([data, Buffer.alloc(padding, fill)]) : data;
+}
+
+// Decode the points of a parsed pnts into plain arrays in the tile's z-up frame:
+// - positions: Float32Array xyz relative to `center` (RTC_CENTER plus any quantized volume offset)
+// - colors: Uint8Array RGB or RGBA (RGB565 is expanded to RGB), with `colorComponents` 3 or 4
+// - normals: Float32Array xyz (NORMAL_OCT16P is decoded)
+// - batchIds: typed array of BATCH_ID values
+// Draco-compressed properties (3DTILES_draco_point_compression) are decoded as well.
+export async function readPoints(pnts) {
+    const featureTable = parseTableJSON(pnts.featureTableJSON);
+    const binary = pnts.featureTableBinary;
+    const count = getGlobalProperty(featureTable, binary, 'POINTS_LENGTH', 'UNSIGNED_INT', 1);
+    if (count === undefined) {
+        throw new Error('pnts feature table has no POINTS_LENGTH.');
+    }
+
+    const rtcCenter = getGlobalProperty(featureTable, binary, 'RTC_CENTER', 'FLOAT', 3) || [0, 0, 0];
+    const points = {
+        count,
+        center: rtcCenter,
+        positions: null,
+        colors: null,
+        colorComponents: 0,
+        normals: null,
+        batchIds: null,
+        constantRgba: getGlobalProperty(featureTable, binary, 'CONSTANT_RGBA', 'UNSIGNED_BYTE', 4) || null,
+        batchLength: getGlobalProperty(featureTable, binary, 'BATCH_LENGTH', 'UNSIGNED_INT', 1),
+        dracoCompressed: Boolean(featureTable.extensions?.[DRACO_POINT_COMPRESSION]),
+    };
+
+    const readProperty = (name, componentType, components) => {
+        const property = featureTable[name];
+        return property ? readBinaryArray(binary, property.byteOffset ?? 0, componentType, count * components) : null;
+    };
+
+    const decoded = points.dracoCompressed
+        ? await decodeDracoProperties(featureTable, binary)
+        : {};
+
+    if (decoded.POSITION) {
+        points.positions = decoded.POSITION;
+    } else {
+        const { positions, offset } = readPositions(featureTable, binary, count);
+        points.positions = positions;
+        if (offset) {
+            points.center = rtcCenter.map((value, i) => value + offset[i]);
+        }
+    }
+
+    if (decoded.RGBA || featureTable.RGBA) {
+        points.colors = decoded.RGBA || readProperty('RGBA', 'UNSIGNED_BYTE', 4);
+        points.colorComponents = 4;
+    } else if (decoded.RGB || featureTable.RGB) {
+        points.colors = decoded.RGB || readProperty('RGB', 'UNSIGNED_BYTE', 3);
+        points.colorComponents = 3;
+    } else if (featureTable.RGB565) {
+        points.colors = decodeRgb565(readProperty('RGB565', 'UNSIGNED_SHORT', 1));
+        points.colorComponents = 3;
+    }
+
+    points.normals = decoded.NORMAL
+        || readProperty('NORMAL', 'FLOAT', 3)
+        || octDecodeAll(readProperty('NORMAL_OCT16P', 'UNSIGNED_BYTE', 2), 255);
+
+    if (decoded.BATCH_ID || featureTable.BATCH_ID) {
+        points.batchIds = decoded.BATCH_ID || readProperty('BATCH_ID', featureTable.BATCH_ID.componentType || 'UNSIGNED_SHORT', 1);
+    }
+
+    return points;
+}
+
+// Expand 5-6-5 bit colors to 8 bits per channel
+function decodeRgb565(packed) {
+    const colors = new Uint8Array(packed.length * 3);
+    for (let i = 0; i < packed.length; i++) {
+        const value = packed[i];
+        colors[i * 3] = Math.round(((value >> 11) & 0x1f) * 255 / 31);
+        colors[i * 3 + 1] = Math.round(((value >> 5) & 0x3f) * 255 / 63);
+        colors[i * 3 + 2] = Math.round((value & 0x1f) * 255 / 31);
+    }
+    return colors;
+}
+
+// Decode the feature table properties stored in the 3DTILES_draco_point_compression buffer.
+// Returns typed arrays keyed by semantic (POSITION, RGB, RGBA, NORMAL, BATCH_ID).
+async function decodeDracoProperties(featureTable, binary) {
+    const { decoder: draco } = await getPointCloudDraco();
+    const { properties, byteOffset, byteLength } = featureTable.extensions[DRACO_POINT_COMPRESSION];
+    const data = new Int8Array(binary.buffer, binary.byteOffset + byteOffset, byteLength);
+
+    const decoder = new draco.Decoder();
+    const pointCloud = new draco.PointCloud();
+    try {
+        const status = decoder.DecodeArrayToPointCloud(data, data.length, pointCloud);
+        if (!status.ok()) {
+            throw new Error(`Draco point cloud could not be decoded: ${status.error_msg()}`);
+        }
+
+        const result = {};
+        for (const [semantic, uniqueId] of Object.entries(properties)) {
+            const attribute = decoder.GetAttributeByUniqueId(pointCloud, uniqueId);
+            const isColor = semantic === 'RGB' || semantic === 'RGBA';
+            const [DracoArray, getter, ArrayType] = isColor
+                ? [draco.DracoUInt8Array, 'GetAttributeUInt8ForAllPoints', Uint8Array]
+                : semantic === 'BATCH_ID'
+                    ? [draco.DracoUInt32Array, 'GetAttributeUInt32ForAllPoints', Uint32Array]
+                    : [draco.DracoFloat32Array, 'GetAttributeFloatForAllPoints', Float32Array];
+
+            const values = new DracoArray();
+            decoder[getter](pointCloud, attribute, values);
+            const array = new ArrayType(values.size());
+            for (let i = 0; i < array.length; i++) {
+                array[i] = values.GetValue(i);
+            }
+            draco.destroy(values);
+            result[semantic] = array;
+        }
+        return result;
+    } finally {
+        draco.destroy(pointCloud);
+        draco.destroy(decoder);
+    }
+}
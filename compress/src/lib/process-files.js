@@ -0,0 +1,132 @@
+import path from 'path';
+import { fork } from 'child_process';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WORKER_PATH = path.resolve(__dirname, '..', 'worker.js');
+
+// Recycle a worker after this many files, or once its resident memory exceeds this many MB.
+// Native and WASM allocations (Draco, sharp) are not always returned to the system, so a
+// long-lived worker slowly grows.
+export const DEFAULT_MAX_JOBS_PER_WORKER = 500;
+export const DEFAULT_MAX_WORKER_MEMORY = 2048;
+
+// Process files with a pool of `jobs` long-lived worker processes, each handling one file at a
+// time and keeping its Draco modules warm between files. A worker is replaced after
+// `maxJobsPerWorker` files or when its memory exceeds `maxWorkerMemory` MB, and when it crashes
+// (the file it was processing is then reported as failed).
+// `files` is a list of { file, output } pairs. `onResult(result)` and `onFailure({ file, error })`
+// are called as each file finishes, e.g. to journal progress.
+// Resolves once every file has finished and every worker has exited, with the per-file results
+// and the list of failures.
+export function processFiles(files, options, {
+    jobs = Math.max(1, os.cpus().length - 1),
+    maxJobsPerWorker = DEFAULT_MAX_JOBS_PER_WORKER,
+    maxWorkerMemory = DEFAULT_MAX_WORKER_MEMORY,
+    onResult = () => {},
+    onFailure = () => {},
+} = {}) {
+    const totalFiles = files.length;
+    const results = [];
+    const failures = [];
+    const workers = new Set();
+    let nextFile = 0;
+    const startTime = Date.now();
+    console.log(`Starting processing of ${totalFiles} files with ${Math.min(jobs, totalFiles)} worker processes.`);
+
+    return new Promise(resolve => {
+        function startWorker() {
+            const worker = { child: fork(WORKER_PATH), job: null, completed: 0 };
+            workers.add(worker);
+
+            worker.child.on('message', (message) => {
+                const { file } = worker.job;
+                worker.job = null;
+                worker.completed++;
+                if (message.ok) {
+                    handleCompletion(message.result);
+                } else {
+                    handleFailure(file, message.error);
+                }
+
+                if (worker.completed >= maxJobsPerWorker || message.memory > maxWorkerMemory * 1024 * 1024) {
+                    // Let it exit; the 'exit' handler starts a replacement if files remain
+                    worker.child.disconnect();
+                } else {
+                    assignNextFile(worker);
+                }
+            });
+
+            // 'exit' can fire without 'error' and vice versa, so handle each worker's end once.
+            let ended = false;
+            const end = (reason) => {
+                if (ended) return;
+                ended = true;
+                workers.delete(worker);
+                if (worker.job) {
+                    handleFailure(worker.job.file, reason);
+                }
+                if (nextFile < totalFiles) {
+                    startWorker();
+                } else if (workers.size === 0) {
+                    finishProcessing();
+                }
+            };
+            worker.child.on('error', (err) => end(err.message));
+            worker.child.on('exit', (code) => end(`Worker process exited with code ${code}`));
+
+            assignNextFile(worker);
+        }
+
+        function assignNextFile(worker) {
+            if (nextFile >= totalFiles) {
+                worker.child.disconnect();
+                return;
+            }
+            worker.job = files[nextFile++];
+            worker.child.send({ ...worker.job, options });
+        }
+
+        function handleCompletion(result) {
+            results.push(result);
+            onResult(result);
+            updateProgress(`, Execution time: ${result.executionTime.toFixed(2)}s. KTX: ${result.ktxApplied ? 'Applied' : 'Not Applied'}. Draco: ${result.dracoApplied ? 'Applied' : 'Not Applied'}`);
+        }
+
+        function handleFailure(file, error) {
+            failures.push({ file, error });
+            onFailure({ file, error });
+            console.error(`\nError processing ${file}: ${error}`);
+            updateProgress();
+        }
+
+        function updateProgress(message = '') {
+            const done = results.length + failures.length;
+            process.stdout.write(`\rProcessed: ${done}/${totalFiles}, Remaining: ${totalFiles - done} ${message}`);
+        }
+
+        function finishProcessing() {
+            console.log(''); // Move to the next line after finishing
+            const totalTime = (Date.now() - startTime) / 1000; // in seconds
+            console.log(`All tasks completed.`);
+            console.log(`Total files processed: ${totalFiles}`);
+            if (failures.length > 0) {
+                console.log(`Failed files: ${failures.length}`);
+            }
+            console.log(`Total time taken: ${totalTime.toFixed(2)} seconds`);
+            if (totalFiles > 0) {
+                console.log(`Average processing time per file: ${(totalTime / totalFiles).toFixed(4)} seconds`);
+            }
+            resolve({ results, failures });
+        }
+
+        if (totalFiles === 0) {
+            finishProcessing();
+        } else {
+            for (let i = 0; i < Math.min(jobs, totalFiles); i++) {
+                startWorker();
+            }
+        }
+    });
+}
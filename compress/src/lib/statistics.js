@@ -0,0 +1,140 @@
+import { loadImage } from 'canvas';
+import { listTextureSlots } from '@gltf-transform/functions';
+import { readImageInfo } from './image-info.js';
+
+export async function getModelStatistics(document) {
+    const stats = {
+        dracoCompression: false,
+        triangleCount: 0,
+        textures: []
+    };
+
+    const root = document.getRoot();
+
+    // Check for Draco compression
+    root.listExtensionsUsed().forEach(ext => {
+        if (ext.extensionName === 'KHR_draco_mesh_compression') {
+            stats.dracoCompression = true;
+        }
+    });
+
+    // Count triangles
+    root.listMeshes().forEach(mesh => {
+        mesh.listPrimitives().forEach(primitive => {
+            const indices = primitive.getIndices();
+            if (indices) {
+                stats.triangleCount += indices.getCount() / 3;
+            }
+        });
+    });
+
+    // Collect texture information
+    const textureInfos = await Promise.all(root.listTextures().map(getTextureInfo));
+
+    // KTX2 textures also get their mode (ETC1S or UASTC), and every texture its material slots
+    stats.textures = textureInfos.map((textureInfo, index) => {
+        const texture = root.listTextures()[index];
+        const mode = textureInfo.encoding === 'KTX' && texture.getImage() ? readImageInfo(texture.getImage()).mode : undefined;
+        return {
+            format: textureInfo.encoding,
+            width: textureInfo.resolution.split('x')[0],
+            height: textureInfo.resolution.split('x')[1],
+            ...(mode && { mode }),
+            slots: listTextureSlots(texture),
+        };
+    });
+
+    return stats;
+}
+
+export async function getTextureInfo(texture) {
+    const image = texture.getImage();
+    const mimeType = texture.getMimeType();
+    let width = 'unknown';
+    let height = 'unknown';
+    let encoding = 'unknown';
+
+    if (image) {
+        try {
+            const isKTX = mimeType?.includes('ktx');
+            let imageData;
+            if (image instanceof Buffer || image instanceof Uint8Array) {
+                imageData = new Uint8Array(image);
+            } else {
+                console.warn('Unexpected image format:', typeof image);
+                return { resolution: `${width}x${height}`, encoding };
+            }
+
+            if (isKTX) {
+                const ktxHeader = parseKTXHeader(imageData);
+                if (ktxHeader) {
+                    width = ktxHeader.pixelWidth;
+                    height = ktxHeader.pixelHeight;
+                    encoding = 'KTX';
+                } else {
+                    console.warn('Failed to parse KTX header');
+                }
+            } else {
+                const img = await loadImage(Buffer.from(image));
+                width = img.width;
+                height = img.height;
+            }
+        } catch (error) {
+            console.error('Error getting texture dimensions:', error);
+        }
+    }
+
+    if (mimeType) {
+        if (mimeType.includes('jpeg')) encoding = 'JPG';
+        else if (mimeType.includes('png')) encoding = 'PNG';
+        else if (mimeType.includes('ktx')) encoding = 'KTX';
+    }
+
+    return { resolution: `${width}x${height}`, encoding };
+}
+
+export function parseKTXHeader(buffer) {
+    // KTX identifiers
+    const KTX_IDENTIFIERS = [
+        [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x31, 0x31, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A],
+        [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A]
+    ];
+
+    if (!(buffer instanceof Uint8Array)) {
+        console.warn('Buffer is not Uint8Array:', typeof buffer);
+        return null;
+    }
+
+    const dataView = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    let isKTX1 = true, isKTX2 = true;
+
+    for (let i = 0; i < KTX_IDENTIFIERS[0].length; ++i) {
+        if (buffer[i] !== KTX_IDENTIFIERS[0][i]) isKTX1 = false;
+        if (buffer[i] !== KTX_IDENTIFIERS[1][i]) isKTX2 = false;
+    }
+
+    if (isKTX1) {
+        return { pixelWidth: dataView.getUint32(36, true), pixelHeight: dataView.getUint32(40, true) };
+    } else if (isKTX2) {
+        return { pixelWidth: dataView.getUint32(20, true), pixelHeight: dataView.getUint32(24, true) };
+    }
+
+    console.warn('Neither KTX1 nor KTX2 format detected');
+    return null;
+}
+
+export function printStatistics(stats) {
+    console.log('\n=== Model Statistics ===');
+    console.log(`Draco Compression: ${stats.dracoCompression ? 'Yes' : 'No'}`);
+    console.log(`Triangle Count: ${stats.triangleCount}`);
+    console.log('\nTextures:');
+    stats.textures.forEach((texture, index) => {
+        console.log(`  Texture ${index + 1}:`);
+        console.log(`    Format: ${texture.format}${texture.mode ? ` (${texture.mode})` : ''}`);
+        console.log(`    Resolution: ${texture.width}x${texture.height}`);
+        if (texture.slots.length > 0) {
+            console.log(`    Slots: ${texture.slots.join(', ')}`);
+        }
+    });
+    console.log('=====================\n');
+}
@@ -0,0 +1,118 @@
+// Implicit tiling subtree (.subtree) reading and writing.
+// https://github.com/CesiumGS/3d-tiles/tree/main/specification/ImplicitTiling#subtrees
+
+import fs from 'fs';
+import path from 'path';
+import { readMagic } from './cmpt.js';
+
+export const SUBTREE_MAGIC = 'subt';
+export const SUBTREE_HEADER_LENGTH = 24;
+
+// The JSON and binary chunks, and the bitstreams in the binary chunk, start on 8-byte boundaries
+const CHUNK_ALIGNMENT = 8;
+
+// Read a subtree, binary or JSON, into its availabilities: { tileAvailability, contentAvailability
+// (one per content of the implicit tile), childSubtreeAvailability }, each { constant } or
+// { bitstream } (a Uint8Array view, bit i being bit i % 8 of byte i / 8), and `externalFiles`, the
+// paths of the buffers with a `uri`, read relative to `file`.
+export function parseSubtree(buffer, file) {
+    let json;
+    let binary = null;
+    if (readMagic(buffer) === SUBTREE_MAGIC) {
+        if (buffer.length < SUBTREE_HEADER_LENGTH) {
+            throw new Error(`File is too short to be a subtree (${buffer.length} bytes).`);
+        }
+        const jsonByteLength = Number(buffer.readBigUInt64LE(8));
+        const binaryByteLength = Number(buffer.readBigUInt64LE(16));
+        if (SUBTREE_HEADER_LENGTH + jsonByteLength + binaryByteLength > buffer.length) {
+            throw new Error(`Subtree chunks (${SUBTREE_HEADER_LENGTH + jsonByteLength + binaryByteLength} bytes) exceed the file length (${buffer.length} bytes).`);
+        }
+        json = JSON.parse(buffer.toString('utf8', SUBTREE_HEADER_LENGTH, SUBTREE_HEADER_LENGTH + jsonByteLength));
+        binary = buffer.subarray(SUBTREE_HEADER_LENGTH + jsonByteLength, SUBTREE_HEADER_LENGTH + jsonByteLength + binaryByteLength);
+    } else {
+        json = JSON.parse(buffer.toString('utf8'));
+    }
+
+    const buffers = (json.buffers ?? []).map((item, i) => {
+        if (item.uri !== undefined) {
+            return fs.readFileSync(path.resolve(path.dirname(file), decodeURIComponent(item.uri)));
+        }
+        if (!binary) {
+            throw new Error(`Subtree buffer ${i} has no uri and there is no binary chunk.`);
+        }
+        return binary;
+    });
+    const availability = item => {
+        if (!item || item.bitstream === undefined) {
+            return { constant: item?.constant ?? 0 };
+        }
+        const view = json.bufferViews?.[item.bitstream];
+        const data = view && buffers[view.buffer];
+        if (!data || (view.byteOffset ?? 0) + view.byteLength > data.length) {
+            throw new Error(`Subtree bitstream ${item.bitstream} is out of bounds.`);
+        }
+        return { bitstream: data.subarray(view.byteOffset ?? 0, (view.byteOffset ?? 0) + view.byteLength) };
+    };
+    return {
+        externalFiles: (json.buffers ?? []).filter(item => item.uri !== undefined).map(item => path.resolve(path.dirname(file), decodeURIComponent(item.uri))),
+        tileAvailability: availability(json.tileAvailability),
+        contentAvailability: (json.contentAvailability ?? []).map(availability),
+        childSubtreeAvailability: availability(json.childSubtreeAvailability),
+    };
+}
+
+// Whether bit `index` of an availability is set
+export function isAvailable(availability, index) {
+    if (availability.bitstream) {
+        return ((availability.bitstream[index >> 3] ?? 0) >> (index & 7) & 1) === 1;
+    }
+    return availability.constant === 1;
+}
+
+// Write a binary subtree from availabilities given as arrays of 0/1 per bit. An availability with
+// every bit equal is written as a constant, the others as bitstreams in the binary chunk.
+export function writeSubtree({ tileAvailability, contentAvailability, childSubtreeAvailability }) {
+    const bitstreams = [];
+    const availability = bits => {
+        if (bits.every(bit => bit === bits[0])) {
+            return { constant: bits[0] ?? 0 };
+        }
+        const bytes = Buffer.alloc(Math.ceil(bits.length / 8));
+        bits.forEach((bit, i) => {
+            if (bit) {
+                bytes[i >> 3] |= 1 << (i & 7);
+            }
+        });
+        bitstreams.push(bytes);
+        return { bitstream: bitstreams.length - 1 };
+    };
+    const availabilities = {
+        tileAvailability: availability(tileAvailability),
+        contentAvailability: contentAvailability.map(availability),
+        childSubtreeAvailability: availability(childSubtreeAvailability),
+    };
+
+    const bufferViews = [];
+    let byteLength = 0;
+    for (const bytes of bitstreams) {
+        bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.length });
+        byteLength += bytes.length + pad(bytes.length);
+    }
+    const binary = Buffer.alloc(byteLength);
+    bitstreams.forEach((bytes, i) => bytes.copy(binary, bufferViews[i].byteOffset));
+    const json = bitstreams.length > 0 ? { buffers: [{ byteLength }], bufferViews, ...availabilities } : availabilities;
+
+    let jsonText = JSON.stringify(json);
+    jsonText += ' '.repeat(pad(Buffer.byteLength(jsonText)));
+    const jsonChunk = Buffer.from(jsonText, 'utf8');
+    const header = Buffer.alloc(SUBTREE_HEADER_LENGTH);
+    header.write(SUBTREE_MAGIC, 0, 'utf8');
+    header.writeUInt32LE(1, 4);
+    header.writeBigUInt64LE(BigInt(jsonChunk.length), 8);
+    header.writeBigUInt64LE(BigInt(binary.length), 16);
+    return Buffer.concat([header, jsonChunk, binary]);
+}
+
+function pad(length) {
+    return (CHUNK_ALIGNMENT - (length % CHUNK_ALIGNMENT)) % CHUNK_ALIGNMENT;
+}
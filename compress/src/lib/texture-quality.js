@@ -0,0 +1,121 @@
+// Compare a KTX2 texture with the PNG or JPEG image it was encoded from. The KTX2 is transcoded
+// back to RGBA8 with `ktx extract` (KTX-Software 4.3+, which also provides toktx; see
+// ktx-tool.js), and both images are decoded with canvas at the KTX2 size, as toktx may have
+// resized it to a power of two.
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { createCanvas, loadImage } from 'canvas';
+import { TextureChannel } from '@gltf-transform/core';
+import { listTextureChannels, listTextureSlots } from '@gltf-transform/functions';
+import { readImageInfo, readKtx2KeyValues } from './image-info.js';
+import { requireKtxTool } from './ktx-tool.js';
+
+const execFileAsync = promisify(execFile);
+
+// Reported for identical channels, where the PSNR is infinite
+const MAX_PSNR = 100;
+// SSIM is computed over non-overlapping windows of this size and averaged
+const SSIM_WINDOW = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+const CHANNEL_OFFSETS = [[TextureChannel.R, 0], [TextureChannel.G, 1], [TextureChannel.B, 2], [TextureChannel.A, 3]];
+
+// PSNR (dB) and SSIM (0-1) of the KTX2 image `texture` now holds against `original`, the
+// image bytes it was encoded from. Only the channels its material slots read are compared.
+export async function measureTextureQuality(texture, original) {
+    const encoded = texture.getImage();
+    const { width, height } = readImageInfo(encoded);
+    const source = await decodeImage(original, width, height);
+    const decoded = await decodeImage(await transcodeKtx2(encoded), width, height);
+    const pairs = channelPairs(texture, encoded);
+    return {
+        psnr: Math.round(psnr(source, decoded, pairs) * 100) / 100,
+        ssim: Math.round(ssim(source, decoded, width, height, pairs) * 10000) / 10000,
+    };
+}
+
+// Pairs of [original, decoded] RGBA offsets to compare. toktx stores normal maps in normal mode
+// as X in RGB and Y in alpha, which its writer options in the KTX2 metadata record.
+function channelPairs(texture, encoded) {
+    const channels = listTextureChannels(texture);
+    const pairs = CHANNEL_OFFSETS.filter(([channel]) => channels.includes(channel)).map(([, offset]) => [offset, offset]);
+    const normalMode = (readKtx2KeyValues(encoded).KTXwriterScParams || '').includes('--normal_mode');
+    if (normalMode && listTextureSlots(texture).some(slot => /normal/i.test(slot))) {
+        return [[0, 0], [1, 3]];
+    }
+    return pairs.length > 0 ? pairs : [[0, 0], [1, 1], [2, 2]];
+}
+
+// PNG bytes of the first mip level of a KTX2 image, transcoded to RGBA8
+export async function transcodeKtx2(bytes) {
+    await requireKtxTool();
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tiles-ktx-'));
+    try {
+        const input = path.join(dir, 'texture.ktx2');
+        const output = path.join(dir, 'texture.png');
+        await fs.writeFile(input, bytes);
+        await execFileAsync('ktx', ['extract', '--level', '0', '--transcode', 'rgba8', input, output]);
+        return await fs.readFile(output);
+    } catch (error) {
+        throw new Error(`Could not decode the KTX2 texture: ${(error.stderr || error.message).trim()}`);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+// RGBA8 pixels of a PNG or JPEG, scaled to width x height
+async function decodeImage(bytes, width, height) {
+    const image = await loadImage(Buffer.from(bytes));
+    const context = createCanvas(width, height).getContext('2d');
+    context.drawImage(image, 0, 0, width, height);
+    return context.getImageData(0, 0, width, height).data;
+}
+
+function psnr(a, b, pairs) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i += 4) {
+        for (const [ca, cb] of pairs) {
+            sum += (a[i + ca] - b[i + cb]) ** 2;
+        }
+    }
+    const mse = sum / (a.length / 4 * pairs.length);
+    return mse === 0 ? MAX_PSNR : Math.min(MAX_PSNR, 10 * Math.log10(255 * 255 / mse));
+}
+
+function ssim(a, b, width, height, pairs) {
+    let total = 0;
+    let windows = 0;
+    for (const [ca, cb] of pairs) {
+        for (let y0 = 0; y0 < height; y0 += SSIM_WINDOW) {
+            for (let x0 = 0; x0 < width; x0 += SSIM_WINDOW) {
+                let n = 0, sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+                for (let y = y0; y < Math.min(y0 + SSIM_WINDOW, height); y++) {
+                    for (let x = x0; x < Math.min(x0 + SSIM_WINDOW, width); x++) {
+                        const i = (y * width + x) * 4;
+                        const va = a[i + ca];
+                        const vb = b[i + cb];
+                        n++;
+                        sumA += va;
+                        sumB += vb;
+                        sumAA += va * va;
+                        sumBB += vb * vb;
+                        sumAB += va * vb;
+                    }
+                }
+                const meanA = sumA / n;
+                const meanB = sumB / n;
+                const varianceA = sumAA / n - meanA * meanA;
+                const varianceB = sumBB / n - meanB * meanB;
+                const covariance = sumAB / n - meanA * meanB;
+                total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2))
+                    / ((meanA * meanA + meanB * meanB + SSIM_C1) * (varianceA + varianceB + SSIM_C2));
+                windows++;
+            }
+        }
+    }
+    return windows > 0 ? total / windows : 1;
+}
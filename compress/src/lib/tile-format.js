@@ -0,0 +1,112 @@
+// Content formats told apart by their bytes rather than their file name, so tiles are read
+// whatever their extension (upper case, missing or misleading) and gzip-compressed files, as
+// some tilers write them for servers to send with Content-Encoding: gzip, are unpacked first.
+
+import path from 'path';
+import zlib from 'zlib';
+import { B3DM_MAGIC } from './b3dm.js';
+import { I3DM_MAGIC } from './i3dm.js';
+import { PNTS_MAGIC } from './pnts.js';
+import { CMPT_MAGIC, readMagic } from './cmpt.js';
+import { SUBTREE_MAGIC } from './subtree.js';
+
+// Formats by their 4-byte magic
+const MAGIC_FORMATS = {
+    [B3DM_MAGIC]: 'b3dm',
+    [I3DM_MAGIC]: 'i3dm',
+    [PNTS_MAGIC]: 'pnts',
+    [CMPT_MAGIC]: 'cmpt',
+    glTF: 'glb',
+    [SUBTREE_MAGIC]: 'subtree',
+};
+
+const GZIP_SIGNATURE = [0x1f, 0x8b];
+
+// The formats of tile contents, with the file extensions each is named with
+export const CONTENT_EXTENSIONS = {
+    b3dm: ['.b3dm'],
+    i3dm: ['.i3dm'],
+    pnts: ['.pnts'],
+    cmpt: ['.cmpt'],
+    glb: ['.glb'],
+    gltf: ['.gltf'],
+};
+
+// The format of `buffer` from its first bytes: 'b3dm', 'i3dm', 'pnts', 'cmpt', 'glb', 'subtree'
+// or 'gzip', or for JSON 'tileset', 'subtree', 'gltf' or 'json' (any other object). Null when
+// the bytes are none of these.
+export function sniffFormat(buffer) {
+    if (isGzip(buffer)) {
+        return 'gzip';
+    }
+    const format = MAGIC_FORMATS[readMagic(buffer)];
+    if (format) {
+        return format;
+    }
+    if (!/^\uFEFF?\s*\{/.test(buffer.toString('utf8', 0, 64))) {
+        return null;
+    }
+
+    let json;
+    try {
+        json = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    } catch {
+        return null;
+    }
+    if (isObject(json.asset) && isObject(json.root)) {
+        return 'tileset';
+    } else if (isObject(json.tileAvailability)) {
+        return 'subtree';
+    } else if (isObject(json.asset)) {
+        return 'gltf';
+    }
+    return 'json';
+}
+
+// Identify a content and return { format, buffer, gzipped }: `buffer` is the content itself,
+// gunzipped if it was gzip-compressed. Throws when the format is unknown.
+export function identifyContent(buffer) {
+    const content = gunzipContent(buffer);
+    const format = sniffFormat(content);
+    const gzipped = content !== buffer;
+    if (content.length === 0) {
+        throw new Error(`The content is empty${gzipped ? ' once gunzipped' : ''}.`);
+    } else if (!format) {
+        throw new Error(`Unknown content format (${gzipped ? 'gzip-compressed, ' : ''}starting with ${describeBytes(content)}).`);
+    }
+    return { format, buffer: content, gzipped };
+}
+
+// `buffer` gunzipped as long as it is gzip-compressed, or as is
+export function gunzipContent(buffer) {
+    let content = buffer;
+    while (isGzip(content)) {
+        try {
+            content = zlib.gunzipSync(content);
+        } catch (error) {
+            throw new Error(`The content is not valid gzip: ${error.message}`);
+        }
+    }
+    return content;
+}
+
+// Whether a file is named with the extension of one of `formats` (any content format by default)
+export function hasContentExtension(file, formats = Object.keys(CONTENT_EXTENSIONS)) {
+    const ext = path.extname(file).toLowerCase();
+    return formats.some(format => CONTENT_EXTENSIONS[format].includes(ext));
+}
+
+// The first bytes of an unknown content, as text when printable and in hex otherwise
+function describeBytes(buffer) {
+    const start = buffer.subarray(0, 4);
+    const text = start.toString('latin1');
+    return /^[\x20-\x7e]+$/.test(text) ? `"${text}"` : `bytes ${start.toString('hex').replace(/(..)(?!$)/g, '$1 ')}`;
+}
+
+function isGzip(buffer) {
+    return buffer.length >= 2 && buffer[0] === GZIP_SIGNATURE[0] && buffer[1] === GZIP_SIGNATURE[1];
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
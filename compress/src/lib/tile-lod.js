@@ -0,0 +1,476 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { Document, Logger, Primitive, PropertyType } from '@gltf-transform/core';
+import { KHRMaterialsUnlit, KHRTextureBasisu, EXTTextureWebP, EXTTextureAVIF } from '@gltf-transform/extensions';
+import { dedup, join, weld, prune } from '@gltf-transform/functions';
+import { MeshoptSimplifier } from 'meshoptimizer';
+import { getIO } from './io.js';
+import { identifyContent } from './tile-format.js';
+import { readInputDocument } from './input-files.js';
+import { convertTileToGlb, convertCompositeToGlbs } from './tile-to-glb.js';
+import { multiplyMatrices } from './bounding-volume.js';
+import { parseJsonSource, nodeValue, getMember, applyEdits, formatJson } from './json-source.js';
+import { tileContents, resolveContent, insertMembers, assetVersionEdit } from './tileset-json.js';
+
+// Folder, next to the tileset JSON, of the rebuilt contents: lod/<tile>.glb, where <tile> is the
+// tile's path from the root, e.g. root_0_2 for the third child of the root's first child
+export const LOD_FOLDER = 'lod';
+
+// glTF's y-up frame to the z-up frame of 3D Tiles: (x, y, z) -> (x, -z, y)
+export const Y_UP_TO_Z_UP = [1, 0, 0, 0, 0, 0, 1, 0, 0, -1, 0, 0, 0, 0, 0, 1];
+
+// Extensions a copied texture needs, by image MIME type
+const TEXTURE_EXTENSIONS = { 'image/ktx2': KHRTextureBasisu, 'image/webp': EXTTextureWebP, 'image/avif': EXTTextureAVIF };
+
+// Rebuild the content of every tile with children and REPLACE refinement in the tileset JSON at
+// `tilesetFile`: the children's meshes are merged in the tile's frame, one primitive per
+// material, and simplified with meshoptimizer. Children are rebuilt before their parent, so each
+// level is simplified from the one below. A tile is left as it is when a child cannot be merged:
+// its subtree has ADD refinement, implicit tiling, an external tileset, remote content, instances
+// or points, and the child has no content of its own to stand in for it.
+// The geometricError of a rebuilt tile becomes its children's largest plus the error the
+// simplification measured, and other tiles are raised to their children's largest, so no tile
+// has a smaller geometricError than its children. The contents are written to lod/ next to
+// `outputFile`, where the caller writes the updated tileset JSON. Settings:
+// - ratio: fraction of the children's triangles to keep
+// - maxError: stop simplifying before the geometry moves more than this many metres
+// - maxTriangles: triangles to keep at most per tile
+// - lockBorder: keep the vertices on open mesh borders, so neighbouring tiles do not crack
+// Resolves with { rebuilt: [{ tile, file, trianglesBefore, trianglesAfter, error, geometricError }],
+// skipped: [{ tile, reason }], failures: [{ tile, error }], replaced, text }, where `replaced` lists
+// the contents no tile references anymore and `text` is the updated tileset JSON.
+export async function rebuildParentContents(tilesetFile, outputFile, settings) {
+    const text = fs.readFileSync(tilesetFile, 'utf8');
+    const json = parseJsonSource(text);
+    const dir = path.dirname(tilesetFile);
+    const outputDir = path.dirname(outputFile);
+    const io = await getIO();
+
+    const edits = [];
+    const rebuilt = [];
+    const skipped = [];
+    const failures = [];
+    // How many contents refer to each file, to find the files that replaced contents leave unused
+    const references = new Map();
+    const replacedContents = [];
+    const written = new Set();
+
+    const numberMember = (tile, key) => {
+        const member = getMember(tile, key);
+        return typeof member?.value.value === 'number' ? member.value.value : null;
+    };
+
+    const setGeometricError = (tile, value) => {
+        const member = getMember(tile, 'geometricError');
+        if (member && member.value.value !== value) {
+            edits.push({ start: member.value.start, end: member.value.end, text: String(value) });
+        }
+    };
+
+    // Load the contents of a tile as glTF documents in its frame, or return the reason it cannot
+    async function loadContents(tile, id) {
+        const parts = [];
+        for (const content of tileContents(tile)) {
+            const file = resolveContent(nodeValue(content), dir);
+            if (!file) {
+                return { reason: `tile ${id} has remote content` };
+            }
+            try {
+                const { format, buffer } = identifyContent(fs.readFileSync(file));
+                if (format === 'gltf') {
+                    parts.push({ document: await readInputDocument(io, file), matrix: Y_UP_TO_Z_UP });
+                } else if (format === 'tileset') {
+                    return { reason: `tile ${id} references an external tileset` };
+                } else {
+                    const glbs = format === 'glb' ? [buffer]
+                        : format === 'cmpt' ? await convertCompositeToGlbs(buffer, file)
+                            : [await convertTileToGlb(buffer, file)];
+                    for (const glb of glbs) {
+                        parts.push({ document: await io.readBinary(glb), matrix: Y_UP_TO_Z_UP });
+                    }
+                }
+            } catch (error) {
+                failures.push({ tile: id, error: `Cannot read ${path.relative(dir, file)}: ${error.message}` });
+                return { reason: `the content of tile ${id} cannot be read` };
+            }
+        }
+        return { parts };
+    }
+
+    // Rebuild the tiles under `tile`, then `tile` itself. Resolves with its geometricError and
+    // either `load`, resolving with the documents that stand for the tile's subtree, or the
+    // `reason` they are not available.
+    async function visit(tile, id, parentRefine) {
+        const refine = String(getMember(tile, 'refine')?.value.value ?? parentRefine).toUpperCase();
+        const children = (getMember(tile, 'children')?.value.elements ?? []).filter(child => child.type === 'object');
+        const originalError = numberMember(tile, 'geometricError') ?? 0;
+        for (const content of tileContents(tile)) {
+            const file = resolveContent(nodeValue(content), dir);
+            if (file) {
+                references.set(file, (references.get(file) ?? 0) + 1);
+            }
+        }
+
+        if (getMember(tile, 'implicitTiling')) {
+            return { geometricError: originalError, reason: `tile ${id} uses implicit tiling` };
+        }
+        const visited = [];
+        for (const [i, child] of children.entries()) {
+            visited.push(await visit(child, `${id}_${i}`, refine));
+        }
+        const childError = Math.max(0, ...visited.map(child => child.geometricError));
+        // The tile's own contents stand for its subtree when it is not rebuilt
+        const ownContents = () => (children.length === 0 || (refine === 'REPLACE' && tileContents(tile).length > 0)
+            ? { load: () => loadContents(tile, id) }
+            : { reason: refine === 'REPLACE' ? `tile ${id} has no content` : `tile ${id} uses ADD refinement` });
+        const keep = reason => {
+            if (children.length > 0) {
+                skipped.push({ tile: id, reason });
+                setGeometricError(tile, Math.max(originalError, childError));
+            }
+            return { geometricError: Math.max(originalError, childError), ...ownContents() };
+        };
+
+        if (children.length === 0) {
+            return keep();
+        }
+        if (refine !== 'REPLACE') {
+            return keep('it uses ADD refinement, so its content is not a coarser version of its children');
+        }
+        const missing = visited.find(child => child.reason);
+        if (missing) {
+            return keep(missing.reason);
+        }
+
+        const parts = [];
+        for (const [i, child] of visited.entries()) {
+            const loaded = await child.load();
+            if (loaded.reason) {
+                return keep(loaded.reason);
+            }
+            const transformMember = getMember(children[i], 'transform');
+            const matrix = transformMember?.value.type === 'array' && transformMember.value.elements.length === 16 ? nodeValue(transformMember.value) : null;
+            parts.push(...loaded.parts.map(part => ({ ...part, matrix: matrix ? multiplyMatrices(matrix, part.matrix) : part.matrix })));
+        }
+
+        let lod;
+        try {
+            lod = await buildLod(parts, settings);
+        } catch (error) {
+            return keep(`the children of tile ${id} cannot be merged: ${error.message.replace(/\.$/, '')}`);
+        }
+        if (!lod) {
+            // Nothing to draw under this tile: it stands for nothing too, unless it has content
+            return tileContents(tile).length > 0 ? keep('its children have no triangles') : { geometricError: Math.max(originalError, childError), load: async () => ({ parts: [] }) };
+        }
+        const uri = `${LOD_FOLDER}/${id}.glb`;
+        const file = path.join(outputDir, LOD_FOLDER, `${id}.glb`);
+        fs.outputFileSync(file, await io.writeBinary(lod.document));
+        written.add(path.resolve(dir, LOD_FOLDER, `${id}.glb`));
+
+        // Rounded up to the millimetre, so the rounding never makes it smaller than measured
+        const geometricError = Math.ceil((childError + lod.error) * 1000) / 1000;
+        setGeometricError(tile, geometricError);
+        const member = getMember(tile, 'contents') ?? getMember(tile, 'content');
+        if (member) {
+            replacedContents.push(...tileContents(tile).map(content => resolveContent(nodeValue(content), dir)).filter(Boolean));
+            edits.push({ start: member.keyStart, end: member.value.end, text: `"content"${text.slice(member.keyEnd, member.value.start)}${formatJson({ uri }, text, member.keyStart)}` });
+        } else {
+            edits.push(insertMembers(tile, { content: { uri } }, text));
+        }
+        rebuilt.push({ tile: id, file, trianglesBefore: lod.trianglesBefore, trianglesAfter: lod.trianglesAfter, error: lod.error, geometricError });
+        return { geometricError, load: async () => ({ parts: [{ document: lod.document, matrix: Y_UP_TO_Z_UP }] }) };
+    }
+
+    const root = getMember(json, 'root').value;
+    // A root without `refine` is refined by replacement
+    const { geometricError } = await visit(root, 'root', 'REPLACE');
+    const tilesetError = numberMember(json, 'geometricError');
+    if (tilesetError !== null && tilesetError < geometricError) {
+        setGeometricError(json, geometricError);
+    }
+    if (rebuilt.length > 0) {
+        // glb contents need 3D Tiles 1.1
+        const versionEdit = assetVersionEdit(json, text, '1.1');
+        if (versionEdit) {
+            edits.push(versionEdit);
+        }
+    }
+    for (const file of replacedContents) {
+        references.set(file, references.get(file) - 1);
+    }
+    const replaced = [...new Set(replacedContents)].filter(file => references.get(file) === 0 && !written.has(file));
+    return { rebuilt, skipped, failures, replaced, text: applyEdits(text, edits) };
+}
+
+// Merge the triangles of `parts` ({ document, matrix to the tile's z-up frame }) into a new
+// document and simplify it. Resolves with { document, trianglesBefore, trianglesAfter, error },
+// the error being the largest deviation the simplifier measured, in metres, or with null when
+// there are no triangles.
+export async function buildLod(parts, settings) {
+    const pieces = parts.flatMap(({ document, matrix }) => collectTriangles(document, matrix));
+    if (pieces.length === 0) {
+        return null;
+    }
+    const document = await buildMesh(pieces);
+    return { document, ...await simplifyMesh(document, settings) };
+}
+
+// A new document with the triangles of `pieces` (see collectTriangles) in one mesh, one primitive
+// per material, with the vertices shared by adjacent pieces welded
+export async function buildMesh(pieces) {
+    // Positions are stored relative to the centre of the merged geometry, kept in a root node
+    // translation, as float32 cannot hold geocentric coordinates to the millimetre
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (const { positions } of pieces) {
+        for (let i = 0; i < positions.length; i++) {
+            min[i % 3] = Math.min(min[i % 3], positions[i]);
+            max[i % 3] = Math.max(max[i % 3], positions[i]);
+        }
+    }
+    const center = min.map((value, i) => (value + max[i]) / 2);
+
+    const document = new Document().setLogger(new Logger(Logger.Verbosity.WARN));
+    const buffer = document.createBuffer();
+    const mesh = document.createMesh('mesh');
+    const copies = new Map();
+    const accessor = (array, type) => document.createAccessor().setBuffer(buffer).setType(type).setArray(array);
+    for (const piece of pieces) {
+        const count = piece.positions.length / 3;
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            // Back to glTF's y-up: (x, y, z) -> (x, z, -y)
+            positions[i * 3] = piece.positions[i * 3] - center[0];
+            positions[i * 3 + 1] = piece.positions[i * 3 + 2] - center[2];
+            positions[i * 3 + 2] = -(piece.positions[i * 3 + 1] - center[1]);
+        }
+        const primitive = document.createPrimitive()
+            .setIndices(accessor(piece.indices, 'SCALAR'))
+            .setAttribute('POSITION', accessor(positions, 'VEC3'))
+            .setMaterial(copyMaterial(document, piece.material, piece.texcoords !== null, copies));
+        if (piece.normals) {
+            primitive.setAttribute('NORMAL', accessor(piece.normals, 'VEC3'));
+        }
+        if (piece.texcoords) {
+            primitive.setAttribute('TEXCOORD_0', accessor(piece.texcoords, 'VEC2'));
+        }
+        if (piece.colors) {
+            primitive.setAttribute('COLOR_0', accessor(piece.colors, 'VEC4'));
+        }
+        mesh.addPrimitive(primitive);
+    }
+    const node = document.createNode('RTC_CENTER').setTranslation([center[0], center[2], -center[1]]).setMesh(mesh);
+    document.createScene().addChild(node);
+    document.getRoot().setDefaultScene(document.getRoot().listScenes()[0]);
+
+    // Merge equal materials, then the primitives sharing one, then the vertices the pieces
+    // duplicate along their seams, so a simplifier can collapse across them
+    await document.transform(
+        dedup({ propertyTypes: [PropertyType.TEXTURE, PropertyType.MATERIAL] }),
+        join(),
+        weld(),
+    );
+    return document;
+}
+
+// Simplify the mesh of a document made by buildMesh, see rebuildParentContents() for the
+// settings. Resolves with { trianglesBefore, trianglesAfter, error }.
+async function simplifyMesh(document, { ratio, maxError, maxTriangles, lockBorder }) {
+    await MeshoptSimplifier.ready;
+    const mesh = document.getRoot().listMeshes()[0];
+    const triangleCount = () => mesh.listPrimitives().reduce((sum, primitive) => sum + primitive.getIndices().getCount() / 3, 0);
+    const trianglesBefore = triangleCount();
+    const keep = Math.min(ratio, maxTriangles !== undefined && trianglesBefore > 0 ? maxTriangles / trianglesBefore : 1);
+    let error = 0;
+    for (const primitive of mesh.listPrimitives()) {
+        const indices = Uint32Array.from(primitive.getIndices().getArray());
+        const positions = primitive.getAttribute('POSITION').getArray();
+        const scale = MeshoptSimplifier.getScale(positions, 3);
+        const target = Math.floor(indices.length / 3 * keep) * 3;
+        const [simplified, relativeError] = MeshoptSimplifier.simplify(
+            indices, positions, 3, target,
+            maxError !== undefined && scale > 0 ? maxError / scale : 1,
+            lockBorder ? ['LockBorder'] : [],
+        );
+        error = Math.max(error, relativeError * scale);
+        if (simplified.length === 0) {
+            primitive.dispose();
+        } else {
+            compactPrimitive(primitive, simplified);
+        }
+    }
+    await document.transform(prune());
+
+    return { trianglesBefore, trianglesAfter: triangleCount(), error };
+}
+
+// The triangles of every primitive in a document's default scene, with their positions (float64)
+// and normals in the frame `matrix` maps the scene's to. Texture coordinates are those the base
+// color texture reads, with its KHR_texture_transform applied. Other attributes and textures are
+// dropped. Throws for geometry a coarser mesh cannot stand in for: instances, points and lines.
+export function collectTriangles(document, matrix) {
+    const root = document.getRoot();
+    const scene = root.getDefaultScene() || root.listScenes()[0];
+    const pieces = [];
+    scene?.traverse(node => {
+        const mesh = node.getMesh();
+        if (!mesh) {
+            return;
+        }
+        if (node.getExtension('EXT_mesh_gpu_instancing')) {
+            throw new Error('Instanced meshes (EXT_mesh_gpu_instancing) cannot be merged.');
+        }
+        const m = multiplyMatrices(matrix, node.getWorldMatrix());
+        // Mirroring transforms flip the winding of the triangles
+        const mirrored = m[0] * (m[5] * m[10] - m[6] * m[9]) - m[4] * (m[1] * m[10] - m[2] * m[9]) + m[8] * (m[1] * m[6] - m[2] * m[5]) < 0;
+        for (const primitive of mesh.listPrimitives()) {
+            if (primitive.getMode() !== Primitive.Mode.TRIANGLES) {
+                throw new Error('Only triangle meshes can be merged; points, lines and strips cannot.');
+            }
+            const position = primitive.getAttribute('POSITION');
+            if (!position) {
+                continue;
+            }
+            const count = position.getCount();
+            const positions = new Float64Array(count * 3);
+            const element = [0, 0, 0, 0];
+            for (let i = 0; i < count; i++) {
+                const [x, y, z] = position.getElement(i, element);
+                positions[i * 3] = m[0] * x + m[4] * y + m[8] * z + m[12];
+                positions[i * 3 + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+                positions[i * 3 + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+            }
+
+            let normals = null;
+            const normal = primitive.getAttribute('NORMAL');
+            if (normal) {
+                normals = new Float32Array(count * 3);
+                for (let i = 0; i < count; i++) {
+                    const [x, y, z] = normal.getElement(i, element);
+                    const n = [m[0] * x + m[4] * y + m[8] * z, m[1] * x + m[5] * y + m[9] * z, m[2] * x + m[6] * y + m[10] * z];
+                    const length = Math.hypot(...n) || 1;
+                    // Back to glTF's y-up, like the positions
+                    normals.set([n[0] / length, n[2] / length, -n[1] / length], i * 3);
+                }
+            }
+
+            const material = primitive.getMaterial();
+            const textureInfo = material?.getBaseColorTexture() ? material.getBaseColorTextureInfo() : null;
+            const texcoord = textureInfo ? primitive.getAttribute(`TEXCOORD_${textureInfo.getTexCoord()}`) : null;
+            let texcoords = null;
+            if (texcoord) {
+                const transform = textureTransform(textureInfo);
+                texcoords = new Float32Array(count * 2);
+                for (let i = 0; i < count; i++) {
+                    texcoords.set(transform(texcoord.getElement(i, element)), i * 2);
+                }
+            }
+
+            let colors = null;
+            const color = primitive.getAttribute('COLOR_0');
+            if (color) {
+                colors = new Float32Array(count * 4);
+                for (let i = 0; i < count; i++) {
+                    const [r, g, b, a] = color.getElement(i, element);
+                    colors.set([r, g, b, color.getElementSize() === 4 ? a : 1], i * 4);
+                }
+            }
+
+            const indexAccessor = primitive.getIndices();
+            const indices = indexAccessor ? Uint32Array.from(indexAccessor.getArray()) : Uint32Array.from({ length: count }, (_, i) => i);
+            if (mirrored) {
+                for (let i = 0; i < indices.length; i += 3) {
+                    [indices[i + 1], indices[i + 2]] = [indices[i + 2], indices[i + 1]];
+                }
+            }
+            pieces.push({ positions, normals, texcoords, colors, indices, material });
+        }
+    });
+    return pieces;
+}
+
+// The function applying a texture info's KHR_texture_transform (offset, rotation, scale) to a
+// texture coordinate
+export function textureTransform(textureInfo) {
+    const transform = textureInfo.getExtension('KHR_texture_transform');
+    if (!transform) {
+        return ([u, v]) => [u, v];
+    }
+    const [offsetU, offsetV] = transform.getOffset();
+    const [scaleU, scaleV] = transform.getScale();
+    const cos = Math.cos(transform.getRotation());
+    const sin = Math.sin(transform.getRotation());
+    return ([u, v]) => [
+        cos * scaleU * u + sin * scaleV * v + offsetU,
+        -sin * scaleU * u + cos * scaleV * v + offsetV,
+    ];
+}
+
+// Copy the parts of a material a simplified mesh keeps (factors, base color texture, alpha,
+// double-sidedness and KHR_materials_unlit) into `document`, once per source material. The
+// texture is left out with `withTexture` false, for primitives without texture coordinates.
+function copyMaterial(document, material, withTexture, copies) {
+    if (!material) {
+        return null;
+    }
+    const variants = copies.get(material) ?? {};
+    if (!variants[withTexture]) {
+        const copy = document.createMaterial(material.getName())
+            .setBaseColorFactor(material.getBaseColorFactor())
+            .setEmissiveFactor(material.getEmissiveFactor())
+            .setMetallicFactor(material.getMetallicFactor())
+            .setRoughnessFactor(material.getRoughnessFactor())
+            .setAlphaMode(material.getAlphaMode())
+            .setAlphaCutoff(material.getAlphaCutoff())
+            .setDoubleSided(material.getDoubleSided());
+        const texture = withTexture ? material.getBaseColorTexture() : null;
+        if (texture) {
+            if (!copies.has(texture)) {
+                const extension = TEXTURE_EXTENSIONS[texture.getMimeType()];
+                if (extension) {
+                    document.createExtension(extension).setRequired(true);
+                }
+                copies.set(texture, document.createTexture(texture.getName()).setImage(texture.getImage()).setMimeType(texture.getMimeType()));
+            }
+            const info = material.getBaseColorTextureInfo();
+            copy.setBaseColorTexture(copies.get(texture)).getBaseColorTextureInfo()
+                .setWrapS(info.getWrapS())
+                .setWrapT(info.getWrapT())
+                .setMagFilter(info.getMagFilter())
+                .setMinFilter(info.getMinFilter());
+        }
+        if (material.getExtension('KHR_materials_unlit')) {
+            copy.setExtension('KHR_materials_unlit', document.createExtension(KHRMaterialsUnlit).createUnlit());
+        }
+        variants[withTexture] = copy;
+        copies.set(material, variants);
+    }
+    return variants[withTexture];
+}
+
+// Replace a primitive's indices with `indices` and drop the vertices they no longer use
+function compactPrimitive(primitive, indices) {
+    const attributes = primitive.listAttributes();
+    const count = attributes[0].getCount();
+    const remap = new Int32Array(count).fill(-1);
+    let used = 0;
+    for (let i = 0; i < indices.length; i++) {
+        if (remap[indices[i]] === -1) {
+            remap[indices[i]] = used++;
+        }
+        indices[i] = remap[indices[i]];
+    }
+    for (const attribute of attributes) {
+        const size = attribute.getElementSize();
+        const array = attribute.getArray();
+        const compacted = new array.constructor(used * size);
+        for (let i = 0; i < count; i++) {
+            if (remap[i] !== -1) {
+                compacted.set(array.subarray(i * size, (i + 1) * size), remap[i] * size);
+            }
+        }
+        attribute.setArray(compacted);
+    }
+    primitive.getIndices().setArray(indices);
+}
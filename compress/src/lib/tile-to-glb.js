@@ -0,0 +1,39 @@
+import { getIO } from './io.js';
+import { parseCmpt } from './cmpt.js';
+import { sniffFormat } from './tile-format.js';
+import { convertB3dmToGlb } from './b3dm-to-glb.js';
+import { convertI3dmToDocument } from './i3dm-to-glb.js';
+import { convertPntsToDocument } from './pnts-to-glb.js';
+
+// Convert a b3dm, i3dm or pnts tile to a glb for 3D Tiles 1.1. `file` is the path the tile
+// was read from, used to resolve an i3dm's external glTF.
+// The b3dm glb payload is edited in place, while i3dm instances (EXT_mesh_gpu_instancing)
+// and pnts points are rebuilt as a glTF document.
+export async function convertTileToGlb(buffer, file) {
+    const format = sniffFormat(buffer);
+    if (format === 'b3dm') {
+        return convertB3dmToGlb(buffer);
+    }
+
+    const io = await getIO();
+    if (format === 'i3dm') {
+        return io.writeBinary(await convertI3dmToDocument(buffer, file));
+    } else if (format === 'pnts') {
+        return io.writeBinary(await convertPntsToDocument(buffer));
+    }
+    throw new Error(`Cannot convert ${format ?? 'unknown'} content to glb.`);
+}
+
+// Convert every inner tile of a cmpt to a glb, flattening nested composites in order.
+// The glbs are meant to become the entries of a 3D Tiles 1.1 `contents` array.
+export async function convertCompositeToGlbs(buffer, file) {
+    const glbs = [];
+    for (const tile of parseCmpt(buffer).tiles) {
+        if (sniffFormat(tile) === 'cmpt') {
+            glbs.push(...await convertCompositeToGlbs(tile, file));
+        } else {
+            glbs.push(await convertTileToGlb(tile, file));
+        }
+    }
+    return glbs;
+}
@@ -0,0 +1,254 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { getIO } from './io.js';
+import { collectTriangles, buildMesh, buildLod, Y_UP_TO_Z_UP } from './tile-lod.js';
+import { compressDocument } from './compress-file.js';
+
+// Folder of the tile contents in the output: tiles/<tile>.glb, named like the lod command's
+export const TILES_FOLDER = 'tiles';
+
+// Cells are not split further than this, whatever their triangle count, so that many triangles
+// at one spot cannot recurse forever
+const MAX_DEPTH = 16;
+
+// Cut the triangles of `document` into a tileset under `outputDir`: its bounding box is split
+// at the middle of every axis (x and y only with `quadtree`) until each cell has at most
+// `maxTriangles` triangles, clipping the triangles that cross a cell border, with their texture
+// coordinates, normals and colors interpolated at the cut. Leaves hold their cell's triangles;
+// every parent holds its children's merged and simplified to at most `maxTriangles` (see
+// buildLod(), with `lockBorder`), so each level is about as heavy as a leaf. Empty cells are
+// dropped. Every content is passed through compressDocument() with the `compress` options
+// (Draco or meshopt, KTX2) and written as glb; the tileset.json has tight boxes and geometric
+// errors from the simplification errors, and `transform` as the root transform if given.
+// Resolves with { tiles, leaves, depth, triangles }.
+export async function tileModel(document, outputDir, { maxTriangles, quadtree, lockBorder, transform, compress }) {
+    const io = await getIO();
+    const pieces = collectTriangles(document, Y_UP_TO_Z_UP);
+    if (pieces.length === 0) {
+        throw new Error('The model has no triangles.');
+    }
+    const bounds = piecesBounds(pieces);
+    const axes = quadtree ? [0, 1] : [0, 1, 2];
+    const stats = { tiles: 0, leaves: 0, depth: 0, triangles: 0 };
+
+    async function writeTile(tile) {
+        await compressDocument(tile.document, compress);
+        const file = path.join(outputDir, TILES_FOLDER, `${tile.id}.glb`);
+        fs.outputFileSync(file, await io.writeBinary(tile.document));
+        console.log(`Wrote ${path.relative(outputDir, file)} (${tile.triangles} triangles)`);
+        stats.tiles++;
+        stats.triangles += tile.triangles;
+        tile.document = null;
+    }
+
+    // Build the tile for the cell from `min` to `max`, then write its children. The tile itself
+    // is written by its parent, once the parent's content has been made from it.
+    async function buildTile(cellPieces, min, max, id, depth) {
+        stats.depth = Math.max(stats.depth, depth);
+        const count = triangleCount(cellPieces);
+        if (count <= maxTriangles || depth === MAX_DEPTH) {
+            stats.leaves++;
+            return { id, document: await buildMesh(cellPieces), box: piecesBounds(cellPieces), geometricError: 0, triangles: count, children: [] };
+        }
+
+        let cells = [{ pieces: cellPieces, min, max }];
+        for (const axis of axes) {
+            const middle = (min[axis] + max[axis]) / 2;
+            cells = cells.flatMap(cell => {
+                const [below, above] = splitPieces(cell.pieces, axis, middle);
+                return [
+                    { pieces: below, min: cell.min, max: cell.max.map((value, i) => (i === axis ? middle : value)) },
+                    { pieces: above, min: cell.min.map((value, i) => (i === axis ? middle : value)), max: cell.max },
+                ];
+            });
+        }
+        const children = [];
+        for (const cell of cells.filter(cell => cell.pieces.length > 0)) {
+            children.push(await buildTile(cell.pieces, cell.min, cell.max, `${id}_${children.length}`, depth + 1));
+        }
+
+        const lod = await buildLod(children.map(child => ({ document: child.document, matrix: Y_UP_TO_Z_UP })), { ratio: 1, maxTriangles, lockBorder });
+        for (const child of children) {
+            await writeTile(child);
+        }
+        return {
+            id,
+            document: lod.document,
+            box: {
+                min: [0, 1, 2].map(i => Math.min(...children.map(child => child.box.min[i]))),
+                max: [0, 1, 2].map(i => Math.max(...children.map(child => child.box.max[i]))),
+            },
+            // Rounded up to the millimetre, like the lod command's
+            geometricError: Math.ceil((Math.max(...children.map(child => child.geometricError)) + lod.error) * 1000) / 1000,
+            triangles: lod.trianglesAfter,
+            children,
+        };
+    }
+
+    const root = await buildTile(pieces, bounds.min, bounds.max, 'root', 0);
+    await writeTile(root);
+
+    const tileJson = tile => ({
+        boundingVolume: { box: boxFromBounds(tile.box) },
+        geometricError: tile.geometricError,
+        content: { uri: `${TILES_FOLDER}/${tile.id}.glb` },
+        ...(tile.children.length > 0 && { children: tile.children.map(tileJson) }),
+    });
+    const size = Math.hypot(...[0, 1, 2].map(i => root.box.max[i] - root.box.min[i]));
+    const tileset = {
+        asset: { version: '1.1' },
+        // Drawing nothing at all is at most as wrong as the model is large
+        geometricError: Math.max(root.geometricError, Math.ceil(size * 1000) / 1000),
+        root: {
+            ...(transform && { transform }),
+            refine: 'REPLACE',
+            ...tileJson(root),
+        },
+    };
+    fs.outputFileSync(path.join(outputDir, 'tileset.json'), JSON.stringify(tileset, null, 2));
+    return stats;
+}
+
+function triangleCount(pieces) {
+    return pieces.reduce((sum, piece) => sum + piece.indices.length / 3, 0);
+}
+
+// Axis-aligned bounds { min, max } of the positions of `pieces`
+function piecesBounds(pieces) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (const { positions } of pieces) {
+        for (let i = 0; i < positions.length; i++) {
+            min[i % 3] = Math.min(min[i % 3], positions[i]);
+            max[i % 3] = Math.max(max[i % 3], positions[i]);
+        }
+    }
+    return { min, max };
+}
+
+// A bounding volume `box` (center and half axes) from axis-aligned bounds
+function boxFromBounds({ min, max }) {
+    const center = min.map((value, i) => (value + max[i]) / 2);
+    const half = min.map((value, i) => (max[i] - value) / 2);
+    return [...center, half[0], 0, 0, 0, half[1], 0, 0, 0, half[2]];
+}
+
+// Split pieces at the plane where coordinate `axis` is `value`, into the pieces below and above
+// it. Triangles crossing the plane are clipped on both sides; the vertices made on an edge are
+// the same on both sides, so the halves meet without a crack.
+function splitPieces(pieces, axis, value) {
+    const below = [];
+    const above = [];
+    for (const piece of pieces) {
+        const { positions, indices } = piece;
+        const distance = vertex => positions[vertex * 3 + axis] - value;
+        const lower = pieceBuilder(piece, axis, value);
+        const upper = pieceBuilder(piece, axis, value);
+        for (let i = 0; i < indices.length; i += 3) {
+            const triangle = [indices[i], indices[i + 1], indices[i + 2]];
+            const distances = triangle.map(distance);
+            if (distances.every(d => d <= 0)) {
+                lower.triangle(triangle.map(vertex => lower.vertex(vertex)));
+            } else if (distances.every(d => d >= 0)) {
+                upper.triangle(triangle.map(vertex => upper.vertex(vertex)));
+            } else {
+                lower.clip(triangle, distances, d => d <= 0);
+                upper.clip(triangle, distances, d => d >= 0);
+            }
+        }
+        for (const [builder, list] of [[lower, below], [upper, above]]) {
+            const built = builder.build();
+            if (built) {
+                list.push(built);
+            }
+        }
+    }
+    return [below, above];
+}
+
+// Collects the triangles of a piece that fall on one side of a split, copying the vertices they
+// use and making new ones where an edge crosses the plane
+function pieceBuilder(piece, axis, value) {
+    const positions = [];
+    const normals = [];
+    const texcoords = [];
+    const colors = [];
+    const indices = [];
+    // New vertex index by source vertex, or by crossing edge "a-b"
+    const vertices = new Map();
+
+    const attributes = [[piece.positions, positions, 3], [piece.normals, normals, 3], [piece.texcoords, texcoords, 2], [piece.colors, colors, 4]];
+    const add = (a, b, t) => {
+        for (const [source, target, size] of attributes) {
+            if (!source) {
+                continue;
+            }
+            for (let k = 0; k < size; k++) {
+                target.push(source[a * size + k] + (source[b * size + k] - source[a * size + k]) * t);
+            }
+        }
+        if (piece.normals) {
+            const n = normals.length - 3;
+            const length = Math.hypot(normals[n], normals[n + 1], normals[n + 2]) || 1;
+            normals.splice(n, 3, normals[n] / length, normals[n + 1] / length, normals[n + 2] / length);
+        }
+        return positions.length / 3 - 1;
+    };
+
+    const builder = {
+        vertex(source) {
+            if (!vertices.has(source)) {
+                vertices.set(source, add(source, source, 0));
+            }
+            return vertices.get(source);
+        },
+        // The vertex where the edge between source vertices a and b crosses the plane
+        crossing(a, b) {
+            // Always interpolated from the lower index, so both sides get the same vertex
+            const [from, to] = a < b ? [a, b] : [b, a];
+            const key = `${from}-${to}`;
+            if (!vertices.has(key)) {
+                const d0 = piece.positions[from * 3 + axis] - value;
+                const d1 = piece.positions[to * 3 + axis] - value;
+                const vertex = add(from, to, d0 / (d0 - d1));
+                positions[vertex * 3 + axis] = value;
+                vertices.set(key, vertex);
+            }
+            return vertices.get(key);
+        },
+        triangle([a, b, c]) {
+            indices.push(a, b, c);
+        },
+        // Clip a triangle to the side where `inside(distance)` holds and fan-triangulate the
+        // polygon left
+        clip(triangle, distances, inside) {
+            const polygon = [];
+            for (let i = 0; i < 3; i++) {
+                const j = (i + 1) % 3;
+                if (inside(distances[i])) {
+                    polygon.push(builder.vertex(triangle[i]));
+                }
+                if ((distances[i] < 0 && distances[j] > 0) || (distances[i] > 0 && distances[j] < 0)) {
+                    polygon.push(builder.crossing(triangle[i], triangle[j]));
+                }
+            }
+            for (let i = 1; i + 1 < polygon.length; i++) {
+                builder.triangle([polygon[0], polygon[i], polygon[i + 1]]);
+            }
+        },
+        build() {
+            if (indices.length === 0) {
+                return null;
+            }
+            return {
+                positions: Float64Array.from(positions),
+                normals: piece.normals && Float32Array.from(normals),
+                texcoords: piece.texcoords && Float32Array.from(texcoords),
+                colors: piece.colors && Float32Array.from(colors),
+                indices: Uint32Array.from(indices),
+                material: piece.material,
+            };
+        },
+    };
+    return builder;
+}
@@ -0,0 +1,387 @@
+import fs from 'fs';
+import path from 'path';
+import { mirrorPath } from './output-paths.js';
+import { inputExists, listInputFiles, readInput, readInputContent } from './input-files.js';
+import { CONTENT_EXTENSIONS, hasContentExtension, gunzipContent } from './tile-format.js';
+import { parseJsonSource, nodeValue, getMember, applyEdits, formatJson } from './json-source.js';
+
+// Rewrite the tileset JSONs under `folderPath` to match the converted tiles. Starting from the
+// tilesets no other tileset references, then from those only a cycle of external tilesets
+// references, the tile tree is walked through `root` and `children`, following external
+// tilesets, and only content references, `asset.version` and the extension lists are edited;
+// the rest of each file, formatting included, is kept byte for byte. Other JSON files are left
+// alone. With `outputPath` the updated tilesets are written to the same relative location there
+// and the originals are left untouched. Options:
+// - convertedExtensions: content URIs of files with these extensions are pointed at the glb
+//   they were converted to, or at the `contentExtension` file (e.g. a b3dm wrapping a glb)
+// - convertedFiles: when given, only content URIs of these absolute paths are converted
+// - maxVersion: `asset.version` is lowered to this version (for 3D Tiles 1.0 viewers), with a
+//   warning for tilesets that use contents arrays or implicit tiling, which need 1.1
+// - requiredExtensions: Map from the absolute path of a content to the extensions its tile now
+//   needs (e.g. 3DTILES_draco_point_compression), declared in the tilesets referencing it
+// - removedExtensions: extensions no tile needs any more, removed from every tileset's lists
+// - splitContents: Map from the absolute path of a composite to the file names of the glbs it
+//   was split into; tiles referencing it get a 3D Tiles 1.1 `contents` array instead
+// Returns the number of tilesets that could not be updated.
+export function updateTilesetJson(folderPath, outputPath = folderPath, {
+    convertedExtensions = ['.b3dm'], contentExtension = '.glb', convertedFiles = null, maxVersion = null,
+    requiredExtensions = new Map(), removedExtensions = [], splitContents = new Map(),
+} = {}) {
+    const tilesets = findTilesets(folderPath);
+
+    const referenced = new Set([...tilesets.values()].flatMap(tileset => tileset.externalTilesets));
+    const queue = [...tilesets.keys()].filter(file => !referenced.has(file));
+    const visited = new Set(queue);
+    let failed = 0;
+    while (queue.length > 0 || visited.size < tilesets.size) {
+        if (queue.length === 0) {
+            // External tilesets that only reference each other in a cycle are reached from none
+            // of the tilesets above; they are updated all the same
+            const unreached = [...tilesets.keys()].find(file => !visited.has(file));
+            console.warn(`${path.basename(unreached)} is not reachable from a root tileset, only from a cycle of external tilesets.`);
+            visited.add(unreached);
+            queue.push(unreached);
+        }
+        const filePath = queue.shift();
+        const tileset = tilesets.get(filePath);
+        for (const external of tileset.externalTilesets) {
+            if (!visited.has(external)) {
+                visited.add(external);
+                queue.push(external);
+            }
+        }
+
+        if (maxVersion && usesImplicitOrMultipleContents(tileset.json)) {
+            console.warn(`${path.basename(filePath)} uses contents arrays or implicit tiling, which 3D Tiles ${maxVersion} viewers cannot load.`);
+        }
+        try {
+            const updated = rewriteTileset(tileset, { convertedExtensions, contentExtension, convertedFiles, maxVersion, requiredExtensions, removedExtensions, splitContents });
+            if (updated === tileset.text) {
+                continue;
+            }
+            const outputFilePath = mirrorPath(filePath, folderPath, outputPath);
+            fs.mkdirSync(path.dirname(outputFilePath), { recursive: true });
+            fs.writeFileSync(outputFilePath, updated, 'utf8');
+            console.log(`${path.basename(filePath)} has been updated successfully.`);
+        } catch (err) {
+            console.error(`Error updating ${path.basename(filePath)}: ${err.message}`);
+            failed++;
+        }
+    }
+    return failed;
+}
+
+// Parse every JSON file under `folderPath` (a folder or 3TZ archive) that is a tileset (has
+// `asset` and `root` objects). Returns a Map from absolute path to { text, json (the parsed
+// source), dir, externalTilesets }.
+function findTilesets(folderPath) {
+    const tilesets = new Map();
+
+    for (const filePath of listInputFiles(path.resolve(folderPath), ['.json'])) {
+        let text;
+        let json;
+        try {
+            text = gunzipContent(readInput(filePath)).toString('utf8');
+            json = parseJsonSource(text);
+        } catch {
+            // Not a tileset: invalid JSON or gzip
+            continue;
+        }
+        if (getMember(json, 'asset')?.value.type === 'object' && getMember(json, 'root')?.value.type === 'object') {
+            tilesets.set(filePath, { text, json, dir: path.dirname(filePath), externalTilesets: [] });
+        }
+    }
+
+    for (const tileset of tilesets.values()) {
+        forEachTile(getMember(tileset.json, 'root').value, tile => {
+            for (const content of tileContents(tile)) {
+                const file = resolveContent(nodeValue(content), tileset.dir);
+                if (file && tilesets.has(file)) {
+                    tileset.externalTilesets.push(file);
+                }
+            }
+        });
+    }
+    return tilesets;
+}
+
+// Return the tileset's text with its content references, version and extensions updated
+function rewriteTileset({ text, json, dir }, { convertedExtensions, contentExtension, convertedFiles, maxVersion, requiredExtensions, removedExtensions, splitContents }) {
+    const edits = [];
+    // Lowest asset.version the edited tileset needs
+    let requiredVersion = '0.0';
+    const requireVersion = version => {
+        if (compareVersions(version, requiredVersion) > 0) {
+            requiredVersion = version;
+        }
+    };
+
+    const convert = uri => (convertedFiles && !convertedFiles.has(resolveContent({ uri }, dir))
+        ? uri
+        : convertUri(uri, convertedExtensions, contentExtension));
+    // A content with `url` renamed to `uri` and pointed at its glb if converted
+    const convertContent = ({ url, uri = url, ...rest }) =>
+        (uri === undefined ? rest : { uri: convert(uri), ...rest });
+
+    // Extensions the contents of this tileset need
+    const needed = new Set();
+
+    forEachTile(getMember(json, 'root').value, tile => {
+        const contents = tileContents(tile);
+        const values = contents.map(nodeValue);
+        values.forEach(content => requiredExtensions.get(resolveContent(content, dir))?.forEach(name => needed.add(name)));
+        const split = values.map(content => splitContents.get(resolveContent(content, dir)));
+
+        if (split.some(Boolean)) {
+            // Replace the whole content/contents member with the expanded list
+            const expanded = values.flatMap((content, i) => {
+                const converted = convertContent(content);
+                return split[i]
+                    ? split[i].map(name => ({ ...converted, uri: converted.uri.replace(/[^/?#]*(?=[?#]|$)/, encodeURIComponent(name)) }))
+                    : [converted];
+            });
+            requireVersion('1.1');
+            const member = getMember(tile, 'contents') ?? getMember(tile, 'content');
+            const key = expanded.length === 1 ? 'content' : 'contents';
+            const value = expanded.length === 1 ? expanded[0] : expanded;
+            edits.push({ start: member.keyStart, end: member.value.end, text: `${JSON.stringify(key)}${text.slice(member.keyEnd, member.value.start)}${formatJson(value, text, member.keyStart)}` });
+            return;
+        }
+
+        for (const content of contents) {
+            const uriMember = getMember(content, 'uri');
+            const urlMember = uriMember ? undefined : getMember(content, 'url');
+            const member = uriMember ?? urlMember;
+            if (!member || typeof member.value.value !== 'string') {
+                continue;
+            }
+            if (urlMember) {
+                edits.push({ start: urlMember.keyStart, end: urlMember.keyEnd, text: '"uri"' });
+                requireVersion('1.0');
+            }
+            const converted = convert(member.value.value);
+            if (converted !== member.value.value) {
+                edits.push({ start: member.value.start, end: member.value.end, text: JSON.stringify(converted) });
+                if (contentExtension === '.glb') {
+                    requireVersion('1.1');
+                }
+            }
+        }
+    });
+
+    const versionEdit = maxVersion ? lowerVersionEdit(json, maxVersion) : assetVersionEdit(json, text, requiredVersion);
+    if (versionEdit) {
+        edits.push(versionEdit);
+    }
+
+    const missingLists = {};
+    const emptiedLists = [];
+    for (const key of ['extensionsUsed', 'extensionsRequired']) {
+        const list = getMember(json, key);
+        const existing = list?.value.type === 'array' ? nodeValue(list.value) : [];
+        const kept = existing.filter(name => !removedExtensions.includes(name));
+        if (kept.length === 0 && existing.length > 0) {
+            // An empty list is not valid, so the member goes
+            emptiedLists.push(list);
+            continue;
+        } else if (kept.length < existing.length) {
+            edits.push({ start: list.value.start, end: list.value.end, text: formatJson(kept, text, list.keyStart) });
+            continue;
+        }
+        const missing = [...needed].filter(name => !existing.includes(name));
+        if (missing.length === 0) {
+            continue;
+        }
+        if (!list) {
+            missingLists[key] = missing;
+        } else if (list.value.type === 'array' && list.value.elements.length > 0) {
+            const last = list.value.elements[list.value.elements.length - 1];
+            const separator = ',' + leadingWhitespace(text, last.start);
+            edits.push({ start: last.end, end: last.end, text: missing.map(name => separator + JSON.stringify(name)).join('') });
+        } else {
+            edits.push({ start: list.value.start, end: list.value.end, text: formatJson(missing, text, list.keyStart) });
+        }
+    }
+    if (Object.keys(missingLists).length > 0) {
+        edits.push(insertMembers(json, missingLists, text));
+    }
+    edits.push(...removeMembers(json, emptiedLists));
+
+    return applyEdits(text, edits);
+}
+
+// Edits removing `removed` members from an object node along with their separators. Each run of
+// adjacent removed members is cut up to the next member's key, or after the previous member's
+// value when the run ends the object.
+function removeMembers(object, removed) {
+    const edits = [];
+    const { members } = object;
+    for (let start = 0; start < members.length; start++) {
+        if (!removed.includes(members[start])) {
+            continue;
+        }
+        let end = start;
+        while (end + 1 < members.length && removed.includes(members[end + 1])) {
+            end++;
+        }
+        if (end + 1 < members.length) {
+            edits.push({ start: members[start].keyStart, end: members[end + 1].keyStart, text: '' });
+        } else if (start > 0) {
+            edits.push({ start: members[start - 1].value.end, end: members[end].value.end, text: '' });
+        } else {
+            edits.push({ start: object.start, end: object.end, text: '{}' });
+        }
+        start = end;
+    }
+    return edits;
+}
+
+// The edit raising `asset.version` of a parsed tileset to `requiredVersion`, or null if it is
+// already that recent
+export function assetVersionEdit(json, text, requiredVersion) {
+    const asset = getMember(json, 'asset').value;
+    const version = getMember(asset, 'version');
+    if (!version && requiredVersion !== '0.0') {
+        return insertMembers(asset, { version: requiredVersion }, text);
+    } else if (version && compareVersions(String(version.value.value), requiredVersion) < 0) {
+        return { start: version.value.start, end: version.value.end, text: JSON.stringify(requiredVersion) };
+    }
+    return null;
+}
+
+// The edit lowering `asset.version` of a parsed tileset to `maxVersion`, or null if it is not newer
+function lowerVersionEdit(json, maxVersion) {
+    const version = getMember(getMember(json, 'asset').value, 'version');
+    if (version && compareVersions(String(version.value.value), maxVersion) > 0) {
+        return { start: version.value.start, end: version.value.end, text: JSON.stringify(maxVersion) };
+    }
+    return null;
+}
+
+// Whether a parsed tileset has a tile with a `contents` array or implicit tiling
+function usesImplicitOrMultipleContents(json) {
+    let found = false;
+    forEachTile(getMember(json, 'root').value, tile => {
+        found ||= Boolean(getMember(tile, 'contents') || getMember(tile, 'implicitTiling')
+            || getMember(getMember(tile, 'extensions')?.value, '3DTILES_implicit_tiling'));
+    });
+    return found;
+}
+
+// Absolute paths of the local files the tilesets under `folderPath` reference as tile contents.
+// Implicit tiling content templates are not expanded.
+export function listTileContents(folderPath) {
+    const contents = new Set();
+    for (const tileset of findTilesets(folderPath).values()) {
+        forEachTile(getMember(tileset.json, 'root').value, tile => {
+            for (const content of tileContents(tile)) {
+                const file = resolveContent(nodeValue(content), tileset.dir);
+                if (file) {
+                    contents.add(file);
+                }
+            }
+        });
+    }
+    return contents;
+}
+
+// Files under `folderPath` with content of one of `formats` (see tile-format.js): the files named
+// with the extension of one of them, and the tile contents the tilesets reference under other
+// names (no extension, or that of another format) whose bytes are one of them
+export function listContentFiles(folderPath, formats) {
+    const files = listInputFiles(folderPath, formats.flatMap(format => CONTENT_EXTENSIONS[format]));
+    const listed = new Set(files);
+    for (const file of listTileContents(folderPath)) {
+        if (listed.has(file) || hasContentExtension(file, formats) || !inputExists(file)) {
+            continue;
+        }
+        try {
+            if (formats.includes(readInputContent(file).format)) {
+                files.push(file);
+            }
+        } catch {
+            // Contents of unknown formats are left for validate to report
+        }
+    }
+    return files;
+}
+
+// Call `callback` with every tile node under `tile`, depth first
+function forEachTile(tile, callback) {
+    if (tile.type !== 'object') {
+        return;
+    }
+    callback(tile);
+    const children = getMember(tile, 'children');
+    if (children?.value.type === 'array') {
+        children.value.elements.forEach(child => forEachTile(child, callback));
+    }
+}
+
+// The content object nodes of a tile: its `contents` array or its single `content`
+export function tileContents(tile) {
+    const contents = getMember(tile, 'contents');
+    if (contents?.value.type === 'array') {
+        return contents.value.elements.filter(content => content.type === 'object');
+    }
+    const content = getMember(tile, 'content');
+    return content?.value.type === 'object' ? [content.value] : [];
+}
+
+// Absolute path of the local file a content refers to, or null for remote and data URIs
+export function resolveContent(content, dir) {
+    const uri = content.uri ?? content.url;
+    if (typeof uri !== 'string' || isExternalUri(uri)) {
+        return null;
+    }
+    try {
+        return path.resolve(dir, decodeURIComponent(uri.split(/[?#]/)[0]));
+    } catch {
+        return null;
+    }
+}
+
+// Replace the extension of a local content URI with `contentExtension` if it is one of
+// `convertedExtensions`, keeping any query string or fragment
+function convertUri(uri, convertedExtensions, contentExtension) {
+    if (isExternalUri(uri)) {
+        return uri;
+    }
+    const [, filePath, suffix] = /^([^?#]*)(.*)$/s.exec(uri);
+    const ext = path.posix.extname(filePath);
+    if (!convertedExtensions.includes(ext.toLowerCase())) {
+        return uri;
+    }
+    return filePath.slice(0, -ext.length) + contentExtension + suffix;
+}
+
+function isExternalUri(uri) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(uri);
+}
+
+// Compare "major.minor" version strings
+function compareVersions(a, b) {
+    const [aMajor = 0, aMinor = 0] = a.split('.').map(Number);
+    const [bMajor = 0, bMinor = 0] = b.split('.').map(Number);
+    return aMajor - bMajor || aMinor - bMinor;
+}
+
+// Whitespace between the previous token and `position`
+function leadingWhitespace(text, position) {
+    return /[ \t\r\n]*$/.exec(text.slice(0, position))[0];
+}
+
+// An edit adding `members` at the end of an object node
+export function insertMembers(object, members, text) {
+    if (object.members.length === 0) {
+        return { start: object.start, end: object.end, text: formatJson(members, text, object.start) };
+    }
+    const last = object.members[object.members.length - 1];
+    // Same spacing as the last member
+    const separator = ',' + leadingWhitespace(text, last.keyStart);
+    const colon = text.slice(last.keyEnd, last.value.start);
+    const inserted = Object.entries(members)
+        .map(([key, value]) => `${separator}${JSON.stringify(key)}${colon}${formatJson(value, text, last.keyStart)}`)
+        .join('');
+    return { start: last.value.end, end: last.value.end, text: inserted };
+}
@@ -0,0 +1,331 @@
+import path from 'path';
+import { parseB3dm } from './b3dm.js';
+import { GLTF_FORMAT_URI, parseI3dm } from './i3dm.js';
+import { DRACO_POINT_COMPRESSION, parsePnts } from './pnts.js';
+import { parseCmpt } from './cmpt.js';
+import { parseGlb } from './glb.js';
+import { parseTableJSON, getGlobalProperty } from './feature-table.js';
+import { readImageInfo, estimateTextureMemory } from './image-info.js';
+import { inputExists, isInputFolder, readInput } from './input-files.js';
+import { identifyContent, gunzipContent } from './tile-format.js';
+
+// Numeric totals kept per content, format and depth level
+const COUNTERS = ['contents', 'bytes', 'triangles', 'vertices', 'points', 'instances', 'textures', 'textureBytes', 'textureMemory'];
+const CSV_COLUMNS = ['depth', 'file', 'format', ...COUNTERS.slice(1), 'draco', 'meshopt', 'ktx2'];
+
+const GLTF_MODE_POINTS = 0;
+const GLTF_MODE_TRIANGLES = 4;
+const GLTF_MODE_TRIANGLE_STRIP = 5;
+const GLTF_MODE_TRIANGLE_FAN = 6;
+
+const emptyTotals = () => Object.fromEntries(COUNTERS.map(counter => [counter, 0]));
+
+function addTotals(target, stats) {
+    for (const counter of COUNTERS) {
+        target[counter] += stats[counter];
+    }
+}
+
+// Walk the tileset at `tilesetPath` (a tileset JSON, or a folder or 3TZ archive containing tileset.json)
+// through children and external tilesets and gather the statistics of every content.
+// Counts come from the glTF JSON and the tile headers, so compressed meshes are not decoded.
+// Depth 0 is the root tile; an external tileset's root is one level below the tile referencing it.
+export async function getTilesetStatistics(tilesetPath) {
+    const rootFile = path.resolve(isInputFolder(tilesetPath) ? path.join(tilesetPath, 'tileset.json') : tilesetPath);
+    const rootDir = path.dirname(rootFile);
+    const contents = [];
+    const errors = [];
+    const tilesPerDepth = [];
+    const activeTilesets = new Set();
+    const relative = file => path.relative(rootDir, file).split(path.sep).join('/');
+
+    async function visitTileset(file, depth) {
+        if (activeTilesets.has(file)) {
+            return;
+        }
+        activeTilesets.add(file);
+        try {
+            const tileset = JSON.parse(gunzipContent(readInput(file)).toString('utf8'));
+            await visitTile(tileset.root, depth, path.dirname(file));
+        } catch (error) {
+            errors.push({ file: relative(file), error: error.message });
+        }
+        activeTilesets.delete(file);
+    }
+
+    async function visitTile(tile, depth, dir) {
+        tilesPerDepth[depth] = (tilesPerDepth[depth] || 0) + 1;
+        for (const content of tile.contents || (tile.content ? [tile.content] : [])) {
+            const uri = content.uri ?? content.url;
+            if (typeof uri !== 'string' || /^[a-z][a-z0-9+.-]*:/i.test(uri)) {
+                continue;
+            }
+            let file;
+            try {
+                file = path.resolve(dir, decodeURIComponent(uri.split(/[?#]/)[0]));
+                const buffer = readInput(file);
+                if (identifyContent(buffer).format === 'tileset') {
+                    await visitTileset(file, depth + 1);
+                } else {
+                    contents.push({ depth, file: relative(file), ...getContentStatistics(buffer, file) });
+                }
+            } catch (error) {
+                // A URI with a malformed escape has no file
+                errors.push({ file: file ? relative(file) : uri, error: error.message });
+            }
+        }
+        for (const child of tile.children || []) {
+            await visitTile(child, depth + 1, dir);
+        }
+    }
+
+    await visitTileset(rootFile, 0);
+    return summarize(rootFile, contents, tilesPerDepth, errors);
+}
+
+function summarize(tileset, contents, tilesPerDepth, errors) {
+    const totals = emptyTotals();
+    const formats = {};
+    const compression = { draco: 0, meshopt: 0, ktx2: 0 };
+    const textures = new Map();
+    const slots = new Map();
+    const levels = tilesPerDepth.map((tiles, depth) => ({ depth, tiles: tiles || 0, ...emptyTotals() }));
+
+    for (const content of contents) {
+        addTotals(totals, content);
+        addTotals(formats[content.format] ??= emptyTotals(), content);
+        addTotals(levels[content.depth], content);
+        for (const key of Object.keys(compression)) {
+            compression[key] += content[key] ? 1 : 0;
+        }
+        for (const texture of content.textureList) {
+            const format = texture.mode ? `${texture.format} ${texture.mode}` : texture.format;
+            const resolution = texture.width ? `${texture.width}x${texture.height}` : 'unknown';
+            const key = `${format} ${resolution}`;
+            const entry = textures.get(key) ?? { format, resolution, count: 0, bytes: 0, memory: 0 };
+            entry.count++;
+            entry.bytes += texture.bytes;
+            entry.memory += texture.memory;
+            textures.set(key, entry);
+            for (const slot of texture.slots) {
+                const slotEntry = slots.get(`${slot} ${format}`) ?? { slot, format, count: 0 };
+                slotEntry.count++;
+                slots.set(`${slot} ${format}`, slotEntry);
+            }
+        }
+    }
+
+    return {
+        tileset,
+        totals: { tiles: tilesPerDepth.reduce((sum, tiles) => sum + (tiles || 0), 0), ...totals },
+        formats,
+        compression,
+        textures: [...textures.values()].sort((a, b) => b.count - a.count),
+        slots: [...slots.values()].sort((a, b) => a.slot.localeCompare(b.slot) || b.count - a.count),
+        levels,
+        contents: contents.map(({ textureList, ...content }) => content),
+        errors,
+    };
+}
+
+// Statistics of one tile content (b3dm, i3dm, pnts, cmpt, glb or glTF JSON, possibly gzipped).
+// `file` is used to resolve external glTF resources and i3dm glTF URIs. `bytes` is the size of
+// `buffer` as stored.
+export function getContentStatistics(buffer, file) {
+    const { format, buffer: content } = identifyContent(buffer);
+    const dir = path.dirname(file);
+    let stats;
+
+    if (format === 'glb') {
+        stats = { format: 'glb', ...gltfStatistics(parseGlb(content), dir) };
+    } else if (format === 'b3dm') {
+        stats = { format: 'b3dm', ...gltfStatistics(parseGlb(parseB3dm(content).glb), dir) };
+    } else if (format === 'i3dm') {
+        const i3dm = parseI3dm(content);
+        let gltf;
+        if (i3dm.gltfFormat === GLTF_FORMAT_URI) {
+            const gltfFile = path.resolve(dir, decodeURIComponent(i3dm.gltfUri));
+            gltf = getContentStatistics(readInput(gltfFile), gltfFile);
+        } else {
+            gltf = gltfStatistics(parseGlb(i3dm.glb), dir);
+        }
+        const featureTable = parseTableJSON(i3dm.featureTableJSON);
+        const instances = getGlobalProperty(featureTable, i3dm.featureTableBinary, 'INSTANCES_LENGTH', 'UNSIGNED_INT', 1) ?? 0;
+        stats = { ...gltf, format: 'i3dm', instances };
+    } else if (format === 'pnts') {
+        const pnts = parsePnts(content);
+        const featureTable = parseTableJSON(pnts.featureTableJSON);
+        stats = {
+            ...emptyContent(),
+            format: 'pnts',
+            points: getGlobalProperty(featureTable, pnts.featureTableBinary, 'POINTS_LENGTH', 'UNSIGNED_INT', 1) ?? 0,
+            draco: Boolean(featureTable.extensions?.[DRACO_POINT_COMPRESSION]),
+        };
+    } else if (format === 'cmpt') {
+        stats = { ...emptyContent(), format: 'cmpt' };
+        for (const tile of parseCmpt(content).tiles) {
+            const inner = getContentStatistics(tile, file);
+            addTotals(stats, inner);
+            stats.textureList.push(...inner.textureList);
+            stats.draco ||= inner.draco;
+            stats.meshopt ||= inner.meshopt;
+            stats.ktx2 ||= inner.ktx2;
+        }
+    } else if (format === 'gltf') {
+        stats = { format: 'gltf', ...gltfStatistics({ json: JSON.parse(content.toString('utf8').replace(/^\uFEFF/, '')), bin: null }, dir) };
+    } else {
+        throw new Error(`Unsupported content format "${format}".`);
+    }
+
+    return { ...stats, contents: 1, bytes: buffer.length };
+}
+
+function emptyContent() {
+    return { ...emptyTotals(), textureList: [], draco: false, meshopt: false, ktx2: false };
+}
+
+// Counts from a glTF's JSON: accessor counts stand for the geometry even when it is Draco or
+// meshopt compressed, and images are measured from their headers
+function gltfStatistics({ json, bin }, dir) {
+    const stats = emptyContent();
+    const extensionsUsed = json.extensionsUsed || [];
+    stats.draco = extensionsUsed.includes('KHR_draco_mesh_compression');
+    stats.meshopt = extensionsUsed.includes('EXT_meshopt_compression') || extensionsUsed.includes('KHR_meshopt_compression');
+    stats.ktx2 = extensionsUsed.includes('KHR_texture_basisu');
+
+    const accessors = json.accessors || [];
+    const positions = new Set();
+    for (const mesh of json.meshes || []) {
+        for (const primitive of mesh.primitives || []) {
+            const mode = primitive.mode ?? GLTF_MODE_TRIANGLES;
+            const position = primitive.attributes?.POSITION;
+            const vertexCount = accessors[position]?.count ?? 0;
+            const count = primitive.indices !== undefined ? accessors[primitive.indices]?.count ?? 0 : vertexCount;
+            if (position !== undefined) {
+                positions.add(position);
+            }
+            if (mode === GLTF_MODE_TRIANGLES) {
+                stats.triangles += Math.floor(count / 3);
+            } else if (mode === GLTF_MODE_TRIANGLE_STRIP || mode === GLTF_MODE_TRIANGLE_FAN) {
+                stats.triangles += Math.max(0, count - 2);
+            } else if (mode === GLTF_MODE_POINTS) {
+                stats.points += count;
+            }
+        }
+    }
+    stats.vertices = [...positions].reduce((sum, index) => sum + (accessors[index]?.count ?? 0), 0);
+
+    const buffers = new Map();
+    const readBuffer = index => {
+        if (!buffers.has(index)) {
+            const uri = json.buffers?.[index]?.uri;
+            buffers.set(index, uri === undefined ? bin : readUri(uri, dir));
+        }
+        return buffers.get(index);
+    };
+    const slots = imageSlots(json);
+    for (const [index, image] of (json.images || []).entries()) {
+        let bytes;
+        if (image.bufferView !== undefined) {
+            const view = json.bufferViews[image.bufferView];
+            const data = readBuffer(view.buffer);
+            bytes = data ? data.subarray(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength) : null;
+        } else if (image.uri !== undefined) {
+            bytes = readUri(image.uri, dir);
+        }
+        const info = bytes ? readImageInfo(bytes) : { format: 'unknown', width: null, height: null };
+        stats.textureList.push({ ...info, slots: slots.get(index) ?? [], bytes: bytes ? bytes.length : 0, memory: estimateTextureMemory(info) });
+        stats.textures++;
+        stats.textureBytes += bytes ? bytes.length : 0;
+        stats.textureMemory += estimateTextureMemory(info);
+    }
+    return stats;
+}
+
+// Material slots (normalTexture, baseColorTexture, ...) each image is used in, by image index.
+// Every `*Texture` object with an `index` in a material counts, including extensions; a texture's
+// image is its `source` or the source of a KHR_texture_basisu, EXT_texture_webp or EXT_texture_avif.
+function imageSlots(json) {
+    const slots = new Map();
+    const textureImages = (json.textures || []).map(texture => [
+        texture.source,
+        ...Object.values(texture.extensions || {}).map(extension => extension?.source),
+    ].filter(source => source !== undefined));
+
+    const visit = (value, key) => {
+        if (Array.isArray(value)) {
+            value.forEach(item => visit(item, key));
+        } else if (value && typeof value === 'object') {
+            if (key?.endsWith('Texture') && Number.isInteger(value.index)) {
+                for (const image of textureImages[value.index] || []) {
+                    const list = slots.get(image) ?? [];
+                    if (!list.includes(key)) {
+                        list.push(key);
+                    }
+                    slots.set(image, list);
+                }
+            }
+            Object.entries(value).forEach(([childKey, child]) => visit(child, childKey));
+        }
+    };
+    (json.materials || []).forEach(material => visit(material, null));
+    return slots;
+}
+
+// Bytes of a data URI or of a file relative to `dir`, or null if the file is missing
+function readUri(uri, dir) {
+    if (uri.startsWith('data:')) {
+        return Buffer.from(uri.slice(uri.indexOf(',') + 1), 'base64');
+    }
+    const file = path.resolve(dir, decodeURIComponent(uri));
+    return inputExists(file) ? readInput(file) : null;
+}
+
+// One CSV row per content, with its depth level
+export function formatStatisticsCsv({ contents }) {
+    const field = value => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+    return [
+        CSV_COLUMNS.join(','),
+        ...contents.map(content => CSV_COLUMNS.map(column => field(content[column])).join(',')),
+    ].join('\n');
+}
+
+export function printTilesetStatistics({ totals, formats, compression, textures, slots, levels, errors }) {
+    const mb = bytes => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    console.log('\n=== Tileset Statistics ===');
+    console.log(`Tiles: ${totals.tiles}, contents: ${totals.contents} (${mb(totals.bytes)})`);
+    console.log(`Triangles: ${totals.triangles}, vertices: ${totals.vertices}, points: ${totals.points}, instances: ${totals.instances}`);
+    console.log(`Textures: ${totals.textures} (${mb(totals.textureBytes)} encoded, ~${mb(totals.textureMemory)} GPU memory)`);
+    console.log(`Compressed contents: Draco ${compression.draco}, meshopt ${compression.meshopt}, KTX2 ${compression.ktx2}`);
+
+    console.log('\nFormats:');
+    for (const [format, stats] of Object.entries(formats)) {
+        console.log(`  ${format.padEnd(5)} ${String(stats.contents).padStart(7)} contents  ${mb(stats.bytes).padStart(12)}  ${stats.triangles} triangles, ${stats.points} points`);
+    }
+
+    if (textures.length > 0) {
+        console.log('\nTextures by format and resolution:');
+        for (const { format, resolution, count, memory } of textures) {
+            console.log(`  ${format.padEnd(11)} ${resolution.padEnd(11)} ${String(count).padStart(7)}  ~${mb(memory)}`);
+        }
+    }
+
+    if (slots.length > 0) {
+        console.log('\nTextures by material slot and format:');
+        for (const { slot, format, count } of slots) {
+            console.log(`  ${slot.padEnd(28)} ${format.padEnd(11)} ${String(count).padStart(7)}`);
+        }
+    }
+
+    console.log('\nPer depth level:');
+    console.log('  depth    tiles  contents         size   triangles      points  texture memory');
+    for (const level of levels) {
+        console.log(`  ${String(level.depth).padStart(5)} ${String(level.tiles).padStart(8)} ${String(level.contents).padStart(9)} ${mb(level.bytes).padStart(12)} ${String(level.triangles).padStart(11)} ${String(level.points).padStart(11)} ${mb(level.textureMemory).padStart(15)}`);
+    }
+
+    if (errors.length > 0) {
+        console.log('\nUnreadable files:');
+        errors.forEach(({ file, error }) => console.log(`  ${file}: ${error}`));
+    }
+    console.log('=====================\n');
+}
@@ -0,0 +1,350 @@
+import path from 'path';
+import { getBounds } from '@gltf-transform/core';
+import { getIO } from './io.js';
+import { inputExists, isInputFolder, readInput, readInputContent, readInputDocument, listInputFiles } from './input-files.js';
+import { CONTENT_EXTENSIONS, gunzipContent } from './tile-format.js';
+import { B3DM_MAGIC, B3DM_HEADER_LENGTH, parseB3dm } from './b3dm.js';
+import { I3DM_MAGIC, I3DM_HEADER_LENGTH, GLTF_FORMAT_URI, parseI3dm } from './i3dm.js';
+import { PNTS_MAGIC, PNTS_HEADER_LENGTH, parsePnts, readPoints } from './pnts.js';
+import { CMPT_MAGIC, parseCmpt, readMagic } from './cmpt.js';
+import { parseGlb } from './glb.js';
+import { parseTableJSON, getGlobalProperty } from './feature-table.js';
+import {
+    IDENTITY, multiplyMatrices, transformPoint, boxCorners,
+    isValidBoundingVolume, transformBoundingVolume, volumeContainsVolume, volumeContainsPoint,
+} from './bounding-volume.js';
+
+// Issues that keep a client from loading the tileset are errors; spec violations clients
+// usually tolerate (misaligned sections, loose bounding volumes) are warnings; infos are notes.
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+const SECTION_ALIGNMENT = 8;
+
+// Walk the tileset at `tilesetPath` (a tileset JSON, or a folder or 3TZ archive containing tileset.json) from
+// its root through children and external tilesets, checking the tile tree and every content.
+// Resolves with { tileset, summary: { tilesets, tiles, contents, errors, warnings, infos },
+// issues: [{ severity, code, message, tileset?, tile?, file? }] }, paths relative to the
+// tileset's folder.
+export async function validateTileset(tilesetPath) {
+    const rootFile = path.resolve(isInputFolder(tilesetPath) ? path.join(tilesetPath, 'tileset.json') : tilesetPath);
+    const rootDir = path.dirname(rootFile);
+    const io = await getIO();
+    const issues = [];
+    const counts = { tilesets: 0, tiles: 0, contents: 0 };
+    // Tilesets being walked, from the root to the current one
+    const activeTilesets = new Set();
+    const referencedFiles = new Set();
+    const relative = file => path.relative(rootDir, file).split(path.sep).join('/');
+
+    function report(severity, code, message, { tileset, tile, file } = {}) {
+        issues.push({
+            severity,
+            code,
+            message,
+            ...(tileset && { tileset: relative(tileset) }),
+            ...(tile && { tile }),
+            ...(file && { file: relative(file) }),
+        });
+    }
+
+    // parent: { transform, volume, geometricError } of the tile referencing this tileset, if any
+    async function validateTilesetFile(file, parent, location) {
+        if (activeTilesets.has(file)) {
+            report('error', 'TILESET_CYCLE', 'The external tileset references one of its ancestors.', location);
+            return;
+        }
+        counts.tilesets++;
+
+        let tileset;
+        try {
+            tileset = JSON.parse(gunzipContent(readInput(file)).toString('utf8'));
+        } catch (error) {
+            report('error', 'TILESET_INVALID', `Cannot read the tileset JSON: ${error.message}`, { tileset: file });
+            return;
+        }
+        if (!tileset || typeof tileset !== 'object' || !tileset.root || typeof tileset.root !== 'object') {
+            report('error', 'TILESET_INVALID', 'The tileset has no root tile.', { tileset: file });
+            return;
+        }
+        if (typeof tileset.asset?.version !== 'string') {
+            report('error', 'TILESET_INVALID', 'The tileset has no asset.version.', { tileset: file });
+        }
+        if (!Number.isFinite(tileset.geometricError) || tileset.geometricError < 0) {
+            report('error', 'GEOMETRIC_ERROR_INVALID', 'The tileset has no valid geometricError.', { tileset: file });
+        } else if (Number.isFinite(tileset.root.geometricError) && tileset.root.geometricError > tileset.geometricError) {
+            report('warning', 'GEOMETRIC_ERROR_INCREASES', `Root geometricError ${tileset.root.geometricError} is larger than the tileset geometricError ${tileset.geometricError}.`, { tileset: file, tile: 'root' });
+        }
+
+        activeTilesets.add(file);
+        await validateTile(tileset.root, 'root', file, parent);
+        activeTilesets.delete(file);
+    }
+
+    async function validateTile(tile, tilePath, tilesetFile, parent) {
+        counts.tiles++;
+        const location = { tileset: tilesetFile, tile: tilePath };
+
+        let transform = parent.transform;
+        if (tile.transform !== undefined) {
+            if (Array.isArray(tile.transform) && tile.transform.length === 16 && tile.transform.every(Number.isFinite)) {
+                transform = multiplyMatrices(parent.transform, tile.transform);
+            } else {
+                report('error', 'TILE_PROPERTY_INVALID', 'transform must be an array of 16 numbers.', location);
+            }
+        }
+
+        let volume = null;
+        if (isValidBoundingVolume(tile.boundingVolume)) {
+            volume = transformBoundingVolume(tile.boundingVolume, transform);
+            if (parent.volume && !volumeContainsVolume(parent.volume, volume)) {
+                report('warning', 'BOUNDING_VOLUME_NOT_CONTAINED', 'The bounding volume is not inside the parent tile\'s bounding volume.', location);
+            }
+        } else {
+            report('error', 'TILE_PROPERTY_INVALID', 'boundingVolume must have a box, sphere or region.', location);
+        }
+
+        let geometricError = parent.geometricError;
+        if (!Number.isFinite(tile.geometricError) || tile.geometricError < 0) {
+            report('error', 'GEOMETRIC_ERROR_INVALID', 'geometricError must be a non-negative number.', location);
+        } else {
+            if (parent.geometricError !== undefined && tile.geometricError > parent.geometricError) {
+                report('warning', 'GEOMETRIC_ERROR_INCREASES', `geometricError ${tile.geometricError} is larger than the parent's ${parent.geometricError}.`, location);
+            }
+            geometricError = tile.geometricError;
+        }
+
+        if (tile.content && tile.contents) {
+            report('error', 'TILE_PROPERTY_INVALID', 'A tile cannot have both content and contents.', location);
+        }
+        const contents = tile.contents || (tile.content ? [tile.content] : []);
+        for (const [i, content] of contents.entries()) {
+            const contentLocation = { ...location, tile: tile.contents ? `${tilePath}.contents[${i}]` : `${tilePath}.content` };
+            await validateContent(content, { transform, volume, geometricError }, path.dirname(tilesetFile), contentLocation);
+        }
+
+        for (const [i, child] of (Array.isArray(tile.children) ? tile.children : []).entries()) {
+            if (child && typeof child === 'object') {
+                await validateTile(child, `${tilePath}.children[${i}]`, tilesetFile, { transform, volume, geometricError });
+            }
+        }
+    }
+
+    async function validateContent(content, tile, dir, location) {
+        const uri = content?.uri ?? content?.url;
+        if (typeof uri !== 'string') {
+            report('error', 'CONTENT_INVALID', 'The content has no uri.', location);
+            return;
+        }
+        if (/^[a-z][a-z0-9+.-]*:/i.test(uri)) {
+            report('info', 'CONTENT_NOT_CHECKED', `Content ${uri} is not a local file and was not checked.`, location);
+            return;
+        }
+
+        let file;
+        try {
+            file = path.resolve(dir, decodeURIComponent(uri.split(/[?#]/)[0]));
+        } catch {
+            report('error', 'CONTENT_INVALID', `Content ${uri} is not a valid URI.`, location);
+            return;
+        }
+        const fileLocation = { ...location, file };
+        if (!inputExists(file) || isInputFolder(file)) {
+            report('error', 'CONTENT_MISSING', `Content ${uri} does not exist.`, location);
+            return;
+        }
+        counts.contents++;
+        referencedFiles.add(file);
+
+        // The content's own bounding volume, if any, must fit in the tile's and bound the geometry
+        let volume = tile.volume;
+        if (content.boundingVolume !== undefined) {
+            if (isValidBoundingVolume(content.boundingVolume)) {
+                volume = transformBoundingVolume(content.boundingVolume, tile.transform);
+                if (tile.volume && !volumeContainsVolume(tile.volume, volume)) {
+                    report('warning', 'BOUNDING_VOLUME_NOT_CONTAINED', 'The content bounding volume is not inside the tile\'s bounding volume.', location);
+                }
+            } else {
+                report('error', 'CONTENT_INVALID', 'The content boundingVolume must have a box, sphere or region.', location);
+            }
+        }
+
+        // Contents are told apart by their bytes; a .json that is not even JSON is reported
+        // by validateTilesetFile() like other tilesets that cannot be read
+        let identified;
+        try {
+            identified = readInputContent(file);
+        } catch (error) {
+            if (path.extname(file).toLowerCase() === '.json') {
+                await validateTilesetFile(file, tile, fileLocation);
+            } else {
+                report('error', 'CONTENT_MAGIC', error.message, fileLocation);
+            }
+            return;
+        }
+        if (identified.format === 'gltf') {
+            await validateGltfFile(file, tile, volume, fileLocation);
+            return;
+        } else if (identified.format === 'tileset' || identified.format === 'json') {
+            await validateTilesetFile(file, tile, fileLocation);
+            return;
+        }
+
+        const points = await validateTileContent(identified.buffer, file, fileLocation);
+        if (points && volume) {
+            const outside = points.map(point => transformPoint(tile.transform, point)).filter(point => !volumeContainsPoint(volume, point));
+            if (outside.length > 0) {
+                report('warning', 'CONTENT_NOT_CONTAINED', `The content geometry extends outside the ${content.boundingVolume ? 'content' : 'tile'} bounding volume.`, fileLocation);
+            }
+        }
+    }
+
+    async function validateGltfFile(file, tile, volume, location) {
+        try {
+            const points = documentCorners(await readInputDocument(io, file));
+            if (volume && points.some(point => !volumeContainsPoint(volume, transformPoint(tile.transform, point)))) {
+                report('warning', 'CONTENT_NOT_CONTAINED', 'The content geometry extends outside the bounding volume.', location);
+            }
+        } catch (error) {
+            report('error', 'CONTENT_INVALID', `The glTF cannot be read: ${error.message}`, location);
+        }
+    }
+
+    // Check a tile's binary content and return the corners of its geometry's bounding box in
+    // the tile's frame (z-up), or null when they are not known
+    async function validateTileContent(buffer, file, location) {
+        const magic = readMagic(buffer);
+        try {
+            if (magic === 'glTF') {
+                checkByteLength(buffer, buffer.length >= 12 ? buffer.readUInt32LE(8) : 0, location);
+                return documentCorners(await io.readBinary(buffer));
+            }
+            if (magic === B3DM_MAGIC) {
+                const b3dm = parseB3dm(buffer);
+                checkTileSections(b3dm, B3DM_HEADER_LENGTH, buffer, location);
+                const corners = documentCorners(await io.readBinary(b3dm.glb));
+                const featureTable = parseTableJSON(b3dm.featureTableJSON);
+                const center = getGlobalProperty(featureTable, b3dm.featureTableBinary, 'RTC_CENTER', 'FLOAT', 3)
+                    ?? parseGlb(b3dm.glb).json.extensions?.CESIUM_RTC?.center;
+                return corners && center ? corners.map(corner => corner.map((value, i) => value + center[i])) : corners;
+            }
+            if (magic === I3DM_MAGIC) {
+                const i3dm = parseI3dm(buffer);
+                checkTileSections(i3dm, I3DM_HEADER_LENGTH, buffer, location);
+                if (i3dm.gltfFormat === GLTF_FORMAT_URI) {
+                    const gltfFile = path.resolve(path.dirname(file), decodeURIComponent(i3dm.gltfUri));
+                    if (!inputExists(gltfFile)) {
+                        report('error', 'CONTENT_MISSING', `The glTF ${i3dm.gltfUri} referenced by the i3dm does not exist.`, location);
+                        return null;
+                    }
+                    referencedFiles.add(gltfFile);
+                    await readInputDocument(io, gltfFile);
+                } else {
+                    await io.readBinary(i3dm.glb);
+                }
+                // Instance positions are not taken into account
+                return null;
+            }
+            if (magic === PNTS_MAGIC) {
+                const pnts = parsePnts(buffer);
+                checkTileSections(pnts, PNTS_HEADER_LENGTH, buffer, location);
+                const { count, positions, center } = await readPoints(pnts);
+                if (count === 0) {
+                    return null;
+                }
+                const min = [Infinity, Infinity, Infinity];
+                const max = [-Infinity, -Infinity, -Infinity];
+                for (let i = 0; i < count; i++) {
+                    for (let j = 0; j < 3; j++) {
+                        min[j] = Math.min(min[j], positions[i * 3 + j] + center[j]);
+                        max[j] = Math.max(max[j], positions[i * 3 + j] + center[j]);
+                    }
+                }
+                return boxCorners(min, max);
+            }
+            if (magic === CMPT_MAGIC) {
+                const cmpt = parseCmpt(buffer);
+                checkByteLength(buffer, cmpt.byteLength, location);
+                const corners = [];
+                for (const [i, tile] of cmpt.tiles.entries()) {
+                    const offset = tile.byteOffset - buffer.byteOffset;
+                    const innerLocation = { ...location, tile: `${location.tile} (inner tile ${i})` };
+                    if (offset % SECTION_ALIGNMENT !== 0) {
+                        report('warning', 'CONTENT_ALIGNMENT', `Inner tile ${i} starts at byte ${offset}, not on an 8-byte boundary.`, location);
+                    }
+                    const inner = await validateTileContent(tile, file, innerLocation);
+                    if (inner) {
+                        corners.push(...inner);
+                    }
+                }
+                return corners.length > 0 ? corners : null;
+            }
+            report('error', 'CONTENT_MAGIC', `Unknown content format (magic "${magic.replace(/[^\x20-\x7e]/g, '?')}").`, location);
+        } catch (error) {
+            report('error', 'CONTENT_INVALID', error.message, location);
+        }
+        return null;
+    }
+
+    function checkByteLength(buffer, byteLength, location) {
+        if (byteLength !== buffer.length) {
+            report('error', 'CONTENT_BYTE_LENGTH', `Header byteLength ${byteLength} does not match the ${buffer.length} bytes of the content.`, location);
+        }
+    }
+
+    // byteLength, version and 8-byte alignment of the sections of a b3dm, i3dm or pnts
+    function checkTileSections(tile, headerLength, buffer, location) {
+        checkByteLength(buffer, tile.byteLength, location);
+        if (tile.version !== 1) {
+            report('warning', 'CONTENT_VERSION', `Unexpected tile format version ${tile.version}.`, location);
+        }
+        // Each section, and the glb after them, must start on an 8-byte boundary
+        const misaligned = [];
+        let offset = headerLength;
+        for (const section of ['featureTableJSON', 'featureTableBinary', 'batchTableJSON', 'batchTableBinary']) {
+            offset += tile[section].length;
+            if (offset % SECTION_ALIGNMENT !== 0 && offset < tile.byteLength && !misaligned.includes(offset)) {
+                misaligned.push(offset);
+            }
+        }
+        if (tile.byteLength % SECTION_ALIGNMENT !== 0) {
+            misaligned.push(tile.byteLength);
+        }
+        if (misaligned.length > 0) {
+            report('warning', 'CONTENT_ALIGNMENT', `Sections are not 8-byte aligned (boundaries at bytes ${misaligned.join(', ')}).`, location);
+        }
+    }
+
+    if (!inputExists(rootFile)) {
+        report('error', 'TILESET_INVALID', `${path.basename(rootFile)} does not exist.`, { tileset: rootFile });
+    } else {
+        await validateTilesetFile(rootFile, { transform: IDENTITY, volume: null, geometricError: undefined }, {});
+    }
+
+    for (const file of listInputFiles(rootDir, Object.values(CONTENT_EXTENSIONS).flat())) {
+        if (!referencedFiles.has(file)) {
+            report('info', 'FILE_NOT_REFERENCED', 'The file is not referenced by any tile.', { file });
+        }
+    }
+
+    const count = severity => issues.filter(issue => issue.severity === severity).length;
+    return {
+        tileset: rootFile,
+        summary: { ...counts, errors: count('error'), warnings: count('warning'), infos: count('info') },
+        issues,
+    };
+}
+
+// Corners of the bounding box of a glTF document's default scene, converted from glTF's y-up
+// to the z-up frame of 3D Tiles
+function documentCorners(document) {
+    const root = document.getRoot();
+    const scene = root.getDefaultScene() || root.listScenes()[0];
+    if (!scene || scene.listChildren().length === 0) {
+        return null;
+    }
+    const { min, max } = getBounds(scene);
+    if (!min.every(Number.isFinite) || !max.every(Number.isFinite)) {
+        return null;
+    }
+    return boxCorners(min, max).map(([x, y, z]) => [x, -z, y]);
+}
@@ -0,0 +1,21 @@
+// Long-lived child process forked by lib/process-files.js. Receives { file, output, options }
+// jobs over IPC one at a time and answers each with { file, ok, result | error, memory }.
+// The Draco modules and NodeIO are created on the first job and reused for the next ones
+// (see lib/io.js). The worker exits when the parent disconnects, which is also how the pool
+// recycles it.
+import { compressFile } from './lib/compress-file.js';
+import { describeInput } from './lib/journal.js';
+
+process.on('message', async ({ file, output, options }) => {
+    let reply;
+    try {
+        // Described before compressing, as an in-place output may replace the input
+        const input = await describeInput(file);
+        reply = { file, ok: true, result: { ...await compressFile(file, output, options), input } };
+    } catch (error) {
+        reply = { file, ok: false, error: error.message };
+    }
+    process.send({ ...reply, memory: process.memoryUsage().rss });
+});
+
+process.on('disconnect', () => process.exit(0));
@@ -0,0 +1,111 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Archive3tz } from '../src/lib/archive-3tz.js';
+import { writeB3dm } from '../src/lib/b3dm.js';
+import { readInput, listInputFiles, isInputFolder, inputExists } from '../src/lib/input-files.js';
+import { updateTilesetJson } from '../src/lib/tileset-json.js';
+import { run as pack } from '../src/commands/pack.js';
+import { UsageError } from '../src/lib/options.js';
+import { createGlb, createTempFolder, removeTempFolders, functionsMissing } from './helpers.js';
+
+after(removeTempFolders);
+
+const TILESET = '{"asset":{"version":"1.0"},"geometricError":1,"root":{"geometricError":0,"boundingVolume":{"sphere":[0,0,0,1]},"content":{"uri":"tiles/a.b3dm"}}}';
+
+// A tileset folder with a compressible tile, an incompressible one and an empty file
+function createTileset() {
+    const root = createTempFolder('archive-3tz-');
+    const folder = path.join(root, 'tileset');
+    const files = {
+        'tileset.json': Buffer.from(TILESET),
+        'tiles/a.b3dm': Buffer.alloc(4096, 'b3dm'),
+        'tiles/ü nöise.bin': crypto.randomBytes(1000),
+        'empty.txt': Buffer.alloc(0),
+    };
+    for (const [name, data] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(folder, name)), { recursive: true });
+        fs.writeFileSync(path.join(folder, name), data);
+    }
+    return { root, folder, files };
+}
+
+test('pack writes an archive whose entries read back unchanged', async t => {
+    t.mock.method(console, 'log', () => {});
+    const { root, folder, files } = createTileset();
+    const archivePath = path.join(root, 'out', 'city.3tz');
+    assert.equal(await pack({ positionals: [folder, archivePath], values: {} }), 0);
+
+    const archive = Archive3tz.open(archivePath);
+    try {
+        assert.deepEqual(archive.list().sort(), Object.keys(files).sort());
+        for (const [name, data] of Object.entries(files)) {
+            assert.deepEqual(archive.read(name), data, name);
+        }
+        // The hash index has a 24-byte record per entry
+        assert.equal(archive.index.length, Object.keys(files).length * 24);
+        assert.equal(archive.has('tiles/missing.b3dm'), false);
+        assert.equal(archive.read('tiles/missing.b3dm'), null);
+        // Compressible entries are deflated
+        assert.ok(fs.statSync(archivePath).size < 4096);
+    } finally {
+        archive.close();
+    }
+});
+
+test('commands read files in an archive as if it were a folder', async t => {
+    t.mock.method(console, 'log', () => {});
+    const { root, folder, files } = createTileset();
+    const archivePath = path.join(root, 'city.3tz');
+    await pack({ positionals: [folder, archivePath], values: {} });
+
+    assert.equal(isInputFolder(archivePath), true);
+    assert.equal(isInputFolder(path.join(archivePath, 'tiles')), true);
+    assert.equal(inputExists(path.join(archivePath, 'tiles', 'a.b3dm')), true);
+    assert.equal(inputExists(path.join(archivePath, 'tiles', 'b.b3dm')), false);
+    assert.deepEqual(readInput(path.join(archivePath, 'tiles', 'ü nöise.bin')), files['tiles/ü nöise.bin']);
+    assert.deepEqual(listInputFiles(archivePath, ['.b3dm', '.json']).sort(), [
+        path.join(archivePath, 'tiles', 'a.b3dm'),
+        path.join(archivePath, 'tileset.json'),
+    ]);
+    assert.throws(() => readInput(path.join(archivePath, 'tiles', 'b.b3dm')), /does not exist in city\.3tz/);
+
+    // Tileset JSONs in the archive are rewritten to an output folder
+    const output = path.join(root, 'extracted');
+    updateTilesetJson(archivePath, output);
+    assert.equal(fs.readFileSync(path.join(output, 'tileset.json'), 'utf8'), TILESET.replace('"1.0"', '"1.1"').replace('a.b3dm', 'a.glb'));
+});
+
+test('pack needs a tileset.json and an archive outside the folder', async () => {
+    const { root, folder } = createTileset();
+    await assert.rejects(pack({ positionals: [folder, path.join(folder, 'self.3tz')], values: {} }), UsageError);
+    await assert.rejects(pack({ positionals: [folder, path.join(root, 'city.zip')], values: {} }), UsageError);
+    fs.rmSync(path.join(folder, 'tileset.json'));
+    await assert.rejects(pack({ positionals: [folder, path.join(root, 'city.3tz')], values: {} }), UsageError);
+});
+
+test('extract reads a tileset from an archive and packs its output into another', { skip: functionsMissing() }, async t => {
+    t.mock.method(console, 'log', () => {});
+    const { root, folder } = createTileset();
+    fs.writeFileSync(path.join(folder, 'tiles', 'a.b3dm'), writeB3dm({ featureTableJSON: Buffer.from('{"BATCH_LENGTH":0}  '), glb: await createGlb() }));
+    const archivePath = path.join(root, 'city.3tz');
+    await pack({ positionals: [folder, archivePath], values: {} });
+    const { run } = await import('../src/cli.js');
+
+    t.mock.method(console, 'error', () => {});
+    assert.equal(await run(['extract', archivePath]), 2);
+
+    const output = path.join(root, 'extracted.3tz');
+    assert.equal(await run(['extract', archivePath, '--out', output]), 0);
+    assert.ok(!fs.existsSync(`${output}.tmp`));
+    const archive = Archive3tz.open(output);
+    try {
+        assert.deepEqual(archive.list().sort(), ['empty.txt', 'tiles/a.glb', 'tiles/ü nöise.bin', 'tileset.json']);
+        assert.equal(JSON.parse(archive.read('tileset.json')).root.content.uri, 'tiles/a.glb');
+        assert.equal(archive.read('tiles/a.glb').toString('utf8', 0, 4), 'glTF');
+    } finally {
+        archive.close();
+    }
+});
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { writeB3dm, B3DM_HEADER_LENGTH } from '../src/lib/b3dm.js';
+import { parseGlb, writeGlb } from '../src/lib/glb.js';
+import { convertB3dmToGlb } from '../src/lib/b3dm-to-glb.js';
+import { createGlb, tableJSON } from './helpers.js';
+
+test('RTC_CENTER becomes the translation of a root node and BATCH_LENGTH a root extra', async () => {
+    const glb = await createGlb();
+    const featureTableJSON = tableJSON({ BATCH_LENGTH: 0, RTC_CENTER: [100, 200, 300] }, B3DM_HEADER_LENGTH);
+    const { json, bin } = parseGlb(convertB3dmToGlb(writeB3dm({ featureTableJSON, glb })));
+
+    // The center is in the z-up tile frame, the node in the y-up glTF frame
+    const [rtcNode] = json.scenes[0].nodes;
+    assert.deepEqual(json.nodes[rtcNode], { name: 'RTC_CENTER', translation: [100, 300, -200], children: [0] });
+    assert.deepEqual(json.extras, { BATCH_LENGTH: 0 });
+    // Mesh data is carried over byte for byte
+    assert.deepEqual(bin, parseGlb(glb).bin);
+    assert.deepEqual(json.meshes, parseGlb(glb).json.meshes);
+});
+
+test('a binary RTC_CENTER and a CESIUM_RTC extension are added up, and the extension removed', async () => {
+    const source = parseGlb(await createGlb());
+    source.json.extensions = { CESIUM_RTC: { center: [1, 1, 1] } };
+    source.json.extensionsUsed = ['CESIUM_RTC'];
+    const featureTableJSON = tableJSON({ BATCH_LENGTH: 0, RTC_CENTER: { byteOffset: 0 } }, B3DM_HEADER_LENGTH);
+    const featureTableBinary = Buffer.from(new Float32Array([10, 20, 30, 0]).buffer);
+    const { json } = parseGlb(convertB3dmToGlb(writeB3dm({ featureTableJSON, featureTableBinary, glb: writeGlb(source) })));
+
+    assert.deepEqual(json.nodes.find(node => node.name === 'RTC_CENTER').translation, [11, 31, -21]);
+    assert.equal(json.extensions, undefined);
+    assert.equal(json.extensionsUsed, undefined);
+});
+
+test('a tile without RTC_CENTER keeps its scene', async () => {
+    const glb = await createGlb();
+    const featureTableJSON = tableJSON({ BATCH_LENGTH: 0 }, B3DM_HEADER_LENGTH);
+    const { json } = parseGlb(convertB3dmToGlb(writeB3dm({ featureTableJSON, glb })));
+    assert.deepEqual(json.scenes, parseGlb(glb).json.scenes);
+    assert.deepEqual(json.nodes, parseGlb(glb).json.nodes);
+});
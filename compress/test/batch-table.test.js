@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getIO } from '../src/lib/io.js';
+import { writeB3dm, B3DM_HEADER_LENGTH } from '../src/lib/b3dm.js';
+import { convertBatchTable } from '../src/lib/batch-table.js';
+import { convertB3dmToGlb } from '../src/lib/b3dm-to-glb.js';
+import { createGlb, tableJSON } from './helpers.js';
+
+const values = (data, ArrayType) => Array.from(new ArrayType(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)));
+
+test('JSON batch table properties are typed from their values', () => {
+    const { schema, propertyTable } = convertBatchTable({
+        id: [1, 2],
+        height: [2.5, 1],
+        open: [true, false],
+        name: ['door', 'wïndow'],
+        color: [[1, 0, 0], [0, 1, 0]],
+        tags: [['a'], ['b', 'c']],
+        info: [{ floor: 1 }, null],
+        'roof type': ['flat', 'gable'],
+        extras: { ignored: true },
+    }, null, 2);
+
+    const { properties } = schema.classes.feature;
+    assert.deepEqual(properties.id, { type: 'SCALAR', componentType: 'INT32' });
+    assert.deepEqual(properties.height, { type: 'SCALAR', componentType: 'FLOAT64' });
+    assert.deepEqual(properties.open, { type: 'BOOLEAN' });
+    assert.deepEqual(properties.name, { type: 'STRING' });
+    assert.deepEqual(properties.color, { type: 'SCALAR', componentType: 'INT32', array: true, count: 3 });
+    assert.deepEqual(properties.tags, { type: 'STRING', array: true });
+    assert.deepEqual(properties.info, { type: 'STRING' });
+    // Property IDs must be identifiers; the batch table name is kept
+    assert.deepEqual(properties.roof_type, { name: 'roof type', type: 'STRING' });
+    assert.equal(properties.extras, undefined);
+
+    const data = propertyTable.properties;
+    assert.equal(propertyTable.count, 2);
+    assert.deepEqual(values(data.id.values, Int32Array), [1, 2]);
+    assert.deepEqual(values(data.height.values, Float64Array), [2.5, 1]);
+    assert.deepEqual(Array.from(data.open.values), [0b01]);
+    assert.equal(Buffer.from(data.name.values).toString(), 'doorwïndow');
+    assert.deepEqual(values(data.name.stringOffsets, Uint32Array), [0, 4, 11]);
+    assert.deepEqual(values(data.tags.arrayOffsets, Uint32Array), [0, 1, 3]);
+    assert.equal(Buffer.from(data.info.values).toString(), '{"floor":1}null');
+});
+
+test('binary batch table properties keep their component type, and bad properties are dropped', t => {
+    t.mock.method(console, 'warn', () => {});
+    const binary = Buffer.from(new Uint16Array([7, 8, 9, 10]).buffer);
+    const { schema, propertyTable } = convertBatchTable({
+        size: { byteOffset: 0, componentType: 'UNSIGNED_SHORT', type: 'VEC2' },
+        short: [1],
+        odd: { byteOffset: 0, componentType: 'HALF', type: 'SCALAR' },
+    }, binary, 2);
+
+    assert.deepEqual(schema.classes.feature.properties, { size: { type: 'VEC2', componentType: 'UINT16' } });
+    assert.deepEqual(values(propertyTable.properties.size.values, Uint16Array), [7, 8, 9, 10]);
+    assert.equal(console.warn.mock.callCount(), 2);
+});
+
+test('b3dm batch IDs and batch table become EXT_mesh_features and EXT_structural_metadata', async () => {
+    const featureTableJSON = tableJSON({ BATCH_LENGTH: 2 }, B3DM_HEADER_LENGTH);
+    const batchTableJSON = tableJSON({ name: ['door', 'window'], height: [2.5, 1.25] }, B3DM_HEADER_LENGTH + featureTableJSON.length);
+    const glb = convertB3dmToGlb(writeB3dm({ featureTableJSON, batchTableJSON, glb: await createGlb(2) }));
+
+    const document = await (await getIO()).readBinary(glb);
+    const root = document.getRoot();
+    const [primitive] = root.listMeshes()[0].listPrimitives();
+    assert.equal(primitive.getAttribute('_BATCHID'), null);
+    assert.deepEqual(Array.from(primitive.getAttribute('_FEATURE_ID_0').getArray()), [0, 0, 0, 1, 1, 1]);
+    assert.deepEqual(primitive.getExtension('EXT_mesh_features').getFeatureIds(), [{ featureCount: 2, attribute: 0, propertyTable: 0 }]);
+    const [table] = root.getExtension('EXT_structural_metadata').getPropertyTables();
+    assert.equal(table.count, 2);
+    assert.deepEqual(Object.keys(table.properties).sort(), ['height', 'name']);
+});
+
+test('feature IDs without a batch table reference no property table', async () => {
+    const featureTableJSON = tableJSON({ BATCH_LENGTH: 2 }, B3DM_HEADER_LENGTH);
+    const glb = convertB3dmToGlb(writeB3dm({ featureTableJSON, glb: await createGlb(2) }));
+
+    const document = await (await getIO()).readBinary(glb);
+    const [primitive] = document.getRoot().listMeshes()[0].listPrimitives();
+    assert.deepEqual(primitive.getExtension('EXT_mesh_features').getFeatureIds(), [{ featureCount: 2, attribute: 0 }]);
+    assert.equal(document.getRoot().getExtension('EXT_structural_metadata'), null);
+});
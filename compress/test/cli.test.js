@@ -0,0 +1,63 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createTempFolder, removeTempFolders } from './helpers.js';
+
+after(removeTempFolders);
+
+const bin = fileURLToPath(new URL('../bin/compress.js', import.meta.url));
+
+// Run the `tiles` binary in a child process, as a failed native require ends the process
+function tiles(...args) {
+    return spawnSync(process.execPath, [bin, ...args], { encoding: 'utf8' });
+}
+
+test('the help lists every command without loading them', () => {
+    const { status, stdout } = tiles('--help');
+    assert.equal(status, 0);
+    for (const name of ['extract', 'compress', 'decompress', 'stats', 'validate', 'lod', 'tile', 'implicit', 'explicit', 'pack']) {
+        assert.match(stdout, new RegExp(`^  ${name} +\\S`, 'm'));
+    }
+    assert.equal(tiles('unknown').status, 2);
+});
+
+test('validate and stats of a tileset run without the modules that need sharp and canvas', () => {
+    const folder = createTempFolder('cli-');
+    fs.writeFileSync(path.join(folder, 'tileset.json'), JSON.stringify({
+        asset: { version: '1.1' },
+        geometricError: 1,
+        root: { geometricError: 0, boundingVolume: { sphere: [0, 0, 0, 1] } },
+    }));
+
+    const validate = tiles('validate', folder, '--json');
+    assert.equal(validate.status, 0, validate.stderr);
+    assert.equal(JSON.parse(validate.stdout).summary.errors, 0);
+    const stats = tiles('stats', folder, '--json');
+    assert.equal(stats.status, 0, stats.stderr);
+    assert.equal(JSON.parse(stats.stdout).totals.tiles, 1);
+    assert.match(tiles('validate', '--help').stdout, /^Usage: tiles validate <tileset>/);
+});
+
+test('config options of other commands are only checked when they run', () => {
+    const folder = createTempFolder('cli-');
+    const config = path.join(folder, 'config.json');
+    fs.writeFileSync(config, JSON.stringify({ options: { compress: { unknown: true }, validate: { json: true } } }));
+    fs.writeFileSync(path.join(folder, 'tileset.json'), JSON.stringify({
+        asset: { version: '1.1' },
+        geometricError: 1,
+        root: { geometricError: 0, boundingVolume: { sphere: [0, 0, 0, 1] } },
+    }));
+
+    const validate = tiles('validate', folder, '--config', config);
+    assert.equal(validate.status, 0, validate.stderr);
+    assert.equal(JSON.parse(validate.stdout).summary.errors, 0);
+    const compress = tiles('compress', folder, '--config', config);
+    assert.equal(compress.status, 2);
+    assert.match(compress.stderr, /unknown option "options\.compress\.unknown"/);
+
+    fs.writeFileSync(config, JSON.stringify({ options: { compres: {} } }));
+    assert.match(tiles('validate', folder, '--config', config).stderr, /unknown command "options\.compres"/);
+});
@@ -0,0 +1,99 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { parseCmpt, writeCmpt, CMPT_HEADER_LENGTH } from '../src/lib/cmpt.js';
+import { parseB3dm, writeB3dm, B3DM_HEADER_LENGTH } from '../src/lib/b3dm.js';
+import { writePnts, parsePnts, PNTS_HEADER_LENGTH, DRACO_POINT_COMPRESSION } from '../src/lib/pnts.js';
+import { parseTableJSON } from '../src/lib/feature-table.js';
+import { parseGlb } from '../src/lib/glb.js';
+import { updateTilesetJson } from '../src/lib/tileset-json.js';
+import { createGlb, createTempFolder, removeTempFolders, functionsMissing, tableJSON } from './helpers.js';
+
+after(removeTempFolders);
+
+// A tile of `byteLength` bytes with the given magic, holding nothing but its header
+function fakeTile(magic, byteLength) {
+    const tile = Buffer.alloc(byteLength);
+    tile.write(magic, 0, 'utf8');
+    tile.writeInt32LE(1, 4);
+    tile.writeInt32LE(byteLength, 8);
+    return tile;
+}
+
+// A composite of a b3dm and a nested composite holding a pnts
+async function createComposite() {
+    const b3dm = writeB3dm({ featureTableJSON: tableJSON({ BATCH_LENGTH: 0 }, B3DM_HEADER_LENGTH), glb: await createGlb() });
+    const pnts = writePnts({
+        featureTableJSON: tableJSON({ POINTS_LENGTH: 2, POSITION: { byteOffset: 0 } }, PNTS_HEADER_LENGTH),
+        featureTableBinary: Buffer.from(new Float32Array([1, 2, 3, 4, 5, 6]).buffer),
+    });
+    return writeCmpt({ tiles: [b3dm, writeCmpt({ tiles: [pnts] })] });
+}
+
+test('inner tiles are padded to 8-byte boundaries, and the inputs are left alone', () => {
+    const tiles = [fakeTile('b3dm', 13), fakeTile('pnts', 24), writeCmpt({ tiles: [fakeTile('i3dm', 20)] })];
+    const cmpt = writeCmpt({ version: 1, tiles });
+    assert.equal(cmpt.length, CMPT_HEADER_LENGTH + 16 + 24 + (CMPT_HEADER_LENGTH + 24));
+    assert.equal(tiles[0].readInt32LE(8), 13);
+
+    const { version, byteLength, tiles: inner } = parseCmpt(cmpt);
+    assert.equal(version, 1);
+    assert.equal(byteLength, cmpt.length);
+    assert.deepEqual(inner.map(tile => [tile.toString('utf8', 0, 4), tile.length, tile.readInt32LE(8)]), [['b3dm', 16, 16], ['pnts', 24, 24], ['cmpt', 40, 40]]);
+    assert.deepEqual(parseCmpt(inner[2]).tiles.map(tile => tile.length), [24]);
+});
+
+test('a composite with a bad magic or an inner tile past its end is rejected', () => {
+    assert.throws(() => parseCmpt(Buffer.concat([Buffer.from('b3dm'), Buffer.alloc(12)])), /Invalid cmpt magic "b3dm"/);
+
+    const cmpt = writeCmpt({ tiles: [fakeTile('b3dm', 16)] });
+    cmpt.writeInt32LE(64, CMPT_HEADER_LENGTH + 8);
+    assert.throws(() => parseCmpt(cmpt), /inner tile 0 has an invalid byteLength \(64\)/);
+    cmpt.writeInt32LE(2, 12);
+    cmpt.writeInt32LE(16, CMPT_HEADER_LENGTH + 8);
+    assert.throws(() => parseCmpt(cmpt), /inner tile 1 starts past the end/);
+});
+
+test('a composite is repacked with every inner tile compressed, nested ones included', { skip: functionsMissing() }, async () => {
+    const { compressFile } = await import('../src/lib/compress-file.js');
+    const folder = createTempFolder('cmpt-');
+    fs.writeFileSync(path.join(folder, 'tile.cmpt'), await createComposite());
+
+    const result = await compressFile(path.join(folder, 'tile.cmpt'), path.join(folder, 'out.cmpt'), { draco: true });
+    assert.equal(result.pointCompressionApplied, true);
+    const [b3dm, nested] = parseCmpt(fs.readFileSync(path.join(folder, 'out.cmpt'))).tiles;
+    assert.equal(b3dm.toString('utf8', 0, 4), 'b3dm');
+    assert.ok(parseGlb(parseB3dm(b3dm).glb).json.extensionsUsed.includes('KHR_draco_mesh_compression'));
+    const pnts = parsePnts(parseCmpt(nested).tiles[0]);
+    assert.ok(parseTableJSON(pnts.featureTableJSON).extensions[DRACO_POINT_COMPRESSION]);
+});
+
+test('with splitComposites a composite becomes one glb per inner tile, nested ones flattened', { skip: functionsMissing() }, async () => {
+    const { compressFile } = await import('../src/lib/compress-file.js');
+    const folder = createTempFolder('cmpt-');
+    fs.writeFileSync(path.join(folder, 'tile.cmpt'), await createComposite());
+
+    const result = await compressFile(path.join(folder, 'tile.cmpt'), path.join(folder, 'tile.glb'), { splitComposites: true });
+    assert.deepEqual(result.outputs, [path.join(folder, 'tile_0.glb'), path.join(folder, 'tile_1.glb')]);
+    assert.equal(result.output, result.outputs[0]);
+    // The pnts becomes a POINTS primitive
+    assert.equal(parseGlb(fs.readFileSync(result.outputs[1])).json.meshes[0].primitives[0].mode, 0);
+});
+
+test('tiles referencing a split composite get a contents array and the tileset becomes 1.1', t => {
+    t.mock.method(console, 'log', () => {});
+    const folder = createTempFolder('cmpt-');
+    fs.writeFileSync(path.join(folder, 'tileset.json'), JSON.stringify({
+        asset: { version: '1.0' },
+        geometricError: 10,
+        root: { geometricError: 0, boundingVolume: { sphere: [0, 0, 0, 1] }, content: { uri: 'tiles/tile.cmpt' } },
+    }));
+
+    const splitContents = new Map([[path.join(folder, 'tiles', 'tile.cmpt'), ['tile_0.glb', 'tile_1.glb']]]);
+    assert.equal(updateTilesetJson(folder, folder, { splitContents }), 0);
+    const { asset, root } = JSON.parse(fs.readFileSync(path.join(folder, 'tileset.json'), 'utf8'));
+    assert.equal(asset.version, '1.1');
+    assert.equal(root.content, undefined);
+    assert.deepEqual(root.contents, [{ uri: 'tiles/tile_0.glb' }, { uri: 'tiles/tile_1.glb' }]);
+});
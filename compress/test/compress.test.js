@@ -0,0 +1,111 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Document, NodeIO } from '@gltf-transform/core';
+import { getIO } from '../src/lib/io.js';
+import { writeB3dm, B3DM_HEADER_LENGTH } from '../src/lib/b3dm.js';
+import { JOURNAL_FILE } from '../src/lib/journal.js';
+import { createTempFolder, removeTempFolders, functionsMissing } from './helpers.js';
+
+after(removeTempFolders);
+
+const TILESET = '{"asset":{"version":"1.0"},"geometricError":1,"root":{"geometricError":0,"boundingVolume":{"sphere":[0,0,0,10]},"content":{"uri":"building.b3dm"}}}';
+
+// A tileset folder (`input` in a temp folder) with a b3dm of two meshes in separate nodes,
+// which join() merges, each with a feature of the batch table
+async function createTileset() {
+    const document = new Document();
+    const buffer = document.createBuffer();
+    const material = document.createMaterial();
+    const scene = document.createScene();
+    for (const feature of [0, 1]) {
+        const primitive = document.createPrimitive()
+            .setMaterial(material)
+            .setAttribute('POSITION', document.createAccessor().setType('VEC3').setArray(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0])).setBuffer(buffer))
+            .setAttribute('_BATCHID', document.createAccessor().setType('SCALAR').setArray(new Float32Array([feature, feature, feature])).setBuffer(buffer));
+        scene.addChild(document.createNode().setTranslation([feature * 2, 0, 0]).setMesh(document.createMesh().addPrimitive(primitive)));
+    }
+
+    const featureTableJSON = Buffer.from('{"BATCH_LENGTH":2}  ');
+    const batchTableJSON = Buffer.from('{"name":["north wing","south wing"]}    ');
+    assert.equal((B3DM_HEADER_LENGTH + featureTableJSON.length + batchTableJSON.length) % 8, 0);
+    const folder = path.join(createTempFolder('compress-'), 'input');
+    fs.mkdirSync(folder);
+    fs.writeFileSync(path.join(folder, 'tileset.json'), TILESET);
+    fs.writeFileSync(path.join(folder, 'building.b3dm'), writeB3dm({ featureTableJSON, batchTableJSON, glb: Buffer.from(await new NodeIO().writeBinary(document)) }));
+    return folder;
+}
+
+async function compress(...args) {
+    const { run } = await import('../src/cli.js');
+    return run(['compress', ...args]);
+}
+
+test('feature IDs and metadata survive the join of the web-fast and mobile presets', { skip: functionsMissing() }, async () => {
+    for (const preset of ['web-fast', 'mobile']) {
+        const folder = await createTileset();
+        const output = `${folder}-${preset}`;
+        assert.equal(await compress(folder, '--out', output, '--preset', preset), 0);
+
+        const document = await (await getIO()).read(path.join(output, 'building.glb'));
+        const root = document.getRoot();
+        const primitives = root.listMeshes().flatMap(mesh => mesh.listPrimitives());
+        assert.equal(primitives.length, 1, `${preset} joins the meshes`);
+        const [primitive] = primitives;
+        assert.deepEqual(primitive.getExtension('EXT_mesh_features')?.getFeatureIds(), [{ featureCount: 2, attribute: 0, propertyTable: 0 }]);
+        assert.deepEqual([...new Set(primitive.getAttribute('_FEATURE_ID_0').getArray())].sort(), [0, 1]);
+        const [table] = root.getExtension('EXT_structural_metadata').getPropertyTables();
+        assert.equal(table.count, 2);
+        assert.deepEqual(Object.keys(table.properties), ['name']);
+        assert.ok(root.listExtensionsUsed().some(extension => extension.extensionName === 'KHR_draco_mesh_compression'));
+    }
+});
+
+test('meshes with feature IDs of different property tables are not joined', { skip: functionsMissing() }, async () => {
+    const { compressDocument } = await import('../src/lib/compress-file.js');
+    const { DEFAULT_CONFIG } = await import('../src/lib/config.js');
+    const { EXTMeshFeatures } = await import('../src/extensions/ext-mesh-features.js');
+    const document = new Document();
+    const buffer = document.createBuffer();
+    const extension = document.createExtension(EXTMeshFeatures);
+    const scene = document.createScene();
+    for (const propertyTable of [0, 1]) {
+        const primitive = document.createPrimitive()
+            .setAttribute('POSITION', document.createAccessor().setType('VEC3').setArray(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0])).setBuffer(buffer))
+            .setAttribute('_FEATURE_ID_0', document.createAccessor().setType('SCALAR').setArray(new Float32Array([0, 0, 0])).setBuffer(buffer))
+            .setExtension('EXT_mesh_features', extension.createMeshFeatures().setFeatureIds([{ featureCount: 1, attribute: 0, propertyTable }]));
+        scene.addChild(document.createNode().setMesh(document.createMesh().addPrimitive(primitive)));
+    }
+
+    await compressDocument(document, { compression: { ...DEFAULT_CONFIG, optimize: { ...DEFAULT_CONFIG.optimize, join: true } } });
+    const featureIds = document.getRoot().listMeshes().flatMap(mesh => mesh.listPrimitives())
+        .map(primitive => primitive.getExtension('EXT_mesh_features').getFeatureIds()[0].propertyTable);
+    assert.deepEqual(featureIds, [0, 1]);
+});
+
+test('--meshopt and --draco replace the mesh compression of a preset', { skip: functionsMissing() }, async () => {
+    const folder = await createTileset();
+    assert.equal(await compress(folder, '--out', `${folder}-meshopt`, '--preset', 'web-fast', '--meshopt'), 0);
+    const meshopt = await (await getIO()).read(path.join(`${folder}-meshopt`, 'building.glb'));
+    const extensions = meshopt.getRoot().listExtensionsUsed().map(extension => extension.extensionName);
+    assert.ok(extensions.includes('EXT_meshopt_compression'));
+    assert.ok(!extensions.includes('KHR_draco_mesh_compression'));
+
+    // Both on the command line is still an error
+    assert.equal(await compress(folder, '--out', `${folder}-both`, '--preset', 'web-fast', '--draco', '--meshopt'), 2);
+});
+
+test('the journal is removed once a run completes, and kept while tiles failed', { skip: functionsMissing() }, async () => {
+    const folder = await createTileset();
+    assert.equal(await compress(folder, '--out', `${folder}-out`), 0);
+    assert.equal(fs.existsSync(path.join(`${folder}-out`, JOURNAL_FILE)), false);
+
+    fs.writeFileSync(path.join(folder, 'broken.b3dm'), 'b3dm, but truncated');
+    assert.equal(await compress(folder), 1);
+    assert.ok(fs.existsSync(path.join(folder, JOURNAL_FILE)));
+    fs.rmSync(path.join(folder, 'broken.b3dm'));
+    assert.equal(await compress(folder, '--resume'), 0);
+    assert.equal(fs.existsSync(path.join(folder, JOURNAL_FILE)), false);
+    assert.ok(fs.existsSync(path.join(folder, 'building.glb')));
+});
@@ -0,0 +1,68 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { writeB3dm, B3DM_HEADER_LENGTH } from '../src/lib/b3dm.js';
+import { measureContent, measureOutputs, buildComparisonReport, writeComparisonReport } from '../src/lib/compression-report.js';
+import { createGlb, createTempFolder, removeTempFolders, tableJSON } from './helpers.js';
+
+after(removeTempFolders);
+
+const PNG = { format: 'png', resolution: '2x2' };
+
+// A compress result for `file` under /input, from `inputBytes` to `outputBytes`
+const result = (file, inputBytes, outputBytes, extra = {}) => ({
+    file: path.join('/input', file),
+    executionTime: 0.5,
+    before: { bytes: inputBytes, triangles: 2, points: 0, textures: [PNG, PNG] },
+    after: { bytes: outputBytes, triangles: 2, points: 0, textures: [{ format: 'ktx2 etc1s', resolution: '2x2' }] },
+    ...extra,
+});
+
+test('a tile is measured from its bytes, and one that cannot be read only by its size', async () => {
+    const b3dm = writeB3dm({ featureTableJSON: tableJSON({ BATCH_LENGTH: 2 }, B3DM_HEADER_LENGTH), glb: await createGlb(2) });
+    assert.deepEqual(measureContent(b3dm, 'a.b3dm'), { bytes: b3dm.length, triangles: 2, points: 0, textures: [] });
+    assert.deepEqual(measureContent(Buffer.from('b3dm, but truncated'), 'b.b3dm'), { bytes: 19, triangles: null, points: null, textures: [] });
+
+    // The glbs of a split composite count as one content
+    const folder = createTempFolder('report-');
+    const outputs = ['c_0.glb', 'c_1.glb'].map(name => path.join(folder, name));
+    for (const output of outputs) {
+        fs.writeFileSync(output, await createGlb(1));
+    }
+    const measured = measureOutputs(outputs);
+    assert.equal(measured.bytes, fs.statSync(outputs[0]).size * 2);
+    assert.equal(measured.triangles, 2);
+});
+
+test('the report lists files with their savings, the files that grew and the failures', () => {
+    const report = buildComparisonReport(
+        [result('tiles/b.b3dm', 1000, 1200), result('tiles/a.b3dm', 2000, 500, { fidelity: { positionBits: 14, maxDisplacement: 0.01, meanDisplacement: 0.005, hausdorff: 0.01 } })],
+        [{ file: path.join('/input', 'tiles', 'c.b3dm'), error: 'broken' }],
+        '/input',
+    );
+
+    assert.deepEqual(report.totals, { files: 2, failed: 1, inputBytes: 3000, outputBytes: 1700, savedBytes: 1300, savedPercent: 43.33, executionTime: 1 });
+    assert.deepEqual(report.grown, ['tiles/b.b3dm']);
+    assert.deepEqual(report.failures, [{ file: 'tiles/c.b3dm', error: 'broken' }]);
+    const [a, b] = report.files;
+    assert.equal(a.file, 'tiles/a.b3dm');
+    assert.equal(a.savedPercent, 75);
+    assert.equal(a.hausdorff, 0.01);
+    assert.equal(a.texturesBefore, 'png 2x2 x2');
+    assert.equal(a.texturesAfter, 'ktx2 etc1s 2x2');
+    assert.equal(b.savedBytes, -200);
+    assert.equal(b.hausdorff, undefined);
+});
+
+test('the report is written as JSON and as HTML with escaped names', () => {
+    const base = path.join(createTempFolder('report-'), 'out', 'report');
+    const report = buildComparisonReport([result('<b>.glb', 100, 200)], [], '/input');
+    writeComparisonReport(report, base);
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(`${base}.json`, 'utf8')), report);
+    const html = fs.readFileSync(`${base}.html`, 'utf8');
+    assert.match(html, /<tr class="grown">\s*<td>&lt;b&gt;\.glb<\/td>/);
+    assert.match(html, /<h2>Files that grew<\/h2>/);
+    assert.doesNotMatch(html, /<b>/);
+});
@@ -0,0 +1,125 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Document } from '@gltf-transform/core';
+import { KHRTextureTransform } from '@gltf-transform/extensions';
+import { getIO } from '../src/lib/io.js';
+import { writeArchive } from '../src/lib/archive-3tz.js';
+import { parseB3dm, writeB3dm, B3DM_HEADER_LENGTH } from '../src/lib/b3dm.js';
+import { parseTableJSON } from '../src/lib/feature-table.js';
+import { createTempFolder, removeTempFolders, tableJSON, functionsMissing } from './helpers.js';
+
+after(removeTempFolders);
+
+const POSITIONS = [0, 0, 0, 10, 0, 0, 0, 10, 0, 10, 10, 5];
+
+// A document with two triangles, texture coordinates and, with `transform`, a base color
+// texture read through KHR_texture_transform
+function createDocument(transform = null) {
+    const document = new Document();
+    const buffer = document.createBuffer();
+    const primitive = document.createPrimitive()
+        .setAttribute('POSITION', document.createAccessor().setType('VEC3').setArray(new Float32Array(POSITIONS)).setBuffer(buffer))
+        .setAttribute('TEXCOORD_0', document.createAccessor().setType('VEC2').setArray(new Float32Array([0, 0, 1, 0, 0, 1, 1, 1])).setBuffer(buffer))
+        .setIndices(document.createAccessor().setType('SCALAR').setArray(new Uint16Array([0, 1, 2, 1, 3, 2])).setBuffer(buffer));
+    if (transform) {
+        const material = document.createMaterial().setBaseColorTexture(document.createTexture().setImage(new Uint8Array(8)).setMimeType('image/png'));
+        material.getBaseColorTextureInfo().setExtension('KHR_texture_transform', document.createExtension(KHRTextureTransform).createTransform()
+            .setOffset(transform.offset)
+            .setScale(transform.scale));
+        primitive.setMaterial(material);
+    }
+    document.createScene().addChild(document.createNode().setMesh(document.createMesh().addPrimitive(primitive)));
+    return document;
+}
+
+const extensionNames = document => document.getRoot().listExtensionsUsed().map(extension => extension.extensionName);
+const attribute = (document, name) => document.getRoot().listMeshes()[0].listPrimitives()[0].getAttribute(name);
+
+// Check that every vertex of a decoded document is within a millimetre of a source vertex;
+// the encoders may reorder vertices
+function assertPositionsKept(document) {
+    const node = document.getRoot().listNodes().find(candidate => candidate.getMesh());
+    const matrix = node.getWorldMatrix();
+    const position = attribute(document, 'POSITION');
+    assert.equal(position.getCount(), POSITIONS.length / 3);
+    for (let i = 0; i < position.getCount(); i++) {
+        const [x, y, z] = position.getElement(i, []);
+        const world = [0, 1, 2].map(axis => matrix[axis] * x + matrix[axis + 4] * y + matrix[axis + 8] * z + matrix[axis + 12]);
+        const distance = Math.min(...Array.from({ length: POSITIONS.length / 3 }, (_, j) => Math.hypot(...world.map((value, axis) => value - POSITIONS[j * 3 + axis]))));
+        assert.ok(distance < 0.001, `vertex ${i} moved by ${distance}`);
+    }
+}
+
+test('the Draco glb of a b3dm is decoded, and its tables kept', { skip: functionsMissing() }, async () => {
+    const { compressDocument } = await import('../src/lib/compress-file.js');
+    const { decompressFile } = await import('../src/lib/decompress-file.js');
+    const io = await getIO();
+    const document = createDocument();
+    await compressDocument(document, { draco: true });
+    const featureTableJSON = tableJSON({ BATCH_LENGTH: 0, RTC_CENTER: [1, 2, 3] }, B3DM_HEADER_LENGTH);
+    const folder = createTempFolder('decompress-');
+    const file = path.join(folder, 'tile.b3dm');
+    fs.writeFileSync(file, writeB3dm({ featureTableJSON, glb: Buffer.from(await io.writeBinary(document)) }));
+
+    const output = path.join(folder, 'out', 'tile.b3dm');
+    const summary = await decompressFile(file, output);
+    assert.deepEqual([summary.draco, summary.meshopt], [true, false]);
+    const b3dm = parseB3dm(fs.readFileSync(output));
+    assert.deepEqual(parseTableJSON(b3dm.featureTableJSON), { BATCH_LENGTH: 0, RTC_CENTER: [1, 2, 3] });
+    // The glb JSON, as a reader without Draco support sees it
+    const glbJson = JSON.parse(b3dm.glb.toString('utf8', 20, 20 + b3dm.glb.readUInt32LE(12)));
+    assert.equal(glbJson.extensionsUsed, undefined);
+    assertPositionsKept(await io.readBinary(b3dm.glb));
+});
+
+test('meshopt geometry is decoded to float attributes', { skip: functionsMissing() }, async () => {
+    const { compressDocument } = await import('../src/lib/compress-file.js');
+    const { decompressFile } = await import('../src/lib/decompress-file.js');
+    const io = await getIO();
+    const document = createDocument();
+    await compressDocument(document, { meshopt: true });
+    const folder = createTempFolder('decompress-');
+    const file = path.join(folder, 'tile.glb');
+    fs.writeFileSync(file, await io.writeBinary(document));
+
+    const summary = await decompressFile(file, file);
+    assert.deepEqual([summary.draco, summary.meshopt], [false, true]);
+    const decoded = await io.read(file);
+    assert.deepEqual(extensionNames(decoded), []);
+    assert.ok(attribute(decoded, 'POSITION').getArray() instanceof Float32Array);
+    assert.ok(attribute(decoded, 'TEXCOORD_0').getArray() instanceof Float32Array);
+    assertPositionsKept(decoded);
+});
+
+test('texture transforms are baked into the texture coordinates only when asked', { skip: functionsMissing() }, async () => {
+    const { decompressDocument } = await import('../src/lib/decompress-file.js');
+    const transform = { offset: [0.5, 0], scale: [2, 2] };
+
+    const kept = createDocument(transform);
+    assert.equal((await decompressDocument(kept)).textureTransforms, 0);
+    assert.deepEqual(extensionNames(kept), ['KHR_texture_transform']);
+
+    const baked = createDocument(transform);
+    assert.equal((await decompressDocument(baked, { bakeTextureTransforms: true })).textureTransforms, 1);
+    assert.deepEqual(extensionNames(baked), []);
+    assert.deepEqual(Array.from(attribute(baked, 'TEXCOORD_0').getArray()), [0.5, 0, 2.5, 0, 0.5, 2, 2.5, 2]);
+    assert.equal(baked.getRoot().listMaterials()[0].getBaseColorTextureInfo().getExtension('KHR_texture_transform'), null);
+});
+
+test('decompress checks the texture format and needs an output for an archive', { skip: functionsMissing() }, async t => {
+    t.mock.method(console, 'error', () => {});
+    const { run } = await import('../src/cli.js');
+    const folder = path.join(createTempFolder('decompress-'), 'input');
+    fs.mkdirSync(folder);
+    const errors = () => console.error.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+
+    assert.equal(await run(['decompress', folder, '--texture-format', 'webp']), 2);
+    assert.match(errors(), /--texture-format must be one of png, jpeg, got "webp"/);
+    fs.writeFileSync(path.join(folder, 'tileset.json'), '{}');
+    const archive = path.join(folder, '..', 'input.3tz');
+    writeArchive(folder, archive);
+    assert.equal(await run(['decompress', archive]), 2);
+    assert.match(errors(), /A \.3tz archive cannot be modified in place/);
+});
@@ -0,0 +1,97 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Document, NodeIO } from '@gltf-transform/core';
+import { writeB3dm } from '../src/lib/b3dm.js';
+import { writeI3dm } from '../src/lib/i3dm.js';
+import { createTempFolder, removeTempFolders, functionsMissing } from './helpers.js';
+
+after(removeTempFolders);
+
+// A tileset folder with a b3dm, an i3dm, a sidecar file and with `broken` a b3dm that cannot
+// be read
+async function createTileset({ broken = false } = {}) {
+    const document = new Document();
+    const primitive = document.createPrimitive()
+        .setAttribute('POSITION', document.createAccessor().setType('VEC3').setArray(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0])).setBuffer(document.createBuffer()));
+    document.createScene().addChild(document.createNode().setMesh(document.createMesh().addPrimitive(primitive)));
+    const glb = Buffer.from(await new NodeIO().writeBinary(document));
+
+    const folder = path.join(createTempFolder('extract-'), 'input');
+    fs.mkdirSync(path.join(folder, 'tiles'), { recursive: true });
+    const children = ['tiles/trees.i3dm', ...(broken ? ['tiles/broken.b3dm'] : [])]
+        .map(uri => ({ geometricError: 0, boundingVolume: { sphere: [0, 0, 0, 1] }, content: { uri } }));
+    fs.writeFileSync(path.join(folder, 'tileset.json'), JSON.stringify({
+        asset: { version: '1.0' },
+        geometricError: 10,
+        root: { geometricError: 1, refine: 'ADD', boundingVolume: { sphere: [0, 0, 0, 1] }, content: { uri: 'tiles/building.b3dm' }, children },
+    }));
+    fs.writeFileSync(path.join(folder, 'tiles', 'building.b3dm'), writeB3dm({ featureTableJSON: Buffer.from('{"BATCH_LENGTH":0}  '), glb }));
+    fs.writeFileSync(path.join(folder, 'tiles', 'trees.i3dm'), writeI3dm({
+        featureTableJSON: Buffer.from('{"INSTANCES_LENGTH":1,"POSITION":{"byteOffset":0}}'.padEnd(56)),
+        featureTableBinary: Buffer.from(new Float32Array([1, 2, 3, 0]).buffer),
+        glb,
+    }));
+    fs.writeFileSync(path.join(folder, 'tiles', 'notes.txt'), 'notes');
+    if (broken) {
+        fs.writeFileSync(path.join(folder, 'tiles', 'broken.b3dm'), Buffer.from('b3dm, but truncated'));
+    }
+    return folder;
+}
+
+async function extract(t, ...args) {
+    for (const method of ['log', 'info', 'warn', 'error']) {
+        t.mock.method(console, method, () => {});
+    }
+    const { run } = await import('../src/cli.js');
+    return run(['extract', ...args]);
+}
+
+const listFiles = folder => fs.readdirSync(folder, { recursive: true }).sort();
+const contentUris = folder => {
+    const { root } = JSON.parse(fs.readFileSync(path.join(folder, 'tileset.json'), 'utf8'));
+    return [root.content.uri, ...root.children.map(child => child.content.uri)];
+};
+
+test('with --out the tileset is mirrored with glb tiles and the input left untouched', { skip: functionsMissing() }, async t => {
+    const folder = await createTileset();
+    const before = listFiles(folder);
+    const output = path.join(folder, '..', 'output');
+    assert.equal(await extract(t, folder, '--out', output), 0);
+
+    assert.deepEqual(listFiles(folder), before);
+    assert.deepEqual(listFiles(output), ['tiles', 'tiles/building.glb', 'tiles/notes.txt', 'tiles/trees.glb', 'tileset.json']);
+    assert.deepEqual(contentUris(output), ['tiles/building.glb', 'tiles/trees.glb']);
+    // Only the command's own report is printed, not gltf-transform's info messages
+    assert.equal(console.info.mock.callCount(), 0);
+});
+
+test('tiles that fail to convert keep their URIs and are copied with --out', { skip: functionsMissing() }, async t => {
+    const folder = await createTileset({ broken: true });
+    const output = path.join(folder, '..', 'output');
+    assert.equal(await extract(t, folder, '--out', output), 1);
+
+    assert.deepEqual(contentUris(output), ['tiles/building.glb', 'tiles/trees.glb', 'tiles/broken.b3dm']);
+    assert.ok(fs.existsSync(path.join(output, 'tiles', 'broken.b3dm')));
+});
+
+test('in place, the tiles are removed only once the tileset JSONs reference the glbs', { skip: functionsMissing() }, async t => {
+    const folder = await createTileset();
+    const writeFileSync = fs.writeFileSync;
+    t.mock.method(fs, 'writeFileSync', (file, ...args) => {
+        if (path.basename(file) === 'tileset.json') {
+            throw new Error('disk full');
+        }
+        return writeFileSync(file, ...args);
+    });
+    assert.equal(await extract(t, folder), 1);
+    assert.deepEqual(contentUris(folder), ['tiles/building.b3dm', 'tiles/trees.i3dm']);
+    assert.ok(fs.existsSync(path.join(folder, 'tiles', 'building.b3dm')));
+    assert.ok(fs.existsSync(path.join(folder, 'tiles', 'trees.i3dm')));
+
+    fs.writeFileSync.mock.restore();
+    assert.equal(await extract(t, folder), 0);
+    assert.deepEqual(contentUris(folder), ['tiles/building.glb', 'tiles/trees.glb']);
+    assert.deepEqual(listFiles(path.join(folder, 'tiles')), ['building.glb', 'notes.txt', 'trees.glb']);
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Document } from '@gltf-transform/core';
+import { collectWorldPositions, measureDisplacement } from '../src/lib/geometry-fidelity.js';
+import { functionsMissing } from './helpers.js';
+
+// Deterministic pseudo-random numbers in [0, 1)
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+// A document with one mesh of triangles through `positions`, under a translated parent node
+function createDocument(positions, translation = [0, 0, 0]) {
+    const document = new Document();
+    const primitive = document.createPrimitive()
+        .setAttribute('POSITION', document.createAccessor().setType('VEC3').setArray(new Float32Array(positions)).setBuffer(document.createBuffer()));
+    const mesh = document.createNode().setMesh(document.createMesh().addPrimitive(primitive)).setScale([2, 2, 2]);
+    document.createScene().addChild(document.createNode().setTranslation(translation).addChild(mesh));
+    return document;
+}
+
+test('positions are collected in world space', () => {
+    const positions = collectWorldPositions(createDocument([0, 0, 0, 1, 0, 0, 0, 1, 0], [10, 0, -5]));
+    assert.deepEqual(Array.from(positions), [10, 0, -5, 12, 0, -5, 10, 2, -5]);
+});
+
+test('decoded vertices are matched to the nearest source vertex, in any order', () => {
+    const source = Float64Array.from([0, 0, 0, 1, 0, 0, 0, 1, 0, 10, 10, 10]);
+    // Reordered, one vertex moved by 0.3 and the vertex at (10, 10, 10) merged away
+    const decoded = Float64Array.from([0, 1, 0, 1.3, 0, 0, 0, 0, 0]);
+    const { maxDisplacement, meanDisplacement, hausdorff } = measureDisplacement(source, decoded);
+    assert.equal(Math.round(maxDisplacement * 1000) / 1000, 0.3);
+    assert.equal(Math.round(meanDisplacement * 1000) / 1000, 0.1);
+    // The dropped vertex is far from every decoded one, nearest to (1.3, 0, 0)
+    assert.equal(Math.round(hausdorff * 1000) / 1000, Math.round(Math.hypot(8.7, 10, 10) * 1000) / 1000);
+    assert.deepEqual(measureDisplacement(source, new Float64Array()), { maxDisplacement: 0, meanDisplacement: 0, hausdorff: 0 });
+});
+
+test('the grid search finds the same distances as a brute-force search', () => {
+    const next = random(7);
+    const points = count => Float64Array.from({ length: count * 3 }, () => next() * 100);
+    const source = points(500);
+    const decoded = points(300);
+
+    const nearest = (from, to) => Array.from({ length: from.length / 3 }, (_, p) => {
+        let best = Infinity;
+        for (let q = 0; q < to.length; q += 3) {
+            best = Math.min(best, Math.hypot(to[q] - from[p * 3], to[q + 1] - from[p * 3 + 1], to[q + 2] - from[p * 3 + 2]));
+        }
+        return best;
+    });
+    const forward = nearest(decoded, source);
+    const { maxDisplacement, meanDisplacement, hausdorff } = measureDisplacement(source, decoded);
+    const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+    close(maxDisplacement, Math.max(...forward));
+    close(meanDisplacement, forward.reduce((a, b) => a + b, 0) / forward.length);
+    close(hausdorff, Math.max(...forward, ...nearest(source, decoded)));
+});
+
+test('Draco is retried with more position bits until the geometry is within the tolerance', { skip: functionsMissing() }, async () => {
+    const { compressDocument } = await import('../src/lib/compress-file.js');
+    // Triangles over 200 km (the node is scaled by 2), where 16-bit positions move vertices by
+    // metres; float32 positions are not precise to more than about a centimetre there
+    const next = random(11);
+    const positions = Array.from({ length: 90 }, () => next() * 100000);
+
+    await assert.rejects(compressDocument(createDocument(positions), { draco: true, dracoTolerance: 0.05 }), /more than the 0\.05 m tolerance, with 16-bit positions/);
+    const { fidelity } = await compressDocument(createDocument(positions), { draco: true, dracoTolerance: 0.05, dracoRetry: true });
+    assert.equal(fidelity.positionBits, 24);
+    assert.ok(fidelity.hausdorff <= 0.05);
+
+    // A tolerance no retry reaches fails the tile after the last one
+    await assert.rejects(compressDocument(createDocument(positions), { draco: true, dracoTolerance: 0.001, dracoRetry: true }), /with 29-bit positions/);
+});
@@ -0,0 +1,71 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { getIO } from '../src/lib/io.js';
+import { parseB3dm, writeB3dm, B3DM_HEADER_LENGTH } from '../src/lib/b3dm.js';
+import { parseTableJSON } from '../src/lib/feature-table.js';
+import { convertB3dmToGlb } from '../src/lib/b3dm-to-glb.js';
+import { convertDocumentToB3dm } from '../src/lib/glb-to-b3dm.js';
+import { createGlb, createTempFolder, removeTempFolders, tableJSON, functionsMissing } from './helpers.js';
+
+after(removeTempFolders);
+
+test('b3dm converts to a glb with feature IDs and metadata, and back', async () => {
+    const featureTableJSON = tableJSON({ BATCH_LENGTH: 2, RTC_CENTER: [100, 200, 300] }, B3DM_HEADER_LENGTH);
+    const batchTableJSON = tableJSON({ name: ['door', 'window'], height: [2.5, 1.25] }, B3DM_HEADER_LENGTH + featureTableJSON.length);
+    const b3dm = writeB3dm({ featureTableJSON, batchTableJSON, glb: await createGlb(2) });
+
+    const io = await getIO();
+    const document = await io.readBinary(convertB3dmToGlb(b3dm));
+    const roundTrip = parseB3dm(await convertDocumentToB3dm(document));
+    assert.equal(roundTrip.byteLength % 8, 0);
+    assert.deepEqual(parseTableJSON(roundTrip.featureTableJSON), { BATCH_LENGTH: 2, RTC_CENTER: [100, 200, 300] });
+    const batchTable = parseTableJSON(roundTrip.batchTableJSON);
+    assert.deepEqual(batchTable.name, ['door', 'window']);
+    assert.deepEqual(batchTable.height, { byteOffset: 0, componentType: 'DOUBLE', type: 'SCALAR' });
+    assert.deepEqual(Array.from(new Float64Array(roundTrip.batchTableBinary.buffer.slice(roundTrip.batchTableBinary.byteOffset, roundTrip.batchTableBinary.byteOffset + 16))), [2.5, 1.25]);
+
+    const glb = await io.readBinary(roundTrip.glb);
+    const [primitive] = glb.getRoot().listMeshes()[0].listPrimitives();
+    assert.deepEqual(Array.from(primitive.getAttribute('_BATCHID').getArray()), [0, 0, 0, 1, 1, 1]);
+    assert.equal(primitive.getAttribute('_FEATURE_ID_0'), null);
+    assert.equal(glb.getRoot().listExtensionsUsed().length, 0);
+    // The RTC_CENTER node is taken out again
+    assert.notEqual(glb.getRoot().listScenes()[0].listChildren()[0].getName(), 'RTC_CENTER');
+});
+
+test('a glb without feature IDs is wrapped with a BATCH_LENGTH of 0 and no batch table', async () => {
+    const io = await getIO();
+    const b3dm = parseB3dm(await convertDocumentToB3dm(await io.readBinary(await createGlb())));
+    assert.deepEqual(parseTableJSON(b3dm.featureTableJSON), { BATCH_LENGTH: 0 });
+    assert.equal(b3dm.batchTableJSON.length, 0);
+    assert.equal(b3dm.glb.readUInt32LE(0), 0x46546C67);
+});
+
+test('--target 1.0 wraps glb contents in b3dm and points the tileset at them', { skip: functionsMissing() }, async t => {
+    const folder = path.join(createTempFolder('glb-to-b3dm-'), 'input');
+    fs.mkdirSync(path.join(folder, 'tiles'), { recursive: true });
+    // A glb made for 1.0, with a _BATCHID attribute
+    fs.writeFileSync(path.join(folder, 'tiles', 'a.glb'), await createGlb(1));
+    fs.writeFileSync(path.join(folder, 'tiles', 'b.b3dm'), writeB3dm({ featureTableJSON: tableJSON({ BATCH_LENGTH: 2 }, B3DM_HEADER_LENGTH), glb: await createGlb(2) }));
+    const child = uri => ({ geometricError: 0, boundingVolume: { sphere: [0, 0, 0, 1] }, content: { uri } });
+    fs.writeFileSync(path.join(folder, 'tileset.json'), JSON.stringify({
+        asset: { version: '1.1' },
+        geometricError: 1,
+        root: { geometricError: 1, refine: 'ADD', boundingVolume: { sphere: [0, 0, 0, 1] }, children: [child('tiles/a.glb'), child('tiles/b.b3dm')] },
+    }));
+    for (const method of ['log', 'info', 'warn', 'error']) {
+        t.mock.method(console, method, () => {});
+    }
+    const { run } = await import('../src/cli.js');
+
+    assert.equal(await run(['compress', folder, '--target', '1.0', '--points-to-glb']), 2);
+    assert.equal(await run(['compress', folder, '--target', '1.0', '--jobs', '1']), 0);
+    const { asset, root } = JSON.parse(fs.readFileSync(path.join(folder, 'tileset.json'), 'utf8'));
+    assert.equal(asset.version, '1.0');
+    assert.deepEqual(root.children.map(tile => tile.content.uri), ['tiles/a.b3dm', 'tiles/b.b3dm']);
+    assert.deepEqual(fs.readdirSync(path.join(folder, 'tiles')).sort(), ['a.b3dm', 'b.b3dm']);
+    assert.deepEqual(parseTableJSON(parseB3dm(fs.readFileSync(path.join(folder, 'tiles', 'a.b3dm'))).featureTableJSON), { BATCH_LENGTH: 1 });
+    assert.deepEqual(parseTableJSON(parseB3dm(fs.readFileSync(path.join(folder, 'tiles', 'b.b3dm'))).featureTableJSON), { BATCH_LENGTH: 2 });
+});
@@ -0,0 +1,63 @@
+// Shared by the test files. node --test runs it too, as a file without tests.
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Document, NodeIO } from '@gltf-transform/core';
+
+const packageRoot = fileURLToPath(new URL('..', import.meta.url));
+
+let functionsProbe = null;
+
+// The reason to skip tests of modules that import @gltf-transform/functions, whose sharp
+// dependency has no build on some machines, or false when it loads. It is probed in a child
+// process because a failed native require also surfaces as an uncaught error.
+export function functionsMissing() {
+    functionsProbe ??= spawnSync(process.execPath, ['--input-type=module', '-e', 'await import("@gltf-transform/functions")'], { cwd: packageRoot }).status !== 0
+        && '@gltf-transform/functions cannot be loaded here';
+    return functionsProbe;
+}
+
+const tempFolders = [];
+
+// A new folder in the OS temp directory, deleted by removeTempFolders()
+export function createTempFolder(prefix) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    tempFolders.push(folder);
+    return folder;
+}
+
+// Registered with after() by every test file that creates temp folders
+export function removeTempFolders() {
+    for (const folder of tempFolders.splice(0)) {
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+}
+
+// A glb with one triangle per feature, its vertices tagged with a _BATCHID attribute, or with
+// one untagged triangle when `featureCount` is 0
+export async function createGlb(featureCount = 0) {
+    const document = new Document();
+    const buffer = document.createBuffer();
+    const positions = [];
+    const batchIds = [];
+    for (let feature = 0; feature < Math.max(featureCount, 1); feature++) {
+        positions.push(feature, 0, 0, feature + 1, 0, 0, feature, 1, 0);
+        batchIds.push(feature, feature, feature);
+    }
+    const primitive = document.createPrimitive()
+        .setAttribute('POSITION', document.createAccessor().setType('VEC3').setArray(new Float32Array(positions)).setBuffer(buffer));
+    if (featureCount > 0) {
+        primitive.setAttribute('_BATCHID', document.createAccessor().setType('SCALAR').setArray(new Float32Array(batchIds)).setBuffer(buffer));
+    }
+    document.createScene().addChild(document.createNode().setMesh(document.createMesh().addPrimitive(primitive)));
+    return Buffer.from(await new NodeIO().writeBinary(document));
+}
+
+// A feature or batch table JSON section padded with spaces so the section after it, which
+// starts at `start` plus its length, is 8-byte aligned
+export function tableJSON(json, start) {
+    const text = JSON.stringify(json);
+    return Buffer.from(text.padEnd(text.length + ((8 - ((start + text.length) % 8)) % 8)), 'utf8');
+}
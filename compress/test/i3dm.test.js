@@ -0,0 +1,111 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { getIO } from '../src/lib/io.js';
+import { parseI3dm, writeI3dm, I3DM_HEADER_LENGTH } from '../src/lib/i3dm.js';
+import { parseTableJSON } from '../src/lib/feature-table.js';
+import { alignGlb, parseGlb } from '../src/lib/glb.js';
+import { createGlb, createTempFolder, removeTempFolders, functionsMissing, tableJSON } from './helpers.js';
+
+after(removeTempFolders);
+
+// An i3dm of two instances of a one-feature glb, with batch IDs, a batch table and the given
+// feature table properties after POSITION and BATCH_ID
+async function createI3dm(properties = {}, binary = Buffer.alloc(0)) {
+    const featureTableJSON = tableJSON({
+        INSTANCES_LENGTH: 2,
+        POSITION: { byteOffset: 0 },
+        BATCH_ID: { byteOffset: 24, componentType: 'UNSIGNED_SHORT' },
+        ...properties,
+    }, I3DM_HEADER_LENGTH);
+    const featureTableBinary = Buffer.concat([
+        Buffer.from(new Float32Array([1, 2, 3, 4, 5, 6]).buffer),
+        Buffer.from(new Uint16Array([1, 0, 0, 0]).buffer),
+        binary,
+    ]);
+    const batchTableJSON = tableJSON({ species: ['oak', 'pine'] }, I3DM_HEADER_LENGTH + featureTableJSON.length + featureTableBinary.length);
+    return writeI3dm({ featureTableJSON, featureTableBinary, batchTableJSON, glb: alignGlb(await createGlb(1)) });
+}
+
+test('i3dm sections survive writing and parsing, with an embedded or external glTF', async () => {
+    const featureTableJSON = tableJSON({ INSTANCES_LENGTH: 1, POSITION: { byteOffset: 0 } }, I3DM_HEADER_LENGTH);
+    const featureTableBinary = Buffer.from(new Float32Array([1, 2, 3, 0]).buffer);
+    const external = parseI3dm(writeI3dm({ featureTableJSON, featureTableBinary, gltfUri: 'tree.gltf' }));
+    assert.equal(external.gltfUri, 'tree.gltf');
+    assert.equal(external.glb, null);
+    assert.equal(external.byteLength % 8, 0);
+    assert.deepEqual(parseTableJSON(external.featureTableJSON), { INSTANCES_LENGTH: 1, POSITION: { byteOffset: 0 } });
+    assert.deepEqual(Buffer.from(external.featureTableBinary), featureTableBinary);
+
+    const embedded = parseI3dm(await createI3dm());
+    assert.equal(embedded.gltfUri, null);
+    assert.deepEqual(parseTableJSON(embedded.batchTableJSON), { species: ['oak', 'pine'] });
+    assert.equal(parseGlb(embedded.glb).json.meshes.length, 1);
+});
+
+test('a glb is padded to an 8-byte boundary and still reads the same', async () => {
+    const glb = await createGlb(3);
+    const aligned = alignGlb(glb);
+    assert.equal(aligned.length % 8, 0);
+    assert.equal(aligned.readUInt32LE(8), aligned.length);
+    assert.deepEqual(parseGlb(aligned).json, parseGlb(glb).json);
+    assert.deepEqual(parseGlb(aligned).bin, parseGlb(glb).bin);
+    assert.equal(alignGlb(aligned), aligned);
+});
+
+test('i3dm converts to a glb with EXT_mesh_gpu_instancing', { skip: functionsMissing() }, async () => {
+    const { convertI3dmToDocument } = await import('../src/lib/i3dm-to-glb.js');
+    const document = await convertI3dmToDocument(await createI3dm(), 'trees.i3dm');
+    const root = document.getRoot();
+    const node = root.listNodes().find(candidate => candidate.getExtension('EXT_mesh_gpu_instancing'));
+    const instancing = node.getExtension('EXT_mesh_gpu_instancing');
+    // Positions are converted from z-up to y-up: (x, y, z) becomes (x, z, -y)
+    assert.deepEqual(Array.from(instancing.getAttribute('TRANSLATION').getArray()), [1, 3, -2, 4, 6, -5]);
+    assert.equal(instancing.getAttribute('ROTATION'), null);
+    assert.deepEqual(Array.from(instancing.getAttribute('_FEATURE_ID_0').getArray()), [1, 0]);
+    assert.deepEqual(node.getExtension('EXT_instance_features').getFeatureIds(), [{ featureCount: 2, attribute: 0, propertyTable: 0 }]);
+    assert.equal(root.getExtension('EXT_structural_metadata').getPropertyTables()[0].count, 2);
+
+    // The document is written and read back as the glb extract writes
+    const io = await getIO();
+    const glb = await io.readBinary(await io.writeBinary(document));
+    assert.ok(glb.getRoot().listExtensionsUsed().some(extension => extension.extensionName === 'EXT_mesh_gpu_instancing'));
+});
+
+test('i3dm rotations and scales become instance attributes in the y-up frame', { skip: functionsMissing() }, async () => {
+    const { convertI3dmToDocument } = await import('../src/lib/i3dm-to-glb.js');
+    // Instance 0 is not rotated, instance 1 by 90 degrees about the tile's up (z) axis
+    const right = [1, 0, 0, 0, 1, 0];
+    const up = [0, 1, 0, -1, 0, 0];
+    const scales = [1, 2, 3, 1, 1, 1];
+    const i3dm = await createI3dm({
+        NORMAL_RIGHT: { byteOffset: 32 },
+        NORMAL_UP: { byteOffset: 56 },
+        SCALE_NON_UNIFORM: { byteOffset: 80 },
+    }, Buffer.from(new Float32Array([...right, ...up, ...scales]).buffer));
+    const document = await convertI3dmToDocument(i3dm, 'trees.i3dm');
+
+    const instancing = document.getRoot().listNodes().find(node => node.getExtension('EXT_mesh_gpu_instancing')).getExtension('EXT_mesh_gpu_instancing');
+    const quaternions = Array.from(instancing.getAttribute('ROTATION').getArray(), value => Math.round(value * 1e6) / 1e6 + 0);
+    // A rotation about the tile's z axis is one about the glTF y axis
+    const half = Math.round(Math.SQRT1_2 * 1e6) / 1e6;
+    assert.deepEqual(quaternions, [0, 0, 0, 1, 0, half, 0, half]);
+    assert.deepEqual(Array.from(instancing.getAttribute('SCALE').getArray()), [1, 3, 2, 1, 1, 1]);
+});
+
+test('compress repacks an i3dm with its tables and an aligned, compressed glb', { skip: functionsMissing() }, async () => {
+    const { compressFile } = await import('../src/lib/compress-file.js');
+    const { DEFAULT_CONFIG } = await import('../src/lib/config.js');
+    const folder = createTempFolder('i3dm-');
+    const i3dm = await createI3dm();
+    fs.writeFileSync(path.join(folder, 'trees.i3dm'), i3dm);
+
+    const result = await compressFile(path.join(folder, 'trees.i3dm'), path.join(folder, 'out.i3dm'), { draco: true, compression: DEFAULT_CONFIG });
+    assert.equal(result.dracoApplied, true);
+    const repacked = parseI3dm(fs.readFileSync(path.join(folder, 'out.i3dm')));
+    assert.equal(repacked.byteLength % 8, 0);
+    assert.deepEqual(Buffer.from(repacked.featureTableBinary), Buffer.from(parseI3dm(i3dm).featureTableBinary));
+    assert.deepEqual(parseTableJSON(repacked.batchTableJSON), { species: ['oak', 'pine'] });
+    assert.ok(parseGlb(repacked.glb).json.extensionsUsed.includes('KHR_draco_mesh_compression'));
+});
@@ -0,0 +1,100 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { writeArchive } from '../src/lib/archive-3tz.js';
+import { readInput } from '../src/lib/input-files.js';
+import { createTempFolder, removeTempFolders } from './helpers.js';
+
+after(removeTempFolders);
+
+// A tileset folder with a quadtree of two levels under the root, every tile with a glb content
+// and the root's geometricError of 16 halved once per level, except that the leaves have
+// `leafError`
+function createQuadtree(leafError = 0) {
+    const folder = path.join(createTempFolder('implicit-'), 'input');
+    fs.mkdirSync(folder);
+    const tile = (id, center, half, level) => {
+        fs.writeFileSync(path.join(folder, `${id}.glb`), id);
+        const children = level === 2 ? [] : [[-1, -1], [1, -1], [-1, 1], [1, 1]]
+            .map(([x, y], i) => tile(`${id}_${i}`, [center[0] + x * half / 2, center[1] + y * half / 2], half / 2, level + 1));
+        return {
+            boundingVolume: { box: [...center, 0, half, 0, 0, 0, half, 0, 0, 0, 1] },
+            geometricError: level === 2 ? leafError : 16 / 2 ** level,
+            content: { uri: `${id}.glb` },
+            ...(children.length > 0 && { children }),
+        };
+    };
+    fs.writeFileSync(path.join(folder, 'tileset.json'), JSON.stringify({
+        asset: { version: '1.0' },
+        geometricError: 32,
+        root: { refine: 'REPLACE', ...tile('root', [0, 0], 8, 0) },
+    }, null, 2));
+    return folder;
+}
+
+async function runCommand(t, ...args) {
+    for (const method of ['log', 'warn', 'error']) {
+        t.mock.method(console, method, () => {});
+    }
+    const { run } = await import('../src/cli.js');
+    return run(args);
+}
+
+const output = method => console[method].mock.calls.map(call => call.arguments.join(' ')).join('\n');
+const readTileset = folder => JSON.parse(fs.readFileSync(path.join(folder, 'tileset.json'), 'utf8'));
+
+test('a quadtree converts to implicit tiling and back, with a warning for the leaves\' geometricError', async t => {
+    const folder = createQuadtree();
+    assert.equal(await runCommand(t, 'implicit', folder), 0);
+    assert.match(output('warn'), /16 tiles under root now have the geometricError implicit tiling gives them.*\(tile root_0_0: 0 -> 4\)/);
+
+    const { asset, root } = readTileset(folder);
+    assert.equal(asset.version, '1.1');
+    assert.deepEqual(root.content, { uri: 'content/{level}/{x}/{y}.glb' });
+    assert.deepEqual(root.implicitTiling, { subdivisionScheme: 'QUADTREE', subtreeLevels: 3, availableLevels: 3, subtrees: { uri: 'subtrees/{level}/{x}/{y}.subtree' } });
+    assert.equal(root.children, undefined);
+    assert.equal(fs.readdirSync(path.join(folder, 'content', '2'), { recursive: true }).filter(file => file.endsWith('.glb')).length, 16);
+    assert.ok(fs.existsSync(path.join(folder, 'subtrees', '0', '0', '0.subtree')));
+    assert.ok(!fs.existsSync(path.join(folder, 'root.glb')));
+
+    assert.equal(await runCommand(t, 'explicit', folder), 0);
+    const expanded = readTileset(folder).root;
+    assert.equal(expanded.implicitTiling, undefined);
+    assert.deepEqual(expanded.children.map(child => child.geometricError), [8, 8, 8, 8]);
+    assert.deepEqual(expanded.children.flatMap(child => child.children.map(leaf => leaf.geometricError)), Array(16).fill(4));
+    assert.ok(!fs.existsSync(path.join(folder, 'subtrees')));
+});
+
+test('--strict-errors leaves a quadtree explicit when a leaf\'s geometricError would change', async t => {
+    const folder = createQuadtree();
+    const before = fs.readFileSync(path.join(folder, 'tileset.json'), 'utf8');
+    assert.equal(await runCommand(t, 'implicit', folder, '--strict-errors'), 1);
+    assert.match(output('error'), /tile root_0_0 has a geometricError of 0 where implicit tiling gives 4 at level 2/);
+    assert.equal(fs.readFileSync(path.join(folder, 'tileset.json'), 'utf8'), before);
+
+    // Leaves that already have the implicit geometricError convert without a warning
+    const matching = createQuadtree(4);
+    assert.equal(await runCommand(t, 'implicit', matching, '--strict-errors'), 0);
+    assert.equal(output('warn'), '');
+});
+
+test('a tileset in a 3TZ archive is converted into a new archive', async t => {
+    const folder = createQuadtree();
+    const archive = path.join(folder, '..', 'input.3tz');
+    writeArchive(folder, archive);
+    fs.rmSync(folder, { recursive: true });
+
+    assert.equal(await runCommand(t, 'implicit', archive), 2);
+    assert.match(output('error'), /A \.3tz archive cannot be modified in place/);
+
+    const converted = path.join(archive, '..', 'implicit.3tz');
+    assert.equal(await runCommand(t, 'implicit', archive, '--out', converted), 0);
+    assert.ok(!fs.existsSync(`${converted}.tmp`));
+    assert.equal(JSON.parse(readInput(path.join(converted, 'tileset.json'))).root.implicitTiling.subdivisionScheme, 'QUADTREE');
+    assert.equal(readInput(path.join(converted, 'content', '2', '0', '0.glb')).toString(), 'root_0_0');
+
+    const explicit = path.join(archive, '..', 'explicit');
+    assert.equal(await runCommand(t, 'explicit', converted, '--out', explicit), 0);
+    assert.equal(readTileset(explicit).root.children.length, 4);
+});
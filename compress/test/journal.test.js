@@ -0,0 +1,113 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Journal, JOURNAL_FILE, describeInput } from '../src/lib/journal.js';
+import { UsageError } from '../src/lib/options.js';
+import { createTempFolder, removeTempFolders } from './helpers.js';
+
+after(removeTempFolders);
+
+const SETTINGS = { draco: true, meshopt: false };
+
+// An input folder with two tiles and an empty output folder
+function createRun() {
+    const root = createTempFolder('journal-');
+    const input = path.join(root, 'input');
+    const output = path.join(root, 'output');
+    fs.mkdirSync(input);
+    fs.writeFileSync(path.join(input, 'a.b3dm'), 'tile a');
+    fs.writeFileSync(path.join(input, 'b.b3dm'), 'tile b');
+    return { input, output };
+}
+
+// Record `file` as done, as processFiles() reports it once its glb is written
+async function complete(journal, input, output, name) {
+    const file = path.join(input, `${name}.b3dm`);
+    const glb = path.join(output, `${name}.glb`);
+    fs.writeFileSync(glb, `glb ${name}`);
+    journal.recordResult({ file, output: glb, input: await describeInput(file), dracoApplied: true });
+}
+
+test('a resumed run skips completed tiles and returns their results', async () => {
+    const { input, output } = createRun();
+    const journal = Journal.open(input, output, SETTINGS);
+    await complete(journal, input, output, 'a');
+    journal.recordFailure({ file: path.join(input, 'b.b3dm'), error: 'broken' });
+
+    const resumed = Journal.open(input, output, SETTINGS, { resume: true });
+    assert.equal(await resumed.isDone(path.join(input, 'a.b3dm')), true);
+    assert.equal(await resumed.isDone(path.join(input, 'b.b3dm')), false);
+    assert.equal(resumed.tilesetUpdated, false);
+    assert.deepEqual(resumed.completedResults(), [{
+        file: path.join(input, 'a.b3dm'),
+        output: path.join(output, 'a.glb'),
+        dracoApplied: true,
+    }]);
+
+    resumed.recordTilesetUpdated();
+    assert.equal(Journal.open(input, output, SETTINGS, { resume: true }).tilesetUpdated, true);
+});
+
+test('tiles whose input or output changed are processed again', async () => {
+    const { input, output } = createRun();
+    const journal = Journal.open(input, output, SETTINGS);
+    await complete(journal, input, output, 'a');
+    await complete(journal, input, output, 'b');
+
+    // Same size and content with a new modification time still counts as done
+    fs.utimesSync(path.join(input, 'a.b3dm'), new Date(0), new Date(0));
+    fs.writeFileSync(path.join(input, 'b.b3dm'), 'tile B');
+    let resumed = Journal.open(input, output, SETTINGS, { resume: true });
+    assert.equal(await resumed.isDone(path.join(input, 'a.b3dm')), true);
+    assert.equal(await resumed.isDone(path.join(input, 'b.b3dm')), false);
+
+    fs.writeFileSync(path.join(output, 'a.glb'), 'truncated');
+    resumed = Journal.open(input, output, SETTINGS, { resume: true });
+    assert.equal(await resumed.isDone(path.join(input, 'a.b3dm')), false);
+});
+
+test('a truncated last line is ignored and later lines replace earlier ones', async () => {
+    const { input, output } = createRun();
+    const journal = Journal.open(input, output, SETTINGS);
+    journal.recordFailure({ file: path.join(input, 'a.b3dm'), error: 'broken' });
+    await complete(journal, input, output, 'a');
+    fs.appendFileSync(path.join(output, JOURNAL_FILE), '{"type":"file","file":"b.b3dm","sta');
+
+    const resumed = Journal.open(input, output, SETTINGS, { resume: true });
+    assert.equal(await resumed.isDone(path.join(input, 'a.b3dm')), true);
+    assert.equal(resumed.completedResults().length, 1);
+});
+
+test('resuming needs the same settings, and a new run starts over', async () => {
+    const { input, output } = createRun();
+    const journal = Journal.open(input, output, SETTINGS);
+    await complete(journal, input, output, 'a');
+
+    assert.throws(() => Journal.open(input, output, { ...SETTINGS, draco: false }, { resume: true }), UsageError);
+    const restarted = Journal.open(input, output, SETTINGS);
+    assert.equal(await restarted.isDone(path.join(input, 'a.b3dm')), false);
+});
+
+test('outputs written in place are recognised when resuming', async () => {
+    const { input } = createRun();
+    const journal = Journal.open(input, input, SETTINGS);
+    await complete(journal, input, input, 'a');
+
+    const resumed = Journal.open(input, input, SETTINGS, { resume: true });
+    assert.equal(resumed.isOutput(path.join(input, 'a.glb')), true);
+    assert.equal(resumed.isOutput(path.join(input, 'b.b3dm')), false);
+});
+
+test('the journal of a completed run is removed', async () => {
+    const { input, output } = createRun();
+    const journal = Journal.open(input, output, SETTINGS);
+    await complete(journal, input, output, 'a');
+    journal.recordTilesetUpdated();
+    journal.remove();
+
+    assert.deepEqual(fs.readdirSync(output), ['a.glb']);
+    // A later --resume finds nothing to resume and starts over
+    const resumed = Journal.open(input, output, SETTINGS, { resume: true });
+    assert.equal(await resumed.isDone(path.join(input, 'a.b3dm')), false);
+});
@@ -0,0 +1,20 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { requireKtxTool } from '../src/lib/ktx-tool.js';
+import { createTempFolder, removeTempFolders } from './helpers.js';
+
+after(removeTempFolders);
+
+test('an older ktx tool is reported as too old', { skip: process.platform === 'win32' && 'the fake ktx is a shell script' }, async () => {
+    const bin = createTempFolder('ktx-tool-');
+    fs.writeFileSync(path.join(bin, 'ktx'), '#!/bin/sh\necho "ktx version: v4.2.1"\n', { mode: 0o755 });
+    const PATH = process.env.PATH;
+    process.env.PATH = bin;
+    try {
+        await assert.rejects(requireKtxTool(), /requires the "ktx" tool of KTX-Software 4\.3 or later .*; found ktx version: v4\.2\.1\./);
+    } finally {
+        process.env.PATH = PATH;
+    }
+});
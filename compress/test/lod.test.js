@@ -0,0 +1,114 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { Document, NodeIO } from '@gltf-transform/core';
+import { createTempFolder, removeTempFolders, functionsMissing } from './helpers.js';
+
+after(removeTempFolders);
+
+// A glb with a flat grid of 8x8 quads of 1 m, `offset` metres along x
+async function createGrid(offset) {
+    const document = new Document();
+    const buffer = document.createBuffer();
+    const positions = [];
+    const indices = [];
+    for (let y = 0; y <= 8; y++) {
+        for (let x = 0; x <= 8; x++) {
+            positions.push(offset + x, 0, -y);
+        }
+    }
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            const i = y * 9 + x;
+            indices.push(i, i + 1, i + 9, i + 1, i + 10, i + 9);
+        }
+    }
+    const primitive = document.createPrimitive()
+        .setAttribute('POSITION', document.createAccessor().setType('VEC3').setArray(new Float32Array(positions)).setBuffer(buffer))
+        .setIndices(document.createAccessor().setType('SCALAR').setArray(new Uint16Array(indices)).setBuffer(buffer));
+    document.createScene().addChild(document.createNode().setMesh(document.createMesh().addPrimitive(primitive)));
+    return Buffer.from(await new NodeIO().writeBinary(document));
+}
+
+// A tileset folder whose root, with `refine`, has a coarse content and two grids as children
+async function createTileset(refine = 'REPLACE') {
+    const folder = path.join(createTempFolder('lod-'), 'input');
+    fs.mkdirSync(folder);
+    fs.writeFileSync(path.join(folder, 'root.glb'), await createGrid(0));
+    fs.writeFileSync(path.join(folder, 'left.glb'), await createGrid(0));
+    fs.writeFileSync(path.join(folder, 'right.glb'), await createGrid(8));
+    const child = uri => ({ geometricError: 0, boundingVolume: { sphere: [0, 0, 0, 20] }, content: { uri } });
+    fs.writeFileSync(path.join(folder, 'tileset.json'), JSON.stringify({
+        asset: { version: '1.0' },
+        geometricError: 100,
+        root: { geometricError: 10, refine, boundingVolume: { sphere: [0, 0, 0, 20] }, content: { uri: 'root.glb' }, children: [child('left.glb'), child('right.glb')] },
+    }, null, 2));
+    return folder;
+}
+
+async function lod(t, ...args) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const { run } = await import('../src/cli.js');
+    return run(['lod', ...args]);
+}
+
+const readTileset = folder => JSON.parse(fs.readFileSync(path.join(folder, 'tileset.json'), 'utf8'));
+
+test('in place, the parent gets its simplified children and its old content is removed', { skip: functionsMissing() }, async t => {
+    const folder = await createTileset();
+    assert.equal(await lod(t, folder, '--ratio', '0.25'), 0);
+
+    const { asset, root } = readTileset(folder);
+    assert.equal(asset.version, '1.1');
+    assert.equal(root.content.uri, 'lod/root.glb');
+    assert.deepEqual(root.children.map(child => child.content.uri), ['left.glb', 'right.glb']);
+    // The children are flat grids, so simplifying them moves nothing
+    assert.ok(root.geometricError >= 0 && root.geometricError < 0.01, `geometricError ${root.geometricError}`);
+    assert.deepEqual(fs.readdirSync(folder, { recursive: true }).sort(), ['left.glb', 'lod', path.join('lod', 'root.glb'), 'right.glb', 'tileset.json']);
+
+    const document = await new NodeIO().read(path.join(folder, 'lod', 'root.glb'));
+    const triangles = document.getRoot().listMeshes()[0].listPrimitives()[0].getIndices().getCount() / 3;
+    assert.ok(triangles <= 64, `${triangles} of 256 triangles kept`);
+});
+
+test('the replaced content is kept when the tileset JSON cannot be written', { skip: functionsMissing() }, async t => {
+    const folder = await createTileset();
+    const before = fs.readFileSync(path.join(folder, 'tileset.json'), 'utf8');
+    const outputFileSync = fs.outputFileSync;
+    t.mock.method(fs, 'outputFileSync', (file, ...args) => {
+        if (path.basename(file) === 'tileset.json') {
+            throw new Error('disk full');
+        }
+        return outputFileSync(file, ...args);
+    });
+
+    assert.equal(await lod(t, folder), 1);
+    assert.match(console.error.mock.calls.map(call => call.arguments.join(' ')).join('\n'), /Cannot write .*tileset\.json: disk full/);
+    assert.equal(fs.readFileSync(path.join(folder, 'tileset.json'), 'utf8'), before);
+    assert.ok(fs.existsSync(path.join(folder, 'root.glb')));
+});
+
+test('with --out the input is left untouched, and ADD refinement keeps the parent as it is', { skip: functionsMissing() }, async t => {
+    const folder = await createTileset();
+    const before = fs.readdirSync(folder).sort();
+    const output = path.join(folder, '..', 'output');
+    assert.equal(await lod(t, folder, '--out', output), 0);
+    assert.deepEqual(fs.readdirSync(folder).sort(), before);
+    assert.equal(readTileset(folder).root.content.uri, 'root.glb');
+    assert.equal(readTileset(output).root.content.uri, 'lod/root.glb');
+    assert.ok(!fs.existsSync(path.join(output, 'root.glb')));
+
+    const add = await createTileset('ADD');
+    assert.equal(await lod(t, add), 0);
+    assert.equal(readTileset(add).root.content.uri, 'root.glb');
+    assert.ok(!fs.existsSync(path.join(add, 'lod')));
+    assert.match(console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n'), /Kept tile root: it uses ADD refinement/);
+});
+
+test('--ratio must be a fraction', { skip: functionsMissing() }, async t => {
+    const folder = await createTileset();
+    assert.equal(await lod(t, folder, '--ratio', '2'), 2);
+    assert.match(console.error.mock.calls.map(call => call.arguments.join(' ')).join('\n'), /--ratio must be between 0 and 1, got "2"/);
+});
@@ -0,0 +1,87 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Document } from '@gltf-transform/core';
+import { getIO } from '../src/lib/io.js';
+import { compareEncodings } from '../src/lib/compression-report.js';
+import { createTempFolder, removeTempFolders, functionsMissing } from './helpers.js';
+
+after(removeTempFolders);
+
+// A document with a grid of 10x10 quads with normals, enough geometry for both encoders to matter
+function createDocument() {
+    const document = new Document();
+    const buffer = document.createBuffer();
+    const positions = [];
+    const indices = [];
+    for (let y = 0; y <= 10; y++) {
+        for (let x = 0; x <= 10; x++) {
+            positions.push(x, y, Math.sin(x) * Math.cos(y));
+        }
+    }
+    for (let y = 0; y < 10; y++) {
+        for (let x = 0; x < 10; x++) {
+            const i = y * 11 + x;
+            indices.push(i, i + 1, i + 11, i + 1, i + 12, i + 11);
+        }
+    }
+    const primitive = document.createPrimitive()
+        .setAttribute('POSITION', document.createAccessor().setType('VEC3').setArray(new Float32Array(positions)).setBuffer(buffer))
+        .setIndices(document.createAccessor().setType('SCALAR').setArray(new Uint16Array(indices)).setBuffer(buffer));
+    document.createScene().addChild(document.createNode().setMesh(document.createMesh().addPrimitive(primitive)));
+    return document;
+}
+
+const extensionNames = document => document.getRoot().listExtensionsUsed().map(extension => extension.extensionName).sort();
+
+test('encoding sizes are added up over the tiles that were compared', () => {
+    const results = [
+        { encodings: { draco: 100, meshopt: 150 } },
+        { file: 'not compared' },
+        { encodings: { draco: 300, meshopt: 200 } },
+    ];
+    assert.deepEqual(compareEncodings(results), { tiles: 2, draco: 400, meshopt: 350, smaller: 'meshopt' });
+    assert.deepEqual(compareEncodings([]), { tiles: 0, draco: 0, meshopt: 0, smaller: 'draco' });
+});
+
+test('--meshopt writes quantized, meshopt-encoded meshes that decode close to the source', { skip: functionsMissing() }, async () => {
+    const { compressDocument } = await import('../src/lib/compress-file.js');
+    const document = createDocument();
+    const source = Array.from(document.getRoot().listAccessors()[0].getArray());
+
+    const summary = await compressDocument(document, { meshopt: true });
+    assert.deepEqual([summary.meshoptApplied, summary.dracoApplied], [true, false]);
+    const io = await getIO();
+    const decoded = await io.readBinary(await io.writeBinary(document));
+    assert.deepEqual(extensionNames(decoded), ['EXT_meshopt_compression', 'KHR_mesh_quantization']);
+
+    // Quantized positions come back through the node transform meshopt() adds
+    const node = decoded.getRoot().listNodes().find(candidate => candidate.getMesh());
+    const matrix = node.getWorldMatrix();
+    const position = node.getMesh().listPrimitives()[0].getAttribute('POSITION');
+    const worst = Math.max(...Array.from({ length: position.getCount() }, (_, i) => {
+        const [x, y, z] = position.getElement(i, []);
+        const world = [0, 1, 2].map(axis => matrix[axis] * x + matrix[axis + 4] * y + matrix[axis + 8] * z + matrix[axis + 12]);
+        // meshopt() may reorder vertices; compare with the nearest source vertex
+        return Math.min(...Array.from({ length: source.length / 3 }, (_, j) => Math.hypot(...world.map((value, axis) => value - source[j * 3 + axis]))));
+    }));
+    assert.ok(worst < 0.001, `vertices moved by ${worst}`);
+
+    // Meshes that are already compressed are left as they are
+    const again = await compressDocument(decoded, { draco: true });
+    assert.deepEqual([again.meshoptApplied, again.dracoApplied], [false, false]);
+});
+
+test('--compare-encodings measures both encodings of the same mesh', { skip: functionsMissing() }, async () => {
+    const { compressDocument } = await import('../src/lib/compress-file.js');
+    const { encodings, dracoApplied } = await compressDocument(createDocument(), { draco: true, compareEncodings: true });
+    assert.equal(dracoApplied, true);
+    assert.ok(encodings.draco > 0 && encodings.meshopt > 0);
+    assert.notEqual(encodings.draco, encodings.meshopt);
+});
+
+test('--compare-encodings needs a mesh compression', { skip: functionsMissing() }, async t => {
+    t.mock.method(console, 'error', () => {});
+    const { run } = await import('../src/cli.js');
+    assert.equal(await run(['compress', createTempFolder('meshopt-'), '--compare-encodings']), 2);
+    assert.match(console.error.mock.calls.map(call => call.arguments.join(' ')).join('\n'), /--compare-encodings needs --draco or --meshopt/);
+});
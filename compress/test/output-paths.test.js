@@ -0,0 +1,43 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { mirrorPath, innerTilePath, prepareOutputDirectory, copySidecarFiles } from '../src/lib/output-paths.js';
+import { UsageError } from '../src/lib/options.js';
+import { createTempFolder, removeTempFolders } from './helpers.js';
+
+after(removeTempFolders);
+
+test('output paths mirror the input tree', () => {
+    const input = path.join('data', 'city');
+    assert.equal(mirrorPath(path.join(input, 'tiles', '0.b3dm'), input, 'out'), path.join('out', 'tiles', '0.b3dm'));
+    assert.equal(mirrorPath(path.join(input, 'tiles', '0.b3dm'), input, 'out', '.glb'), path.join('out', 'tiles', '0.glb'));
+    assert.equal(innerTilePath(path.join('out', 'comp.glb'), 2), path.join('out', 'comp_2.glb'));
+});
+
+test('the output folder must not overlap the input folder', () => {
+    const root = createTempFolder('output-paths-');
+    const input = path.join(root, 'input');
+    fs.mkdirSync(input);
+
+    assert.throws(() => prepareOutputDirectory(input, input), UsageError);
+    assert.throws(() => prepareOutputDirectory(input, path.join(input, 'out')), UsageError);
+    assert.throws(() => prepareOutputDirectory(input, root), UsageError);
+    prepareOutputDirectory(input, path.join(root, 'input-out'));
+    assert.equal(fs.statSync(path.join(root, 'input-out')).isDirectory(), true);
+});
+
+test('every file but the processed tiles is copied to the output folder', () => {
+    const root = createTempFolder('output-paths-');
+    const input = path.join(root, 'input');
+    const output = path.join(root, 'output');
+    fs.mkdirSync(path.join(input, 'tiles'), { recursive: true });
+    for (const name of ['tileset.json', 'tiles/0.b3dm', 'tiles/notes.txt']) {
+        fs.writeFileSync(path.join(input, name), name);
+    }
+
+    assert.equal(copySidecarFiles(input, output, [path.join(input, 'tiles', '0.b3dm')]), 2);
+    assert.equal(fs.readFileSync(path.join(output, 'tiles', 'notes.txt'), 'utf8'), 'tiles/notes.txt');
+    assert.equal(fs.readFileSync(path.join(output, 'tileset.json'), 'utf8'), 'tileset.json');
+    assert.equal(fs.existsSync(path.join(output, 'tiles', '0.b3dm')), false);
+});
@@ -0,0 +1,104 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { getIO } from '../src/lib/io.js';
+import { parsePnts, writePnts, readPoints, PNTS_HEADER_LENGTH, DRACO_POINT_COMPRESSION } from '../src/lib/pnts.js';
+import { compressPntsWithDraco, decompressPntsFromDraco } from '../src/lib/pnts-draco.js';
+import { convertPntsToDocument } from '../src/lib/pnts-to-glb.js';
+import { updateTilesetJson } from '../src/lib/tileset-json.js';
+import { DEFAULT_CONFIG } from '../src/lib/config.js';
+import { createTempFolder, removeTempFolders, tableJSON } from './helpers.js';
+
+after(removeTempFolders);
+
+// A pnts of two points with float positions and RGB colors around an RTC_CENTER
+function createPnts() {
+    const featureTableJSON = tableJSON({ POINTS_LENGTH: 2, RTC_CENTER: [10, 20, 30], POSITION: { byteOffset: 0 }, RGB: { byteOffset: 24 } }, PNTS_HEADER_LENGTH);
+    const featureTableBinary = Buffer.concat([Buffer.from(new Float32Array([1, 2, 3, 4, 5, 6]).buffer), Buffer.from([255, 0, 0, 0, 0, 255])]);
+    return writePnts({ featureTableJSON, featureTableBinary });
+}
+
+test('quantized positions, RGB565 colors and oct-encoded normals are decoded', async () => {
+    const featureTableJSON = tableJSON({
+        POINTS_LENGTH: 2,
+        POSITION_QUANTIZED: { byteOffset: 0 },
+        QUANTIZED_VOLUME_OFFSET: [100, 0, 0],
+        QUANTIZED_VOLUME_SCALE: [65535, 65535, 65535],
+        RGB565: { byteOffset: 12 },
+        NORMAL_OCT16P: { byteOffset: 16 },
+    }, PNTS_HEADER_LENGTH);
+    const featureTableBinary = Buffer.concat([
+        Buffer.from(new Uint16Array([0, 1, 2, 3, 4, 5]).buffer),
+        Buffer.from(new Uint16Array([0xf800, 0x001f]).buffer),
+        // The center of the octahedron is +z, its corners -z
+        Buffer.from([128, 128, 255, 0]),
+    ]);
+    const points = await readPoints(parsePnts(writePnts({ featureTableJSON, featureTableBinary })));
+
+    assert.equal(points.count, 2);
+    // The quantized volume offset moves to the center
+    assert.deepEqual(points.center, [100, 0, 0]);
+    assert.deepEqual(Array.from(points.positions), [0, 1, 2, 3, 4, 5]);
+    assert.equal(points.colorComponents, 3);
+    assert.deepEqual(Array.from(points.colors), [255, 0, 0, 0, 0, 255]);
+    assert.deepEqual(Array.from(points.normals, value => Math.round(value * 100) / 100 + 0), [0, 0, 1, 0, 0, -1]);
+});
+
+test('Draco point compression round trips positions and colors', async () => {
+    const compressed = await compressPntsWithDraco(createPnts(), DEFAULT_CONFIG.draco);
+    const pnts = parsePnts(compressed);
+    assert.equal(pnts.byteLength % 8, 0);
+    const points = await readPoints(pnts);
+    assert.equal(points.dracoCompressed, true);
+    assert.deepEqual(points.center, [10, 20, 30]);
+    assert.equal(await compressPntsWithDraco(compressed, DEFAULT_CONFIG.draco), null);
+
+    const decompressed = await readPoints(parsePnts(await decompressPntsFromDraco(compressed)));
+    assert.equal(decompressed.dracoCompressed, false);
+    // Draco may reorder points; compare them as (position, color) pairs
+    const pairs = ({ positions, colors }) => [0, 1]
+        .map(i => [...Array.from(positions.slice(i * 3, i * 3 + 3), value => Math.round(value * 100) / 100), ...colors.slice(i * 3, i * 3 + 3)].join())
+        .sort();
+    assert.deepEqual(pairs(decompressed), ['1,2,3,255,0,0', '4,5,6,0,0,255']);
+});
+
+test('pnts converts to a glb with one POINTS primitive', async () => {
+    const pnts = createPnts();
+    assert.equal(pnts.length % 8, 0);
+
+    const document = await convertPntsToDocument(pnts);
+    const root = document.getRoot();
+    const [primitive] = root.listMeshes()[0].listPrimitives();
+    assert.equal(primitive.getMode(), 0);
+    // Positions are converted from z-up to y-up: (x, y, z) becomes (x, z, -y)
+    assert.deepEqual(Array.from(primitive.getAttribute('POSITION').getArray()), [1, 3, -2, 4, 6, -5]);
+    assert.deepEqual(Array.from(primitive.getAttribute('COLOR_0').getArray()), [1, 0, 0, 0, 0, 1]);
+    assert.ok(root.listNodes().some(node => node.getTranslation().join() === '10,30,-20'));
+
+    const io = await getIO();
+    const glb = await io.readBinary(await io.writeBinary(document));
+    assert.equal(glb.getRoot().listMeshes()[0].listPrimitives()[0].getAttribute('POSITION').getCount(), 2);
+});
+
+test('the extension is declared only by the tilesets that reference a compressed pnts', t => {
+    t.mock.method(console, 'log', () => {});
+    const folder = createTempFolder('pnts-');
+    const tile = uri => ({ geometricError: 0, boundingVolume: { sphere: [0, 0, 0, 1] }, content: { uri } });
+    const tileset = (root, extra = {}) => JSON.stringify({ asset: { version: '1.0' }, geometricError: 10, ...extra, root });
+    fs.mkdirSync(path.join(folder, 'sub'));
+    fs.writeFileSync(path.join(folder, 'tileset.json'), tileset({ ...tile('sub/points.json'), children: [tile('sub/mesh.json')] }));
+    fs.writeFileSync(path.join(folder, 'sub', 'points.json'), tileset({ ...tile('a.pnts'), children: [tile('b.pnts')] }));
+    fs.writeFileSync(path.join(folder, 'sub', 'mesh.json'), tileset(tile('c.pnts'), { extensionsUsed: ['3DTILES_content_gltf'] }));
+
+    // Only b.pnts was compressed; c.pnts, for example, was already Draco-compressed or skipped
+    const requiredExtensions = new Map([[path.join(folder, 'sub', 'b.pnts'), [DRACO_POINT_COMPRESSION]]]);
+    assert.equal(updateTilesetJson(folder, folder, { convertedExtensions: [], requiredExtensions }), 0);
+
+    const read = file => JSON.parse(fs.readFileSync(path.join(folder, ...file.split('/')), 'utf8'));
+    assert.deepEqual(read('sub/points.json').extensionsUsed, [DRACO_POINT_COMPRESSION]);
+    assert.deepEqual(read('sub/points.json').extensionsRequired, [DRACO_POINT_COMPRESSION]);
+    assert.equal(read('tileset.json').extensionsUsed, undefined);
+    assert.deepEqual(read('sub/mesh.json').extensionsUsed, ['3DTILES_content_gltf']);
+    assert.equal(read('sub/mesh.json').extensionsRequired, undefined);
+});
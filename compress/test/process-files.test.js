@@ -0,0 +1,58 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { processFiles } from '../src/lib/process-files.js';
+import { createGlb, createTempFolder, removeTempFolders, functionsMissing } from './helpers.js';
+
+after(removeTempFolders);
+
+function quiet(t) {
+    for (const method of ['log', 'error']) {
+        t.mock.method(console, method, () => {});
+    }
+}
+
+// `count` glbs in a new folder, as { file, output } jobs writing next to them
+async function createJobs(count) {
+    const folder = createTempFolder('process-');
+    const glb = await createGlb();
+    return Array.from({ length: count }, (_, i) => {
+        const file = path.join(folder, `${i}.glb`);
+        fs.writeFileSync(file, glb);
+        return { file, output: path.join(folder, `${i}.out.glb`) };
+    });
+}
+
+test('an empty list resolves without starting a worker', async t => {
+    quiet(t);
+    assert.deepEqual(await processFiles([], {}), { results: [], failures: [] });
+});
+
+test('recycled workers process every file and report each result', { skip: functionsMissing() }, async t => {
+    quiet(t);
+    const jobs = await createJobs(3);
+    const reported = [];
+    const { results, failures } = await processFiles(jobs, { draco: true }, { jobs: 2, maxJobsPerWorker: 1, onResult: result => reported.push(result.file) });
+
+    assert.deepEqual(failures, []);
+    assert.deepEqual(results.map(result => result.file).sort(), jobs.map(job => job.file));
+    assert.deepEqual(reported.sort(), jobs.map(job => job.file));
+    assert.ok(results.every(result => result.dracoApplied && fs.existsSync(result.output)));
+    // The worker describes each input for the journal
+    assert.ok(results.every(result => result.input.size > 0));
+});
+
+test('a file that fails is reported and the others still complete', { skip: functionsMissing() }, async t => {
+    quiet(t);
+    const [job] = await createJobs(1);
+    const broken = { file: path.join(path.dirname(job.file), 'broken.glb'), output: path.join(path.dirname(job.file), 'broken.out.glb') };
+    fs.writeFileSync(broken.file, 'not a tile');
+    const failed = [];
+    const { results, failures } = await processFiles([broken, job], {}, { jobs: 1, maxWorkerMemory: 0, onFailure: failure => failed.push(failure) });
+
+    assert.deepEqual(results.map(result => result.file), [job.file]);
+    assert.deepEqual(failures.map(failure => failure.file), [broken.file]);
+    assert.equal(typeof failures[0].error, 'string');
+    assert.deepEqual(failed, failures);
+});
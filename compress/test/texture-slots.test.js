@@ -0,0 +1,121 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { Document } from '@gltf-transform/core';
+import { readImageInfo } from '../src/lib/image-info.js';
+import { writeGlb } from '../src/lib/glb.js';
+import { getTilesetStatistics } from '../src/lib/tileset-statistics.js';
+import { loadConfig, DEFAULT_CONFIG } from '../src/lib/config.js';
+import { UsageError } from '../src/lib/options.js';
+import { createTempFolder, removeTempFolders, functionsMissing } from './helpers.js';
+
+after(removeTempFolders);
+
+// A KTX2 header of a 4x4 texture, BasisLZ-supercompressed (ETC1S) or not (UASTC)
+function ktx2(mode) {
+    const bytes = Buffer.alloc(80);
+    Buffer.from([0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A]).copy(bytes);
+    bytes.writeUInt32LE(4, 20);
+    bytes.writeUInt32LE(4, 24);
+    bytes.writeUInt32LE(1, 40);
+    bytes.writeUInt32LE(mode === 'ETC1S' ? 1 : 0, 44);
+    return bytes;
+}
+
+// A grey 4x4 RGB PNG
+function png() {
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(zlib.crc32(Buffer.concat([Buffer.from(type), data])));
+        return Buffer.concat([length, Buffer.from(type), data, crc]);
+    };
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(4, 0);
+    header.writeUInt32BE(4, 4);
+    header.set([8, 2, 0, 0, 0], 8);
+    // Each row is a filter byte and 4 RGB pixels
+    const rows = Buffer.concat(Array.from({ length: 4 }, () => Buffer.from([0, ...Array(12).fill(128)])));
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(rows)),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+// toktx of KTX-Software, which @gltf-transform/cli runs to encode KTX2 textures
+const toktxMissing = () => spawnSync('toktx', ['--version']).error && 'toktx is not installed';
+
+test('the KTX2 mode is read from the supercompression scheme', () => {
+    assert.deepEqual(readImageInfo(ktx2('ETC1S')), { format: 'KTX2', width: 4, height: 4, levels: 1, mode: 'ETC1S' });
+    assert.equal(readImageInfo(ktx2('UASTC')).mode, 'UASTC');
+});
+
+test('tileset statistics count textures per material slot and KTX2 mode', async () => {
+    const images = [ktx2('UASTC'), ktx2('ETC1S')];
+    const bin = Buffer.concat(images);
+    const folder = createTempFolder('texture-slots-');
+    fs.writeFileSync(path.join(folder, 'tile.glb'), writeGlb({
+        json: {
+            asset: { version: '2.0' },
+            extensionsUsed: ['KHR_texture_basisu'],
+            extensionsRequired: ['KHR_texture_basisu'],
+            buffers: [{ byteLength: bin.length }],
+            bufferViews: images.map((image, i) => ({ buffer: 0, byteOffset: i * 80, byteLength: 80 })),
+            images: images.map((image, i) => ({ bufferView: i, mimeType: 'image/ktx2' })),
+            textures: images.map((image, i) => ({ extensions: { KHR_texture_basisu: { source: i } } })),
+            materials: [{ normalTexture: { index: 0 }, pbrMetallicRoughness: { baseColorTexture: { index: 1 } } }],
+        },
+        bin,
+    }));
+    fs.writeFileSync(path.join(folder, 'tileset.json'), JSON.stringify({
+        asset: { version: '1.1' },
+        geometricError: 1,
+        root: { geometricError: 0, boundingVolume: { sphere: [0, 0, 0, 1] }, content: { uri: 'tile.glb' } },
+    }));
+
+    const { slots, textures, compression } = await getTilesetStatistics(folder);
+    assert.deepEqual(slots, [
+        { slot: 'baseColorTexture', format: 'KTX2 ETC1S', count: 1 },
+        { slot: 'normalTexture', format: 'KTX2 UASTC', count: 1 },
+    ]);
+    assert.deepEqual(textures.map(({ format, resolution }) => `${format} ${resolution}`).sort(), ['KTX2 ETC1S 4x4', 'KTX2 UASTC 4x4']);
+    assert.equal(compression.ktx2, 1);
+});
+
+test('slot patterns in a config replace the defaults, and must be lists of names', async () => {
+    const folder = createTempFolder('texture-slots-');
+    const file = path.join(folder, 'config.json');
+    fs.writeFileSync(file, JSON.stringify({ ktx: { slots: { uastc: ['normal*'] } } }));
+    const { ktx } = await loadConfig({ file }, [], {});
+    assert.deepEqual(ktx.slots, { uastc: ['normal*'], etc1s: ['baseColorTexture', 'emissiveTexture'] });
+
+    fs.writeFileSync(file, JSON.stringify({ ktx: { slots: { etc1s: 'baseColorTexture' } } }));
+    await assert.rejects(loadConfig({ file }, [], {}), error => error instanceof UsageError
+        && error.message.includes('"ktx.slots.etc1s" must be a list of slot name patterns, got "baseColorTexture"'));
+});
+
+test('textures get UASTC or ETC1S by the slots they are used in', { skip: functionsMissing() || toktxMissing() }, async () => {
+    const { compressDocument } = await import('../src/lib/compress-file.js');
+    const document = new Document();
+    const texture = name => document.createTexture(name).setImage(png()).setMimeType('image/png');
+    const normal = texture('normal');
+    const baseColor = texture('baseColor');
+    const unlisted = texture('unlisted');
+    document.createMaterial().setNormalTexture(normal).setBaseColorTexture(baseColor);
+    // Used in a slot neither pattern names, so it gets the default mode
+    document.createMaterial().setOcclusionTexture(unlisted);
+    const compression = { ...DEFAULT_CONFIG, ktx: { ...DEFAULT_CONFIG.ktx, slots: { uastc: ['normal*'], etc1s: ['baseColor*'] }, mode: 'uastc' } };
+
+    const summary = await compressDocument(document, { ktx: true, compression });
+    assert.equal(summary.ktxApplied, true);
+    const mode = texture => readImageInfo(texture.getImage()).mode;
+    assert.equal(mode(normal), 'UASTC');
+    assert.equal(mode(baseColor), 'ETC1S');
+    assert.equal(mode(unlisted), 'UASTC');
+});
@@ -0,0 +1,77 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { sniffFormat, identifyContent, hasContentExtension } from '../src/lib/tile-format.js';
+import { writeB3dm, B3DM_HEADER_LENGTH } from '../src/lib/b3dm.js';
+import { writeI3dm } from '../src/lib/i3dm.js';
+import { writePnts } from '../src/lib/pnts.js';
+import { writeCmpt } from '../src/lib/cmpt.js';
+import { listContentFiles } from '../src/lib/tileset-json.js';
+import { readInputContent } from '../src/lib/input-files.js';
+import { createGlb, createTempFolder, removeTempFolders, tableJSON } from './helpers.js';
+
+after(removeTempFolders);
+
+const json = value => Buffer.from(JSON.stringify(value));
+
+test('formats are told apart by their magic, and JSON by its members', async () => {
+    const glb = await createGlb();
+    const b3dm = writeB3dm({ featureTableJSON: tableJSON({ BATCH_LENGTH: 0 }, B3DM_HEADER_LENGTH), glb });
+    assert.equal(sniffFormat(b3dm), 'b3dm');
+    assert.equal(sniffFormat(writeI3dm({ featureTableJSON: tableJSON({ INSTANCES_LENGTH: 0 }, 32), glb })), 'i3dm');
+    assert.equal(sniffFormat(writePnts({ featureTableJSON: json({ POINTS_LENGTH: 0 }) })), 'pnts');
+    assert.equal(sniffFormat(writeCmpt({ tiles: [b3dm] })), 'cmpt');
+    assert.equal(sniffFormat(glb), 'glb');
+    assert.equal(sniffFormat(Buffer.concat([Buffer.from('subt'), Buffer.alloc(20)])), 'subtree');
+    assert.equal(sniffFormat(zlib.gzipSync(b3dm)), 'gzip');
+
+    assert.equal(sniffFormat(Buffer.from(`\uFEFF  ${JSON.stringify({ asset: { version: '1.1' }, root: {} })}`)), 'tileset');
+    assert.equal(sniffFormat(json({ tileAvailability: { constant: 1 } })), 'subtree');
+    assert.equal(sniffFormat(json({ asset: { version: '2.0' } })), 'gltf');
+    assert.equal(sniffFormat(json({ name: 'notes' })), 'json');
+    assert.equal(sniffFormat(Buffer.from('{ not json')), null);
+    assert.equal(sniffFormat(Buffer.from('PK\x03\x04')), null);
+});
+
+test('gzip-compressed contents are unpacked, and unknown ones reported', async () => {
+    const glb = await createGlb();
+    const { format, buffer, gzipped } = identifyContent(zlib.gzipSync(zlib.gzipSync(glb)));
+    assert.deepEqual([format, gzipped], ['glb', true]);
+    assert.deepEqual(buffer, glb);
+    assert.equal(identifyContent(glb).gzipped, false);
+
+    assert.throws(() => identifyContent(Buffer.from('PK\x03\x04 zip')), /Unknown content format \(starting with bytes 50 4b 03 04\)/);
+    assert.throws(() => identifyContent(zlib.gzipSync(Buffer.from('hello'))), /Unknown content format \(gzip-compressed, starting with "hell"\)/);
+    assert.throws(() => identifyContent(zlib.gzipSync(Buffer.alloc(0))), /The content is empty once gunzipped/);
+    assert.throws(() => identifyContent(Buffer.from([0x1f, 0x8b, 0, 0])), /The content is not valid gzip/);
+});
+
+test('content extensions are matched whatever their case', () => {
+    assert.equal(hasContentExtension('tiles/0.B3DM'), true);
+    assert.equal(hasContentExtension('tiles/0.glb', ['b3dm']), false);
+    assert.equal(hasContentExtension('tiles/0'), false);
+});
+
+test('tile contents are found by their bytes when their name has no content extension', async () => {
+    const folder = createTempFolder('tile-format-');
+    const b3dm = writeB3dm({ featureTableJSON: tableJSON({ BATCH_LENGTH: 0 }, B3DM_HEADER_LENGTH), glb: await createGlb() });
+    fs.mkdirSync(path.join(folder, 'tiles'));
+    fs.writeFileSync(path.join(folder, 'tiles', 'UPPER.B3DM'), b3dm);
+    fs.writeFileSync(path.join(folder, 'tiles', '0'), zlib.gzipSync(b3dm));
+    fs.writeFileSync(path.join(folder, 'tiles', 'broken'), 'not a tile');
+    // Not referenced by a tile, so not a content whatever its bytes
+    fs.writeFileSync(path.join(folder, 'tiles', 'spare'), b3dm);
+    const tile = uri => ({ geometricError: 0, boundingVolume: { sphere: [0, 0, 0, 1] }, content: { uri } });
+    fs.writeFileSync(path.join(folder, 'tileset.json'), JSON.stringify({
+        asset: { version: '1.0' },
+        geometricError: 1,
+        root: { geometricError: 1, refine: 'ADD', boundingVolume: { sphere: [0, 0, 0, 1] }, children: [tile('tiles/UPPER.B3DM'), tile('tiles/0'), tile('tiles/broken')] },
+    }));
+
+    const files = listContentFiles(folder, ['b3dm']).map(file => path.relative(folder, file)).sort();
+    assert.deepEqual(files, [path.join('tiles', '0'), path.join('tiles', 'UPPER.B3DM')]);
+    const { format, gzipped } = readInputContent(path.join(folder, 'tiles', '0'));
+    assert.deepEqual([format, gzipped], ['b3dm', true]);
+});
@@ -0,0 +1,114 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Document, NodeIO } from '@gltf-transform/core';
+import { readObj } from '../src/lib/obj.js';
+import { createTempFolder, removeTempFolders, functionsMissing } from './helpers.js';
+
+after(removeTempFolders);
+
+// A glb with a flat grid of 8x8 quads of 2 m on the ground (glTF is y-up), 128 triangles
+async function createGrid() {
+    const document = new Document();
+    const buffer = document.createBuffer();
+    const positions = [];
+    const indices = [];
+    for (let z = 0; z <= 8; z++) {
+        for (let x = 0; x <= 8; x++) {
+            positions.push(x * 2, 0, -z * 2);
+        }
+    }
+    for (let z = 0; z < 8; z++) {
+        for (let x = 0; x < 8; x++) {
+            const i = z * 9 + x;
+            indices.push(i, i + 1, i + 9, i + 1, i + 10, i + 9);
+        }
+    }
+    const primitive = document.createPrimitive()
+        .setAttribute('POSITION', document.createAccessor().setType('VEC3').setArray(new Float32Array(positions)).setBuffer(buffer))
+        .setIndices(document.createAccessor().setType('SCALAR').setArray(new Uint16Array(indices)).setBuffer(buffer));
+    document.createScene().addChild(document.createNode().setMesh(document.createMesh().addPrimitive(primitive)));
+    return Buffer.from(await new NodeIO().writeBinary(document));
+}
+
+async function tile(t, ...args) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const { run } = await import('../src/cli.js');
+    return run(['tile', ...args]);
+}
+
+const triangleCount = document => document.getRoot().listMeshes()
+    .flatMap(mesh => mesh.listPrimitives())
+    .reduce((count, primitive) => count + primitive.getIndices().getCount() / 3, 0);
+
+test('OBJ faces are fan-triangulated per material, with MTL colors and flipped texture coordinates', async () => {
+    const folder = createTempFolder('tile-');
+    fs.writeFileSync(path.join(folder, 'model.mtl'), 'newmtl glass\nKd 0.5 0.25 1\nd 0.5\n');
+    fs.writeFileSync(path.join(folder, 'model.obj'), [
+        'mtllib model.mtl',
+        'v 0 0 0', 'v 1 0 0', 'v 1 1 0', 'v 0 1 0',
+        'vt 0 0', 'vt 1 0', 'vt 1 1', 'vt 0 1',
+        'usemtl glass',
+        // A quad, with indices counted back from the last vertex
+        'f -4/-4 -3/-3 -2/-2 -1/-1',
+        'usemtl',
+        'f 1 2 3',
+    ].join('\n'));
+
+    const document = await readObj(path.join(folder, 'model.obj'));
+    const [glass, plain] = document.getRoot().listMeshes()[0].listPrimitives();
+    assert.deepEqual(Array.from(glass.getIndices().getArray()), [0, 1, 2, 0, 2, 3]);
+    assert.deepEqual(Array.from(glass.getAttribute('TEXCOORD_0').getArray()), [0, 1, 1, 1, 1, 0, 0, 0]);
+    assert.equal(glass.getAttribute('NORMAL'), null);
+    assert.deepEqual(glass.getMaterial().getBaseColorFactor(), [0.5, 0.25, 1, 0.5]);
+    assert.equal(glass.getMaterial().getAlphaMode(), 'BLEND');
+    assert.equal(plain.getMaterial(), null);
+    assert.equal(plain.getAttribute('TEXCOORD_0'), null);
+
+    fs.writeFileSync(path.join(folder, 'broken.obj'), 'v 0 0 0\nv 1 0 0\nf 1 2 3\n');
+    await assert.rejects(readObj(path.join(folder, 'broken.obj')), /broken\.obj:3: face refers to a missing element "3"/);
+});
+
+test('a model is split into leaves of at most --max-triangles under simplified parents', { skip: functionsMissing() }, async t => {
+    const folder = createTempFolder('tile-');
+    const model = path.join(folder, 'grid.glb');
+    fs.writeFileSync(model, await createGrid());
+    const output = path.join(folder, 'output');
+
+    assert.equal(await tile(t, model, output, '--max-triangles', '40', '--quadtree', '--origin', '10,50,100'), 0);
+    const { asset, geometricError, root } = JSON.parse(fs.readFileSync(path.join(output, 'tileset.json'), 'utf8'));
+    assert.equal(asset.version, '1.1');
+    assert.equal(root.refine, 'REPLACE');
+    assert.equal(root.transform.length, 16);
+    assert.equal(root.content.uri, 'tiles/root.glb');
+    assert.ok(geometricError >= root.geometricError);
+
+    // The grid lines fall on the cell borders, so nothing is clipped: 4 leaves of 32 triangles
+    const io = new NodeIO();
+    assert.deepEqual(root.children.map(child => child.content.uri), ['tiles/root_0.glb', 'tiles/root_1.glb', 'tiles/root_2.glb', 'tiles/root_3.glb']);
+    for (const child of root.children) {
+        assert.equal(child.geometricError, 0);
+        assert.equal(child.children, undefined);
+        assert.equal(triangleCount(await io.read(path.join(output, child.content.uri))), 32);
+        // Boxes are [center, x half axis, y half axis, z half axis], the leaves inside the root's
+        for (let axis = 0; axis < 3; axis++) {
+            assert.ok(Math.abs(child.boundingVolume.box[axis] - root.boundingVolume.box[axis]) + child.boundingVolume.box[3 + axis * 4] <= root.boundingVolume.box[3 + axis * 4] + 1e-9);
+        }
+    }
+    assert.ok(triangleCount(await io.read(path.join(output, 'tiles', 'root.glb'))) <= 40);
+});
+
+test('the output folder must be empty and --origin a position', { skip: functionsMissing() }, async t => {
+    const folder = createTempFolder('tile-');
+    const model = path.join(folder, 'grid.glb');
+    fs.writeFileSync(model, await createGrid());
+
+    // Each run mocks console.error anew, so these are the errors of the last one
+    const errors = () => console.error.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+    assert.equal(await tile(t, model, folder), 2);
+    assert.match(errors(), /The output folder is not empty/);
+    assert.equal(await tile(t, model, path.join(folder, 'output'), '--origin', '200,0,0'), 2);
+    assert.match(errors(), /--origin must be <longitude>,<latitude>,<height> in degrees and metres, got "200,0,0"/);
+});
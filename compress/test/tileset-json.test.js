@@ -0,0 +1,124 @@
+import test, { after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { updateTilesetJson } from '../src/lib/tileset-json.js';
+import { createTempFolder, removeTempFolders } from './helpers.js';
+
+after(removeTempFolders);
+// Every updated tileset is reported on stdout
+beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+function createFolder(files) {
+    const folder = createTempFolder('tileset-json-');
+    for (const [name, text] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(folder, name)), { recursive: true });
+        fs.writeFileSync(path.join(folder, name), text);
+    }
+    return folder;
+}
+
+const read = (folder, name) => fs.readFileSync(path.join(folder, name), 'utf8');
+
+// Tabs, CRLF line breaks, key order, number formats and unknown members are kept as they are
+const ROOT = [
+    '{',
+    '\t"asset" : { "version": "1.0", "tilesetVersion": "2.0.0" },',
+    '\t"geometricError": 1.50E2,',
+    '\t"root": {',
+    '\t\t"refine": "ADD", "geometricError": 10,',
+    '\t\t"boundingVolume": { "sphere": [0, 0, 0, 1.000] },',
+    '\t\t"content": { "uri": "tiles/a.b3dm?v=1", "extras": { "id": "\\u0041" } },',
+    '\t\t"children": [',
+    '\t\t\t{ "geometricError": 0, "boundingVolume": { "sphere": [0, 0, 0, 1] }, "content": { "url": "sub/tileset.json" } },',
+    '\t\t\t{ "geometricError": 0, "boundingVolume": { "sphere": [0, 0, 0, 1] }, "content": { "uri": "https://example.com/b.b3dm" } }',
+    '\t\t]',
+    '\t}',
+    '}',
+].join('\r\n');
+
+const SUB = '{"asset":{"version":"1.0"},"geometricError":10,"root":{"geometricError":0,"boundingVolume":{"sphere":[0,0,0,1]},"content":{"uri":"c.pnts"}}}\n';
+
+test('only content URIs and the version are edited, the rest is kept byte for byte', () => {
+    const folder = createFolder({ 'tileset.json': ROOT, 'sub/tileset.json': SUB, 'other.json': '{"asset":{}}' });
+    updateTilesetJson(folder, folder, { convertedExtensions: ['.b3dm', '.pnts'] });
+
+    const expected = ROOT
+        .replace('"version": "1.0"', '"version": "1.1"')
+        .replace('"tiles/a.b3dm?v=1"', '"tiles/a.glb?v=1"')
+        .replace('"url"', '"uri"');
+    assert.equal(read(folder, 'tileset.json'), expected);
+    assert.equal(read(folder, 'sub/tileset.json'), SUB.replace('"1.0"', '"1.1"').replace('c.pnts', 'c.glb'));
+    assert.equal(read(folder, 'other.json'), '{"asset":{}}');
+});
+
+test('required extensions are added to the lists, removed ones taken out', () => {
+    const folder = createFolder({
+        'tileset.json': SUB.replace('{"asset"', '{"extensionsUsed":["3DTILES_draco_point_compression","EXT_other"],"extensionsRequired":["3DTILES_draco_point_compression"],"asset"'),
+        'sub/tileset.json': SUB,
+    });
+    updateTilesetJson(folder, folder, { convertedExtensions: [], removedExtensions: ['3DTILES_draco_point_compression'] });
+    assert.equal(read(folder, 'tileset.json'), SUB.replace('{"asset"', '{"extensionsUsed":["EXT_other"],"asset"'));
+
+    const requiredExtensions = new Map(['c.pnts', 'sub/c.pnts'].map(file => [path.join(folder, file), ['3DTILES_draco_point_compression']]));
+    updateTilesetJson(folder, folder, { convertedExtensions: [], requiredExtensions });
+    const json = JSON.parse(read(folder, 'tileset.json'));
+    assert.deepEqual(json.extensionsUsed, ['EXT_other', '3DTILES_draco_point_compression']);
+    assert.deepEqual(json.extensionsRequired, ['3DTILES_draco_point_compression']);
+    // Lists the tileset lacks are added after its last member
+    assert.equal(
+        read(folder, 'sub/tileset.json'),
+        SUB.replace('}}}', '}},"extensionsUsed":["3DTILES_draco_point_compression"],"extensionsRequired":["3DTILES_draco_point_compression"]}'),
+    );
+});
+
+test('with an output folder the originals are left untouched', () => {
+    const folder = createFolder({ 'tileset.json': ROOT, 'sub/tileset.json': SUB });
+    const output = createTempFolder('tileset-json-out-');
+    updateTilesetJson(folder, output, { convertedExtensions: ['.b3dm'] });
+
+    assert.equal(read(folder, 'tileset.json'), ROOT);
+    assert.equal(read(folder, 'sub/tileset.json'), SUB);
+    assert.match(read(output, 'tileset.json'), /"tiles\/a\.glb\?v=1"/);
+    // The sub tileset has no b3dm, so it is not written
+    assert.equal(fs.existsSync(path.join(output, 'sub/tileset.json')), false);
+});
+
+test('convertedFiles limits the URIs that change', () => {
+    const folder = createFolder({ 'tileset.json': ROOT, 'sub/tileset.json': SUB });
+    updateTilesetJson(folder, folder, { convertedExtensions: ['.b3dm', '.pnts'], convertedFiles: new Set([path.join(folder, 'sub/c.pnts')]) });
+
+    assert.match(read(folder, 'tileset.json'), /"tiles\/a\.b3dm\?v=1"/);
+    assert.match(read(folder, 'sub/tileset.json'), /"c\.glb"/);
+});
+
+test('external tilesets referencing each other in a cycle are updated', () => {
+    const cycle = other => `{"asset":{"version":"1.1"},"geometricError":1,"root":{"geometricError":0,"boundingVolume":{"sphere":[0,0,0,1]},"children":[{"geometricError":0,"boundingVolume":{"sphere":[0,0,0,1]},"content":{"uri":"${other}"}},{"geometricError":0,"boundingVolume":{"sphere":[0,0,0,1]},"content":{"uri":"tile.b3dm"}}]}}`;
+    const folder = createFolder({ 'a.json': cycle('b.json'), 'b.json': cycle('a.json') });
+    updateTilesetJson(folder, folder);
+
+    assert.equal(read(folder, 'a.json'), cycle('b.json').replace('tile.b3dm', 'tile.glb'));
+    assert.equal(read(folder, 'b.json'), cycle('a.json').replace('tile.b3dm', 'tile.glb'));
+});
+
+test('JSON files that are not valid gzip are skipped', () => {
+    const folder = createFolder({ 'tileset.json': SUB.replace('c.pnts', 'c.b3dm'), 'broken.json': Buffer.from([0x1f, 0x8b, 0x08, 0x00, 0x01]) });
+    updateTilesetJson(folder, folder);
+    assert.match(read(folder, 'tileset.json'), /"c\.glb"/);
+});
+
+test('a tileset that cannot be written is counted and the others are still updated', t => {
+    t.mock.method(console, 'error', () => {});
+    const folder = createFolder({ 'tileset.json': ROOT, 'sub/tileset.json': SUB.replace('c.pnts', 'c.b3dm') });
+    const writeFileSync = fs.writeFileSync;
+    t.mock.method(fs, 'writeFileSync', (file, ...args) => {
+        if (file === path.join(folder, 'tileset.json')) {
+            throw new Error('disk full');
+        }
+        return writeFileSync(file, ...args);
+    });
+
+    assert.equal(updateTilesetJson(folder, folder), 1);
+    assert.equal(read(folder, 'tileset.json'), ROOT);
+    assert.match(read(folder, 'sub/tileset.json'), /"c\.glb"/);
+});
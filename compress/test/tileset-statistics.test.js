@@ -0,0 +1,70 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { writeB3dm, B3DM_HEADER_LENGTH } from '../src/lib/b3dm.js';
+import { writeI3dm, I3DM_HEADER_LENGTH } from '../src/lib/i3dm.js';
+import { writePnts, PNTS_HEADER_LENGTH } from '../src/lib/pnts.js';
+import { getTilesetStatistics, formatStatisticsCsv } from '../src/lib/tileset-statistics.js';
+import { createGlb, createTempFolder, removeTempFolders, tableJSON } from './helpers.js';
+
+after(removeTempFolders);
+
+const tile = uri => ({ geometricError: 0, boundingVolume: { sphere: [0, 0, 0, 1] }, ...(uri && { content: { uri } }) });
+const tileset = root => JSON.stringify({ asset: { version: '1.0' }, geometricError: 10, root });
+
+// A b3dm of two triangles at the root, and below it a pnts of two points, an external tileset
+// with an i3dm of two one-triangle instances, a missing content and one with a malformed URI
+async function createTileset() {
+    const folder = createTempFolder('statistics-');
+    fs.mkdirSync(path.join(folder, 'sub'));
+    fs.writeFileSync(path.join(folder, 'tileset.json'), tileset({
+        ...tile('building.b3dm'),
+        children: [tile('points.pnts'), tile('sub/tileset.json'), tile('missing.b3dm'), tile('b%2.b3dm')],
+    }));
+    fs.writeFileSync(path.join(folder, 'sub', 'tileset.json'), tileset({ ...tile('trees.i3dm'), children: [tile()] }));
+
+    fs.writeFileSync(path.join(folder, 'building.b3dm'), writeB3dm({ featureTableJSON: tableJSON({ BATCH_LENGTH: 2 }, B3DM_HEADER_LENGTH), glb: await createGlb(2) }));
+    fs.writeFileSync(path.join(folder, 'points.pnts'), writePnts({
+        featureTableJSON: tableJSON({ POINTS_LENGTH: 2, POSITION: { byteOffset: 0 } }, PNTS_HEADER_LENGTH),
+        featureTableBinary: Buffer.from(new Float32Array([1, 2, 3, 4, 5, 6]).buffer),
+    }));
+    fs.writeFileSync(path.join(folder, 'sub', 'trees.i3dm'), writeI3dm({
+        featureTableJSON: tableJSON({ INSTANCES_LENGTH: 2, POSITION: { byteOffset: 0 } }, I3DM_HEADER_LENGTH),
+        featureTableBinary: Buffer.from(new Float32Array([1, 2, 3, 4, 5, 6]).buffer),
+        glb: await createGlb(1),
+    }));
+    return folder;
+}
+
+test('contents are counted per format and per depth, external tilesets one level down', async () => {
+    const { totals, formats, levels, contents } = await getTilesetStatistics(await createTileset());
+
+    assert.equal(totals.tiles, 7);
+    assert.equal(totals.contents, 3);
+    assert.equal(totals.triangles, 3);
+    assert.equal(totals.points, 2);
+    assert.equal(totals.instances, 2);
+    assert.deepEqual(Object.keys(formats).sort(), ['b3dm', 'i3dm', 'pnts']);
+    assert.equal(formats.b3dm.triangles, 2);
+    assert.equal(formats.b3dm.vertices, 6);
+    assert.deepEqual(levels.map(({ depth, tiles, contents: count }) => [depth, tiles, count]), [[0, 1, 1], [1, 4, 1], [2, 1, 1], [3, 1, 0]]);
+    assert.deepEqual(contents.map(({ depth, file, format }) => [depth, file, format]), [
+        [0, 'building.b3dm', 'b3dm'],
+        [1, 'points.pnts', 'pnts'],
+        [2, 'sub/trees.i3dm', 'i3dm'],
+    ]);
+});
+
+test('contents that cannot be read are listed as errors and the walk goes on', async () => {
+    const { errors, totals } = await getTilesetStatistics(path.join(await createTileset(), 'tileset.json'));
+    assert.deepEqual(errors.map(({ file }) => file), ['missing.b3dm', 'b%2.b3dm']);
+    assert.equal(totals.contents, 3);
+});
+
+test('the CSV has one row per content', async () => {
+    const csv = formatStatisticsCsv(await getTilesetStatistics(await createTileset())).split('\n');
+    assert.equal(csv[0], 'depth,file,format,bytes,triangles,vertices,points,instances,textures,textureBytes,textureMemory,draco,meshopt,ktx2');
+    assert.equal(csv.length, 4);
+    assert.match(csv[2], /^1,points\.pnts,pnts,\d+,0,0,2,0,0,0,0,false,false,false$/);
+});
@@ -0,0 +1,56 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Document, NodeIO } from '@gltf-transform/core';
+import { writeB3dm } from '../src/lib/b3dm.js';
+import { alignGlb } from '../src/lib/glb.js';
+import { validateTileset } from '../src/lib/validate-tileset.js';
+import { createTempFolder, removeTempFolders } from './helpers.js';
+
+after(removeTempFolders);
+
+// A tileset with one b3dm, a unit triangle at RTC_CENTER (1000, 0, 0) stored in the feature
+// table's binary body, and a bounding box around where it is drawn
+async function createTileset() {
+    const document = new Document();
+    const buffer = document.createBuffer();
+    const primitive = document.createPrimitive()
+        .setAttribute('POSITION', document.createAccessor().setType('VEC3').setArray(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0])).setBuffer(buffer));
+    document.createScene().addChild(document.createNode().setMesh(document.createMesh().addPrimitive(primitive)));
+
+    // 28 header bytes + 52 JSON bytes start the binary body on an 8-byte boundary
+    const featureTableJSON = Buffer.from('{"BATCH_LENGTH":0,"RTC_CENTER":{"byteOffset":0}}'.padEnd(52));
+    const featureTableBinary = Buffer.from(new Float32Array([1000, 0, 0, 0]).buffer);
+    const folder = createTempFolder('validate-');
+    fs.writeFileSync(path.join(folder, 'a.b3dm'), writeB3dm({ featureTableJSON, featureTableBinary, glb: alignGlb(Buffer.from(await new NodeIO().writeBinary(document))) }));
+    fs.writeFileSync(path.join(folder, 'tileset.json'), JSON.stringify({
+        asset: { version: '1.0' },
+        geometricError: 1,
+        root: { geometricError: 0, boundingVolume: { box: [1000.5, 0, 0.5, 0.5, 0, 0, 0, 0.5, 0, 0, 0, 0.5] }, content: { uri: 'a.b3dm' } },
+    }));
+    return folder;
+}
+
+test('a binary RTC_CENTER places the b3dm geometry inside its bounding volume', async () => {
+    const { summary, issues } = await validateTileset(await createTileset());
+    assert.deepEqual(issues, []);
+    assert.equal(summary.contents, 1);
+});
+
+test('a content URI with a malformed escape is reported on its tile', async () => {
+    const folder = await createTileset();
+    const tileset = JSON.parse(fs.readFileSync(path.join(folder, 'tileset.json'), 'utf8'));
+    tileset.root.children = [{ geometricError: 0, boundingVolume: tileset.root.boundingVolume, content: { uri: 'b%2.b3dm' } }];
+    fs.writeFileSync(path.join(folder, 'tileset.json'), JSON.stringify(tileset));
+
+    const { summary, issues } = await validateTileset(folder);
+    assert.deepEqual(issues, [{
+        severity: 'error',
+        code: 'CONTENT_INVALID',
+        message: 'Content b%2.b3dm is not a valid URI.',
+        tileset: 'tileset.json',
+        tile: 'root.children[0].content',
+    }]);
+    assert.equal(summary.contents, 1);
+});